@@ -4,7 +4,27 @@ import { CharacterBaseStats, StatKeys } from './systems/BaseStats.js';
 import { CharacterResources, ResourceKeys } from './systems/Resources.js';
 import { CharacterDerivedStats } from './systems/DerivedStats.js';
 import { CharacterCombatStats } from './systems/CombatStats.js';
-import { CharacterResistances, ResistanceKeys } from './systems/Resistances.js';
+import { CharacterResistances, ResistanceKeys, splitDamage } from './systems/Resistances.js';
+import { CharacterStatusEffects } from './systems/StatusEffects.js';
+import { CharacterTransformations } from './systems/Transformations.js';
+import { CharacterSkills } from './systems/Skills.js';
+import { CharacterEquipment } from './systems/Equipment.js';
+import { CharacterInventory } from './systems/Inventory.js';
+import { CharacterRaceTraits } from './systems/RaceTraits.js';
+import { CharacterPotential } from './systems/Potential.js';
+import { CharacterRegeneration } from './systems/Regeneration.js';
+import { CharacterKiControl } from './systems/KiControl.js';
+import { CharacterPerception } from './systems/Perception.js';
+import { CharacterReactions } from './systems/Reactions.js';
+import { StatAllocationSession } from './systems/StatAllocation.js';
+import { resolveAttack } from './systems/AttackResolver.js';
+import { resolveBeamStruggle, isEnergyTechnique } from './systems/BeamStruggle.js';
+import { EventEmitter, CharacterEvents } from './systems/EventEmitter.js';
+import { CharacterModifiers } from './systems/Modifiers.js';
+import { RandomGenerator } from './systems/Random.js';
+import { defaultBalance } from './systems/Balance.js';
+import { SAVE_SCHEMA_VERSION, migrateSaveData } from './systems/Serialization.js';
+import { TechniqueDefinitions } from './data/techniques.js';
 
 /**
  * Represents a complete character, integrating all underlying systems.
@@ -16,15 +36,29 @@ class Character {
      * @param {object} [config.attributesConfig={}] - Initial configuration for CharacterAttributes.
      * @param {object} [config.baseStatsConfig={}] - Initial configuration for CharacterBaseStats.
      * @param {string} [config.name='Character'] - The character's name.
+     * @param {RandomGenerator} [config.rng] - Random source for this character's rolls. Defaults to an unseeded generator.
+     * @param {BalanceConfig} [config.balance] - Balance config the stat formulas are read from. Defaults to the shared config.
      */
-    constructor({ attributesConfig = {}, baseStatsConfig = {}, name = 'Character' } = {}) {
+    constructor({ attributesConfig = {}, baseStatsConfig = {}, name = 'Character', rng = new RandomGenerator(), balance = defaultBalance } = {}) {
         this.name = name;
         console.log(`Initializing character: ${this.name}`);
 
+        // Random source for every roll made by or against this character (hit, crit, status resistance)
+        this._rng = rng;
+
+        // Balance config (stat formulas); loading a new config into it recalculates this character
+        this._balance = balance;
+
+        // Event emitter shared by all systems of this character (and available to UI/scenes)
+        this._events = new EventEmitter();
+
+        // Modifier stack shared by all calculators (status effects, forms, equipment, race traits)
+        this._modifiers = new CharacterModifiers();
+
         // --- Instantiate Core Systems ---
 
-        // 1. Base Stats: Needs initial values, but otherwise independent initially.
-        this._baseStats = new CharacterBaseStats(baseStatsConfig);
+        // 1. Base Stats: Needs initial values and the modifier stack for effective stat values.
+        this._baseStats = new CharacterBaseStats({ ...baseStatsConfig, modifiers: this._modifiers });
 
         // 2. Attributes: Needs initial values and a reference to BaseStats for stat allocation.
         this._attributes = new CharacterAttributes({ ...attributesConfig, baseStats: this._baseStats });
@@ -33,28 +67,138 @@ class Character {
         // These systems often depend on Attributes and BaseStats being available.
 
         // 3. Resources: Depends on Attributes (for level scaling?) and BaseStats (for base HP/KI/STA).
-        this._resources = new CharacterResources(this._attributes, this._baseStats);
+        this._resources = new CharacterResources(this._attributes, this._baseStats, this._modifiers, this._balance);
+
+        // 4. Resistances: Depends on Attributes and BaseStats.
+        this._resistances = new CharacterResistances(this._attributes, this._baseStats, this._modifiers, this._balance);
+
+        // 5. Status Effects: Depends on Resources (tick effects), Resistances (resistance rolls) and Modifiers.
+        this._statusEffects = new CharacterStatusEffects(this._resources, this._resistances, this._modifiers, this._rng);
+
+        // 6. Transformations: Depends on Attributes (requirements), Resources (upkeep) and Modifiers (multipliers).
+        this._transformations = new CharacterTransformations(this._attributes, this._baseStats, this._resources, this._modifiers);
+
+        // 7. Derived Stats: Depends on Attributes, BaseStats, and Resources.
+        this._derivedStats = new CharacterDerivedStats(this._attributes, this._baseStats, this._resources, this._modifiers, this._balance);
+
+        // 8. Combat Stats: Depends on Attributes and BaseStats. May optionally use DerivedStats.
+        this._combatStats = new CharacterCombatStats(this._attributes, this._baseStats, this._derivedStats, this._modifiers, this._rng, this._balance);
+
+        // 9. Skills: Depends on Attributes (requirements), BaseStats (power scaling) and Resources (costs).
+        this._skills = new CharacterSkills(this._attributes, this._baseStats, this._resources, this._modifiers);
+        this._attributes.skills = this._skills; // Link so skill points can unlock/upgrade techniques
+
+        // 10. Race Traits: Hooks the race's passives into stat growth, resources, status effects and modifiers.
+        this._raceTraits = new CharacterRaceTraits(this._attributes, this._baseStats, this._resources, this._statusEffects, this._modifiers);
+        this._attributes.raceTraits = this._raceTraits; // Link so potential growth follows the race
+
+        // 11. Equipment: Depends on Attributes (requirements) and Modifiers (item modifiers).
+        this._equipment = new CharacterEquipment(this._attributes, this._modifiers);
+
+        // 12. Inventory: Depends on BaseStats (carrying capacity) and Resources (consumables).
+        this._inventory = new CharacterInventory(this._baseStats, this._resources);
 
-        // 4. Derived Stats: Depends on Attributes, BaseStats, and Resources.
-        this._derivedStats = new CharacterDerivedStats(this._attributes, this._baseStats, this._resources);
+        // 13. Potential: Unlock events (Elder Kai, near-death, training milestones) raise potential up to its cap.
+        this._potential = new CharacterPotential(this._attributes, this._resources);
 
-        // 5. Combat Stats: Depends on Attributes and BaseStats. May optionally use DerivedStats.
-        this._combatStats = new CharacterCombatStats(this._attributes, this._baseStats, this._derivedStats);
+        // 14. Regeneration: Regen over time, rest actions and exhaustion, driven by Resources and BaseStats.
+        this._regeneration = new CharacterRegeneration(this._baseStats, this._resources, this._statusEffects, this._modifiers);
 
-        // 6. Resistances: Depends on Attributes and BaseStats.
-        this._resistances = new CharacterResistances(this._attributes, this._baseStats);
+        // 15. Ki Control: WIS-driven charging, overcharge, ki cost efficiency and power level suppression.
+        this._kiControl = new CharacterKiControl(this._baseStats, this._resources, this._derivedStats);
+        this._skills.kiControl = this._kiControl; // Link so technique ki costs use ki control efficiency
 
-        // --- Link Systems for Updates (if necessary) ---
-        // Example: If BaseStats change, other systems might need updating.
-        // This could be handled via direct calls or an event system later.
-        // For now, the `handleStatChange` methods exist in the subsystems.
-        // We need a mechanism to trigger them when a base stat or attribute changes.
+        // 16. Perception: Power level readings of other characters (scouter, ki sensing).
+        this._perception = new CharacterPerception(this._equipment, this._raceTraits, this._derivedStats, this._rng);
+
+        // 17. Reactions: Defender reactions to incoming attacks (guard, dodge, counter, vanish).
+        this._reactions = new CharacterReactions(this._baseStats, this._resources, this._combatStats, this._statusEffects);
+
+        // --- Link Systems for Updates ---
+        // Every system publishes its changes to the shared emitter, and dependent systems
+        // subscribe to recalculate. Listeners run in subscription order, so Resources must be
+        // bound before DerivedStats (Effective PL uses the recalculated max values). Race traits are
+        // bound after every calculator: they register their passive modifiers on bind, which the calculators must see.
+        // Potential is bound after race traits so level-up growth lands before training milestones.
+        [
+            this._modifiers,
+            this._baseStats,
+            this._attributes,
+            this._resources,
+            this._resistances,
+            this._statusEffects,
+            this._transformations,
+            this._equipment,
+            this._inventory,
+            this._derivedStats,
+            this._combatStats,
+            this._skills,
+            this._raceTraits,
+            this._potential,
+            this._regeneration,
+            this._kiControl,
+            this._perception,
+            this._reactions,
+        ].forEach(system => system.bindEvents(this._events));
+        this._balance.attach(this);
+        this._resources.setToMax(); // Start at full resources, including racial bonuses to max values
+
+        this._events.on(CharacterEvents.DEFEATED, () => console.log(`${this.name} has been defeated!`));
 
         console.log(`${this.name} initialized successfully.`);
     }
 
     // --- Accessors for Systems ---
 
+    /** @returns {EventEmitter} The character's event emitter. */
+    get events() { return this._events; }
+
+    /**
+     * Subscribes to one of the character's events (see CharacterEvents).
+     * @param {string} event - The event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that unsubscribes the listener.
+     */
+    on(event, listener) {
+        return this._events.on(event, listener);
+    }
+
+    /** @returns {RandomGenerator} The character's random source. */
+    get rng() { return this._rng; }
+
+    /**
+     * Replaces the character's random source (e.g., a battle sharing one seeded generator between all fighters).
+     * @param {RandomGenerator} rng - The new random source.
+     */
+    set rng(rng) {
+        this._rng = rng;
+        this._combatStats.rng = rng;
+        this._statusEffects.rng = rng;
+        this._perception.rng = rng;
+    }
+
+    /** @returns {BalanceConfig} The balance config the character's stat formulas are read from. */
+    get balance() { return this._balance; }
+
+    /**
+     * Switches the character to another balance config (e.g., comparing two configs side by side) and recalculates
+     * every stat. Current health/ki/stamina are kept, capped at the new maximums.
+     * @param {BalanceConfig} balance - The new balance config.
+     */
+    set balance(balance) {
+        this._balance.detach(this);
+        this._balance = balance;
+        this._resources.balance = balance;
+        this._resistances.balance = balance;
+        this._derivedStats.balance = balance;
+        this._combatStats.balance = balance;
+        balance.attach(this);
+        this._events.emit(CharacterEvents.STAT_CHANGED, { source: 'balance' });
+    }
+
+    /** @returns {CharacterModifiers} The character's modifier stack. */
+    get modifiers() { return this._modifiers; }
+
     /** @returns {CharacterAttributes} The character's attributes instance. */
     get attributes() { return this._attributes; }
 
@@ -73,29 +217,94 @@ class Character {
     /** @returns {CharacterResistances} The character's resistances instance. */
     get resistances() { return this._resistances; }
 
+    /** @returns {CharacterStatusEffects} The character's status effects instance. */
+    get statusEffects() { return this._statusEffects; }
+
+    /** @returns {CharacterTransformations} The character's transformations instance. */
+    get transformations() { return this._transformations; }
+
+    /** @returns {CharacterSkills} The character's skills instance. */
+    get skills() { return this._skills; }
+
+    /** @returns {CharacterRaceTraits} The character's race traits instance. */
+    get raceTraits() { return this._raceTraits; }
+
+    /** @returns {CharacterEquipment} The character's equipment instance. */
+    get equipment() { return this._equipment; }
+
+    /** @returns {CharacterInventory} The character's inventory instance. */
+    get inventory() { return this._inventory; }
+
+    /** @returns {CharacterPotential} The character's potential unlock tracker. */
+    get potential() { return this._potential; }
+
+    /** @returns {CharacterRegeneration} The character's regeneration, rest and exhaustion handler. */
+    get regeneration() { return this._regeneration; }
+
+    /** @returns {CharacterKiControl} The character's ki charging, efficiency and suppression handler. */
+    get kiControl() { return this._kiControl; }
+
+    /** @returns {number} The power level other characters see (effective PL, reduced while suppressing). */
+    get visiblePL() { return this.kiControl.visiblePL; }
+
+    /** @returns {boolean} Whether the character can sense ki (Androids cannot). */
+    get canSenseKi() { return this._raceTraits.canSenseKi; }
+
+    /** @returns {CharacterPerception} The character's power level perception (scouter, ki sensing). */
+    get perception() { return this._perception; }
+
+    /** @returns {CharacterReactions} The character's reactions to incoming attacks (guard, dodge, counter, vanish). */
+    get reactions() { return this._reactions; }
+
+    /**
+     * Reads another character's power level the way this character can observe it.
+     * @param {Character} target - The character to read.
+     * @param {object} [options={}] - Reading options (see CharacterPerception.read()).
+     * @returns {object} The reading: { target, method, detected, value, tier, label, suppressing, overloaded }.
+     */
+    readPowerLevel(target, options) {
+        return this.perception.read(target, options);
+    }
+
     // --- High-Level Character Methods (Examples) ---
 
     /**
-     * Handles the character leveling up.
-     * This would involve updating attributes, potentially base stats (if auto-increase),
-     * and triggering updates in dependent systems.
+     * Grants one level without spending XP (e.g., a story reward). Uses the same level-up path as addXP():
+     * points and stat growth come from the progression table and the race, and dependent systems recalculate.
+     * @returns {object|false} Grants: { level, statPoints, skillPoints, stats }, or false at the level cap.
      */
     levelUp() {
         console.log(`${this.name} is leveling up!`);
-        // 1. Update attributes (XP, level, stat points etc.)
-        // this.attributes.gainXP(...); // This logic is more complex
+        return this.attributes.levelUp();
+    }
 
-        // For simplicity, let's assume level up gives stat points and maybe updates stats slightly.
-        this.attributes.level++;
-        this.attributes.unallocatedStatPoints += 5; // Example
+    /**
+     * Adds XP, gaining as many levels as it allows.
+     * @param {number} amount - The XP to add.
+     * @returns {object} Summary: { xpGained, fromLevel, toLevel, levelsGained, statPoints, skillPoints, stats }.
+     */
+    addXP(amount) {
+        return this.attributes.addXP(amount);
+    }
 
-        // 2. Recalculate dependent systems that rely on level or stats
-        this.resources.handleStatChange(); // Max values might depend on level implicitly via base stats
-        this.derivedStats.handleStatChange(); // PL, etc., depend on stats/level
-        this.combatStats.handleStatChange(); // Might depend on level or stats
-        this.resistances.handleStatChange(); // Might depend on stats
+    /**
+     * Removes XP, e.g., as a defeat penalty.
+     * @param {number} amount - The XP to remove.
+     * @param {object} [options={}] - Penalty options.
+     * @param {boolean} [options.allowLevelDown=false] - Whether losing more XP than the current level holds drops levels.
+     * @returns {object} Summary: { xpLost, fromLevel, toLevel, levelsLost }.
+     */
+    loseXP(amount, options = {}) {
+        return this.attributes.loseXP(amount, options);
+    }
 
-        console.log(`${this.name} reached Level ${this.attributes.level}. Stat Points: ${this.attributes.unallocatedStatPoints}`);
+    /**
+     * Triggers a potential unlock event (e.g., an Elder Kai ritual). Base PL is recalculated automatically.
+     * @param {string} eventId - The key of the event (from PotentialUnlockKeys).
+     * @returns {number|false} The potential gained, or false if the event could not be triggered.
+     */
+    unlockPotential(eventId) {
+        return this.potential.unlock(eventId);
     }
 
     /**
@@ -107,41 +316,473 @@ class Character {
             const success = this.attributes.allocateStatPoint(statKey);
             if (success) {
                 console.log(`${this.name} allocated point to ${statKey}. Remaining: ${this.attributes.unallocatedStatPoints}`);
-                // The allocateStatPoint in Attributes should call increaseStat in BaseStats.
-                // Now, trigger updates in systems dependent on BaseStats.
-                this.resources.handleStatChange();
-                this.derivedStats.handleStatChange();
-                this.combatStats.handleStatChange();
-                this.resistances.handleStatChange();
+                // BaseStats.increaseStat publishes STAT_CHANGED, which updates the dependent systems.
             }
         } else {
             console.warn(`${this.name} has no unallocated stat points.`);
         }
     }
 
+    /**
+     * Equips an item, replacing whatever is equipped in its slot. Dependent stats recalculate automatically.
+     * @param {string} itemId - The key of the item (from EquipmentKeys).
+     * @returns {boolean} True if the item was equipped.
+     */
+    equipItem(itemId) {
+        return this.equipment.equip(itemId);
+    }
+
+    /**
+     * Removes the item equipped in a slot.
+     * @param {string} slot - The slot (from EquipmentSlots).
+     * @returns {boolean} True if an item was removed.
+     */
+    unequipItem(slot) {
+        return this.equipment.unequip(slot);
+    }
+
+    /**
+     * Uses a consumable from the inventory (e.g., a Senzu Bean).
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @returns {object|false} The amounts restored ({ health, ki, stamina, fatigue }), or false if it could not be used.
+     */
+    useItem(itemId) {
+        return this.inventory.useItem(itemId);
+    }
+
+    /**
+     * Trains for XP. Training gains are boosted by weighted gear (see CharacterEquipment.trainingMultiplier).
+     * @param {number} xp - The XP the training session is worth.
+     * @returns {object} The addXP() summary.
+     */
+    train(xp) {
+        return this.attributes.addXP(Math.floor(xp * this.equipment.trainingMultiplier));
+    }
+
+    /**
+     * Starts an allocation session to queue, preview and undo stat points before spending them.
+     * @returns {StatAllocationSession} The new session.
+     */
+    beginAllocation() {
+        return new StatAllocationSession(this);
+    }
+
+    /**
+     * Pays XP to refund every allocated stat point (see CharacterAttributes.respec()).
+     * @param {object} [options={}] - Respec options ({ allowLevelDown }).
+     * @returns {object|false} Summary: { cost, points, refunded }, or false if the respec failed.
+     */
+    respec(options = {}) {
+        return this.attributes.respec(options);
+    }
+
+    /**
+     * Captures the stats shown when comparing builds: base stats, max resources, derived and combat stats.
+     * @returns {object} { baseStats, resources, derived, combat, resistances }.
+     */
+    getStatSnapshot() {
+        return {
+            baseStats: this.baseStats.getAllStats(),
+            resources: { maxHealth: this.resources.maxHealth, maxKi: this.resources.maxKi, maxStamina: this.resources.maxStamina },
+            derived: {
+                basePL: this.derivedStats.basePL,
+                effectivePL: this.derivedStats.effectivePL,
+                movementRange: this.derivedStats.movementRange,
+                turnOrder: this.derivedStats.turnOrder,
+            },
+            combat: {
+                accuracy: this.combatStats.accuracy,
+                evasion: this.combatStats.evasion,
+                critChance: this.combatStats.critChance,
+                critDamage: this.combatStats.critDamage,
+                knockback: this.combatStats.knockback,
+                pursuit: this.combatStats.pursuit,
+            },
+            resistances: {
+                physical: this.resistances.physical,
+                energy: this.resistances.energy,
+                status: this.resistances.status,
+            },
+        };
+    }
+
+    /**
+     * Previews the stat snapshot after raising base stats, on a copy of the character (using the same balance config).
+     * @param {object} stats - Base stat increases ({ statKey: amount }).
+     * @returns {object} The resulting snapshot (see getStatSnapshot()).
+     */
+    previewStatIncrease(stats) {
+        const copy = Character.fromJSON(this.toJSON(), { balance: this._balance });
+        try {
+            for (const statKey in stats) {
+                copy.baseStats.increaseStat(statKey, stats[statKey]);
+            }
+            return copy.getStatSnapshot();
+        } finally {
+            this._balance.detach(copy); // The throwaway copy should not be recalculated on config loads
+        }
+    }
+
     /**
      * Applies damage to the character's health.
+     * Mixed damage is split across several types and each part is mitigated by its own resistance,
+     * so weaknesses (negative resistances) increase that part of the damage.
      * @param {number} amount - The amount of damage to apply.
-     * @param {string} type - The type of damage (e.g., ResistanceKeys.PHYSICAL, ResistanceKeys.ENERGY).
+     * @param {string|object} type - The type of damage (e.g., ResistanceKeys.PHYSICAL, ResistanceKeys.ENERGY),
+     *   or a split of shares keyed by type (e.g., { [ResistanceKeys.ENERGY]: 0.5, [ResistanceKeys.HEAT]: 0.5 }).
+     * @param {object} [options={}] - Additional damage options.
+     * @param {number} [options.defenseIgnore=0] - Fraction of the resistance to ignore (e.g., from critical hits).
+     *   Weaknesses are never ignored.
+     * @returns {number} The damage actually applied after mitigation.
      */
-    takeDamage(amount, type = ResistanceKeys.PHYSICAL) {
-        // 1. Calculate resistance mitigation
-        const resistanceValue = this.resistances.getResistance(type);
-        const mitigatedAmount = Math.max(0, Math.round(amount * (1 - resistanceValue))); // Ensure damage isn't negative
+    takeDamage(amount, type = ResistanceKeys.PHYSICAL, { defenseIgnore = 0 } = {}) {
+        // 1. Mitigate each part of the packet by its resistance, reduced by any defense ignore
+        let total = 0;
+        let energyDamage = 0;
+        for (const [damageType, part] of Object.entries(splitDamage(amount, type))) {
+            const resistance = this.resistances.getResistance(damageType);
+            const resistanceValue = resistance > 0 ? resistance * (1 - defenseIgnore) : resistance;
+            const mitigatedPart = Math.max(0, part * (1 - resistanceValue)); // Ensure damage isn't negative
+            console.log(`${this.name} taking ${Math.round(part)} ${damageType} damage. Resistance: ${(resistanceValue * 100).toFixed(1)}%. Mitigated Damage: ${Math.round(mitigatedPart)}`);
+            total += mitigatedPart;
+            if (damageType === ResistanceKeys.ENERGY) {
+                energyDamage = mitigatedPart;
+            }
+        }
+        let mitigatedAmount = Math.round(total);
 
-        console.log(`${this.name} taking ${amount} ${type} damage. Resistance: ${(resistanceValue * 100).toFixed(1)}%. Mitigated Damage: ${mitigatedAmount}`);
+        // 2. Races that absorb energy (Androids) take part of energy damage as ki instead
+        if (energyDamage > 0) {
+            mitigatedAmount -= this._raceTraits.absorbEnergy(Math.round(energyDamage));
+        }
 
         // Apply the damage using the Resources system method
         this.resources.takeDamage(mitigatedAmount); // Use the specific takeDamage method
 
-        // Check if character is defeated
-        if (this.resources.health <= 0) {
-            console.log(`${this.name} has been defeated!`);
-            // Handle defeat state
+        // Defeat is published by Resources as CharacterEvents.DEFEATED
+        return mitigatedAmount;
+    }
+
+    /**
+     * Explains how a stat's current value is built, for tooltips.
+     * @param {string} statId - Any modifiable stat (StatKeys, MaxResourceKeys, DerivedStatKeys, CombatStatKeys, ResistanceKeys).
+     * @returns {object} The breakdown from CharacterModifiers.getBreakdown().
+     */
+    getStatBreakdown(statId) {
+        return this.modifiers.getBreakdown(statId);
+    }
+
+    /**
+     * Attacks another character, resolving hit, critical hit, damage and knockback.
+     * Defeating the target (the hit that takes its health to 0) lets Majins absorb it; defeated targets cannot be attacked.
+     * @param {Character} target - The character being attacked.
+     * @param {object} [options={}] - Attack options passed to resolveAttack (damageType, power, reaction).
+     * @returns {object} The structured attack result.
+     */
+    attack(target, options = {}) {
+        const result = resolveAttack(this, target, options);
+        if (result.defeated) {
+            this._raceTraits.absorb(target);
+        }
+        return result;
+    }
+
+    /**
+     * Spends a skill point to learn a technique or upgrade it to the next rank.
+     * @param {string} skillId - The key of the technique (from TechniqueKeys).
+     * @returns {boolean} True if the technique was learned or upgraded.
+     */
+    learnSkill(skillId) {
+        return this.attributes.useSkillPoint(skillId);
+    }
+
+    /**
+     * Uses a learned technique against a target.
+     * Pays the technique's ki/stamina cost, starts its cooldown, resolves damaging techniques
+     * through the attack resolver and applies the technique's status effect (on hit for damaging techniques).
+     * Techniques cannot be used on an already defeated target.
+     * @param {string} skillId - The key of the technique (from TechniqueKeys).
+     * @param {Character} target - The target character.
+     * @param {object} [options={}] - Usage options.
+     * @param {number} [options.distance] - Distance to the target on the grid (range is checked if provided).
+     * @param {string} [options.reaction] - The target's reaction to a damaging technique (from ReactionKeys).
+     * @returns {object} Result: { skillId, success, reason, attack, statusApplied }.
+     */
+    useSkill(skillId, target, { distance, reaction = null } = {}) {
+        const result = { skillId, success: false, reason: null, attack: null, statusApplied: false };
+
+        const { allowed, reason } = target.resources.health <= 0
+            ? { allowed: false, reason: `${target.name} is already defeated.` }
+            : this.skills.canUse(skillId, { distance });
+        if (!allowed) {
+            console.warn(`${this.name} cannot use ${skillId}: ${reason}`);
+            result.reason = reason;
+            return result;
+        }
+
+        const technique = TechniqueDefinitions[skillId];
+        this.skills.consume(skillId);
+        result.success = true;
+        console.log(`${this.name} uses ${technique.name}!`);
+
+        if (technique.damageType) {
+            result.attack = resolveAttack(this, target, {
+                damageType: technique.damageType,
+                power: this.skills.getPower(skillId),
+                reaction,
+            });
+            if (result.attack.defeated) {
+                this._raceTraits.absorb(target);
+            }
+        }
+
+        if (technique.statusEffect && (!result.attack || result.attack.hit)) {
+            result.statusApplied = target.applyStatusEffect(technique.statusEffect.id, { source: skillId });
+        }
+        return result;
+    }
+
+    /**
+     * Checks whether this character's technique and a target's technique can collide in a beam struggle.
+     * Both must be energy techniques that their users can use right now (range is checked if a distance is given).
+     * @param {string} skillId - This character's technique (from TechniqueKeys).
+     * @param {Character} target - The character firing back.
+     * @param {string} targetSkillId - The target's technique (from TechniqueKeys).
+     * @param {object} [options={}] - Usage options.
+     * @param {number} [options.distance] - Distance between the fighters on the grid.
+     * @returns {{allowed: boolean, reason: string|null}} Whether the struggle can happen and, if not, why.
+     */
+    canBeamStruggle(skillId, target, targetSkillId, { distance } = {}) {
+        if (!isEnergyTechnique(skillId) || !isEnergyTechnique(targetSkillId)) {
+            return { allowed: false, reason: 'Only energy techniques can clash.' };
         }
+        if (target.resources.health <= 0) {
+            return { allowed: false, reason: `${target.name} is already defeated.` };
+        }
+        for (const [character, id] of [[this, skillId], [target, targetSkillId]]) {
+            const { allowed, reason } = character.skills.canUse(id, { distance });
+            if (!allowed) return { allowed: false, reason: `${character.name}: ${reason}` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Fires an energy technique that the target answers with one of their own, starting a beam struggle.
+     * Both fighters pay their technique's cost; the loser of the struggle takes the combined damage.
+     * @param {string} skillId - This character's technique (from TechniqueKeys).
+     * @param {Character} target - The character firing back.
+     * @param {string} targetSkillId - The target's technique (from TechniqueKeys).
+     * @param {object} [options={}] - Struggle options.
+     * @param {number} [options.distance] - Distance between the fighters on the grid (range is checked if provided).
+     * @param {Function} [options.pour] - Decides how much ki each fighter pours in per round (see resolveBeamStruggle()).
+     * @returns {object} Result: { skillId, success, reason, struggle }.
+     */
+    beamStruggle(skillId, target, targetSkillId, { distance, pour } = {}) {
+        const result = { skillId, success: false, reason: null, struggle: null };
+
+        const { allowed, reason } = this.canBeamStruggle(skillId, target, targetSkillId, { distance });
+        if (!allowed) {
+            console.warn(`${this.name} cannot start a beam struggle: ${reason}`);
+            result.reason = reason;
+            return result;
+        }
+
+        this.skills.consume(skillId);
+        target.skills.consume(targetSkillId);
+        result.success = true;
+        console.log(`${this.name}'s ${TechniqueDefinitions[skillId].name} meets ${target.name}'s ${TechniqueDefinitions[targetSkillId].name}!`);
+
+        result.struggle = resolveBeamStruggle(this, target, { attackerSkill: skillId, defenderSkill: targetSkillId, pour });
+        if (result.struggle.defeated) {
+            const [winner, loser] = result.struggle.position > 0 ? [this, target] : [target, this];
+            winner.raceTraits.absorb(loser);
+        }
+        return result;
+    }
+
+    /**
+     * Attempts to apply a status effect to the character.
+     * Debuffs roll against the character's status resistance.
+     * @param {string} effectId - The key of the effect (from StatusEffectKeys).
+     * @param {object} [options={}] - Application options (duration, stacks, source, ignoreResistance).
+     * @returns {boolean} True if the effect was applied.
+     */
+    applyStatusEffect(effectId, options = {}) {
+        return this.statusEffects.apply(effectId, options);
+    }
+
+    /**
+     * Removes a status effect from the character.
+     * @param {string} effectId - The key of the effect to remove.
+     * @returns {boolean} True if the effect was active and removed.
+     */
+    removeStatusEffect(effectId) {
+        return this.statusEffects.remove(effectId);
+    }
+
+    /**
+     * Processes status effects for one turn (tick damage, durations, expiry).
+     * @returns {object} The tick summary from CharacterStatusEffects.tick().
+     */
+    tickStatusEffects() {
+        return this.statusEffects.tick();
+    }
+
+    /** @returns {boolean} Whether the character can act this turn (e.g., not stunned). */
+    get canAct() { return this.statusEffects.canAct; }
+
+    /**
+     * Transforms the character into a form (e.g., TransformationKeys.SUPER_SAIYAN).
+     * @param {string} formId - The key of the form.
+     * @returns {boolean} True if the transformation succeeded.
+     */
+    transform(formId) {
+        return this.transformations.transform(formId);
+    }
+
+    /**
+     * Reverts the character to base form.
+     * @returns {boolean} True if the character was transformed and has reverted.
+     */
+    revert() {
+        return this.transformations.revert();
+    }
+
+    /**
+     * Pays one turn of upkeep for the active form. Reverts automatically when ki runs out.
+     * @returns {object|null} The upkeep summary, or null if the character is not transformed.
+     */
+    tickTransformation() {
+        return this.transformations.tickUpkeep();
+    }
+
+    /** @returns {object|null} The active form definition (with its id), or null in base form. */
+    get activeForm() { return this.transformations.activeForm; }
+
+    /**
+     * Runs start-of-turn upkeep: racial and passive regeneration, overcharge bleed, status effect ticks,
+     * form upkeep and technique cooldowns.
+     * @returns {object} Summary of the upkeep: { race, regeneration, overchargeLost, status, transformation }.
+     */
+    startTurn() {
+        const race = this._raceTraits.onTurnStart();
+        const regeneration = this.regeneration.onTurnStart();
+        const overchargeLost = this.kiControl.onTurnStart();
+        const status = this.tickStatusEffects();
+        const transformation = this.tickTransformation();
+        this.skills.tickCooldowns();
+        return { race, regeneration, overchargeLost, status, transformation };
+    }
+
+    /**
+     * Passes world hours: overcharged ki dissipates, resources regenerate and fatigue recovers passively.
+     * @param {number} hours - The number of hours.
+     * @returns {object} The amounts restored ({ health, ki, stamina, fatigue }).
+     */
+    passTime(hours) {
+        this.resources.dissipateOvercharge();
+        return this.regeneration.passTime(hours);
+    }
+
+    /**
+     * Rests, sleeps or meditates for a number of hours (see RestActionKeys).
+     * @param {string} actionId - The key of the rest action (from RestActionKeys).
+     * @param {number} [hours] - How long to rest. Defaults to the action's minimum.
+     * @returns {object|false} The amounts restored ({ health, ki, stamina, fatigue }), or false if the action is not allowed.
+     */
+    rest(actionId, hours) {
+        this.resources.dissipateOvercharge();
+        return this.regeneration.rest(actionId, hours);
+    }
+
+    /**
+     * Charges ki by the WIS-driven charge rate, overcharging above max ki if possible.
+     * @returns {number} The ki gained.
+     */
+    chargeKi() {
+        return this.kiControl.charge();
+    }
+
+    /**
+     * Suppresses power so other characters see only a fraction of the effective PL.
+     * @param {number} fraction - Fraction of effective PL to show (1 = release).
+     * @returns {number} The suppression fraction applied.
+     */
+    suppressPower(fraction) {
+        return this.kiControl.suppress(fraction);
+    }
+
+    /**
+     * Stops suppressing power.
+     * @returns {number} The suppression fraction (1).
+     */
+    releasePower() {
+        return this.kiControl.release();
+    }
+
+    // --- Save / Load ---
+
+    /**
+     * Serializes the character's authoritative state. Derived values (max resources, PL,
+     * combat stats, resistances, modifiers) are not saved; they are rebuilt on load.
+     * @returns {object} Save data tagged with SAVE_SCHEMA_VERSION.
+     */
+    toJSON() {
+        return {
+            version: SAVE_SCHEMA_VERSION,
+            name: this.name,
+            attributes: this.attributes.toJSON(),
+            baseStats: this.baseStats.getAllStats(),
+            resources: this.resources.toJSON(),
+            statusEffects: this.statusEffects.toJSON(),
+            transformation: this.transformations.toJSON(),
+            skills: this.skills.toJSON(),
+            equipment: this.equipment.toJSON(),
+            inventory: this.inventory.toJSON(),
+            kiControl: this.kiControl.toJSON(),
+            raceTraits: this.raceTraits.toJSON(),
+            potential: this.potential.toJSON(),
+            rng: this.rng.getState(),
+        };
+    }
+
+    /**
+     * Creates a character from save data, migrating older save versions first.
+     * The balance config is not part of the save: pass the config the character should use.
+     * @param {object|string} data - Save data from toJSON(), or its JSON string.
+     * @param {object} [options={}] - Load options.
+     * @param {BalanceConfig} [options.balance=defaultBalance] - Balance config for the restored character.
+     * @returns {Character} The restored character.
+     */
+    static fromJSON(data, { balance = defaultBalance } = {}) {
+        const save = migrateSaveData(typeof data === 'string' ? JSON.parse(data) : data);
+
+        const rng = new RandomGenerator();
+        rng.setState(save.rng);
+        const character = new Character({
+            name: save.name,
+            attributesConfig: save.attributes,
+            baseStatsConfig: save.baseStats,
+            rng,
+            balance,
+        });
+
+        // Restore systems that change max values first, then the current resources within them
+        character.raceTraits.restoreState(save.raceTraits);
+        character.potential.restoreState(save.potential);
+        character.skills.restoreState(save.skills);
+        character.equipment.restoreState(save.equipment);
+        character.inventory.restoreState(save.inventory);
+        character.kiControl.restoreState(save.kiControl);
+        character.transformations.restoreState(save.transformation);
+        character.statusEffects.restoreState(save.statusEffects);
+        character.resources.restoreState(save.resources);
+
+        console.log(`${character.name} loaded from save (version ${save.version}).`);
+        return character;
     }
 
-    // Add more methods as needed (e.g., useSkill, applyStatusEffect, equipItem, etc.)
+    // Add more methods as needed
 }
 
 // Export the main Character class
@@ -149,5 +790,22 @@ export { Character };
 
 // Also re-export system keys for convenience if needed elsewhere
 export * from './systems/BaseStats.js'; // Exports StatKeys
-export * from './systems/Resources.js'; // Exports ResourceKeys
+export * from './systems/Resources.js'; // Exports ResourceKeys, MaxResourceKeys, ResourceCostKeys
 export * from './systems/Resistances.js'; // Exports ResistanceKeys
+export * from './systems/StatusEffects.js'; // Exports StatusEffectKeys, StackingRules
+export * from './systems/Transformations.js'; // Exports TransformationKeys, TransformationStatKeys
+export * from './systems/Skills.js'; // Exports TechniqueKeys, SkillStatKeys
+export { EquipmentSlots, EquipmentKeys, EquipmentStatKeys } from './systems/Equipment.js';
+export { ItemKeys, ItemTypes } from './systems/Inventory.js';
+export { CharacterEvents } from './systems/EventEmitter.js';
+export * from './systems/Modifiers.js'; // Exports ModifierTypes
+export { DerivedStatKeys } from './systems/DerivedStats.js';
+export { CombatStatKeys } from './systems/CombatStats.js';
+export * from './systems/Serialization.js'; // Exports SAVE_SCHEMA_VERSION, migrateSaveData
+export * from './systems/Random.js'; // Exports RandomGenerator, defaultRandom
+export { RaceTraitDefinitions } from './data/races.js';
+export { ProgressionTable } from './data/progression.js';
+export { PotentialUnlockKeys } from './systems/Potential.js';
+export { RestActionKeys } from './systems/Regeneration.js';
+export { PerceptionMethods } from './systems/Perception.js';
+export { ReactionKeys, ReactionOutcomes } from './systems/Reactions.js';
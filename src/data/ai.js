@@ -0,0 +1,86 @@
+// src/data/ai.js
+
+import { ReactionKeys } from './reactions.js';
+import { TransformationKeys } from './transformations.js';
+
+// Define keys for AI personality/difficulty profiles
+export const AIProfileKeys = Object.freeze({
+    BRAWLER: 'brawler', // Aggressive melee fighter: attacks relentlessly, rarely guards or retreats
+    KI_USER: 'kiUser',  // Cautious ki user: keeps its distance, fires techniques and charges ki
+    BOSS: 'boss',       // Boss with phases: toys with the player, then transforms and goes all out
+});
+
+// Action categories the AI scores (each maps to a BattleActions type; retreat is a flee attempt)
+export const AIActionKeys = Object.freeze({
+    ATTACK: 'attack',
+    SKILL: 'skill',
+    CHARGE_KI: 'chargeKi',
+    GUARD: 'guard',
+    TRANSFORM: 'transform',
+    ITEM: 'item',
+    MOVE: 'move',
+    RETREAT: 'retreat',
+});
+
+/**
+ * Estimated strength of an opponent relative to the AI's own effective PL, by ki sensing tier
+ * (see KiSenseTiers). Opponents that cannot be read are assumed to be even.
+ */
+export const PerceivedRatios = Object.freeze({
+    farWeaker: 0.15,
+    weaker: 0.5,
+    even: 1,
+    stronger: 2,
+    farStronger: 6,
+});
+
+/**
+ * AI profile definitions. Every candidate action gets a base value from the battle state
+ * (expected damage, remaining resources, perceived enemy PL), multiplied by the profile weight for its category.
+ * - weights: Multiplier per action category (from AIActionKeys). 0 disables a category.
+ * - thresholds: Fractions of max health/ki below which the AI considers healing (heal), charging (charge),
+ *   guarding (guard) and retreating (retreat).
+ * - preferredRange: Grid distance the AI tries to keep from its target.
+ * - randomness: Noise added to every score (0 = always the best action; higher is sloppier/easier).
+ * - kiReserve: Fraction of max ki the AI avoids spending below on techniques.
+ * - reactions: Weight per reaction (from ReactionKeys) when defending; clash is the weight for firing
+ *   back at energy techniques (beam struggles). The best affordable option above its reaction threshold is used.
+ * - phases: Optional. Phases entered when health drops below healthBelow; a phase overrides weights (merged)
+ *   and can force a transformation.
+ * (Values are examples, tune for balance.)
+ */
+export const AIProfileDefinitions = Object.freeze({
+    [AIProfileKeys.BRAWLER]: {
+        name: 'Aggressive Brawler',
+        weights: { attack: 1.3, skill: 1, chargeKi: 0.4, guard: 0.3, transform: 1, item: 0.8, move: 1, retreat: 0.1 },
+        thresholds: { heal: 0.25, charge: 0.15, guard: 0.2, retreat: 0.05 },
+        preferredRange: 1,
+        randomness: 0.1,
+        kiReserve: 0,
+        reactions: { [ReactionKeys.COUNTER]: 1, [ReactionKeys.GUARD]: 0.5, [ReactionKeys.DODGE]: 0.3, [ReactionKeys.VANISH]: 0, clash: 0.6 },
+        phases: [],
+    },
+    [AIProfileKeys.KI_USER]: {
+        name: 'Cautious Ki User',
+        weights: { attack: 0.6, skill: 1.4, chargeKi: 1.2, guard: 0.8, transform: 0.8, item: 1, move: 1, retreat: 0.6 },
+        thresholds: { heal: 0.5, charge: 0.4, guard: 0.4, retreat: 0.15 },
+        preferredRange: 3,
+        randomness: 0.05,
+        kiReserve: 0.2,
+        reactions: { [ReactionKeys.COUNTER]: 0.2, [ReactionKeys.GUARD]: 0.8, [ReactionKeys.DODGE]: 0.6, [ReactionKeys.VANISH]: 1, clash: 1 },
+        phases: [],
+    },
+    [AIProfileKeys.BOSS]: {
+        name: 'Boss',
+        weights: { attack: 1, skill: 0.8, chargeKi: 0.5, guard: 0.2, transform: 0, item: 0, move: 1, retreat: 0 },
+        thresholds: { heal: 0, charge: 0.2, guard: 0.1, retreat: 0 },
+        preferredRange: 1,
+        randomness: 0.02,
+        kiReserve: 0,
+        reactions: { [ReactionKeys.COUNTER]: 0.6, [ReactionKeys.GUARD]: 0.8, [ReactionKeys.DODGE]: 0.3, [ReactionKeys.VANISH]: 0.5, clash: 1 },
+        phases: [
+            { name: 'Serious', healthBelow: 0.6, weights: { skill: 1.3, transform: 1 }, transform: TransformationKeys.FINAL_FORM },
+            { name: 'Desperate', healthBelow: 0.25, weights: { attack: 1.5, skill: 1.6, guard: 0 } },
+        ],
+    },
+});
@@ -0,0 +1,70 @@
+// src/data/balance.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResistanceTypeDefinitions } from './resistances.js';
+import { PotentialCeiling } from './potential.js';
+
+/**
+ * Default balance config: every stat formula the calculators use, as data.
+ * Load overrides through a BalanceConfig (src/systems/Balance.js); anything an override leaves out keeps these values.
+ *
+ * Most entries are formulas of the form { base, perLevel, stats, curves }:
+ *   base + perLevel * level + sum(stats[stat] * stat) + sum(curves[stat].max * stat / (stat + curves[stat].constant))
+ * - stats: Linear weight per base stat (from StatKeys).
+ * - curves: Diminishing returns per base stat. constant is how quickly the curve flattens (higher = more stat
+ *   needed for the same bonus), max is the bonus the curve approaches.
+ * Every part is optional. Stats are effective values (after modifiers); results go through the modifier stack afterwards.
+ * (Values are examples, tune for balance.)
+ */
+export const DefaultBalanceConfig = Object.freeze({
+    // Maximum resources (CharacterResources.calculateMaxValues)
+    resources: {
+        maxHealth: { perLevel: 10, stats: { [StatKeys.HP]: 1, [StatKeys.VIT]: 5 } },
+        maxKi: { perLevel: 5, stats: { [StatKeys.KI]: 1, [StatKeys.WIS]: 3, [StatKeys.AURA]: 2 } },
+        maxStamina: { perLevel: 5, stats: { [StatKeys.STA]: 1, [StatKeys.VIT]: 2, [StatKeys.AGI]: 3 } },
+    },
+    // Power level (CharacterDerivedStats)
+    powerLevel: {
+        // Base PL is the weighted sum of base stats, capped at the potential ceiling
+        weights: {
+            [StatKeys.STR]: 1.8, // Strength is a major component
+            [StatKeys.VIT]: 0.5,
+            [StatKeys.TEC]: 1.5, // Technique is important for combat effectiveness
+            [StatKeys.WIS]: 0.3,
+            [StatKeys.AURA]: 0.4,
+            [StatKeys.AGI]: 1.0,
+        },
+        // Theoretical max Base PL per level, before the race's plCeiling multiplier
+        ceiling: { base: PotentialCeiling.basePL, perLevel: PotentialCeiling.plPerLevel },
+        // Effective PL penalties: the share of PL lost at empty health/ki/stamina and at max fatigue
+        effective: { health: 0.5, ki: 0.2, stamina: 0.3, fatigue: 0.5 },
+    },
+    // Other derived stats (CharacterDerivedStats)
+    derived: {
+        movementRange: { base: 3, stats: { [StatKeys.AGI]: 0.1 } },
+        turnOrder: { stats: { [StatKeys.AGI]: 1, [StatKeys.TEC]: 0.5 } },
+    },
+    // Combat stats (CharacterCombatStats)
+    combat: {
+        accuracy: { base: 50, curves: { [StatKeys.TEC]: { constant: 60, max: 50 }, [StatKeys.AGI]: { constant: 120, max: 25 } } },
+        evasion: { base: 35, curves: { [StatKeys.AGI]: { constant: 80, max: 60 }, [StatKeys.AURA]: { constant: 150, max: 20 } } },
+        critChance: { base: 0.05, stats: { [StatKeys.TEC]: 1 / 150 } }, // Can exceed 1.0 for tiered crits
+        critDamage: { base: 1.5, curves: { [StatKeys.STR]: { constant: 200, max: 3.5 } } },
+        energyCritDamage: { base: 1.5, curves: { [StatKeys.TEC]: { constant: 200, max: 3.5 } } },
+        knockback: { base: 3, curves: { [StatKeys.STR]: { constant: 50, max: 12 } } },
+        pursuit: { base: 5, curves: { [StatKeys.AGI]: { constant: 75, max: 30 }, [StatKeys.TEC]: { constant: 150, max: 15 } } },
+        // Critical hit tiers: the crit chance needed (threshold), the crit damage multiplier scale,
+        // the share of defense ignored and whether the hit always knocks back
+        critTiers: {
+            regular: { threshold: 1, damageScale: 1, defenseIgnore: 0, guaranteedKnockback: false },
+            super: { threshold: 1.01, damageScale: 1, defenseIgnore: 0.25, guaranteedKnockback: false },
+            mega: { threshold: 2.01, damageScale: 1.5, defenseIgnore: 0.25, guaranteedKnockback: false },
+            omega: { threshold: 3.01, damageScale: 2, defenseIgnore: 0.5, guaranteedKnockback: true },
+        },
+    },
+    // Resistance curves by resistance key (CharacterResistances), defaulting to the resistance type definitions.
+    // Each stat contributes weight * stat / (stat + curveConstant), clamped to [floor, cap].
+    resistances: Object.fromEntries(Object.entries(ResistanceTypeDefinitions).map(([key, { stats, curveConstant, cap, floor }]) => (
+        [key, { stats, curveConstant, cap, floor }]
+    ))),
+});
@@ -0,0 +1,22 @@
+// src/data/beamStruggle.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+
+/**
+ * Beam struggle rules, used when two energy techniques collide.
+ * The struggle runs over push rounds. Each round both fighters push with
+ *   (sum of weight * stat) * (1 + kiWeight * ki / maxKi) * (PL / average PL)^plExponent * (1 + pushPerFraction * poured / maxKi),
+ * with +/- variance. The beams' meeting point moves by the share of the total push, scaled by pushPerRound,
+ * from 0 (the middle) towards -1/+1; reaching either end (or the side it is on after maxPushRounds) decides the struggle.
+ * - pour: Extra ki a fighter can pour in per round (up to maxFraction of max ki, spent whether or not they win).
+ * (Values are examples, tune for balance.)
+ */
+export const BeamStruggleRules = Object.freeze({
+    maxPushRounds: 5,
+    pushPerRound: 1,
+    stats: { [StatKeys.TEC]: 1, [StatKeys.AURA]: 1 },
+    kiWeight: 0.5,
+    plExponent: 0.5,
+    pour: { maxFraction: 0.25, pushPerFraction: 3 },
+    variance: 0.15,
+});
@@ -0,0 +1,135 @@
+// src/data/equipment.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+import { MaxResourceKeys } from '../systems/Resources.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { ModifierTypes } from '../systems/Modifiers.js';
+import { DerivedStatKeys } from '../systems/DerivedStats.js';
+import { CombatStatKeys } from '../systems/CombatStats.js';
+
+// Define keys for equipment slots. Each slot holds at most one item.
+export const EquipmentSlots = Object.freeze({
+    GI: 'gi',
+    WEIGHTED: 'weighted', // Weighted clothing for training
+    ARMOR: 'armor',
+    SCOUTER: 'scouter',
+    ACCESSORY: 'accessory',
+});
+
+// Define keys for equipment for easier reference and validation
+export const EquipmentKeys = Object.freeze({
+    TURTLE_SCHOOL_GI: 'turtleSchoolGi',
+    DEMON_CLAN_GI: 'demonClanGi',
+    TURTLE_SHELL: 'turtleShell',
+    WEIGHTED_CAPE: 'weightedCape',
+    SAIYAN_BATTLE_ARMOR: 'saiyanBattleArmor',
+    SCOUTER: 'scouter',
+    KI_BRACERS: 'kiBracers',
+});
+
+/**
+ * Equipment definitions.
+ * - slot: The slot the item is equipped in (from EquipmentSlots).
+ * - races: Races allowed to equip the item (null = any race).
+ * - minLevel: Level required to equip the item.
+ * - weight: Weight in kg (weighted gear is what slows a fighter down).
+ * - modifiers: Modifiers granted while equipped ({ statId, type, value }); weighted gear uses negative ones.
+ * - resistances: Flat resistance bonuses while equipped ({ resistanceKey: value }).
+ * - trainingGain: Bonus to training gains while equipped (0.5 = +50%).
+ * - scanner: Scouters only. Power level readings: { noise, maxReading }. Readings are off by up to
+ *   noise (0.1 = +/-10%), and reading a power level above maxReading overloads and destroys the scouter.
+ * (Values are examples, tune for balance.)
+ */
+export const EquipmentDefinitions = Object.freeze({
+    [EquipmentKeys.TURTLE_SCHOOL_GI]: {
+        name: 'Turtle School Gi',
+        slot: EquipmentSlots.GI,
+        races: null,
+        minLevel: 1,
+        weight: 2,
+        modifiers: [
+            { statId: StatKeys.STR, type: ModifierTypes.FLAT, value: 2 },
+            { statId: StatKeys.VIT, type: ModifierTypes.FLAT, value: 2 },
+        ],
+        resistances: {},
+        trainingGain: 0,
+    },
+    [EquipmentKeys.DEMON_CLAN_GI]: {
+        name: 'Demon Clan Gi',
+        slot: EquipmentSlots.GI,
+        races: null,
+        minLevel: 10,
+        weight: 3,
+        modifiers: [
+            { statId: StatKeys.TEC, type: ModifierTypes.FLAT, value: 3 },
+            { statId: StatKeys.AURA, type: ModifierTypes.FLAT, value: 2 },
+        ],
+        resistances: { [ResistanceKeys.ENERGY]: 0.03 },
+        trainingGain: 0,
+    },
+    [EquipmentKeys.TURTLE_SHELL]: {
+        name: 'Training Turtle Shell',
+        slot: EquipmentSlots.WEIGHTED,
+        races: null,
+        minLevel: 1,
+        weight: 20,
+        modifiers: [
+            { statId: StatKeys.AGI, type: ModifierTypes.PERCENT, value: -0.1 },
+            { statId: CombatStatKeys.EVASION, type: ModifierTypes.PERCENT, value: -0.1 },
+            { statId: DerivedStatKeys.MOVEMENT_RANGE, type: ModifierTypes.FLAT, value: -1 },
+        ],
+        resistances: {},
+        trainingGain: 0.25,
+    },
+    [EquipmentKeys.WEIGHTED_CAPE]: {
+        name: 'Weighted Cape and Turban',
+        slot: EquipmentSlots.WEIGHTED,
+        races: null,
+        minLevel: 15,
+        weight: 100,
+        modifiers: [
+            { statId: StatKeys.AGI, type: ModifierTypes.PERCENT, value: -0.25 },
+            { statId: CombatStatKeys.EVASION, type: ModifierTypes.PERCENT, value: -0.2 },
+            { statId: DerivedStatKeys.MOVEMENT_RANGE, type: ModifierTypes.FLAT, value: -2 },
+        ],
+        resistances: {},
+        trainingGain: 0.6,
+    },
+    [EquipmentKeys.SAIYAN_BATTLE_ARMOR]: {
+        name: 'Saiyan Battle Armor',
+        slot: EquipmentSlots.ARMOR,
+        races: null,
+        minLevel: 5,
+        weight: 8,
+        modifiers: [
+            { statId: MaxResourceKeys.MAX_HEALTH, type: ModifierTypes.PERCENT, value: 0.1 },
+        ],
+        resistances: { [ResistanceKeys.PHYSICAL]: 0.08, [ResistanceKeys.ENERGY]: 0.05 },
+        trainingGain: 0,
+    },
+    [EquipmentKeys.SCOUTER]: {
+        name: 'Scouter',
+        slot: EquipmentSlots.SCOUTER,
+        races: null,
+        minLevel: 1,
+        weight: 0.2,
+        modifiers: [
+            { statId: CombatStatKeys.ACCURACY, type: ModifierTypes.FLAT, value: 5 },
+        ],
+        resistances: {},
+        trainingGain: 0,
+        scanner: { noise: 0.1, maxReading: 2000 },
+    },
+    [EquipmentKeys.KI_BRACERS]: {
+        name: 'Ki Bracers',
+        slot: EquipmentSlots.ACCESSORY,
+        races: null,
+        minLevel: 1,
+        weight: 0.5,
+        modifiers: [
+            { statId: MaxResourceKeys.MAX_KI, type: ModifierTypes.PERCENT, value: 0.1 },
+        ],
+        resistances: { [ResistanceKeys.STATUS]: 0.02 },
+        trainingGain: 0,
+    },
+});
@@ -0,0 +1,70 @@
+// src/data/items.js
+
+// Define item types
+export const ItemTypes = Object.freeze({
+    CONSUMABLE: 'consumable', // Used up to restore resources
+    CAPSULE: 'capsule',       // Hoipoi capsule that stores other items
+});
+
+// Define keys for items for easier reference and validation
+export const ItemKeys = Object.freeze({
+    SENZU_BEAN: 'senzuBean',
+    KI_DRINK: 'kiDrink',
+    STAMINA_RATION: 'staminaRation',
+    HOIPOI_CAPSULE: 'hoipoiCapsule',
+});
+
+// Carrying capacity in kg: baseCapacity + capacityPerStr * effective STR (tune for balance)
+export const InventoryRules = Object.freeze({
+    baseCapacity: 20,
+    capacityPerStr: 0.5,
+});
+
+/**
+ * Item definitions.
+ * - type: The item type (from ItemTypes).
+ * - weight: Weight of one item in kg.
+ * - maxStack: Most items of this kind held in one stack (capsules never stack: each one holds its own contents).
+ * - restore: Consumables only. Fraction of each max resource restored ({ health, ki, stamina }).
+ * - fatigueReduction: Consumables only. Fatigue removed (null = clears all fatigue).
+ * - battleLimit: Consumables only. Uses allowed per battle (null = unlimited).
+ * - capacity: Capsules only. Weight in kg of the items a capsule can store. Stored items do not count
+ *   towards carried weight, and capsules cannot be stored inside capsules.
+ * (Values are examples, tune for balance.)
+ */
+export const ItemDefinitions = Object.freeze({
+    [ItemKeys.SENZU_BEAN]: {
+        name: 'Senzu Bean',
+        type: ItemTypes.CONSUMABLE,
+        weight: 0.01,
+        maxStack: 10,
+        restore: { health: 1, ki: 1, stamina: 1 },
+        fatigueReduction: null,
+        battleLimit: 1,
+    },
+    [ItemKeys.KI_DRINK]: {
+        name: 'Ki Drink',
+        type: ItemTypes.CONSUMABLE,
+        weight: 0.5,
+        maxStack: 20,
+        restore: { health: 0, ki: 0.3, stamina: 0 },
+        fatigueReduction: 0,
+        battleLimit: 3,
+    },
+    [ItemKeys.STAMINA_RATION]: {
+        name: 'Stamina Ration',
+        type: ItemTypes.CONSUMABLE,
+        weight: 0.3,
+        maxStack: 20,
+        restore: { health: 0, ki: 0, stamina: 0.4 },
+        fatigueReduction: 10,
+        battleLimit: 3,
+    },
+    [ItemKeys.HOIPOI_CAPSULE]: {
+        name: 'Hoipoi Capsule',
+        type: ItemTypes.CAPSULE,
+        weight: 0.05,
+        maxStack: 1,
+        capacity: 500,
+    },
+});
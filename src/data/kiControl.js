@@ -0,0 +1,17 @@
+// src/data/kiControl.js
+
+/**
+ * Ki control rules. WIS ("Ki Control") drives charging and efficiency.
+ * - charge: Fraction of max ki recovered per charge action: base + perWis * WIS, up to max.
+ * - overcharge: Charging can push ki above max ki by up to maxFraction of max ki. Overcharged ki
+ *   bleeds off at bleedFraction of the excess (at least 1) every turn, and all of it dissipates when time passes.
+ * - efficiency: Technique ki cost reduction: perWis * WIS, up to max (0.3 = techniques cost 30% less ki).
+ * - suppression: Lowest fraction of effective PL a fighter can hide their power down to.
+ * (Values are examples, tune for balance.)
+ */
+export const KiControlRules = Object.freeze({
+    charge: { base: 0.15, perWis: 0.005, max: 0.5 },
+    overcharge: { maxFraction: 0.5, bleedFraction: 0.25 },
+    efficiency: { perWis: 0.002, max: 0.3 },
+    suppression: { minFraction: 0.05 },
+});
@@ -0,0 +1,21 @@
+// src/data/perception.js
+
+// Define keys for the ways a character can read another character's power level
+export const PerceptionMethods = Object.freeze({
+    SCOUTER: 'scouter',  // Numeric reading from an equipped scouter
+    KI_SENSE: 'kiSense', // Tiered estimate from sensing ki
+    NONE: 'none',        // No way to read power levels (e.g., an Android without a scouter)
+});
+
+/**
+ * Ki sensing tiers, from weakest to strongest. A target falls in the first tier whose maxRatio is above
+ * the target's visible PL divided by the observer's own effective PL.
+ * (Values are examples, tune for balance.)
+ */
+export const KiSenseTiers = Object.freeze([
+    { key: 'farWeaker', label: 'Far weaker than you', maxRatio: 0.25 },
+    { key: 'weaker', label: 'Weaker than you', maxRatio: 0.8 },
+    { key: 'even', label: 'About as strong as you', maxRatio: 1.25 },
+    { key: 'stronger', label: 'Stronger than you', maxRatio: 4 },
+    { key: 'farStronger', label: 'Far stronger than you', maxRatio: Infinity },
+]);
@@ -0,0 +1,46 @@
+// src/data/potential.js
+
+// Theoretical max Base PL per level, before the race's plCeiling multiplier (tune for balance).
+// A character's achievable Base PL is capped at theoreticalMaxPL * potential.
+// These are the balance config defaults (powerLevel.ceiling in src/data/balance.js).
+export const PotentialCeiling = Object.freeze({
+    basePL: 100,     // Theoretical max PL at level 0
+    plPerLevel: 50,  // Added per level
+});
+
+// Define keys for potential unlock events for easier reference and validation
+export const PotentialUnlockKeys = Object.freeze({
+    ELDER_KAI: 'elderKai',                   // Elder Kai's ritual unlocks all latent potential
+    NEAR_DEATH: 'nearDeath',                 // Surviving a brush with death
+    TRAINING_MILESTONE: 'trainingMilestone', // Reaching a training milestone level
+});
+
+/**
+ * Potential unlock event definitions. Every unlock is bounded by the character's potentialCap.
+ * - amount: Potential gained (null = raise potential all the way to potentialCap).
+ * - maxUses: Times the event can be triggered over a character's life (null = unlimited).
+ * - healthThreshold: Near-death triggers when health drops to or below this fraction of max without reaching 0.
+ *   It re-arms once health recovers above rearmThreshold.
+ * - milestoneLevels: Levels that trigger a training milestone.
+ * (Values are examples, tune for balance.)
+ */
+export const PotentialUnlockDefinitions = Object.freeze({
+    [PotentialUnlockKeys.ELDER_KAI]: {
+        name: 'Elder Kai Unlock',
+        amount: null,
+        maxUses: 1,
+    },
+    [PotentialUnlockKeys.NEAR_DEATH]: {
+        name: 'Near-Death Awakening',
+        amount: 0.03,
+        maxUses: 3,
+        healthThreshold: 0.05,
+        rearmThreshold: 0.5,
+    },
+    [PotentialUnlockKeys.TRAINING_MILESTONE]: {
+        name: 'Training Milestone',
+        amount: 0.02,
+        maxUses: null,
+        milestoneLevels: [10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+    },
+});
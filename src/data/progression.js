@@ -0,0 +1,32 @@
+// src/data/progression.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+
+/**
+ * Level and XP progression table used by CharacterAttributes.
+ * - levelCap: Highest reachable level. XP gained at the cap is discarded.
+ * - xpCurve: XP needed to go from level L to L + 1 is floor(base * growth^(L - 1)).
+ * - statPointsPerLevel / skillPointsPerLevel: Points granted on every level up.
+ * - levelBonuses: Extra points granted when reaching specific levels ({ level: { statPoints, skillPoints } }).
+ * - autoStatGrowth: Base stats gained automatically on every level up, for every race.
+ *   Race-specific growth is defined per race (levelUpStats in src/data/races.js).
+ * - respec: XP cost of refunding every allocated stat point:
+ *   floor((baseXPCost + xpCostPerLevel * level) * costGrowth^respecsSoFar).
+ * Grants are only given the first time a level is reached; levels regained after a level-down grant nothing.
+ * (Values are examples, tune for balance.)
+ */
+export const ProgressionTable = Object.freeze({
+    levelCap: 100,
+    xpCurve: { base: 100, growth: 1.2 },
+    statPointsPerLevel: 5,
+    skillPointsPerLevel: 1,
+    levelBonuses: {
+        10: { statPoints: 5, skillPoints: 1 },
+        25: { statPoints: 5, skillPoints: 1 },
+        50: { statPoints: 10, skillPoints: 2 },
+        75: { statPoints: 10, skillPoints: 2 },
+        100: { statPoints: 15, skillPoints: 3 },
+    },
+    autoStatGrowth: { [StatKeys.KI]: 1, [StatKeys.STA]: 1 },
+    respec: { baseXPCost: 50, xpCostPerLevel: 10, costGrowth: 1.5 },
+});
@@ -0,0 +1,140 @@
+// src/data/races.js
+
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResourceCostKeys } from '../systems/Resources.js';
+import { ModifierTypes } from '../systems/Modifiers.js';
+import { DerivedStatKeys } from '../systems/DerivedStats.js';
+import { CombatStatKeys } from '../systems/CombatStats.js';
+import { SkillStatKeys } from '../systems/Skills.js';
+import { TransformationStatKeys } from '../systems/Transformations.js';
+import { StatusEffectKeys } from './statusEffects.js';
+import { ResistanceKeys } from './resistances.js';
+
+/**
+ * Race trait definitions, one per entry in the Race enum.
+ * - modifiers: Always-on modifiers ({ statId, type, value }). Negative flat resistance modifiers are weaknesses.
+ * - baseFormModifiers: Modifiers active only while untransformed (e.g., Frieza Race power suppression).
+ * - plCeiling: Multiplier for the theoretical max Base PL (see src/data/potential.js).
+ * - levelUpStats: Base stats gained automatically on every new level, on top of the progression table's
+ *   autoStatGrowth (see src/data/progression.js).
+ * - potentialGrowth: Multiplier for every potential increase.
+ * - zenkai: Recovering to full health after dropping to or below the health threshold permanently raises
+ *   the listed stats and potential (null = no zenkai).
+ * - regeneration: Fraction of max health restored at the start of every turn.
+ * - regrowth: Status effects (crippling injuries) healed at the start of every turn.
+ * - canSenseKi: Whether the race can sense ki (Androids have no ki to sense with).
+ * - kiSignature: Whether the race gives off ki that can be sensed or read by scouters (Androids do not).
+ * - energyAbsorb: Fraction of energy damage absorbed as ki instead of health damage.
+ * - absorption: Fraction of a defeated opponent's base stats permanently absorbed.
+ * (Values are examples, tune for balance.)
+ */
+export const RaceTraitDefinitions = Object.freeze({
+    [Race.SAIYAN]: {
+        description: 'Grows stronger from every near-defeat and unlocks potential faster.',
+        modifiers: [],
+        baseFormModifiers: [],
+        plCeiling: 1.2,
+        levelUpStats: { [StatKeys.STR]: 1 },
+        potentialGrowth: 1.5,
+        zenkai: {
+            healthThreshold: 0.15,
+            stats: { [StatKeys.STR]: 2, [StatKeys.VIT]: 2, [StatKeys.AGI]: 1, [StatKeys.TEC]: 1 },
+            potential: 0.02,
+        },
+        regeneration: 0,
+        regrowth: [],
+        canSenseKi: true,
+        kiSignature: true,
+        energyAbsorb: 0,
+        absorption: 0,
+    },
+    [Race.HUMAN]: {
+        description: 'Masters of technique, landing critical hits more often.',
+        modifiers: [
+            { statId: CombatStatKeys.CRIT_CHANCE, type: ModifierTypes.PERCENT, value: 0.15 },
+            { statId: SkillStatKeys.TECHNIQUE_POWER, type: ModifierTypes.PERCENT, value: 0.1 },
+        ],
+        baseFormModifiers: [],
+        plCeiling: 0.9,
+        levelUpStats: { [StatKeys.TEC]: 1 },
+        potentialGrowth: 1,
+        zenkai: null,
+        regeneration: 0,
+        regrowth: [],
+        canSenseKi: true,
+        kiSignature: true,
+        energyAbsorb: 0,
+        absorption: 0,
+    },
+    [Race.NAMEKIAN]: {
+        description: 'Regenerates health and regrows injured limbs, but wilts under intense heat.',
+        modifiers: [
+            { statId: ResistanceKeys.HEAT, type: ModifierTypes.FLAT, value: -0.25 },
+        ],
+        baseFormModifiers: [],
+        plCeiling: 1.0,
+        levelUpStats: { [StatKeys.WIS]: 1 },
+        potentialGrowth: 1,
+        zenkai: null,
+        regeneration: 0.04,
+        regrowth: [StatusEffectKeys.GUARD_BREAK, StatusEffectKeys.SLOW],
+        canSenseKi: true,
+        kiSignature: true,
+        energyAbsorb: 0,
+        absorption: 0,
+    },
+    [Race.ANDROID]: {
+        description: 'Tireless machines that absorb energy attacks and shrug off poison but cannot sense ki.',
+        modifiers: [
+            { statId: ResourceCostKeys.STAMINA_COST, type: ModifierTypes.MULTIPLY, value: 0 },
+            { statId: ResistanceKeys.POISON, type: ModifierTypes.FLAT, value: 0.5 },
+        ],
+        baseFormModifiers: [],
+        plCeiling: 1.0,
+        levelUpStats: { [StatKeys.VIT]: 1 },
+        potentialGrowth: 1,
+        zenkai: null,
+        regeneration: 0,
+        regrowth: [],
+        canSenseKi: false,
+        kiSignature: false,
+        energyAbsorb: 0.25,
+        absorption: 0,
+    },
+    [Race.FRIEZA_RACE]: {
+        description: 'Suppresses its power in base form; transformed forms are its true power and cost nothing to hold.',
+        modifiers: [
+            { statId: TransformationStatKeys.UPKEEP, type: ModifierTypes.MULTIPLY, value: 0 },
+            { statId: ResistanceKeys.COLD, type: ModifierTypes.FLAT, value: 0.3 },
+        ],
+        baseFormModifiers: [
+            { statId: DerivedStatKeys.EFFECTIVE_PL, type: ModifierTypes.MULTIPLY, value: 0.5 },
+        ],
+        plCeiling: 1.15,
+        levelUpStats: { [StatKeys.AGI]: 1 },
+        potentialGrowth: 1,
+        zenkai: null,
+        regeneration: 0,
+        regrowth: [],
+        canSenseKi: true,
+        kiSignature: true,
+        energyAbsorb: 0,
+        absorption: 0,
+    },
+    [Race.MAJIN]: {
+        description: 'Regenerates from almost anything and absorbs defeated opponents.',
+        modifiers: [],
+        baseFormModifiers: [],
+        plCeiling: 1.1,
+        levelUpStats: { [StatKeys.HP]: 2 },
+        potentialGrowth: 1,
+        zenkai: null,
+        regeneration: 0.06,
+        regrowth: [],
+        canSenseKi: true,
+        kiSignature: true,
+        energyAbsorb: 0,
+        absorption: 0.05,
+    },
+});
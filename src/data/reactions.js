@@ -0,0 +1,63 @@
+// src/data/reactions.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+
+// Define keys for defender reactions for easier reference and validation
+export const ReactionKeys = Object.freeze({
+    GUARD: 'guard',   // Brace for the hit: damage reduction scaled by VIT
+    DODGE: 'dodge',   // Try to sidestep: bonus evasion against the attack
+    COUNTER: 'counter', // Take the hit and strike back, driven by pursuit and TEC
+    VANISH: 'vanish', // Instant-transmission style teleport out of the way
+});
+
+// Outcomes reported in attack results (result.reactionOutcome)
+export const ReactionOutcomes = Object.freeze({
+    EVADED: 'evaded',             // The attack missed or was vanished away from
+    GUARDED: 'guarded',           // Damage was reduced by the guard
+    GUARD_WEAKENED: 'guardWeakened', // The crit pushed through part of the guard
+    GUARD_BROKEN: 'guardBroken',  // The crit broke the guard (no reduction, guard break applied)
+    CAUGHT: 'caught',             // The dodge failed and the crit caught the defender off balance (extra damage)
+    COUNTERED: 'countered',       // The defender struck back
+    FAILED: 'failed',             // The reaction had no effect
+});
+
+/**
+ * Reaction definitions. A defender picks at most one reaction per incoming attack; the cost is paid
+ * up front, even if the reaction fails. Reactions interact with the attacker's critical hit tier.
+ * - cost: Ki/stamina spent to react.
+ * - guard: damageReduction { base, stats, max } (reduction = base + sum of weight * stat, capped);
+ *   weakenedTiers halve the reduction, breakTiers remove it and apply Guard Break.
+ * - dodge: evasionBonus (0.5 = +50% evasion against the attack); caughtTiers multiply damage by caughtMultiplier.
+ * - counter: chance { base, perPursuit, max }; power { base, perTec, max } as a multiplier of the
+ *   defender's basic attack power; failTiers cannot be countered.
+ * - vanish: Always avoids the attack unless it lands with one of the failTiers.
+ * (Values are examples, tune for balance.)
+ */
+export const ReactionDefinitions = Object.freeze({
+    [ReactionKeys.GUARD]: {
+        name: 'Guard',
+        cost: { ki: 0, stamina: 8 },
+        damageReduction: { base: 0.2, stats: { [StatKeys.VIT]: 0.004 }, max: 0.6 },
+        weakenedTiers: ['mega'],
+        breakTiers: ['omega'],
+    },
+    [ReactionKeys.DODGE]: {
+        name: 'Dodge',
+        cost: { ki: 0, stamina: 12 },
+        evasionBonus: 0.5,
+        caughtTiers: ['mega', 'omega'],
+        caughtMultiplier: 1.25,
+    },
+    [ReactionKeys.COUNTER]: {
+        name: 'Counter',
+        cost: { ki: 0, stamina: 15 },
+        chance: { base: 0.1, perPursuit: 0.01, max: 0.6 },
+        power: { base: 0.5, perTec: 0.005, max: 1 },
+        failTiers: ['super', 'mega', 'omega'],
+    },
+    [ReactionKeys.VANISH]: {
+        name: 'Vanish',
+        cost: { ki: 25, stamina: 0 },
+        failTiers: ['omega'],
+    },
+});
@@ -0,0 +1,99 @@
+// src/data/regeneration.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResourceKeys } from '../systems/Resources.js';
+import { ModifierTypes } from '../systems/Modifiers.js';
+import { DerivedStatKeys } from '../systems/DerivedStats.js';
+import { CombatStatKeys } from '../systems/CombatStats.js';
+
+/**
+ * Passive regeneration rates, as a fraction of each resource maximum.
+ * Each rate is base + the sum of (weight * effective stat), then reduced by fatigue (see FatigueRules).
+ * - perTurn: Applied at the start of every battle turn (racial regeneration is applied separately).
+ * - perHour: Applied for every world hour that passes.
+ * (Values are examples, tune for balance.)
+ */
+export const RegenRates = Object.freeze({
+    perTurn: {
+        [ResourceKeys.HEALTH]: { base: 0, stats: { [StatKeys.VIT]: 0.0002 } },
+        [ResourceKeys.KI]: { base: 0.01, stats: { [StatKeys.WIS]: 0.0005 } },
+        [ResourceKeys.STAMINA]: { base: 0.02, stats: { [StatKeys.VIT]: 0.0005, [StatKeys.AGI]: 0.0005 } },
+    },
+    perHour: {
+        [ResourceKeys.HEALTH]: { base: 0.03, stats: { [StatKeys.VIT]: 0.001 } },
+        [ResourceKeys.KI]: { base: 0.05, stats: { [StatKeys.WIS]: 0.002 } },
+        [ResourceKeys.STAMINA]: { base: 0.1, stats: { [StatKeys.VIT]: 0.002, [StatKeys.AGI]: 0.002 } },
+    },
+});
+
+/**
+ * Fatigue rules.
+ * - regenPenalty: Fraction of regeneration lost at max fatigue (scales linearly with fatigue).
+ * - recoveryPerHour: Fatigue recovered passively every world hour.
+ * - exhaustionTiers: Penalties applied while fatigue is at or above the threshold (highest tier wins).
+ * - collapseTurns: Turns a character is unable to act after collapsing at max fatigue (resting ends it early).
+ * (Values are examples, tune for balance.)
+ */
+export const FatigueRules = Object.freeze({
+    regenPenalty: 0.75,
+    recoveryPerHour: 2,
+    exhaustionTiers: [
+        {
+            threshold: 50,
+            name: 'Tired',
+            modifiers: [
+                { statId: CombatStatKeys.ACCURACY, type: ModifierTypes.MULTIPLY, value: 0.95 },
+                { statId: CombatStatKeys.EVASION, type: ModifierTypes.MULTIPLY, value: 0.95 },
+            ],
+        },
+        {
+            threshold: 80,
+            name: 'Exhausted',
+            modifiers: [
+                { statId: CombatStatKeys.ACCURACY, type: ModifierTypes.MULTIPLY, value: 0.85 },
+                { statId: CombatStatKeys.EVASION, type: ModifierTypes.MULTIPLY, value: 0.8 },
+                { statId: DerivedStatKeys.TURN_ORDER, type: ModifierTypes.MULTIPLY, value: 0.9 },
+            ],
+        },
+    ],
+    collapseTurns: 2,
+});
+
+// Define keys for rest actions for easier reference and validation
+export const RestActionKeys = Object.freeze({
+    REST: 'rest',
+    SLEEP: 'sleep',
+    MEDITATE: 'meditate',
+});
+
+/**
+ * Rest action definitions. Resting passes world hours with boosted regeneration.
+ * - regenMultiplier: Multiplier for each resource's per-hour regeneration.
+ * - fatiguePerHour: Fatigue recovered every hour (on top of the passive recovery).
+ * - clearsFatigue: Resting at least minHours clears all fatigue.
+ * - minHours: Minimum hours the action takes.
+ * (Values are examples, tune for balance.)
+ */
+export const RestActionDefinitions = Object.freeze({
+    [RestActionKeys.REST]: {
+        name: 'Rest',
+        regenMultiplier: { [ResourceKeys.HEALTH]: 1.5, [ResourceKeys.KI]: 1.5, [ResourceKeys.STAMINA]: 2 },
+        fatiguePerHour: 8,
+        clearsFatigue: false,
+        minHours: 1,
+    },
+    [RestActionKeys.SLEEP]: {
+        name: 'Sleep',
+        regenMultiplier: { [ResourceKeys.HEALTH]: 3, [ResourceKeys.KI]: 2, [ResourceKeys.STAMINA]: 3 },
+        fatiguePerHour: 15,
+        clearsFatigue: true,
+        minHours: 6,
+    },
+    [RestActionKeys.MEDITATE]: {
+        name: 'Meditate',
+        regenMultiplier: { [ResourceKeys.HEALTH]: 1, [ResourceKeys.KI]: 4, [ResourceKeys.STAMINA]: 1 },
+        fatiguePerHour: 5,
+        clearsFatigue: false,
+        minHours: 1,
+    },
+});
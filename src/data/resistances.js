@@ -0,0 +1,76 @@
+// src/data/resistances.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+
+// Define keys for resistance types (also used as damage types and modifier targets)
+export const ResistanceKeys = Object.freeze({
+    PHYSICAL: 'physicalResist',
+    ENERGY: 'energyResist',
+    STATUS: 'statusResist',
+    HEAT: 'heatResist',
+    COLD: 'coldResist',
+    POISON: 'poisonResist',
+});
+
+/**
+ * Resistance type definitions. Adding an entry here (and a key above) is all a new element needs.
+ * - stats: Contributing base stats and their weights. Each stat contributes
+ *   weight * stat / (stat + curveConstant), which gives natural diminishing returns.
+ * - curveConstant: How quickly the curve flattens (higher = more stat needed for the same resistance).
+ * - cap: Maximum resistance after modifiers.
+ * - floor: Minimum resistance after modifiers. Negative values are weaknesses (-0.5 = 50% extra damage).
+ * - damageType: Whether damage can be dealt as this type (status resistance only affects status effects).
+ * The curve values (stats, curveConstant, cap, floor) are the defaults of the balance config (src/data/balance.js),
+ * which a loaded config can override.
+ * (Values are examples, tune for balance.)
+ */
+export const ResistanceTypeDefinitions = Object.freeze({
+    [ResistanceKeys.PHYSICAL]: {
+        name: 'Physical',
+        stats: { [StatKeys.VIT]: 0.90 },
+        curveConstant: 100,
+        cap: 0.90,
+        floor: -1,
+        damageType: true,
+    },
+    [ResistanceKeys.ENERGY]: {
+        name: 'Energy',
+        stats: { [StatKeys.AURA]: 0.90 },
+        curveConstant: 100,
+        cap: 0.90,
+        floor: -1,
+        damageType: true,
+    },
+    [ResistanceKeys.STATUS]: {
+        name: 'Status',
+        stats: { [StatKeys.VIT]: 0.40, [StatKeys.WIS]: 0.30, [StatKeys.AURA]: 0.15 },
+        curveConstant: 120,
+        cap: 0.85,
+        floor: -1,
+        damageType: false,
+    },
+    [ResistanceKeys.HEAT]: {
+        name: 'Heat',
+        stats: { [StatKeys.VIT]: 0.35, [StatKeys.AURA]: 0.35 },
+        curveConstant: 150,
+        cap: 0.75,
+        floor: -1,
+        damageType: true,
+    },
+    [ResistanceKeys.COLD]: {
+        name: 'Cold',
+        stats: { [StatKeys.VIT]: 0.50, [StatKeys.WIS]: 0.20 },
+        curveConstant: 150,
+        cap: 0.75,
+        floor: -1,
+        damageType: true,
+    },
+    [ResistanceKeys.POISON]: {
+        name: 'Poison',
+        stats: { [StatKeys.VIT]: 0.60 },
+        curveConstant: 150,
+        cap: 0.80,
+        floor: -1,
+        damageType: true,
+    },
+});
@@ -0,0 +1,146 @@
+// src/data/statusEffects.js
+
+import { ResourceKeys } from '../systems/Resources.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { ModifierTypes } from '../systems/Modifiers.js';
+
+// Define keys for status effects for easier reference and validation
+export const StatusEffectKeys = Object.freeze({
+    STUN: 'stun',               // Cannot act
+    BURN: 'burn',               // Health damage over time, stacks
+    POISON: 'poison',           // Health and stamina damage over time, duration extends
+    SLOW: 'slow',               // Acts later, easier to hit
+    HASTE: 'haste',             // Acts sooner, harder to hit
+    KI_DRAIN: 'kiDrain',        // Ki loss over time
+    GUARD_BREAK: 'guardBreak',  // Guard is broken, much easier to hit
+    POWER_UP: 'powerUp',        // Temporary boost to effective PL
+    GUARDING: 'guarding',       // Guarding until the next turn, higher resistances
+    COLLAPSED: 'collapsed',     // Collapsed from exhaustion at max fatigue, cannot act
+});
+
+// How re-applying an already active effect behaves
+export const StackingRules = Object.freeze({
+    REFRESH: 'refresh', // Duration resets to the new duration
+    STACK: 'stack',     // Adds stacks (up to maxStacks) and refreshes duration
+    EXTEND: 'extend',   // Adds the new duration to the remaining duration
+    IGNORE: 'ignore',   // Re-application has no effect
+});
+
+/**
+ * Status effect definitions.
+ * - duration: Default duration in turns.
+ * - isDebuff: Debuffs can be resisted with statusResist, buffs cannot.
+ * - modifiers: Multipliers applied to effectivePL, turnOrder, accuracy, evasion, etc. (1.0 = no change),
+ *   or { type, value } entries for other modifier types (e.g., flat resistance bonuses).
+ * - ticks: Resource changes applied every turn, as a fraction of the resource maximum per stack.
+ * - preventsAction: The character cannot act while the effect is active.
+ * (Values are examples, tune for balance.)
+ */
+export const StatusEffectDefinitions = Object.freeze({
+    [StatusEffectKeys.STUN]: {
+        name: 'Stun',
+        isDebuff: true,
+        duration: 1,
+        stacking: StackingRules.REFRESH,
+        maxStacks: 1,
+        modifiers: { evasion: 0.5 },
+        ticks: [],
+        preventsAction: true,
+    },
+    [StatusEffectKeys.BURN]: {
+        name: 'Burn',
+        isDebuff: true,
+        duration: 3,
+        stacking: StackingRules.STACK,
+        maxStacks: 3,
+        modifiers: {},
+        ticks: [{ resource: ResourceKeys.HEALTH, fraction: 0.03 }],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.POISON]: {
+        name: 'Poison',
+        isDebuff: true,
+        duration: 4,
+        stacking: StackingRules.EXTEND,
+        maxStacks: 1,
+        modifiers: { effectivePL: 0.95 },
+        ticks: [
+            { resource: ResourceKeys.HEALTH, fraction: 0.02 },
+            { resource: ResourceKeys.STAMINA, fraction: 0.02 },
+        ],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.SLOW]: {
+        name: 'Slow',
+        isDebuff: true,
+        duration: 2,
+        stacking: StackingRules.REFRESH,
+        maxStacks: 1,
+        modifiers: { turnOrder: 0.7, evasion: 0.85 },
+        ticks: [],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.HASTE]: {
+        name: 'Haste',
+        isDebuff: false,
+        duration: 2,
+        stacking: StackingRules.REFRESH,
+        maxStacks: 1,
+        modifiers: { turnOrder: 1.3, accuracy: 1.1, evasion: 1.1 },
+        ticks: [],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.KI_DRAIN]: {
+        name: 'Ki Drain',
+        isDebuff: true,
+        duration: 3,
+        stacking: StackingRules.STACK,
+        maxStacks: 2,
+        modifiers: {},
+        ticks: [{ resource: ResourceKeys.KI, fraction: 0.05 }],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.GUARD_BREAK]: {
+        name: 'Guard Break',
+        isDebuff: true,
+        duration: 1,
+        stacking: StackingRules.REFRESH,
+        maxStacks: 1,
+        modifiers: { evasion: 0.7 },
+        ticks: [],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.POWER_UP]: {
+        name: 'Power Up',
+        isDebuff: false,
+        duration: 3,
+        stacking: StackingRules.REFRESH,
+        maxStacks: 1,
+        modifiers: { effectivePL: 1.2, accuracy: 1.05 },
+        ticks: [],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.GUARDING]: {
+        name: 'Guarding',
+        isDebuff: false,
+        duration: 1,
+        stacking: StackingRules.REFRESH,
+        maxStacks: 1,
+        modifiers: {
+            [ResistanceKeys.PHYSICAL]: { type: ModifierTypes.FLAT, value: 0.25 },
+            [ResistanceKeys.ENERGY]: { type: ModifierTypes.FLAT, value: 0.25 },
+        },
+        ticks: [],
+        preventsAction: false,
+    },
+    [StatusEffectKeys.COLLAPSED]: {
+        name: 'Collapsed',
+        isDebuff: false, // Caused by the character's own exhaustion, so it cannot be resisted
+        duration: 2,
+        stacking: StackingRules.IGNORE,
+        maxStacks: 1,
+        modifiers: { evasion: 0.25 },
+        ticks: [],
+        preventsAction: true,
+    },
+});
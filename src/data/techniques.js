@@ -0,0 +1,122 @@
+// src/data/techniques.js
+
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { StatusEffectKeys } from './statusEffects.js';
+
+// Define keys for techniques for easier reference and validation
+export const TechniqueKeys = Object.freeze({
+    KI_BLAST: 'kiBlast',
+    DRAGON_FIST: 'dragonFist',
+    KAMEHAMEHA: 'kamehameha',
+    DESTRUCTO_DISC: 'destructoDisc',
+    MASENKO: 'masenko',
+    SPECIAL_BEAM_CANNON: 'specialBeamCannon',
+    SOLAR_FLARE: 'solarFlare',
+});
+
+/**
+ * Technique definitions.
+ * - damageType: Damage type (from ResistanceKeys), or null for techniques that deal no damage.
+ * - cost: Ki/stamina spent per use.
+ * - power: Base power plus scaling per point of the listed stats.
+ * - rankPowerBonus: Extra power per rank above 1 (0.15 = +15% per rank).
+ * - range: Minimum/maximum distance on the battle grid.
+ * - cooldown: Turns before the technique can be used again.
+ * - prerequisites: Techniques (and ranks) that must be learned first.
+ * - statusEffect: Status effect applied to the target on use (or on hit for damaging techniques).
+ * (Values are examples, tune for balance.)
+ */
+export const TechniqueDefinitions = Object.freeze({
+    [TechniqueKeys.KI_BLAST]: {
+        name: 'Ki Blast',
+        damageType: ResistanceKeys.ENERGY,
+        cost: { ki: 5, stamina: 0 },
+        power: { base: 10, scaling: { [StatKeys.TEC]: 1.5 } },
+        maxRank: 5,
+        rankPowerBonus: 0.1,
+        range: { min: 1, max: 4 },
+        cooldown: 0,
+        minLevel: 1,
+        prerequisites: [],
+        statusEffect: null,
+    },
+    [TechniqueKeys.DRAGON_FIST]: {
+        name: 'Dragon Fist',
+        damageType: ResistanceKeys.PHYSICAL,
+        cost: { ki: 20, stamina: 25 },
+        power: { base: 40, scaling: { [StatKeys.STR]: 3.5, [StatKeys.TEC]: 0.5 } },
+        maxRank: 5,
+        rankPowerBonus: 0.15,
+        range: { min: 1, max: 1 },
+        cooldown: 3,
+        minLevel: 15,
+        prerequisites: [],
+        statusEffect: null,
+    },
+    [TechniqueKeys.KAMEHAMEHA]: {
+        name: 'Kamehameha',
+        damageType: ResistanceKeys.ENERGY,
+        cost: { ki: 30, stamina: 5 },
+        power: { base: 30, scaling: { [StatKeys.TEC]: 3.0, [StatKeys.STR]: 0.5 } },
+        maxRank: 5,
+        rankPowerBonus: 0.15,
+        range: { min: 1, max: 6 },
+        cooldown: 2,
+        minLevel: 5,
+        prerequisites: [{ id: TechniqueKeys.KI_BLAST, rank: 2 }],
+        statusEffect: null,
+    },
+    [TechniqueKeys.DESTRUCTO_DISC]: {
+        name: 'Destructo Disc',
+        damageType: ResistanceKeys.ENERGY,
+        cost: { ki: 35, stamina: 0 },
+        power: { base: 25, scaling: { [StatKeys.TEC]: 3.5 } },
+        maxRank: 3,
+        rankPowerBonus: 0.2,
+        range: { min: 2, max: 5 },
+        cooldown: 3,
+        minLevel: 10,
+        prerequisites: [{ id: TechniqueKeys.KI_BLAST, rank: 3 }],
+        statusEffect: null,
+    },
+    [TechniqueKeys.MASENKO]: {
+        name: 'Masenko',
+        damageType: ResistanceKeys.ENERGY,
+        cost: { ki: 25, stamina: 0 },
+        power: { base: 25, scaling: { [StatKeys.TEC]: 2.5, [StatKeys.AURA]: 0.5 } },
+        maxRank: 5,
+        rankPowerBonus: 0.15,
+        range: { min: 1, max: 5 },
+        cooldown: 2,
+        minLevel: 5,
+        prerequisites: [{ id: TechniqueKeys.KI_BLAST, rank: 1 }],
+        statusEffect: null,
+    },
+    [TechniqueKeys.SPECIAL_BEAM_CANNON]: {
+        name: 'Special Beam Cannon',
+        damageType: ResistanceKeys.ENERGY,
+        cost: { ki: 50, stamina: 10 },
+        power: { base: 50, scaling: { [StatKeys.TEC]: 4.0, [StatKeys.WIS]: 1.0 } },
+        maxRank: 3,
+        rankPowerBonus: 0.25,
+        range: { min: 1, max: 8 },
+        cooldown: 4,
+        minLevel: 20,
+        prerequisites: [{ id: TechniqueKeys.MASENKO, rank: 2 }],
+        statusEffect: null,
+    },
+    [TechniqueKeys.SOLAR_FLARE]: {
+        name: 'Solar Flare',
+        damageType: null,
+        cost: { ki: 15, stamina: 0 },
+        power: { base: 0, scaling: {} },
+        maxRank: 3,
+        rankPowerBonus: 0,
+        range: { min: 1, max: 3 },
+        cooldown: 4,
+        minLevel: 8,
+        prerequisites: [],
+        statusEffect: { id: StatusEffectKeys.STUN },
+    },
+});
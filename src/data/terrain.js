@@ -0,0 +1,50 @@
+// src/data/terrain.js
+
+// Define keys for terrain types for easier reference and validation
+export const TerrainKeys = Object.freeze({
+    PLAIN: 'plain',   // Open ground
+    ROUGH: 'rough',   // Rubble and uneven ground, slows movement
+    WATER: 'water',   // Shallow water, slows movement heavily
+    ROCK: 'rock',     // Boulder, blocks movement and shatters on collision
+    WALL: 'wall',     // Cliff face or wall, blocks movement
+});
+
+/**
+ * Terrain definitions.
+ * - moveCost: Movement points needed to enter the tile (null = impassable).
+ * - collisionDamage: Fraction of max health dealt to a fighter knocked back into the tile (impassable tiles only).
+ * - breaksInto: Terrain the tile turns into after a knockback collision (null = indestructible).
+ * (Values are examples, tune for balance.)
+ */
+export const TerrainDefinitions = Object.freeze({
+    [TerrainKeys.PLAIN]: {
+        name: 'Plain',
+        moveCost: 1,
+        collisionDamage: 0,
+        breaksInto: null,
+    },
+    [TerrainKeys.ROUGH]: {
+        name: 'Rough Ground',
+        moveCost: 2,
+        collisionDamage: 0,
+        breaksInto: null,
+    },
+    [TerrainKeys.WATER]: {
+        name: 'Water',
+        moveCost: 3,
+        collisionDamage: 0,
+        breaksInto: null,
+    },
+    [TerrainKeys.ROCK]: {
+        name: 'Rock',
+        moveCost: null,
+        collisionDamage: 0.06,
+        breaksInto: TerrainKeys.ROUGH,
+    },
+    [TerrainKeys.WALL]: {
+        name: 'Wall',
+        moveCost: null,
+        collisionDamage: 0.1,
+        breaksInto: null,
+    },
+});
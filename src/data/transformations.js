@@ -0,0 +1,87 @@
+// src/data/transformations.js
+
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+
+// Define keys for transformations for easier reference and validation
+export const TransformationKeys = Object.freeze({
+    KAIOKEN: 'kaioken',
+    SUPER_SAIYAN: 'superSaiyan',
+    SUPER_SAIYAN_2: 'superSaiyan2',
+    FINAL_FORM: 'finalForm',
+    SUPER_NAMEKIAN: 'superNamekian',
+    SUPER_MAJIN: 'superMajin',
+});
+
+/**
+ * Transformation definitions.
+ * - races: Races allowed to use the form (null = any race).
+ * - minLevel / minPotential: Requirements to unlock the form.
+ * - plMultiplier: Multiplier applied to Base PL (after the potential cap) while transformed.
+ * - statMultipliers: Multipliers applied to specific base stats while transformed.
+ * - upkeep: Per-turn ki/stamina drain as a fraction of the resource maximum.
+ * - fatiguePerTurn: Extra fatigue gained every turn while transformed.
+ * (Values are examples, tune for balance.)
+ */
+export const TransformationDefinitions = Object.freeze({
+    [TransformationKeys.KAIOKEN]: {
+        name: 'Kaioken',
+        races: null,
+        minLevel: 10,
+        minPotential: 0.2,
+        plMultiplier: 2.0,
+        statMultipliers: { [StatKeys.STR]: 1.5, [StatKeys.AGI]: 1.5 },
+        upkeep: { ki: 0.02, stamina: 0.08 },
+        fatiguePerTurn: 5,
+    },
+    [TransformationKeys.SUPER_SAIYAN]: {
+        name: 'Super Saiyan',
+        races: [Race.SAIYAN],
+        minLevel: 25,
+        minPotential: 0.35,
+        plMultiplier: 50,
+        statMultipliers: { [StatKeys.STR]: 1.5, [StatKeys.TEC]: 1.5, [StatKeys.AGI]: 1.3, [StatKeys.AURA]: 1.3 },
+        upkeep: { ki: 0.05, stamina: 0.02 },
+        fatiguePerTurn: 2,
+    },
+    [TransformationKeys.SUPER_SAIYAN_2]: {
+        name: 'Super Saiyan 2',
+        races: [Race.SAIYAN],
+        minLevel: 40,
+        minPotential: 0.5,
+        plMultiplier: 100,
+        statMultipliers: { [StatKeys.STR]: 1.8, [StatKeys.TEC]: 1.8, [StatKeys.AGI]: 1.5, [StatKeys.AURA]: 1.5 },
+        upkeep: { ki: 0.08, stamina: 0.03 },
+        fatiguePerTurn: 3,
+    },
+    [TransformationKeys.FINAL_FORM]: {
+        name: 'Final Form',
+        races: [Race.FRIEZA_RACE],
+        minLevel: 20,
+        minPotential: 0.3,
+        plMultiplier: 4,
+        statMultipliers: { [StatKeys.TEC]: 1.5, [StatKeys.AGI]: 1.4, [StatKeys.VIT]: 1.2 },
+        upkeep: { ki: 0.01, stamina: 0 },
+        fatiguePerTurn: 0,
+    },
+    [TransformationKeys.SUPER_NAMEKIAN]: {
+        name: 'Super Namekian',
+        races: [Race.NAMEKIAN],
+        minLevel: 25,
+        minPotential: 0.35,
+        plMultiplier: 3,
+        statMultipliers: { [StatKeys.WIS]: 1.4, [StatKeys.VIT]: 1.3, [StatKeys.TEC]: 1.3 },
+        upkeep: { ki: 0.03, stamina: 0.01 },
+        fatiguePerTurn: 1,
+    },
+    [TransformationKeys.SUPER_MAJIN]: {
+        name: 'Super Majin',
+        races: [Race.MAJIN],
+        minLevel: 25,
+        minPotential: 0.35,
+        plMultiplier: 3,
+        statMultipliers: { [StatKeys.STR]: 1.4, [StatKeys.VIT]: 1.4 },
+        upkeep: { ki: 0.03, stamina: 0.01 },
+        fatiguePerTurn: 1,
+    },
+});
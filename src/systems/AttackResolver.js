@@ -0,0 +1,179 @@
+// src/systems/AttackResolver.js
+
+import { StatKeys } from './BaseStats.js';
+import { ResistanceKeys, getPrimaryDamageType } from './Resistances.js';
+import { ReactionKeys, ReactionOutcomes } from './Reactions.js';
+
+// Hit chance bounds so that no attack is ever a guaranteed hit or miss
+const MIN_HIT_CHANCE = 0.05;
+const MAX_HIT_CHANCE = 0.95;
+// How strongly the defender's evasion counts against the attacker's accuracy (tune for balance)
+const EVASION_WEIGHT = 0.5;
+
+/**
+ * Calculates the chance for an attack to land.
+ * Uses a ratio of accuracy to weighted evasion, clamped so there is always some chance either way.
+ * @param {number} accuracy - The attacker's accuracy.
+ * @param {number} evasion - The defender's evasion.
+ * @returns {number} The hit chance (0.05 to 0.95).
+ */
+function calculateHitChance(accuracy, evasion) {
+    const total = accuracy + evasion * EVASION_WEIGHT;
+    const chance = total > 0 ? accuracy / total : MAX_HIT_CHANCE;
+    return Math.max(MIN_HIT_CHANCE, Math.min(chance, MAX_HIT_CHANCE));
+}
+
+/**
+ * Calculates the power of a basic (non-technique) attack.
+ * Physical attacks scale from STR, energy attacks from TEC. Mixed damage scales from its largest share.
+ * @param {Character} attacker - The attacking character.
+ * @param {string|object} damageType - The damage type (from ResistanceKeys) or a split of shares.
+ * @returns {number} The raw attack power before crits and resistances.
+ */
+function getBasicAttackPower(attacker, damageType = ResistanceKeys.PHYSICAL) {
+    const statKey = getPrimaryDamageType(damageType) === ResistanceKeys.ENERGY ? StatKeys.TEC : StatKeys.STR;
+    return attacker.baseStats.getEffectiveStat(statKey) * 2; // Example scaling, tune for balance
+}
+
+/**
+ * Maps a damage type to the damage type string used by CombatStats crit multipliers.
+ * @param {string|object} damageType - The damage type (from ResistanceKeys) or a split of shares.
+ * @returns {string} 'energy' or 'physical'.
+ */
+function getCritDamageType(damageType) {
+    return getPrimaryDamageType(damageType) === ResistanceKeys.ENERGY ? 'energy' : 'physical';
+}
+
+/**
+ * Calculates knockback distance for a landed hit of the given tier.
+ * OMEGA crits always knock back at full strength, other crits at half strength, normal hits not at all.
+ * @param {CharacterCombatStats} combatStats - The attacker's combat stats.
+ * @param {string} tier - The critical hit tier.
+ * @returns {number} The knockback distance.
+ */
+function calculateKnockbackDistance(combatStats, tier) {
+    if (combatStats.getCritKnockback(tier)) {
+        return combatStats.knockback;
+    }
+    if (tier !== 'normal') {
+        return Math.floor(combatStats.knockback / 2);
+    }
+    return 0;
+}
+
+/**
+ * Resolves a single attack from one character against another.
+ * Runs the hit roll (accuracy vs evasion), the critical hit roll, applies the tier multiplier,
+ * applies the damage against the defender's resistances (reduced by the tier's defense ignore)
+ * and determines knockback.
+ * If the defender reacts, the reaction's cost is paid first and the reaction is played out against
+ * the critical hit tier (see CharacterReactions.resolveAgainstHit()): guards reduce the damage, dodges add
+ * evasion, vanishes avoid the hit and counters strike back with a weakened basic attack (which cannot be reacted to).
+ * @param {Character} attacker - The attacking character.
+ * @param {Character} defender - The defending character.
+ * @param {object} [options={}] - Attack options.
+ * @param {string|object} [options.damageType=ResistanceKeys.PHYSICAL] - The damage type (from ResistanceKeys),
+ *   or a split of shares keyed by type for mixed damage.
+ * @param {number} [options.power] - Raw attack power. Defaults to the attacker's basic attack power.
+ * @param {string} [options.reaction] - The defender's reaction (from ReactionKeys). Ignored if the defender cannot react.
+ * @returns {object} The attack result: { attacker, defender, damageType, hit, hitChance, tier,
+ *   critMultiplier, defenseIgnore, raw, mitigated, finalDamage, knockback, defeated,
+ *   reaction, reactionOutcome, counter }. defeated is only true for the hit that took the defender's health to 0;
+ *   an already defeated defender is not attacked at all.
+ */
+function resolveAttack(attacker, defender, { damageType = ResistanceKeys.PHYSICAL, power, reaction = null } = {}) {
+    const result = {
+        attacker: attacker.name,
+        defender: defender.name,
+        damageType,
+        hit: false,
+        hitChance: 0,
+        tier: 'normal',
+        critMultiplier: 1,
+        defenseIgnore: 0,
+        raw: 0,
+        mitigated: 0,
+        finalDamage: 0,
+        knockback: 0,
+        defeated: false,
+        reaction: null,
+        reactionOutcome: null,
+        counter: null,
+    };
+    // Attacks against an already defeated character are not resolved (no damage, no counter, no defeat)
+    if (defender.resources.health <= 0) {
+        console.warn(`${attacker.name} cannot attack ${defender.name}: ${defender.name} is already defeated.`);
+        return result;
+    }
+
+    const attackPower = power ?? getBasicAttackPower(attacker, damageType);
+    if (reaction && !defender.reactions.react(reaction)) {
+        reaction = null;
+    }
+    result.reaction = reaction;
+    const evasion = defender.combatStats.evasion * (reaction ? defender.reactions.getEvasionMultiplier(reaction) : 1);
+    const hitChance = calculateHitChance(attacker.combatStats.accuracy, evasion);
+    result.hitChance = hitChance;
+
+    // 1. Hit or miss
+    if (attacker.rng.next() > hitChance) {
+        console.log(`${attacker.name}'s attack missed ${defender.name} (Hit Chance: ${(hitChance * 100).toFixed(1)}%)`);
+        if (reaction) {
+            result.reactionOutcome = [ReactionKeys.DODGE, ReactionKeys.VANISH].includes(reaction)
+                ? ReactionOutcomes.EVADED : ReactionOutcomes.FAILED;
+            if (reaction === ReactionKeys.COUNTER) resolveCounter(attacker, defender, result);
+        }
+        return result;
+    }
+
+    // 2. Critical hit tier and its effects
+    result.tier = attacker.combatStats.rollCriticalHit();
+    result.critMultiplier = attacker.combatStats.getCritMultiplier(result.tier, getCritDamageType(damageType));
+    result.defenseIgnore = attacker.combatStats.getCritDefenseIgnore(result.tier);
+
+    // 3. The defender's reaction against the tier
+    const resolution = reaction ? defender.reactions.resolveAgainstHit(reaction, result.tier) : null;
+    result.reactionOutcome = resolution?.outcome ?? null;
+    if (resolution?.evaded) {
+        console.log(`${defender.name} vanished out of the way of ${attacker.name}'s attack!`);
+        return result;
+    }
+    result.hit = true;
+
+    // 4. Damage against the defender's resistances
+    result.raw = Math.round(attackPower * result.critMultiplier * (resolution?.damageMultiplier ?? 1));
+    result.finalDamage = defender.takeDamage(result.raw, damageType, { defenseIgnore: result.defenseIgnore });
+    result.mitigated = result.raw - result.finalDamage;
+
+    // 5. Knockback
+    result.knockback = calculateKnockbackDistance(attacker.combatStats, result.tier);
+    result.defeated = defender.resources.health <= 0; // The defender was standing before this hit
+
+    console.log(`${attacker.name} hit ${defender.name} (${result.tier}) for ${result.finalDamage} damage. Knockback: ${result.knockback}`);
+
+    // 6. Counter
+    if (resolution?.canCounter) {
+        resolveCounter(attacker, defender, result);
+    }
+    return result;
+}
+
+/**
+ * Rolls the defender's counter and, if it lands its chance roll, strikes back at the attacker with a
+ * basic physical attack at the defender's counter power. Defeated defenders cannot counter.
+ * Sets result.reactionOutcome and result.counter.
+ * @private
+ */
+function resolveCounter(attacker, defender, result) {
+    if (defender.resources.health <= 0 || !defender.reactions.rollCounter(defender.rng)) {
+        result.reactionOutcome = ReactionOutcomes.FAILED;
+        return;
+    }
+    console.log(`${defender.name} counters!`);
+    result.reactionOutcome = ReactionOutcomes.COUNTERED;
+    result.counter = defender.attack(attacker, {
+        power: Math.round(getBasicAttackPower(defender) * defender.reactions.counterPower),
+    });
+}
+
+export { resolveAttack, calculateHitChance, getBasicAttackPower, getCritDamageType, calculateKnockbackDistance };
@@ -1,6 +1,8 @@
 // src/systems/Attributes.js
 
 import { CharacterBaseStats, StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { ProgressionTable } from '../data/progression.js';
 
 // Define constants for Races (can be expanded)
 export const Race = Object.freeze({
@@ -27,25 +29,34 @@ export class CharacterAttributes {
     constructor({
         level = 1,
         xp = 0,
-        xpToNextLevel = 100, // Example starting value
+        highestLevel = level, // Highest level ever reached (level-up grants are only given once per level)
         race = Race.HUMAN,
         potential = 0.1, // Representing 10%
         alignment = Alignment.NEUTRAL,
         unallocatedStatPoints = 0, // RENAMED from statPoints
+        allocatedStatPoints = {}, // Points spent per stat ({ statKey: count }), refunded on respec
+        respecCount = 0, // Number of respecs so far (each one costs more)
         skillPoints = 0,
         potentialCap = potential, // Max potential achievable
-        baseStats = null // Added parameter to link stats
+        baseStats = null, // Added parameter to link stats
+        skills = null, // Link to the Skill system for spending skill points
+        raceTraits = null // Link to the race traits (potential growth)
     } = {}) {
         this.level = level;
         this.xp = xp;
-        this.xpToNextLevel = xpToNextLevel; // Logic for scaling this will be needed
+        this.highestLevel = Math.max(highestLevel, level);
         this.race = race;
         this.potential = potential; // Current potential unlocked
         this.potentialCap = potentialCap; // The character's absolute max potential ceiling
         this.alignment = alignment; // This might be hidden from player UI
         this.unallocatedStatPoints = unallocatedStatPoints; // RENAMED from statPoints
+        this.allocatedStatPoints = { ...allocatedStatPoints };
+        this.respecCount = respecCount;
         this.skillPoints = skillPoints; // Points available for skills
         this.baseStats = baseStats; // Store the reference
+        this.skills = skills; // Store the reference
+        this.raceTraits = raceTraits; // Store the reference
+        this.events = null; // Character event emitter, linked via bindEvents()
 
         // Basic validation
         if (!Object.values(Race).includes(this.race)) {
@@ -58,36 +69,164 @@ export class CharacterAttributes {
         }
     }
 
-    // --- Methods to be added later ---
+    /**
+     * Links the character's event emitter so XP, level and potential changes are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    // --- Level Progression (see src/data/progression.js) ---
+
+    /**
+     * Gets the XP needed to advance from a level to the next one.
+     * @param {number} level - The level to advance from.
+     * @returns {number} The XP required (Infinity at the level cap).
+     */
+    static getXPForLevel(level) {
+        if (level >= ProgressionTable.levelCap) return Infinity;
+        const { base, growth } = ProgressionTable.xpCurve;
+        return Math.floor(base * Math.pow(growth, level - 1));
+    }
 
-    // Method to add XP and handle Level Up
+    /** Gets the XP needed to reach the next level (Infinity at the level cap). */
+    get xpToNextLevel() { return CharacterAttributes.getXPForLevel(this.level); }
+
+    /** Gets whether the character is at the level cap. */
+    get isMaxLevel() { return this.level >= ProgressionTable.levelCap; }
+
+    /**
+     * Adds XP and levels up as many times as it allows. XP gained at the level cap is discarded.
+     * @param {number} amount - The XP to add.
+     * @returns {object} Summary: { xpGained, fromLevel, toLevel, levelsGained, statPoints, skillPoints, stats }.
+     */
     addXP(amount) {
+        const summary = { xpGained: 0, fromLevel: this.level, toLevel: this.level, levelsGained: 0, statPoints: 0, skillPoints: 0, stats: {} };
+        if (amount <= 0) {
+            console.warn(`XP to add must be positive: ${amount}`);
+            return summary;
+        }
+        if (this.isMaxLevel) {
+            console.log(`Level cap (${ProgressionTable.levelCap}) reached. ${amount} XP discarded.`);
+            return summary;
+        }
+
         this.xp += amount;
+        summary.xpGained = amount;
         console.log(`Gained ${amount} XP. Total XP: ${this.xp}/${this.xpToNextLevel}`);
-        // Basic Level Up Check (more sophisticated logic needed)
+        this.events?.emit(CharacterEvents.XP_GAINED, { amount, xp: this.xp });
+
         while (this.xp >= this.xpToNextLevel) {
             this.xp -= this.xpToNextLevel;
-            this.levelUp();
+            const grants = this.levelUp();
+            summary.statPoints += grants.statPoints;
+            summary.skillPoints += grants.skillPoints;
+            for (const statKey in grants.stats) {
+                summary.stats[statKey] = (summary.stats[statKey] ?? 0) + grants.stats[statKey];
+            }
         }
+        if (this.isMaxLevel) {
+            this.xp = 0;
+        }
+        summary.toLevel = this.level;
+        summary.levelsGained = this.level - summary.fromLevel;
+        return summary;
     }
 
-    // Method to handle Level Up logic
+    /**
+     * Gains one level without spending XP (addXP() calls this for every level earned).
+     * The first time a level is reached it grants the stat/skill points and automatic stat growth
+     * from the progression table, plus the race's stat growth.
+     * @returns {object|false} Grants: { level, statPoints, skillPoints, stats }, or false at the level cap.
+     */
     levelUp() {
+        if (this.isMaxLevel) {
+            console.warn(`Cannot level up: Level cap (${ProgressionTable.levelCap}) reached.`);
+            return false;
+        }
         this.level++;
-        const newStatPoints = 5; // Example points gained per level
-        const newSkillPoints = 1; // Example points gained per level
-        this.unallocatedStatPoints += newStatPoints;
-        this.skillPoints += newSkillPoints;
+        const isNewLevel = this.level > this.highestLevel;
+        const grants = { level: this.level, statPoints: 0, skillPoints: 0, stats: {} };
 
-        // Update XP required for the next level (e.g., simple scaling)
-        this.xpToNextLevel = Math.floor(this.xpToNextLevel * 1.2);
+        if (isNewLevel) {
+            this.highestLevel = this.level;
+            const bonus = ProgressionTable.levelBonuses[this.level] ?? {};
+            grants.statPoints = ProgressionTable.statPointsPerLevel + (bonus.statPoints ?? 0);
+            grants.skillPoints = ProgressionTable.skillPointsPerLevel + (bonus.skillPoints ?? 0);
+            this.unallocatedStatPoints += grants.statPoints;
+            this.skillPoints += grants.skillPoints;
+
+            const growth = [ProgressionTable.autoStatGrowth, this.raceTraits?.traits.levelUpStats ?? {}];
+            for (const stats of growth) {
+                for (const statKey in stats) {
+                    grants.stats[statKey] = (grants.stats[statKey] ?? 0) + stats[statKey];
+                }
+            }
+            for (const statKey in grants.stats) {
+                this.baseStats?.increaseStat(statKey, grants.stats[statKey]);
+            }
+        }
 
         console.log(`LEVEL UP! Reached Level ${this.level}.`);
-        console.log(`Gained ${newStatPoints} Stat Points (Total: ${this.unallocatedStatPoints})`);
-        console.log(`Gained ${newSkillPoints} Skill Points (Total: ${this.skillPoints})`);
+        console.log(`Gained ${grants.statPoints} Stat Points (Total: ${this.unallocatedStatPoints})`);
+        console.log(`Gained ${grants.skillPoints} Skill Points (Total: ${this.skillPoints})`);
         console.log(`Next level at ${this.xpToNextLevel} XP.`);
 
-        // Potential trigger for recalculating stats/PL could go here
+        // Level affects max resources and PL, so dependent systems must recalculate
+        this.events?.emit(CharacterEvents.LEVEL_UP, { level: this.level, isNewLevel, grants });
+        this.events?.emit(CharacterEvents.STAT_CHANGED, { source: 'level' });
+        return grants;
+    }
+
+    /**
+     * Removes XP, e.g., as a defeat penalty. By default XP cannot drop below the start of the current level.
+     * @param {number} amount - The XP to remove.
+     * @param {object} [options={}] - Penalty options.
+     * @param {boolean} [options.allowLevelDown=false] - Whether losing more XP than the current level holds drops levels.
+     * @returns {object} Summary: { xpLost, fromLevel, toLevel, levelsLost }.
+     */
+    loseXP(amount, { allowLevelDown = false } = {}) {
+        const summary = { xpLost: 0, fromLevel: this.level, toLevel: this.level, levelsLost: 0 };
+        if (amount <= 0) {
+            console.warn(`XP to remove must be positive: ${amount}`);
+            return summary;
+        }
+
+        let remaining = amount;
+        while (remaining > this.xp && allowLevelDown && this.level > 1) {
+            summary.xpLost += this.xp;
+            remaining -= this.xp;
+            this.levelDown();
+            this.xp = this.xpToNextLevel;
+        }
+        const lost = Math.min(remaining, this.xp);
+        this.xp -= lost;
+        summary.xpLost += lost;
+        summary.toLevel = this.level;
+        summary.levelsLost = summary.fromLevel - this.level;
+
+        console.log(`Lost ${summary.xpLost} XP. Total XP: ${this.xp}/${this.xpToNextLevel}`);
+        this.events?.emit(CharacterEvents.XP_LOST, { amount: summary.xpLost, xp: this.xp });
+        return summary;
+    }
+
+    /**
+     * Loses one level. Points and stat growth already granted are kept, and regaining the level grants nothing.
+     * @returns {boolean} True if a level was lost (false at level 1).
+     */
+    levelDown() {
+        if (this.level <= 1) {
+            console.warn("Cannot level down below Level 1.");
+            return false;
+        }
+        this.level--;
+        console.log(`LEVEL DOWN! Dropped to Level ${this.level}.`);
+
+        // Level affects max resources and PL, so dependent systems must recalculate
+        this.events?.emit(CharacterEvents.LEVEL_DOWN, { level: this.level });
+        this.events?.emit(CharacterEvents.STAT_CHANGED, { source: 'level' });
+        return true;
     }
 
     // Method to allocate Stat Points (needs BaseStats system interaction)
@@ -114,6 +253,7 @@ export class CharacterAttributes {
         // If the stat was successfully increased, decrement the available points
         if (success) {
             this.unallocatedStatPoints--;
+            this.allocatedStatPoints[statKey] = (this.allocatedStatPoints[statKey] ?? 0) + 1;
             console.log(`Successfully allocated 1 point to ${statKey.toUpperCase()}. Unallocated Stat Points remaining: ${this.unallocatedStatPoints}`);
             // Optionally trigger recalculations if needed immediately after allocation
             // this.baseStats.recalculateDerivedStats();
@@ -125,27 +265,108 @@ export class CharacterAttributes {
         }
     }
 
+    /** Gets the total number of stat points allocated since the last respec. */
+    get totalAllocatedStatPoints() {
+        return Object.values(this.allocatedStatPoints).reduce((total, count) => total + count, 0);
+    }
+
+    /**
+     * Gets the XP cost of the next respec (see ProgressionTable.respec).
+     * @returns {number} The XP cost.
+     */
+    getRespecCost() {
+        const { baseXPCost, xpCostPerLevel, costGrowth } = ProgressionTable.respec;
+        return Math.floor((baseXPCost + xpCostPerLevel * this.level) * Math.pow(costGrowth, this.respecCount));
+    }
+
+    /**
+     * Pays XP to refund every allocated stat point. Race and level growth are kept.
+     * @param {object} [options={}] - Respec options.
+     * @param {boolean} [options.allowLevelDown=false] - Whether the cost may be paid by dropping levels.
+     * @returns {object|false} Summary: { cost, points, refunded: { statKey: count } }, or false if the respec failed.
+     */
+    respec({ allowLevelDown = false } = {}) {
+        const points = this.totalAllocatedStatPoints;
+        if (points === 0) {
+            console.warn("Cannot respec: No allocated Stat Points to refund.");
+            return false;
+        }
+        if (!this.baseStats) {
+            console.error("BaseStats object not linked to Attributes. Cannot respec.");
+            return false;
+        }
+        const cost = this.getRespecCost();
+        let availableXP = this.xp;
+        if (allowLevelDown) {
+            for (let level = 1; level < this.level; level++) {
+                availableXP += CharacterAttributes.getXPForLevel(level);
+            }
+        }
+        if (availableXP < cost) {
+            console.warn(`Cannot respec: Requires ${cost} XP (available: ${availableXP}).`);
+            return false;
+        }
+
+        this.loseXP(cost, { allowLevelDown });
+        const refunded = this.allocatedStatPoints;
+        this.allocatedStatPoints = {};
+        for (const statKey in refunded) {
+            this.baseStats.decreaseStat(statKey, refunded[statKey]);
+        }
+        this.unallocatedStatPoints += points;
+        this.respecCount++;
+        console.log(`Respec complete: Refunded ${points} Stat Points for ${cost} XP.`);
+        return { cost, points, refunded: { ...refunded } };
+    }
+
     // Method to unlock/upgrade skills (needs Skill system interaction)
     useSkillPoint(skillId) {
-        if (this.skillPoints > 0) {
-            // Logic to unlock or upgrade the target skill
-            // This requires reference to the Skill system/character's skill list
-            console.log(`Using skill point for ${skillId}... (Requires Skill system integration)`);
-            // Assume success for now
-            this.skillPoints--;
-            console.log(`Skill Points remaining: ${this.skillPoints}`);
-            return true; // Indicate success
-        } else {
+        if (this.skillPoints <= 0) {
             console.warn("No Skill Points available.");
             return false; // Indicate failure
         }
+        // Check if skills object is linked
+        if (!this.skills) {
+            console.error("Skills object not linked to Attributes. Cannot use skill point.");
+            return false;
+        }
+
+        // Attempt to unlock or upgrade the target skill; skills.learn logs the reason for failure
+        if (!this.skills.learn(skillId)) {
+            return false;
+        }
+        this.skillPoints--;
+        console.log(`Skill Points remaining: ${this.skillPoints}`);
+        return true; // Indicate success
+    }
+
+    /**
+     * Returns the authoritative attribute state for saving (links to other systems are excluded).
+     * @returns {object} Attribute values keyed like the constructor options.
+     */
+    toJSON() {
+        return {
+            level: this.level,
+            xp: this.xp,
+            highestLevel: this.highestLevel,
+            race: this.race,
+            potential: this.potential,
+            potentialCap: this.potentialCap,
+            alignment: this.alignment,
+            unallocatedStatPoints: this.unallocatedStatPoints,
+            allocatedStatPoints: { ...this.allocatedStatPoints },
+            respecCount: this.respecCount,
+            skillPoints: this.skillPoints,
+        };
     }
 
-    // Method to potentially increase potential (rare events)
+    // Method to potentially increase potential (rare events). Scaled by the race's potential growth.
     increasePotential(amount) {
+        amount *= this.raceTraits?.potentialGrowth ?? 1;
         this.potential = Math.min(this.potential + amount, this.potentialCap);
         console.log(`Potential increased by ${amount*100}%. Current Potential: ${this.potential * 100}% / ${this.potentialCap * 100}%`);
-        // This should trigger recalculation of max Base PL
+        // Potential affects Base PL, so dependent systems must recalculate
+        this.events?.emit(CharacterEvents.STAT_CHANGED, { source: 'potential' });
     }
 }
 
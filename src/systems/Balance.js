@@ -0,0 +1,264 @@
+// src/systems/Balance.js
+
+import { StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { DefaultBalanceConfig } from '../data/balance.js';
+import { ResistanceTypeDefinitions } from '../data/resistances.js';
+
+// Formulas each config section must contain (resistances are checked against the resistance types)
+const FORMULA_SECTIONS = Object.freeze({
+    resources: ['maxHealth', 'maxKi', 'maxStamina'],
+    derived: ['movementRange', 'turnOrder'],
+    combat: ['accuracy', 'evasion', 'critChance', 'critDamage', 'energyCritDamage', 'knockback', 'pursuit'],
+});
+// Critical hit tiers in the config, lowest first (thresholds must ascend in this order)
+const CRIT_TIER_ORDER = Object.freeze(['regular', 'super', 'mega', 'omega']);
+
+/** @private */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges overrides onto a base config. Objects merge key by key; any other value replaces the base value.
+ * @private
+ */
+function mergeConfig(base, overrides) {
+    if (!isPlainObject(base) || !isPlainObject(overrides)) {
+        return overrides === undefined ? base : overrides;
+    }
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = mergeConfig(base[key], value);
+    }
+    return merged;
+}
+
+/**
+ * Merges overrides onto a copy of DefaultBalanceConfig (the overrides are copied too, so freezing the result
+ * never freezes the caller's objects).
+ * @private
+ */
+function mergeWithDefaults(overrides) {
+    return mergeConfig(structuredClone(DefaultBalanceConfig), structuredClone(overrides));
+}
+
+/** @private */
+function deepFreeze(value) {
+    if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * Evaluates a balance formula ({ base, perLevel, stats, curves }, see DefaultBalanceConfig) for a character.
+ * @param {object} formula - The formula.
+ * @param {CharacterBaseStats} baseStats - The character's base stats (effective values are used).
+ * @param {number} [level=0] - The character's level, for perLevel.
+ * @returns {number} The unmodified value.
+ */
+function evaluateFormula({ base = 0, perLevel = 0, stats = {}, curves = {} }, baseStats, level = 0) {
+    let value = base + perLevel * level;
+    for (const [statKey, weight] of Object.entries(stats)) {
+        value += baseStats.getEffectiveStat(statKey) * weight;
+    }
+    for (const [statKey, { constant, max }] of Object.entries(curves)) {
+        const stat = baseStats.getEffectiveStat(statKey);
+        value += (stat / (stat + constant)) * max;
+    }
+    return value;
+}
+
+/**
+ * Validates a complete balance config (defaults merged with overrides).
+ * Unknown sections, stats and keys are reported so typos in a loaded file do not go unnoticed.
+ * @param {object} config - The config.
+ * @returns {object} { valid, errors }, with one message per problem.
+ */
+function validateBalanceConfig(config) {
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const statKeys = Object.values(StatKeys);
+
+    const checkKeys = (path, value, allowed) => {
+        if (!isPlainObject(value)) {
+            errors.push(`${path} must be an object.`);
+            return false;
+        }
+        Object.keys(value).filter(key => !allowed.includes(key)).forEach(key => errors.push(`${path}.${key} is not a known key.`));
+        return true;
+    };
+    const checkNumber = (path, value, { min = -Infinity, max = Infinity, exclusiveMin = false } = {}) => {
+        if (!isNumber(value) || value < min || value > max || (exclusiveMin && value === min)) {
+            const range = [exclusiveMin ? `> ${min}` : min > -Infinity && `>= ${min}`, max < Infinity && `<= ${max}`].filter(Boolean);
+            errors.push(`${path} must be a number${range.length ? ` ${range.join(' and ')}` : ''}.`);
+        }
+    };
+    const checkStatWeights = (path, value) => {
+        if (!checkKeys(path, value, statKeys)) return;
+        Object.entries(value).forEach(([statKey, weight]) => checkNumber(`${path}.${statKey}`, weight));
+    };
+    const checkFormula = (path, formula) => {
+        if (!checkKeys(path, formula, ['base', 'perLevel', 'stats', 'curves'])) return;
+        if (formula.base !== undefined) checkNumber(`${path}.base`, formula.base);
+        if (formula.perLevel !== undefined) checkNumber(`${path}.perLevel`, formula.perLevel);
+        if (formula.stats !== undefined) checkStatWeights(`${path}.stats`, formula.stats);
+        if (formula.curves !== undefined && checkKeys(`${path}.curves`, formula.curves, statKeys)) {
+            for (const [statKey, curve] of Object.entries(formula.curves)) {
+                if (!checkKeys(`${path}.curves.${statKey}`, curve, ['constant', 'max'])) continue;
+                checkNumber(`${path}.curves.${statKey}.constant`, curve.constant, { min: 0, exclusiveMin: true });
+                checkNumber(`${path}.curves.${statKey}.max`, curve.max);
+            }
+        }
+    };
+
+    if (!checkKeys('config', config, Object.keys(DefaultBalanceConfig))) {
+        return { valid: false, errors };
+    }
+    for (const [section, formulas] of Object.entries(FORMULA_SECTIONS)) {
+        const allowed = section === 'combat' ? [...formulas, 'critTiers'] : formulas;
+        if (!checkKeys(section, config[section], allowed)) continue;
+        formulas.forEach(key => checkFormula(`${section}.${key}`, config[section][key]));
+    }
+
+    const { powerLevel } = config;
+    if (checkKeys('powerLevel', powerLevel, ['weights', 'ceiling', 'effective'])) {
+        checkStatWeights('powerLevel.weights', powerLevel.weights);
+        if (checkKeys('powerLevel.ceiling', powerLevel.ceiling, ['base', 'perLevel'])) {
+            checkNumber('powerLevel.ceiling.base', powerLevel.ceiling.base, { min: 0 });
+            checkNumber('powerLevel.ceiling.perLevel', powerLevel.ceiling.perLevel, { min: 0 });
+        }
+        if (checkKeys('powerLevel.effective', powerLevel.effective, ['health', 'ki', 'stamina', 'fatigue'])) {
+            ['health', 'ki', 'stamina', 'fatigue'].forEach(key => checkNumber(`powerLevel.effective.${key}`, powerLevel.effective[key], { min: 0, max: 1 }));
+        }
+    }
+
+    const critTiers = config.combat?.critTiers;
+    if (isPlainObject(config.combat) && checkKeys('combat.critTiers', critTiers, CRIT_TIER_ORDER)) {
+        CRIT_TIER_ORDER.forEach((tier, index) => {
+            const path = `combat.critTiers.${tier}`;
+            if (!checkKeys(path, critTiers[tier], ['threshold', 'damageScale', 'defenseIgnore', 'guaranteedKnockback'])) return;
+            const { threshold, damageScale, defenseIgnore, guaranteedKnockback } = critTiers[tier];
+            checkNumber(`${path}.threshold`, threshold, { min: 0, exclusiveMin: true });
+            checkNumber(`${path}.damageScale`, damageScale, { min: 0 });
+            checkNumber(`${path}.defenseIgnore`, defenseIgnore, { min: 0, max: 1 });
+            if (typeof guaranteedKnockback !== 'boolean') errors.push(`${path}.guaranteedKnockback must be true or false.`);
+            const lower = critTiers[CRIT_TIER_ORDER[index - 1]];
+            if (lower && isNumber(lower.threshold) && isNumber(threshold) && threshold <= lower.threshold) {
+                errors.push(`${path}.threshold must be higher than the ${CRIT_TIER_ORDER[index - 1]} tier threshold.`);
+            }
+        });
+    }
+
+    const resistanceKeys = Object.keys(ResistanceTypeDefinitions);
+    if (checkKeys('resistances', config.resistances, resistanceKeys)) {
+        for (const key of resistanceKeys) {
+            const path = `resistances.${key}`;
+            const resistance = config.resistances[key];
+            if (!checkKeys(path, resistance, ['stats', 'curveConstant', 'cap', 'floor'])) continue;
+            checkStatWeights(`${path}.stats`, resistance.stats);
+            checkNumber(`${path}.curveConstant`, resistance.curveConstant, { min: 0, exclusiveMin: true });
+            checkNumber(`${path}.cap`, resistance.cap, { max: 1 });
+            checkNumber(`${path}.floor`, resistance.floor);
+            if (isNumber(resistance.cap) && isNumber(resistance.floor) && resistance.floor > resistance.cap) {
+                errors.push(`${path}.floor must not be higher than its cap.`);
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * A loadable set of balance values that stat calculators (Resources, DerivedStats, CombatStats, Resistances)
+ * read their formulas from. Configs are partial overrides of DefaultBalanceConfig (e.g., parsed from a JSON file).
+ * Characters share defaultBalance unless given their own instance, so two configs can run side by side.
+ * Loading a new config at runtime recalculates every character using this instance.
+ */
+class BalanceConfig {
+    /**
+     * Creates a new BalanceConfig.
+     * @param {object} [config={}] - Overrides merged onto DefaultBalanceConfig.
+     * @param {string} [name='custom'] - Label for reports and comparisons.
+     * @throws {Error} If the merged config is invalid.
+     */
+    constructor(config = {}, name = 'custom') {
+        const merged = mergeWithDefaults(config);
+        const { valid, errors } = validateBalanceConfig(merged);
+        if (!valid) {
+            throw new Error(`Invalid balance config: ${errors.join(' ')}`);
+        }
+        this.name = name;
+        this._config = deepFreeze(merged);
+        this._version = 1; // Increases on every successful load()
+
+        // Characters using this config, held weakly so attaching never keeps a character alive
+        this._characters = new Set();
+        this._refs = new WeakMap(); // Character -> its WeakRef in _characters
+        this._registry = new FinalizationRegistry(ref => this._characters.delete(ref));
+    }
+
+    /** Gets the merged, frozen config. */
+    get config() { return this._config; }
+
+    /** Gets the config version (starts at 1 and increases on every successful load()). */
+    get version() { return this._version; }
+
+    /**
+     * Replaces the config at runtime (hot-swap). Every attached character recalculates its stats.
+     * Current health/ki/stamina are kept, capped at the new maximums.
+     * @param {object} config - Overrides merged onto DefaultBalanceConfig (not onto the current config).
+     * @returns {boolean} True if loaded, false if the config was invalid (the current config is kept).
+     */
+    load(config) {
+        const merged = mergeWithDefaults(config);
+        const { valid, errors } = validateBalanceConfig(merged);
+        if (!valid) {
+            errors.forEach(error => console.warn(`Balance config "${this.name}": ${error}`));
+            return false;
+        }
+        this._config = deepFreeze(merged);
+        this._version++;
+        console.log(`Balance config "${this.name}" loaded (version ${this._version}).`);
+        for (const ref of this._characters) {
+            ref.deref()?.events.emit(CharacterEvents.STAT_CHANGED, { source: 'balance' });
+        }
+        return true;
+    }
+
+    /**
+     * Registers a character to be recalculated when a new config is loaded. Called by Character.
+     * @param {Character} character - The character.
+     */
+    attach(character) {
+        if (this._refs.has(character)) return;
+        const ref = new WeakRef(character);
+        this._refs.set(character, ref);
+        this._characters.add(ref);
+        this._registry.register(character, ref, ref);
+    }
+
+    /**
+     * Stops recalculating a character on load (e.g., it switched to another config).
+     * @param {Character} character - The character.
+     */
+    detach(character) {
+        const ref = this._refs.get(character);
+        if (!ref) return;
+        this._characters.delete(ref);
+        this._refs.delete(character);
+        this._registry.unregister(ref);
+    }
+
+    /** Gets the config as plain data (for saving to a JSON file). */
+    toJSON() {
+        return structuredClone(this._config);
+    }
+}
+
+// Shared config, used by characters and systems that were not given one
+const defaultBalance = new BalanceConfig({}, 'default');
+
+export { BalanceConfig, defaultBalance, validateBalanceConfig, evaluateFormula, DefaultBalanceConfig };
@@ -1,5 +1,7 @@
 // src/systems/BaseStats.js
 
+import { CharacterEvents } from './EventEmitter.js';
+
 // Define keys for stats for easier reference and validation
 export const StatKeys = Object.freeze({
     HP: 'hp',       // Max Health stat (influences resource)
@@ -24,6 +26,7 @@ export class CharacterBaseStats {
         wis = 10,
         aura = 10,
         agi = 10,
+        modifiers = null, // Link to the modifier stack for effective stat values
         // Potentially link to Attributes to consider level/potential later
         // attributes = null
     } = {}) {
@@ -37,9 +40,21 @@ export class CharacterBaseStats {
         this[StatKeys.AURA] = aura;
         this[StatKeys.AGI] = agi;
 
+        this.modifiers = modifiers; // Store the reference
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+
         // this.attributes = attributes; // Store reference if needed for complex calcs
     }
 
+    /**
+     * Links the character's event emitter so stat changes are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
     // Get the value of a specific stat
     getStat(statKey) {
         if (this.hasOwnProperty(statKey)) {
@@ -50,6 +65,18 @@ export class CharacterBaseStats {
         }
     }
 
+    /**
+     * Gets the value of a stat after modifiers (e.g., transformations, equipment) are applied.
+     * Calculators should use this instead of getStat() so temporary boosts are reflected.
+     * @param {string} statKey - The key of the stat (from StatKeys).
+     * @param {object} [options={}] - Modifier options (e.g., { exclude: [source] }, see CharacterModifiers.apply()).
+     * @returns {number} The effective stat value.
+     */
+    getEffectiveStat(statKey, options = {}) {
+        const value = this.getStat(statKey);
+        return this.modifiers ? this.modifiers.apply(statKey, value, options) : value;
+    }
+
     // Increase a specific stat by a given amount (e.g., from Stat Point allocation)
     increaseStat(statKey, amount = 1) {
         if (!Object.values(StatKeys).includes(statKey)) {
@@ -64,8 +91,33 @@ export class CharacterBaseStats {
         this[statKey] += amount;
         console.log(`Increased ${statKey.toUpperCase()} by ${amount}. New value: ${this[statKey]}`);
 
-        // Trigger recalculation of derived values (Max HP/Ki/Stamina, Base PL) if needed
-        // this.recalculateDerivedStats(); // Placeholder for future method
+        // Notify dependent systems (Max HP/Ki/Stamina, Base PL, combat stats, resistances)
+        this.events?.emit(CharacterEvents.STAT_CHANGED, { source: 'baseStats', statKey, value: this[statKey] });
+
+        return true;
+    }
+
+    /**
+     * Decreases a stat (e.g., refunding allocated points on a respec). Stats never drop below 0.
+     * @param {string} statKey - The key of the stat (from StatKeys).
+     * @param {number} [amount=1] - The amount to remove.
+     * @returns {boolean} True if the stat was decreased.
+     */
+    decreaseStat(statKey, amount = 1) {
+        if (!Object.values(StatKeys).includes(statKey)) {
+            console.warn(`Cannot decrease invalid stat key: ${statKey}`);
+            return false;
+        }
+        if (amount <= 0) {
+            console.warn(`Amount to decrease stat must be positive: ${amount}`);
+            return false;
+        }
+
+        this[statKey] = Math.max(0, this[statKey] - amount);
+        console.log(`Decreased ${statKey.toUpperCase()} by ${amount}. New value: ${this[statKey]}`);
+
+        // Notify dependent systems (Max HP/Ki/Stamina, Base PL, combat stats, resistances)
+        this.events?.emit(CharacterEvents.STAT_CHANGED, { source: 'baseStats', statKey, value: this[statKey] });
 
         return true;
     }
@@ -92,7 +144,7 @@ export class CharacterBaseStats {
             }
          }
          console.log("Stats updated from object.");
-         // this.recalculateDerivedStats(); // Recalculate after setting
+         this.events?.emit(CharacterEvents.STAT_CHANGED, { source: 'baseStats' });
     }
 
     /**
@@ -0,0 +1,502 @@
+// src/systems/Battle.js
+
+import { StatKeys } from './BaseStats.js';
+import { EventEmitter } from './EventEmitter.js';
+import { ResistanceKeys, getPrimaryDamageType } from './Resistances.js';
+import { defaultRandom } from './Random.js';
+import { StatusEffectKeys } from './StatusEffects.js';
+import { ReactionKeys } from './Reactions.js';
+
+// Define keys for battle actions
+export const BattleActions = Object.freeze({
+    ATTACK: 'attack',     // Basic attack: { type, target, damageType? }
+    SKILL: 'skill',       // Technique: { type, skillId, target }
+    CHARGE_KI: 'chargeKi', // Recover ki at the WIS-driven charge rate, can overcharge: { type }
+    GUARD: 'guard',       // Raise resistances until the next turn: { type }
+    MOVE: 'move',         // Reposition: { type, to }
+    FLEE: 'flee',         // Attempt to leave the battle: { type }
+    ITEM: 'item',         // Use a consumable from the inventory: { type, itemId }
+    TRANSFORM: 'transform', // Transform into a form: { type, formId }
+});
+
+// Define keys for battle events
+export const BattleEvents = Object.freeze({
+    BATTLE_START: 'battleStart',
+    ROUND_START: 'roundStart',
+    TURN_START: 'turnStart',
+    ACTION: 'action',
+    TURN_END: 'turnEnd',
+    ROUND_END: 'roundEnd',
+    COMBATANT_DEFEATED: 'combatantDefeated',
+    COMBATANT_FLED: 'combatantFled',
+    BATTLE_END: 'battleEnd',
+});
+
+// Flee chance bounds
+const MIN_FLEE_CHANCE = 0.1;
+const MAX_FLEE_CHANCE = 0.9;
+// Grid range of basic attacks by damage type (melee strikes vs. quick ki shots). Other types use melee range.
+const BASIC_ATTACK_RANGES = Object.freeze({
+    [ResistanceKeys.PHYSICAL]: { min: 1, max: 1 },
+    [ResistanceKeys.ENERGY]: { min: 1, max: 3 },
+});
+
+/**
+ * Gets the grid range of a basic attack of the given damage type.
+ * @param {string|object} damageType - The damage type (from ResistanceKeys) or a split of shares.
+ * @returns {object} The range band ({ min, max }).
+ */
+function getBasicAttackRange(damageType) {
+    return BASIC_ATTACK_RANGES[getPrimaryDamageType(damageType)] ?? BASIC_ATTACK_RANGES[ResistanceKeys.PHYSICAL];
+}
+
+/**
+ * Headless turn-based battle between two or more teams of Characters.
+ * Turn order each round comes from DerivedStats.turnOrder, re-sorted before every turn so that
+ * haste/slow applied mid-round reorders the fighters still waiting to act.
+ * Runs without Phaser; scenes and tests drive it through events and a decide callback.
+ */
+export class Battle {
+    /**
+     * Creates a new Battle.
+     * @param {object} config - Battle configuration.
+     * @param {Array<Array<Character>>} config.teams - Two or more teams of characters.
+     * @param {number} [config.maxRounds=50] - Rounds before the battle ends in a draw.
+     * @param {BattleGrid} [config.grid=null] - Battle grid with the fighters already placed. Without a grid,
+     *   range is not checked and there is no movement or knockback.
+     * @param {RandomGenerator} [config.rng=null] - Seeded generator shared by every fighter for the battle, so the
+     *   same seed and the same decisions replay the same fight. Fighters get their own random sources back when the
+     *   battle ends. Without one, fighters keep their own random sources.
+     */
+    constructor({ teams, maxRounds = 50, grid = null, rng = null } = {}) {
+        if (!Array.isArray(teams) || teams.length < 2 || teams.some(team => !Array.isArray(team) || team.length === 0)) {
+            throw new Error("Battle requires at least two non-empty teams.");
+        }
+        this.maxRounds = maxRounds;
+        this.grid = grid;
+        this.rng = rng ?? defaultRandom; // Random source for battle-level decisions (e.g., AI)
+        this.events = new EventEmitter();
+
+        // One entry per fighter: { character, team, slot, defeated, fled, ownRng }
+        this._combatants = teams.flatMap((team, teamIndex) => team.map((character, slot) => ({
+            character,
+            team: teamIndex,
+            slot,
+            defeated: character.resources.health <= 0,
+            fled: false,
+            ownRng: character.rng, // Restored when the battle ends
+        })));
+        if (rng) {
+            this._combatants.forEach(({ character }) => { character.rng = rng; });
+        }
+
+        this._round = 0;
+        this._queue = [];       // Combatants still waiting to act this round
+        this._started = false;
+        this._result = null;    // { winner, reason, rounds } once the battle is over
+        this.log = [];          // Action records: { round, actor, action, result }
+    }
+
+    // --- Accessors ---
+
+    /** Gets the current round number (0 before the battle starts). */
+    get round() { return this._round; }
+
+    /** Gets whether the battle has ended. */
+    get isOver() { return this._result !== null; }
+
+    /** Gets the battle result ({ winner, reason, rounds }), or null while ongoing. */
+    get result() { return this._result; }
+
+    /**
+     * Subscribes to a battle event (see BattleEvents).
+     * @param {string} event - The event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that unsubscribes the listener.
+     */
+    on(event, listener) {
+        return this.events.on(event, listener);
+    }
+
+    /**
+     * Gets the team index of a character.
+     * @param {Character} character - A fighter in this battle.
+     * @returns {number} The team index, or -1 if the character is not in this battle.
+     */
+    getTeam(character) {
+        return this._findCombatant(character)?.team ?? -1;
+    }
+
+    /**
+     * Gets the fighters still in the battle (not defeated and not fled).
+     * @param {number} [team] - Restrict to one team.
+     * @returns {Array<Character>} The active characters.
+     */
+    getActive(team) {
+        return this._combatants
+            .filter(combatant => this._isActive(combatant) && (team === undefined || combatant.team === team))
+            .map(combatant => combatant.character);
+    }
+
+    /**
+     * Gets the active opponents of a character.
+     * @param {Character} character - A fighter in this battle.
+     * @returns {Array<Character>} Active characters on other teams.
+     */
+    getOpponents(character) {
+        const team = this.getTeam(character);
+        return this._combatants
+            .filter(combatant => this._isActive(combatant) && combatant.team !== team)
+            .map(combatant => combatant.character);
+    }
+
+    /**
+     * Reads the power levels of a character's active opponents as that character perceives them.
+     * Decision makers (AI, UI) should use these readings instead of raw effectivePL values.
+     * @param {Character} character - A fighter in this battle.
+     * @returns {Array<{character: Character, reading: object}>} One reading per active opponent (see Character.readPowerLevel()).
+     */
+    getReadings(character) {
+        return this.getOpponents(character).map(opponent => ({ character: opponent, reading: character.readPowerLevel(opponent) }));
+    }
+
+    /**
+     * Gets the grid distance between two fighters.
+     * @param {Character} a - The first character.
+     * @param {Character} b - The second character.
+     * @returns {number|undefined} The distance in tiles, or undefined without a grid.
+     */
+    getDistance(a, b) {
+        return this.grid?.getDistance(a, b) ?? undefined;
+    }
+
+    /**
+     * Checks whether a target is within basic attack range of a character. Always true without a grid.
+     * @param {Character} character - The attacking character.
+     * @param {Character} target - The target character.
+     * @param {string|object} [damageType=ResistanceKeys.PHYSICAL] - The damage type of the basic attack.
+     * @returns {boolean} True if a basic attack can reach the target.
+     */
+    isInAttackRange(character, target, damageType = ResistanceKeys.PHYSICAL) {
+        return this._checkRange(character, target, getBasicAttackRange(damageType)) === null;
+    }
+
+    /**
+     * Builds the initiative order for the fighters still able to take a turn.
+     * Sorted by turn order (highest first); ties are broken by effective AGI, then team, then slot.
+     * @returns {Array<Character>} The characters in acting order.
+     */
+    getInitiativeOrder() {
+        return this._sortByInitiative(this._combatants.filter(combatant => this._isActive(combatant)))
+            .map(combatant => combatant.character);
+    }
+
+    // --- Battle Flow ---
+
+    /** Starts the battle. Called automatically by the first round if needed. */
+    start() {
+        if (this._started) return;
+        this._started = true;
+        this._combatants.forEach(({ character }) => character.inventory.startBattle());
+        console.log(`Battle started between ${this._countTeams()} teams.`);
+        this.events.emit(BattleEvents.BATTLE_START, {
+            teams: this._groupByTeam(this._combatants).map(team => team.map(combatant => combatant.character.name)),
+        });
+        this._checkForEnd();
+    }
+
+    /**
+     * Runs one full round: every active fighter takes one turn in initiative order.
+     * @param {Function} decide - Called as decide(character, battle) and returns the action to take.
+     * @param {Function} [react=null] - Called as react(defender, { attacker, action, battle }) before an attack or
+     *   technique is resolved and returns the defender's reaction (from ReactionKeys) or null. Without it, defenders do not react.
+     *   Against an energy technique the defender can instead fire back with { clash: skillId, pour } to start a beam
+     *   struggle, where pour(character, state) decides the ki each fighter pours in per round (see resolveBeamStruggle()).
+     */
+    runRound(decide, react = null) {
+        this.start();
+        if (this.isOver) return;
+
+        this._round++;
+        this._queue = this._combatants.filter(combatant => this._isActive(combatant));
+        this.events.emit(BattleEvents.ROUND_START, { round: this._round, order: this.getInitiativeOrder().map(c => c.name) });
+
+        while (this._queue.length > 0 && !this.isOver) {
+            // Re-sort before every turn so speed changes during the round take effect
+            this._queue = this._sortByInitiative(this._queue.filter(combatant => this._isActive(combatant)));
+            const combatant = this._queue.shift();
+            if (combatant) {
+                this._takeTurn(combatant, decide, react);
+            }
+        }
+
+        this.events.emit(BattleEvents.ROUND_END, { round: this._round });
+        if (!this.isOver && this._round >= this.maxRounds) {
+            this._end(null, 'maxRounds');
+        }
+    }
+
+    /**
+     * Runs rounds until the battle ends.
+     * @param {Function} decide - Called as decide(character, battle) and returns the action to take.
+     * @param {Function} [react=null] - Chooses defender reactions (see runRound()).
+     * @returns {object} The battle result ({ winner, reason, rounds }).
+     */
+    run(decide, react = null) {
+        while (!this.isOver) {
+            this.runRound(decide, react);
+        }
+        return this._result;
+    }
+
+    /**
+     * Processes a single turn: start-of-turn upkeep, then the chosen action.
+     * @private
+     */
+    _takeTurn(combatant, decide, react) {
+        const { character } = combatant;
+        this.events.emit(BattleEvents.TURN_START, { round: this._round, actor: character });
+
+        // Action-preventing effects are checked before ticking so a 1-turn stun still costs a turn
+        const canAct = character.canAct;
+        const upkeep = character.startTurn();
+        this._checkForDefeats();
+
+        if (this._isActive(combatant)) {
+            let action;
+            let result;
+            if (!canAct) {
+                action = { type: null };
+                result = { success: false, reason: `${character.name} cannot act.` };
+            } else {
+                action = decide(character, this) ?? { type: BattleActions.GUARD };
+                result = this._performAction(character, action, react);
+            }
+            this.log.push({ round: this._round, actor: character.name, action: action.type, result });
+            this.events.emit(BattleEvents.ACTION, { round: this._round, actor: character, action, result, upkeep });
+            this._checkForDefeats();
+        }
+
+        this.events.emit(BattleEvents.TURN_END, { round: this._round, actor: character });
+        this._checkForEnd();
+    }
+
+    /**
+     * Executes an action for a character.
+     * @private
+     */
+    _performAction(character, action, react = null) {
+        switch (action.type) {
+            case BattleActions.ATTACK: {
+                const damageType = action.damageType ?? ResistanceKeys.PHYSICAL;
+                const check = this._checkTarget(character, action.target)
+                    ?? this._checkRange(character, action.target, getBasicAttackRange(damageType));
+                if (check) return check;
+                const reaction = this._askReaction(react, character, action);
+                const attack = character.attack(action.target, { damageType, reaction: typeof reaction === 'string' ? reaction : null });
+                return { success: true, attack, ...this._resolveKnockback(character, action.target, attack) };
+            }
+            case BattleActions.SKILL: {
+                const check = this._checkTarget(character, action.target);
+                if (check) return check;
+                const distance = this.getDistance(character, action.target);
+                const reaction = this._askReaction(react, character, action);
+                if (reaction?.clash) {
+                    const { allowed, reason } = character.canBeamStruggle(action.skillId, action.target, reaction.clash, { distance });
+                    if (allowed) {
+                        return character.beamStruggle(action.skillId, action.target, reaction.clash, { distance, pour: reaction.pour });
+                    }
+                    console.warn(`${action.target.name} cannot fire back: ${reason}`);
+                }
+                const result = character.useSkill(action.skillId, action.target, {
+                    distance,
+                    reaction: typeof reaction === 'string' ? reaction : null,
+                });
+                return { ...result, ...this._resolveKnockback(character, action.target, result.attack) };
+            }
+            case BattleActions.CHARGE_KI:
+                return { success: true, kiGained: character.chargeKi() };
+            case BattleActions.GUARD: {
+                if (character.statusEffects.has(StatusEffectKeys.GUARD_BREAK)) {
+                    return { success: false, reason: `${character.name}'s guard is broken.` };
+                }
+                character.applyStatusEffect(StatusEffectKeys.GUARDING, { source: 'battle' });
+                return { success: true };
+            }
+            case BattleActions.MOVE:
+                if (!this.grid) {
+                    return { success: false, reason: 'This battle has no grid to move on.' };
+                }
+                return this.grid.moveCharacter(character, action.to);
+            case BattleActions.FLEE:
+                return this._attemptFlee(character);
+            case BattleActions.ITEM: {
+                const { allowed, reason } = character.inventory.canUse(action.itemId);
+                if (!allowed) return { success: false, reason };
+                return { success: true, restored: character.useItem(action.itemId) };
+            }
+            case BattleActions.TRANSFORM: {
+                const { allowed, reason } = character.transformations.canTransform(action.formId);
+                if (!allowed) return { success: false, reason };
+                return { success: character.transform(action.formId) };
+            }
+            default:
+                console.warn(`Unknown battle action: ${action.type}`);
+                return { success: false, reason: `Unknown action: ${action.type}` };
+        }
+    }
+
+    /**
+     * Asks the defender's controller for a reaction to an incoming attack. Counters are only possible
+     * within melee range on the grid. The reaction's cost is paid when the attack is resolved.
+     * @returns {string|object|null} The reaction (from ReactionKeys), a beam struggle response ({ clash, pour }), or null.
+     * @private
+     */
+    _askReaction(react, attacker, action) {
+        const defender = action.target;
+        const reaction = react?.(defender, { attacker, action, battle: this }) ?? null;
+        if (reaction === ReactionKeys.COUNTER && !this.isInAttackRange(defender, attacker)) {
+            console.warn(`${defender.name} is too far away to counter.`);
+            return null;
+        }
+        return reaction;
+    }
+
+    /**
+     * Validates that a target is an active opponent.
+     * @returns {object|null} A failed result, or null if the target is valid.
+     * @private
+     */
+    _checkTarget(character, target) {
+        if (!target || !this.getOpponents(character).includes(target)) {
+            return { success: false, reason: 'Invalid target.' };
+        }
+        return null;
+    }
+
+    /**
+     * Validates that a target is within a range band on the grid. Always passes without a grid.
+     * @returns {object|null} A failed result, or null if the target is in range.
+     * @private
+     */
+    _checkRange(character, target, range) {
+        if (this.grid && !this.grid.isInRange(character, target, range)) {
+            return { success: false, reason: 'Target is out of range.' };
+        }
+        return null;
+    }
+
+    /**
+     * Pushes the defender back after a landed hit and lets the attacker pursue with a follow-up
+     * basic attack. The follow-up can knock back again but cannot be pursued.
+     * @returns {object} { knockback, pursuit, followUp } (empty without a grid or knockback).
+     * @private
+     */
+    _resolveKnockback(attacker, defender, attack, { allowPursuit = true } = {}) {
+        if (!this.grid || !attack?.hit || attack.knockback <= 0) return {};
+
+        const knockback = this.grid.applyKnockback(attacker, defender, attack.knockback);
+        this._checkForDefeats();
+        if (!allowPursuit || knockback.moved === 0 || !this._isActive(this._findCombatant(defender))) {
+            return { knockback };
+        }
+
+        const pursuit = this.grid.attemptPursuit(attacker, defender);
+        if (!pursuit.success) {
+            return { knockback, pursuit };
+        }
+        const followUpAttack = attacker.attack(defender);
+        const followUp = { attack: followUpAttack, ...this._resolveKnockback(attacker, defender, followUpAttack, { allowPursuit: false }) };
+        return { knockback, pursuit, followUp };
+    }
+
+    /**
+     * Attempts to flee. The chance grows with turn order relative to the fastest opponent.
+     * @private
+     */
+    _attemptFlee(character) {
+        const fastestOpponent = Math.max(...this.getOpponents(character).map(opponent => opponent.derivedStats.turnOrder));
+        const chance = Math.max(MIN_FLEE_CHANCE, Math.min(0.5 + (character.derivedStats.turnOrder - fastestOpponent) / 100, MAX_FLEE_CHANCE));
+        if (character.rng.next() >= chance) {
+            console.log(`${character.name} failed to flee!`);
+            return { success: false, chance };
+        }
+        const combatant = this._findCombatant(character);
+        combatant.fled = true;
+        this.grid?.remove(character);
+        console.log(`${character.name} fled the battle!`);
+        this.events.emit(BattleEvents.COMBATANT_FLED, { character });
+        return { success: true, chance };
+    }
+
+    /**
+     * Marks newly defeated fighters.
+     * @private
+     */
+    _checkForDefeats() {
+        for (const combatant of this._combatants) {
+            if (!combatant.defeated && combatant.character.resources.health <= 0) {
+                combatant.defeated = true;
+                this.grid?.remove(combatant.character);
+                this.events.emit(BattleEvents.COMBATANT_DEFEATED, { character: combatant.character, team: combatant.team });
+            }
+        }
+    }
+
+    /**
+     * Ends the battle once at most one team has fighters left.
+     * @private
+     */
+    _checkForEnd() {
+        if (this.isOver) return;
+        const remainingTeams = [...new Set(this._combatants.filter(c => this._isActive(c)).map(c => c.team))];
+        if (remainingTeams.length === 1) {
+            this._end(remainingTeams[0], 'victory');
+        } else if (remainingTeams.length === 0) {
+            this._end(null, 'noFightersLeft');
+        }
+    }
+
+    /** @private */
+    _end(winner, reason) {
+        this._result = { winner, reason, rounds: this._round };
+        this._queue = [];
+        this._combatants.forEach(({ character, ownRng }) => {
+            character.inventory.endBattle();
+            character.rng = ownRng;
+        });
+        console.log(`Battle over after ${this._round} round(s). Winner: ${winner === null ? 'none' : `Team ${winner}`} (${reason})`);
+        this.events.emit(BattleEvents.BATTLE_END, this._result);
+    }
+
+    /** @private */
+    _sortByInitiative(combatants) {
+        return [...combatants].sort((a, b) =>
+            b.character.derivedStats.turnOrder - a.character.derivedStats.turnOrder
+            || b.character.baseStats.getEffectiveStat(StatKeys.AGI) - a.character.baseStats.getEffectiveStat(StatKeys.AGI)
+            || a.team - b.team
+            || a.slot - b.slot);
+    }
+
+    /** @private */
+    _isActive(combatant) {
+        return !combatant.defeated && !combatant.fled;
+    }
+
+    /** @private */
+    _findCombatant(character) {
+        return this._combatants.find(combatant => combatant.character === character);
+    }
+
+    /** @private */
+    _groupByTeam(combatants) {
+        const teams = [];
+        combatants.forEach(combatant => (teams[combatant.team] ??= []).push(combatant));
+        return teams;
+    }
+
+    /** @private */
+    _countTeams() {
+        return new Set(this._combatants.map(combatant => combatant.team)).size;
+    }
+}
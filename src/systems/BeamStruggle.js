@@ -0,0 +1,126 @@
+// src/systems/BeamStruggle.js
+
+import { BeamStruggleRules } from '../data/beamStruggle.js';
+import { TechniqueDefinitions } from '../data/techniques.js';
+import { ResistanceKeys, getPrimaryDamageType } from './Resistances.js';
+
+/**
+ * Checks whether a technique fires an energy beam that can collide with another one.
+ * @param {string} skillId - The key of the technique (from TechniqueKeys).
+ * @returns {boolean} True for energy techniques.
+ */
+function isEnergyTechnique(skillId) {
+    const technique = TechniqueDefinitions[skillId];
+    return !!technique?.damageType && getPrimaryDamageType(technique.damageType) === ResistanceKeys.ENERGY;
+}
+
+/**
+ * Calculates how hard a fighter pushes their beam in one push round (before variance).
+ * Scales with TEC and AURA, the fighter's current ki, their effective PL relative to the opponent's and any ki poured in.
+ * @param {Character} character - The pushing character.
+ * @param {Character} opponent - The opposing character.
+ * @param {number} [poured=0] - Ki poured into the beam this round.
+ * @returns {number} The push strength.
+ */
+function calculatePush(character, opponent, poured = 0) {
+    const { stats, kiWeight, plExponent, pour } = BeamStruggleRules;
+    const statPower = Object.entries(stats).reduce(
+        (total, [statKey, weight]) => total + weight * character.baseStats.getEffectiveStat(statKey),
+        0,
+    );
+    const { ki, maxKi } = character.resources;
+    const kiFactor = maxKi > 0 ? 1 + kiWeight * (ki / maxKi) : 1;
+    const pourFactor = maxKi > 0 ? 1 + pour.pushPerFraction * (poured / maxKi) : 1;
+
+    const ownPL = character.derivedStats.effectivePL;
+    const averagePL = (ownPL + opponent.derivedStats.effectivePL) / 2;
+    const plFactor = averagePL > 0 ? Math.pow(ownPL / averagePL, plExponent) : 1;
+
+    return statPower * kiFactor * plFactor * pourFactor;
+}
+
+/**
+ * Spends the ki a fighter chose to pour into their beam this round, capped by the per-round limit and their ki.
+ * @returns {number} The ki actually poured.
+ * @private
+ */
+function pourKi(character, requested) {
+    const limit = Math.floor(character.resources.maxKi * BeamStruggleRules.pour.maxFraction);
+    const amount = Math.floor(Math.max(0, Math.min(requested ?? 0, limit, character.resources.ki)));
+    if (amount <= 0 || !character.resources.useKi(amount)) {
+        return 0;
+    }
+    return amount;
+}
+
+/**
+ * Resolves a beam struggle between two colliding energy techniques.
+ * Both fighters push over several rounds (see BeamStruggleRules), optionally pouring extra ki in each round.
+ * The loser takes the combined power of both beams as energy damage, multiplied by the winner's critical hit
+ * roll (energy multipliers) and reduced by the loser's energy resistance (minus the tier's defense ignore).
+ * If neither side gains ground, the beams cancel out. Technique costs are paid by the caller.
+ * @param {Character} attacker - The character who fired first.
+ * @param {Character} defender - The character who fired back.
+ * @param {object} options - Struggle options.
+ * @param {string} options.attackerSkill - The attacker's energy technique (from TechniqueKeys).
+ * @param {string} options.defenderSkill - The defender's energy technique (from TechniqueKeys).
+ * @param {Function} [options.pour] - Called as pour(character, { round, position, opponent }) for each fighter every
+ *   round and returns the ki to pour in. position is from the attacker's side (positive = attacker winning).
+ * @returns {object} The struggle result: { attacker, defender, attackerPower, defenderPower, rounds, position,
+ *   winner, loser, tier, critMultiplier, defenseIgnore, raw, finalDamage, defeated }.
+ */
+function resolveBeamStruggle(attacker, defender, { attackerSkill, defenderSkill, pour = null } = {}) {
+    const { maxPushRounds, pushPerRound, variance } = BeamStruggleRules;
+    const result = {
+        attacker: attacker.name,
+        defender: defender.name,
+        attackerPower: attacker.skills.getPower(attackerSkill),
+        defenderPower: defender.skills.getPower(defenderSkill),
+        rounds: [],
+        position: 0,
+        winner: null,
+        loser: null,
+        tier: 'normal',
+        critMultiplier: 1,
+        defenseIgnore: 0,
+        raw: 0,
+        finalDamage: 0,
+        defeated: false,
+    };
+    console.log(`Beam struggle! ${attacker.name} and ${defender.name} clash.`);
+
+    // 1. Push rounds
+    for (let round = 1; round <= maxPushRounds && Math.abs(result.position) < 1; round++) {
+        const attackerPoured = pourKi(attacker, pour?.(attacker, { round, position: result.position, opponent: defender }));
+        const defenderPoured = pourKi(defender, pour?.(defender, { round, position: -result.position, opponent: attacker }));
+        const attackerPush = calculatePush(attacker, defender, attackerPoured) * (1 + (attacker.rng.next() * 2 - 1) * variance);
+        const defenderPush = calculatePush(defender, attacker, defenderPoured) * (1 + (defender.rng.next() * 2 - 1) * variance);
+        const total = attackerPush + defenderPush;
+        if (total > 0) {
+            result.position = Math.max(-1, Math.min(result.position + ((attackerPush - defenderPush) / total) * pushPerRound, 1));
+        }
+        result.rounds.push({ round, attackerPush, defenderPush, attackerPoured, defenderPoured, position: result.position });
+    }
+
+    if (result.position === 0) {
+        console.log('The beams cancel each other out!');
+        return result;
+    }
+
+    // 2. The winner's beam overpowers the loser's, carrying both at the loser
+    const [winner, loser] = result.position > 0 ? [attacker, defender] : [defender, attacker];
+    result.winner = winner.name;
+    result.loser = loser.name;
+    result.tier = winner.combatStats.rollCriticalHit();
+    result.critMultiplier = winner.combatStats.getCritMultiplier(result.tier, 'energy');
+    result.defenseIgnore = winner.combatStats.getCritDefenseIgnore(result.tier);
+    result.raw = Math.round((result.attackerPower + result.defenderPower) * result.critMultiplier);
+    const wasStanding = loser.resources.health > 0;
+    result.finalDamage = loser.takeDamage(result.raw, ResistanceKeys.ENERGY, { defenseIgnore: result.defenseIgnore });
+    result.defeated = wasStanding && loser.resources.health <= 0; // Only the blast that knocks the loser out counts
+
+    console.log(`${winner.name} wins the beam struggle (${result.tier})! ${loser.name} takes ${result.finalDamage} damage.`);
+    return result;
+}
+
+export { resolveBeamStruggle, calculatePush, isEnergyTechnique };
@@ -0,0 +1,399 @@
+// src/systems/CombatAI.js
+
+import { AIProfileKeys, AIActionKeys, AIProfileDefinitions, PerceivedRatios } from '../data/ai.js';
+import { TechniqueDefinitions } from '../data/techniques.js';
+import { TransformationKeys } from '../data/transformations.js';
+import { ItemDefinitions, ItemTypes } from '../data/items.js';
+import { ReactionKeys, ReactionDefinitions } from '../data/reactions.js';
+import { BeamStruggleRules } from '../data/beamStruggle.js';
+import { BattleActions } from './Battle.js';
+import { ResistanceKeys, getPrimaryDamageType } from './Resistances.js';
+import { StatusEffectKeys } from './StatusEffects.js';
+import { PerceptionMethods } from './Perception.js';
+import { calculateHitChance, getBasicAttackPower, getCritDamageType } from './AttackResolver.js';
+import { calculatePush, isEnergyTechnique } from './BeamStruggle.js';
+
+// Bonus value for an action expected to defeat its target
+const KILL_BONUS = 0.5;
+// Smallest expected damage (as a fraction of current health) worth spending resources to react to
+const MIN_REACTION_THREAT = 0.05;
+// Push ratio (own / incoming) the AI needs before firing back into a beam struggle
+const MIN_CLASH_PUSH_RATIO = 0.9;
+
+/**
+ * Estimates the damage an attack would deal, before variance: power scaled by the chance to hit,
+ * the average critical hit bonus (at the regular tier) and the target's resistance to the damage type.
+ * @param {Character} attacker - The attacking character.
+ * @param {Character} target - The target character.
+ * @param {number} power - Raw attack power.
+ * @param {string|object} [damageType=ResistanceKeys.PHYSICAL] - The damage type.
+ * @returns {number} The expected damage.
+ */
+function estimateDamage(attacker, target, power, damageType = ResistanceKeys.PHYSICAL) {
+    const { combatStats } = attacker;
+    const hitChance = calculateHitChance(combatStats.accuracy, target.combatStats.evasion);
+    const critBonus = Math.min(combatStats.critChance, 1) * (combatStats.getCritMultiplier('regular', getCritDamageType(damageType)) - 1);
+    const resistance = Math.min(target.resistances.getResistance(getPrimaryDamageType(damageType)), 1);
+    return power * hitChance * (1 + critBonus) * (1 - resistance);
+}
+
+/**
+ * Computer-controlled fighter. Scores every action available to its character this turn (attack, technique,
+ * charge ki, guard, transform, use item, move, retreat) from expected damage, remaining resources and the
+ * perceived power of its opponents, weighs the scores with a personality/difficulty profile and picks the best one.
+ * Profiles are defined as data in src/data/ai.js. Score noise comes from the battle's random source,
+ * so a seeded battle replays the same decisions.
+ * Opponents are judged from power level readings (Battle.getReadings()), never from their raw effective PL.
+ */
+class CombatAI {
+    /**
+     * Creates a new CombatAI.
+     * @param {Character} character - The character to control.
+     * @param {string} [profileId=AIProfileKeys.BRAWLER] - The profile (from AIProfileKeys).
+     */
+    constructor(character, profileId = AIProfileKeys.BRAWLER) {
+        if (!character) {
+            throw new Error("CombatAI requires a Character instance.");
+        }
+        if (!AIProfileDefinitions[profileId]) {
+            throw new Error(`Unknown AI profile: ${profileId}`);
+        }
+        this.character = character;
+        this.profileId = profileId;
+
+        this._phaseIndex = -1; // Index of the active profile phase, or -1 before the first phase
+    }
+
+    /** Gets the profile definition. */
+    get profile() { return AIProfileDefinitions[this.profileId]; }
+
+    /** Gets the active profile phase, or null. */
+    get phase() { return this.profile.phases[this._phaseIndex] ?? null; }
+
+    /** Gets the action weights for the active phase. */
+    get weights() { return { ...this.profile.weights, ...this.phase?.weights }; }
+
+    /**
+     * Enters the deepest phase whose health threshold the character has dropped below. Phases never revert.
+     * @private
+     */
+    _updatePhase() {
+        const { health, maxHealth } = this.character.resources;
+        const fraction = maxHealth > 0 ? health / maxHealth : 0;
+        this.profile.phases.forEach((phase, index) => {
+            if (index > this._phaseIndex && fraction < phase.healthBelow) {
+                this._phaseIndex = index;
+                console.log(`${this.character.name} enters the ${phase.name} phase!`);
+            }
+        });
+    }
+
+    /**
+     * Estimates each opponent's strength relative to the character from power level readings.
+     * Unreadable opponents are assumed to be even.
+     * @param {Battle} battle - The battle.
+     * @returns {Array<{character: Character, ratio: number, reading: object}>} One estimate per active opponent.
+     */
+    perceive(battle) {
+        const ownPL = this.character.derivedStats.effectivePL;
+        return battle.getReadings(this.character).map(({ character, reading }) => {
+            let ratio = 1;
+            if (reading.detected && reading.method === PerceptionMethods.SCOUTER && reading.value !== null) {
+                ratio = ownPL > 0 ? reading.value / ownPL : PerceivedRatios.farStronger;
+            } else if (reading.detected && reading.tier) {
+                ratio = PerceivedRatios[reading.tier] ?? 1;
+            }
+            return { character, ratio, reading };
+        });
+    }
+
+    /**
+     * Lists every action the character could take this turn with its base value and weighted score (before noise).
+     * @param {Battle} battle - The battle.
+     * @returns {Array<{category: string, action: object, value: number, score: number}>} The scored candidates.
+     */
+    getCandidates(battle) {
+        this._updatePhase();
+        const opponents = this.perceive(battle);
+        const threat = Math.max(0, ...opponents.map(opponent => opponent.ratio));
+        const weights = this.weights;
+
+        const candidates = [
+            ...this._offensiveCandidates(battle, opponents),
+            ...this._chargeCandidates(),
+            ...this._guardCandidates(threat),
+            ...this._transformCandidates(threat),
+            ...this._itemCandidates(),
+            ...this._retreatCandidates(threat),
+        ];
+        if (!candidates.some(candidate => candidate.category === AIActionKeys.ATTACK || candidate.category === AIActionKeys.SKILL)) {
+            candidates.push(...this._moveCandidates(battle, opponents));
+        }
+        return candidates.map(candidate => ({ ...candidate, score: candidate.value * (weights[candidate.category] ?? 0) }));
+    }
+
+    /**
+     * Chooses the action for this turn: the highest score plus noise from the battle's random source.
+     * @param {Battle} battle - The battle.
+     * @returns {object} The action (see BattleActions). Guards if nothing else is possible.
+     */
+    decide(battle) {
+        const { randomness } = this.profile;
+        let best = null;
+        let bestScore = -Infinity;
+        for (const candidate of this.getCandidates(battle)) {
+            if (candidate.score <= 0) continue;
+            const score = candidate.score + (battle.rng.next() * 2 - 1) * randomness;
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+        return best?.action ?? { type: BattleActions.GUARD };
+    }
+
+    /**
+     * Chooses how to react to an incoming attack or technique: fire back into a beam struggle against energy
+     * techniques the character can out-push, otherwise the best weighted reaction it can afford, or nothing
+     * when the hit is not worth the cost.
+     * @param {Character} attacker - The attacking character.
+     * @param {object} action - The incoming action (BattleActions.ATTACK or SKILL).
+     * @param {Battle} battle - The battle.
+     * @returns {string|object|null} A reaction (from ReactionKeys), a beam struggle response ({ clash, pour }), or null.
+     */
+    react(attacker, action, battle) {
+        const { reactions } = this.profile;
+        const clash = action.type === BattleActions.SKILL && reactions.clash > 0 ? this._chooseClash(attacker, action, battle) : null;
+        if (clash) return clash;
+
+        const power = action.type === BattleActions.SKILL
+            ? attacker.skills.getPower(action.skillId)
+            : getBasicAttackPower(attacker, action.damageType);
+        const damageType = action.type === BattleActions.SKILL
+            ? TechniqueDefinitions[action.skillId]?.damageType
+            : action.damageType ?? ResistanceKeys.PHYSICAL;
+        if (!damageType) return null; // Techniques without damage cannot be reacted to
+
+        const health = Math.max(this.character.resources.health, 1);
+        const threat = estimateDamage(attacker, this.character, power, damageType) / health;
+        if (threat < MIN_REACTION_THREAT) return null;
+
+        let best = null;
+        let bestScore = 0;
+        for (const reactionId in ReactionDefinitions) {
+            if (!(reactions[reactionId] > 0) || !this.character.reactions.canReact(reactionId).allowed) continue;
+            const score = reactions[reactionId] * this._reactionValue(reactionId)
+                + (battle.rng.next() * 2 - 1) * this.profile.randomness;
+            if (score > bestScore) {
+                best = reactionId;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Estimates how much of an incoming hit a reaction avoids (or pays back, for counters).
+     * @private
+     */
+    _reactionValue(reactionId) {
+        const { reactions } = this.character;
+        switch (reactionId) {
+            case ReactionKeys.GUARD: return reactions.guardReduction;
+            case ReactionKeys.DODGE: return ReactionDefinitions[ReactionKeys.DODGE].evasionBonus * 0.5;
+            case ReactionKeys.COUNTER: return reactions.counterChance * reactions.counterPower;
+            case ReactionKeys.VANISH: return 0.8;
+            default: return 0;
+        }
+    }
+
+    /**
+     * Picks an energy technique to fire back with if the character would out-push the attacker.
+     * Pours ki in while losing ground, as long as it stays above the profile's ki reserve.
+     * @private
+     */
+    _chooseClash(attacker, action, battle) {
+        if (!isEnergyTechnique(action.skillId)) return null;
+        const distance = battle.getDistance(attacker, this.character);
+        const skillId = this.character.skills.learnedSkills.map(({ id }) => id)
+            .filter(id => attacker.canBeamStruggle(action.skillId, this.character, id, { distance }).allowed)
+            .sort((a, b) => this.character.skills.getPower(b) - this.character.skills.getPower(a))[0];
+        if (!skillId) return null;
+        if (calculatePush(this.character, attacker) < calculatePush(attacker, this.character) * MIN_CLASH_PUSH_RATIO) return null;
+
+        const ai = this;
+        return {
+            clash: skillId,
+            pour(character, { position }) {
+                if (character !== ai.character || position >= 0) return 0;
+                const { ki, maxKi } = character.resources;
+                return Math.max(0, Math.min(maxKi * BeamStruggleRules.pour.maxFraction, ki - maxKi * ai.profile.kiReserve));
+            },
+        };
+    }
+
+    /**
+     * Basic attacks and damaging techniques against every opponent in range.
+     * @private
+     */
+    _offensiveCandidates(battle, opponents) {
+        const character = this.character;
+        const { ki, maxKi } = character.resources;
+        const candidates = [];
+        for (const { character: target } of opponents) {
+            const health = Math.max(target.resources.health, 1);
+            const valueOf = expected => Math.min(1, expected / health) + (expected >= health ? KILL_BONUS : 0);
+
+            // Ki users prefer quick ki shots, falling back to melee strikes when those cannot reach
+            const preferredType = this.profile.preferredRange > 1 ? ResistanceKeys.ENERGY : ResistanceKeys.PHYSICAL;
+            const attackType = [preferredType, ResistanceKeys.PHYSICAL].find(type => battle.isInAttackRange(character, target, type));
+            if (attackType) {
+                candidates.push({
+                    category: AIActionKeys.ATTACK,
+                    action: { type: BattleActions.ATTACK, target, damageType: attackType },
+                    value: valueOf(estimateDamage(character, target, getBasicAttackPower(character, attackType), attackType)),
+                });
+            }
+
+            const distance = battle.getDistance(character, target);
+            for (const { id: skillId } of character.skills.learnedSkills) {
+                const technique = TechniqueDefinitions[skillId];
+                if (!character.skills.canUse(skillId, { distance }).allowed) continue;
+                const cost = character.skills.getCost(skillId);
+                if (cost.ki > 0 && ki - cost.ki < maxKi * this.profile.kiReserve) continue;
+                const kiPenalty = maxKi > 0 ? (cost.ki / maxKi) * 0.5 : 0;
+                let value;
+                if (technique.damageType) {
+                    value = valueOf(estimateDamage(character, target, character.skills.getPower(skillId), technique.damageType));
+                } else if (technique.statusEffect && !target.statusEffects.has(technique.statusEffect.id)) {
+                    value = 0.3;
+                } else {
+                    continue;
+                }
+                candidates.push({
+                    category: AIActionKeys.SKILL,
+                    action: { type: BattleActions.SKILL, skillId, target },
+                    value: Math.max(0, value - kiPenalty),
+                });
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Charging ki, worth more the emptier the character's ki is.
+     * @private
+     */
+    _chargeCandidates() {
+        const { ki, maxKi, kiCeiling } = this.character.resources;
+        if (maxKi <= 0 || ki >= kiCeiling) return [];
+        const missing = Math.max(0, 1 - ki / maxKi);
+        return [{
+            category: AIActionKeys.CHARGE_KI,
+            action: { type: BattleActions.CHARGE_KI },
+            value: missing + (ki / maxKi < this.profile.thresholds.charge ? 0.5 : 0),
+        }];
+    }
+
+    /**
+     * Guarding, worth more when hurt and facing a stronger opponent.
+     * @private
+     */
+    _guardCandidates(threat) {
+        if (this.character.statusEffects.has(StatusEffectKeys.GUARD_BREAK)) return [];
+        const { health, maxHealth } = this.character.resources;
+        const fraction = health / maxHealth;
+        return [{
+            category: AIActionKeys.GUARD,
+            action: { type: BattleActions.GUARD },
+            value: Math.min(1, threat / 2) * (1 - fraction) + (fraction < this.profile.thresholds.guard ? 0.4 : 0),
+        }];
+    }
+
+    /**
+     * Transformations the character can use, worth more against stronger opponents. A phase's
+     * transformation is always taken as soon as possible.
+     * @private
+     */
+    _transformCandidates(threat) {
+        const { transformations } = this.character;
+        if (transformations.isTransformed) return [];
+        return Object.values(TransformationKeys)
+            .filter(formId => transformations.canTransform(formId).allowed)
+            .map(formId => ({
+                category: AIActionKeys.TRANSFORM,
+                action: { type: BattleActions.TRANSFORM, formId },
+                value: this.phase?.transform === formId ? 2 : 0.2 + 0.4 * Math.min(threat, 1),
+            }));
+    }
+
+    /**
+     * Consumables that restore what the character is missing. Healing is worth much more below the heal threshold.
+     * @private
+     */
+    _itemCandidates() {
+        const { inventory, resources } = this.character;
+        const missing = {
+            health: 1 - resources.health / resources.maxHealth,
+            ki: Math.max(0, 1 - resources.ki / resources.maxKi),
+            stamina: 1 - resources.stamina / resources.maxStamina,
+        };
+        const healBonus = resources.health / resources.maxHealth < this.profile.thresholds.heal ? 2 : 0.5;
+        return [...new Set(inventory.items.map(stack => stack.itemId))]
+            .filter(itemId => ItemDefinitions[itemId].type === ItemTypes.CONSUMABLE && inventory.canUse(itemId).allowed)
+            .map(itemId => {
+                const { restore } = ItemDefinitions[itemId];
+                return {
+                    category: AIActionKeys.ITEM,
+                    action: { type: BattleActions.ITEM, itemId },
+                    value: restore.health * missing.health * healBonus + restore.ki * missing.ki * 0.5 + restore.stamina * missing.stamina * 0.3,
+                };
+            });
+    }
+
+    /**
+     * Fleeing, only considered below the retreat threshold against an opponent at least as strong.
+     * @private
+     */
+    _retreatCandidates(threat) {
+        const { health, maxHealth } = this.character.resources;
+        if (health / maxHealth >= this.profile.thresholds.retreat || threat < 1) return [];
+        return [{ category: AIActionKeys.RETREAT, action: { type: BattleActions.FLEE }, value: 2 }];
+    }
+
+    /**
+     * Moving to the reachable tile closest to the profile's preferred range from the nearest opponent.
+     * Only considered on a grid when nothing is in range.
+     * @private
+     */
+    _moveCandidates(battle, opponents) {
+        if (!battle.grid || opponents.length === 0) return [];
+        const { grid } = battle;
+        const target = opponents
+            .map(({ character }) => character)
+            .sort((a, b) => grid.getDistance(this.character, a) - grid.getDistance(this.character, b))[0];
+        const targetPosition = grid.getPosition(target);
+        const gap = tile => Math.abs(Math.max(Math.abs(tile.x - targetPosition.x), Math.abs(tile.y - targetPosition.y)) - this.profile.preferredRange);
+
+        const current = gap(grid.getPosition(this.character));
+        const best = grid.getReachableTiles(this.character)
+            .sort((a, b) => gap(a) - gap(b) || a.cost - b.cost)[0];
+        if (!best || gap(best) >= current) return [];
+        return [{ category: AIActionKeys.MOVE, action: { type: BattleActions.MOVE, to: { x: best.x, y: best.y } }, value: 0.5 }];
+    }
+}
+
+/**
+ * Builds decide/react callbacks for Battle.run() from a set of AIs. Characters without an AI guard and never react.
+ * @param {Array<CombatAI>} ais - The AIs, one per controlled character.
+ * @returns {{decide: Function, react: Function}} Callbacks to pass to Battle.run(decide, react).
+ */
+function createAIController(ais) {
+    const byCharacter = new Map(ais.map(ai => [ai.character, ai]));
+    return {
+        decide: (character, battle) => byCharacter.get(character)?.decide(battle) ?? null,
+        react: (defender, { attacker, action, battle }) => byCharacter.get(defender)?.react(attacker, action, battle) ?? null,
+    };
+}
+
+export { CombatAI, createAIController, estimateDamage, AIProfileKeys, AIActionKeys };
@@ -1,4 +1,17 @@
-import { StatKeys } from './BaseStats.js'; // Assuming StatKeys might be useful
+import { CharacterEvents } from './EventEmitter.js';
+import { defaultRandom } from './Random.js';
+import { defaultBalance, evaluateFormula } from './Balance.js';
+
+// Define keys for combat stats (used as modifier targets)
+const CombatStatKeys = Object.freeze({
+    ACCURACY: 'accuracy',
+    EVASION: 'evasion',
+    CRIT_CHANCE: 'critChance',
+    CRIT_DAMAGE: 'critDamage',
+    ENERGY_CRIT_DAMAGE: 'energyCritDamage',
+    KNOCKBACK: 'knockback',
+    PURSUIT: 'pursuit',
+});
 
 /**
  * Manages combat-specific statistics derived from base stats and attributes.
@@ -9,14 +22,21 @@ class CharacterCombatStats {
      * @param {CharacterAttributes} attributes - The character's attributes instance.
      * @param {CharacterBaseStats} baseStats - The character's base stats instance.
      * @param {CharacterDerivedStats} derivedStats - The character's derived stats instance (optional, but potentially useful).
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (optional, applies status effect/form/equipment modifiers).
+     * @param {RandomGenerator} [rng=defaultRandom] - Random source for critical hit rolls.
+     * @param {BalanceConfig} [balance=defaultBalance] - Balance config with the combat stat formulas and crit tiers.
      */
-    constructor(attributes, baseStats, derivedStats = null) {
+    constructor(attributes, baseStats, derivedStats = null, modifiers = null, rng = defaultRandom, balance = defaultBalance) {
         if (!attributes || !baseStats) {
             throw new Error("CharacterCombatStats requires at least Attributes and BaseStats instances.");
         }
         this.attributes = attributes;
         this.baseStats = baseStats;
         this.derivedStats = derivedStats; // Store if provided
+        this.modifiers = modifiers; // Store if provided
+        this.rng = rng;
+        this.balance = balance;
+        this.events = null; // Character event emitter, linked via bindEvents()
 
         // --- Combat Stats ---
         this._accuracy = 0;       // Chance to hit opponent (e.g., vs Evasion)
@@ -27,44 +47,8 @@ class CharacterCombatStats {
         this._critDamage = 0;     // Damage multiplier on critical hit (Physical)
         this._energyCritDamage = 0; // Damage multiplier on critical hit (Energy)
         
-        // Critical hit tiers and their effects
-        this._critTiers = {
-            normal: { 
-                threshold: 0,      // 0% - No crit
-                physMultiplier: 1, 
-                energyMultiplier: 1,
-                defenseIgnore: 0,
-                guaranteedKnockback: false
-            },
-            regular: { 
-                threshold: 1,      // 1-100% - Regular crit
-                physMultiplier: 0, 
-                energyMultiplier: 0,
-                defenseIgnore: 0,
-                guaranteedKnockback: false
-            },
-            super: { 
-                threshold: 1.01,   // 101-200% - Super crit
-                physMultiplier: 0, 
-                energyMultiplier: 0,
-                defenseIgnore: 0.25,  // Ignores 25% defense
-                guaranteedKnockback: false
-            },
-            mega: { 
-                threshold: 2.01,   // 201-300% - Mega crit
-                physMultiplier: 0, 
-                energyMultiplier: 0,
-                defenseIgnore: 0.25,  // Ignores 25% defense
-                guaranteedKnockback: false
-            },
-            omega: { 
-                threshold: 3.01,   // 301%+ - OMEGA crit
-                physMultiplier: 0, 
-                energyMultiplier: 0,
-                defenseIgnore: 0.50,  // Ignores 50% defense
-                guaranteedKnockback: true // Always causes knockback
-            }
-        };
+        // Critical hit tiers and their effects (thresholds, defense ignore and knockback come from the balance config)
+        this._critTiers = {};
         
         this._knockback = 0;      // How far an attack pushes the opponent back
         this._pursuit = 0;        // Chance/Ability to follow up after knockback or certain moves
@@ -72,108 +56,112 @@ class CharacterCombatStats {
         this.updateAll(); // Calculate initial values
     }
 
-    // --- Calculation Methods (Placeholders) ---
+    /**
+     * Links the character's event emitter so combat stats recalculate on stat and status effect changes.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.STAT_CHANGED, () => this.handleStatChange());
+    }
+
+    // --- Calculation Methods ---
+    // Every formula is Base + stat contributions from the balance config, mostly on a diminishing returns
+    // curve: (stat / (stat + constant)) * max_bonus
 
-    /** Calculates the character's base accuracy using a diminishing returns formula. */
+    /**
+     * Evaluates a combat stat formula from the balance config.
+     * @param {string} statId - The combat stat key (from CombatStatKeys).
+     * @returns {number} The unmodified value.
+     * @private
+     */
+    _evaluate(statId) {
+        return evaluateFormula(this.balance.config.combat[statId], this.baseStats, this.attributes.level);
+    }
+
+    /** Calculates the character's base accuracy (Base 50, up to +50 from TEC and +25 from AGI by default). */
     calculateAccuracy() {
-        const tec = this.baseStats.getStat(StatKeys.TEC);
-        const agi = this.baseStats.getStat(StatKeys.AGI);
-        // Formula: Base + TEC Contribution + AGI Contribution
-        // Uses curve: (stat / (stat + constant)) * max_bonus
-        const baseAccuracy = 50;
-        const tecBonus = (tec / (tec + 60)) * 50; // Max +50 from TEC
-        const agiBonus = (agi / (agi + 120)) * 25; // Max +25 from AGI
-        this._accuracy = baseAccuracy + tecBonus + agiBonus;
+        this._accuracy = this._applyModifiers(CombatStatKeys.ACCURACY, this._evaluate(CombatStatKeys.ACCURACY));
         return this._accuracy;
     }
 
-    /** Calculates the character's base evasion using a diminishing returns formula. */
+    /** Calculates the character's base evasion (Base 35, up to +60 from AGI and +20 from AURA by default). */
     calculateEvasion() {
-        const agi = this.baseStats.getStat(StatKeys.AGI);
-        const aura = this.baseStats.getStat(StatKeys.AURA);
-        // Formula: Base + AGI Contribution + AURA Contribution
-        const baseEvasion = 35;
-        const agiBonus = (agi / (agi + 80)) * 60;   // Max +60 from AGI
-        const auraBonus = (aura / (aura + 150)) * 20; // Max +20 from AURA
-        this._evasion = baseEvasion + agiBonus + auraBonus;
+        this._evasion = this._applyModifiers(CombatStatKeys.EVASION, this._evaluate(CombatStatKeys.EVASION));
         return this._evasion;
     }
 
     /** 
      * Calculates the character's critical hit chance.
-     * This can exceed 100% to support tiered critical hits.
+     * This can exceed 100% to support tiered critical hits (TEC scales it linearly with no upper limit by default).
      */
     calculateCritChance() {
-        const tec = this.baseStats.getStat(StatKeys.TEC);
-        const baseCrit = 0.05; // 5% base
-        
-        // Formula: Base + TEC Contribution - can exceed 100% with no upper limit
-        // For TEC values up to about 150, behavior is similar to before
-        // Beyond that, it scales to support higher tier crits
-        const tecContribution = tec / 150;
-        this._critChance = baseCrit + tecContribution;
-        
+        this._critChance = this._applyModifiers(CombatStatKeys.CRIT_CHANCE, this._evaluate(CombatStatKeys.CRIT_CHANCE));
         return this._critChance;
     }
 
+    /**
+     * Rebuilds the critical hit tiers from the balance config. Damage multipliers are filled in by
+     * calculateCritDamage() and calculateEnergyCritDamage().
+     */
+    calculateCritTiers() {
+        const tiers = this.balance.config.combat.critTiers;
+        this._critTiers = {
+            normal: { threshold: 0, damageScale: 1, physMultiplier: 1, energyMultiplier: 1, defenseIgnore: 0, guaranteedKnockback: false },
+        };
+        for (const [tier, { threshold, damageScale, defenseIgnore, guaranteedKnockback }] of Object.entries(tiers)) {
+            this._critTiers[tier] = { threshold, damageScale, physMultiplier: 0, energyMultiplier: 0, defenseIgnore, guaranteedKnockback };
+        }
+        return this._critTiers;
+    }
+
     /** Calculates the character's critical hit damage multiplier (Physical). */
     calculateCritDamage() {
-        const str = this.baseStats.getStat(StatKeys.STR);
-        const baseMultiplier = 1.5; // 150% base damage
-        // Formula: Base + STR Contribution (curve approaching 3.5 max bonus -> 5.0 total)
-        const strBonus = (str / (str + 200)) * 3.5;
-        this._critDamage = baseMultiplier + strBonus;
+        this._critDamage = this._applyModifiers(CombatStatKeys.CRIT_DAMAGE, this._evaluate(CombatStatKeys.CRIT_DAMAGE));
         
-        // Set tier damage multipliers for physical
-        this._critTiers.normal.physMultiplier = 1.0; // Normal hits = 100% damage
-        this._critTiers.regular.physMultiplier = this._critDamage; // Regular crits = base crit damage
-        this._critTiers.super.physMultiplier = this._critDamage; // Super crits = base crit damage + defense ignore
-        this._critTiers.mega.physMultiplier = this._critDamage * 1.5; // Mega crits = 150% of crit damage + defense ignore
-        this._critTiers.omega.physMultiplier = this._critDamage * 2.0; // OMEGA crits = 200% of crit damage + defense ignore + knockback
+        // Set tier damage multipliers for physical (normal hits stay at 100%, crits scale the crit damage by tier)
+        for (const [tier, definition] of Object.entries(this._critTiers)) {
+            definition.physMultiplier = tier === 'normal' ? 1.0 : this._critDamage * definition.damageScale;
+        }
         
         return this._critDamage;
     }
 
     /** Calculates the character's critical hit damage multiplier (Energy). */
     calculateEnergyCritDamage() {
-        const tec = this.baseStats.getStat(StatKeys.TEC);
-        const baseMultiplier = 1.5; // 150% base damage
-        // Formula: Base + TEC Contribution (curve approaching 3.5 max bonus -> 5.0 total)
-        const tecBonus = (tec / (tec + 200)) * 3.5;
-        this._energyCritDamage = baseMultiplier + tecBonus;
+        this._energyCritDamage = this._applyModifiers(CombatStatKeys.ENERGY_CRIT_DAMAGE, this._evaluate(CombatStatKeys.ENERGY_CRIT_DAMAGE));
         
         // Set tier damage multipliers for energy
-        this._critTiers.normal.energyMultiplier = 1.0; // Normal hits = 100% damage
-        this._critTiers.regular.energyMultiplier = this._energyCritDamage; // Regular crits = base crit damage
-        this._critTiers.super.energyMultiplier = this._energyCritDamage; // Super crits = base crit damage + defense ignore
-        this._critTiers.mega.energyMultiplier = this._energyCritDamage * 1.5; // Mega crits = 150% of crit damage + defense ignore
-        this._critTiers.omega.energyMultiplier = this._energyCritDamage * 2.0; // OMEGA crits = 200% of crit damage + defense ignore + knockback
+        for (const [tier, definition] of Object.entries(this._critTiers)) {
+            definition.energyMultiplier = tier === 'normal' ? 1.0 : this._energyCritDamage * definition.damageScale;
+        }
         
         return this._energyCritDamage;
     }
 
-    /** Calculates the character's base knockback strength using a diminishing returns formula. */
+    /** Calculates the character's base knockback strength (Base 3, up to +12 from STR by default). */
     calculateKnockback() {
-        const str = this.baseStats.getStat(StatKeys.STR);
-        // Formula: Base + STR Contribution (curve approaching 12 max bonus -> 15 total)
-        const baseKnockback = 3;
-        const strBonus = (str / (str + 50)) * 12;
-        this._knockback = Math.floor(baseKnockback + strBonus);
+        this._knockback = Math.floor(this._applyModifiers(CombatStatKeys.KNOCKBACK, this._evaluate(CombatStatKeys.KNOCKBACK)));
         return this._knockback;
     }
 
-    /** Calculates the character's pursuit capability using a diminishing returns formula. */
+    /** Calculates the character's pursuit capability (Base 5, up to +30 from AGI and +15 from TEC by default). */
     calculatePursuit() {
-        const agi = this.baseStats.getStat(StatKeys.AGI);
-        const tec = this.baseStats.getStat(StatKeys.TEC);
-        // Formula: Base + AGI Contribution + TEC Contribution
-        const basePursuit = 5;
-        const agiBonus = (agi / (agi + 75)) * 30; // Max +30 from AGI
-        const tecBonus = (tec / (tec + 150)) * 15; // Max +15 from TEC
-        this._pursuit = Math.floor(basePursuit + agiBonus + tecBonus);
+        this._pursuit = Math.floor(this._applyModifiers(CombatStatKeys.PURSUIT, this._evaluate(CombatStatKeys.PURSUIT)));
         return this._pursuit;
     }
 
+    /**
+     * Applies the modifier stack to a calculated value.
+     * @param {string} statId - The combat stat key (from CombatStatKeys).
+     * @param {number} value - The unmodified value.
+     * @returns {number} The modified value (unchanged when no modifier stack is linked).
+     * @private
+     */
+    _applyModifiers(statId, value) {
+        return this.modifiers ? this.modifiers.apply(statId, value) : value;
+    }
+
     // --- Update & Getters ---
 
     /** Recalculates all combat stats. Should be called when base stats or attributes change. */
@@ -181,6 +169,7 @@ class CharacterCombatStats {
         this.calculateAccuracy();
         this.calculateEvasion();
         this.calculateCritChance();
+        this.calculateCritTiers();
         this.calculateCritDamage();
         this.calculateEnergyCritDamage();
         this.calculateKnockback();
@@ -291,7 +280,7 @@ class CharacterCombatStats {
     rollCriticalHit() {
         // First, check if we get a critical hit at all
         // This is capped at 100% chance
-        const critRoll = Math.random();
+        const critRoll = this.rng.next();
         if (critRoll > Math.min(this._critChance, 1.0)) {
             return 'normal'; // No critical hit
         }
@@ -302,7 +291,7 @@ class CharacterCombatStats {
             // Chance for OMEGA = excess percentage over threshold
             const omegaChance = (this._critChance - this._critTiers.omega.threshold + 0.01) / 
                                (this._critTiers.omega.threshold - this._critTiers.mega.threshold);
-            if (Math.random() <= Math.min(omegaChance, 1.0)) {
+            if (this.rng.next() <= Math.min(omegaChance, 1.0)) {
                 return 'omega';
             }
         }
@@ -312,7 +301,7 @@ class CharacterCombatStats {
             // Chance for Mega = excess percentage over threshold or 100% if past the next tier
             const megaChance = (this._critChance - this._critTiers.mega.threshold + 0.01) / 
                               (this._critTiers.mega.threshold - this._critTiers.super.threshold);
-            if (Math.random() <= Math.min(megaChance, 1.0)) {
+            if (this.rng.next() <= Math.min(megaChance, 1.0)) {
                 return 'mega';
             }
         }
@@ -322,7 +311,7 @@ class CharacterCombatStats {
             // Chance for Super = excess percentage over threshold or 100% if past the next tier
             const superChance = (this._critChance - this._critTiers.super.threshold + 0.01) / 
                                (this._critTiers.super.threshold - this._critTiers.regular.threshold);
-            if (Math.random() <= Math.min(superChance, 1.0)) {
+            if (this.rng.next() <= Math.min(superChance, 1.0)) {
                 return 'super';
             }
         }
@@ -350,4 +339,4 @@ class CharacterCombatStats {
 }
 
 // Export the class
-export { CharacterCombatStats };
+export { CharacterCombatStats, CombatStatKeys };
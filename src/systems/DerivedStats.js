@@ -1,18 +1,33 @@
 // src/systems/DerivedStats.js
 
 import { StatKeys } from './BaseStats.js';
-import { ResourceKeys } from './Resources.js';
+import { ResourceKeys, MAX_FATIGUE } from './Resources.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { TRANSFORMATION_SOURCE } from './Transformations.js';
+import { defaultBalance, evaluateFormula } from './Balance.js';
+
+// Define keys for derived stats (used as modifier targets)
+export const DerivedStatKeys = Object.freeze({
+    BASE_PL: 'basePL',
+    EFFECTIVE_PL: 'effectivePL',
+    MOVEMENT_RANGE: 'movementRange',
+    TURN_ORDER: 'turnOrder',
+});
 
 export class CharacterDerivedStats {
-    constructor(attributes, baseStats, resources) {
+    constructor(attributes, baseStats, resources, modifiers = null, balance = defaultBalance) {
         if (!attributes || !baseStats || !resources) {
             throw new Error("CharacterDerivedStats requires Attributes, BaseStats, and Resources instances.");
         }
         this.attributes = attributes;
         this.baseStats = baseStats;
         this.resources = resources;
+        this.modifiers = modifiers; // Optional, applies status effect/form/equipment modifiers
+        this.balance = balance; // Balance config with the PL weights and derived stat formulas
+        this.events = null; // Character event emitter, linked via bindEvents()
 
         // --- Calculated Values ---
+        this._theoreticalMaxPL = 0; // Highest Base PL reachable at the current level for the race (at 100% potential)
         this._basePL = 0;        // Power Level based purely on stats/potential
         this._effectivePL = 0;   // Power Level affected by current resources/fatigue/effects
         this._movementRange = 0; // How many units the character can move
@@ -21,34 +36,60 @@ export class CharacterDerivedStats {
         this.updateAll(); // Calculate initial values
     }
 
+    /**
+     * Links the character's event emitter: keeps derived stats in sync with stat, modifier
+     * and resource changes, and publishes recalculations.
+     * Must be bound after Resources so max values are up to date on STAT_CHANGED.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.STAT_CHANGED, () => this.handleStatChange());
+        events.on(CharacterEvents.RESOURCE_CHANGED, () => this.handleResourceChange());
+    }
+
+    /**
+     * Applies the modifier stack to a calculated value.
+     * @param {string} statId - The derived stat key (from DerivedStatKeys).
+     * @param {number} value - The unmodified value.
+     * @returns {number} The modified value (unchanged when no modifier stack is linked).
+     * @private
+     */
+    _applyModifiers(statId, value) {
+        return this.modifiers ? this.modifiers.apply(statId, value) : value;
+    }
+
     // --- Calculation Methods ---
 
+    /**
+     * Calculates the theoretical max Base PL for the character's level and race.
+     * @returns {number} The Base PL a character at 100% potential could reach.
+     */
+    calculateTheoreticalMaxPL() {
+        const raceCeiling = this.attributes.raceTraits?.plCeiling ?? 1;
+        const { ceiling } = this.balance.config.powerLevel;
+        this._theoreticalMaxPL = Math.floor((ceiling.base + ceiling.perLevel * this.attributes.level) * raceCeiling);
+        return this._theoreticalMaxPL;
+    }
+
     // Calculate Base Power Level (PL)
-    // This represents the character's innate power based on stats, modified by potential.
+    // This represents the character's innate power based on stats, capped by potential:
+    // potential is the fraction of the theoretical max PL the character can currently reach.
     calculateBasePL() {
         const stats = this.baseStats;
         const potential = this.attributes.potential;
+        const ceiling = this.calculateTheoreticalMaxPL() * potential;
+
+        // Weighted sum of effective stats (weights from the balance config)
+        // A form's stat boosts are left out: forms scale Base PL by exactly their plMultiplier instead
+        const rawPL = Object.entries(this.balance.config.powerLevel.weights)
+            .reduce((total, [statKey, weight]) => total + stats.getEffectiveStat(statKey, { exclude: [TRANSFORMATION_SOURCE] }) * weight, 0);
 
-        // Weighted sum of base stats - Adjust weights as needed for balance
-        const rawPL = (
-            // HP, KI, STA currently don't directly contribute. Their influence is via other stats.
-            stats.getStat(StatKeys.STR) * 1.8 + // Strength is a major component
-            stats.getStat(StatKeys.VIT) * 0.5 + // Vitality adds some toughness/resilience contributing to PL
-            stats.getStat(StatKeys.TEC) * 1.5 + // Technique is important for combat effectiveness
-            stats.getStat(StatKeys.WIS) * 0.3 + // Wisdom has minor contribution
-            stats.getStat(StatKeys.AURA) * 0.4 + // Aura contributes moderately
-            stats.getStat(StatKeys.AGI) * 1.0   // Agility contributes
-        );
-
-        // Apply potential multiplier.
-        // TODO: Revisit how Potential Cap works. Does potential simply multiply the raw calculation,
-        // or does it set a ceiling based on a theoretical max PL? Current implementation is multiplication.
-        // Memory states "Potential% caps Base PL", which implies a ceiling.
-        // Example ceiling logic: theoreticalMaxPL = calculateMaxPossiblePL();
-        // this._basePL = Math.min(Math.floor(rawPL), Math.floor(theoreticalMaxPL * potential));
-        this._basePL = Math.floor(rawPL * potential); // Current simple multiplication approach
-
-        console.log(`Calculated Base PL: ${this._basePL} (Raw: ${Math.floor(rawPL)}, Potential: ${potential * 100}%)`);
+        // Potential% caps Base PL: stats beyond the ceiling are latent until potential is unlocked.
+        // Transformations then multiply it through the modifier stack.
+        this._basePL = Math.floor(this._applyModifiers(DerivedStatKeys.BASE_PL, Math.min(rawPL, ceiling)));
+
+        console.log(`Calculated Base PL: ${this._basePL} (Raw: ${Math.floor(rawPL)}, Ceiling: ${Math.floor(ceiling)}, Potential: ${potential * 100}%)`);
         return this._basePL;
     }
 
@@ -58,39 +99,39 @@ export class CharacterDerivedStats {
         const healthPercent = this.resources.maxHealth > 0 ? this.resources[ResourceKeys.HEALTH] / this.resources.maxHealth : 0;
         const kiPercent = this.resources.maxKi > 0 ? this.resources[ResourceKeys.KI] / this.resources.maxKi : 0;
         const staminaPercent = this.resources.maxStamina > 0 ? this.resources[ResourceKeys.STAMINA] / this.resources.maxStamina : 0;
-        const fatigue = this.resources[ResourceKeys.FATIGUE]; // Assume 0-100 scale
+        const fatigue = this.resources[ResourceKeys.FATIGUE]; // 0 to MAX_FATIGUE
 
-        // Weights are examples, tune for balance.
+        // Each resource costs up to its share of PL when empty (shares from the balance config)
+        const penalties = this.balance.config.powerLevel.effective;
         let modifier = 1.0;
-        modifier *= (0.5 + healthPercent * 0.5);  // Health impact (50% base, scales up to 100%)
-        modifier *= (0.8 + kiPercent * 0.2);      // Ki impact (80% base, scales up to 100%)
-        modifier *= (0.7 + staminaPercent * 0.3); // Stamina impact (70% base, scales up to 100%)
-        modifier *= (1.0 - (fatigue / 200));      // Fatigue reduction (100 fatigue = 0.5x modifier)
-
-        // TODO: Incorporate status effects (buffs/debuffs) here.
-        // TODO: Incorporate transformations here.
+        modifier *= (1 - penalties.health) + healthPercent * penalties.health;    // Health impact
+        modifier *= (1 - penalties.ki) + kiPercent * penalties.ki;                // Ki impact
+        modifier *= (1 - penalties.stamina) + staminaPercent * penalties.stamina; // Stamina impact
+        modifier *= 1.0 - (fatigue / MAX_FATIGUE) * penalties.fatigue;            // Fatigue reduction
 
-        this._effectivePL = Math.max(0, Math.floor(this._basePL * modifier)); // Ensure PL doesn't go below 0
+        // Status effects, etc. apply through the modifier stack
+        this._effectivePL = Math.max(0, Math.floor(this._applyModifiers(DerivedStatKeys.EFFECTIVE_PL, this._basePL * modifier))); // Ensure PL doesn't go below 0
         console.log(`Calculated Effective PL: ${this._effectivePL} (Base: ${this._basePL}, Modifier: ${modifier.toFixed(3)})`);
         return this._effectivePL;
     }
 
     // Calculate Movement Range (e.g., in grid units or pixels)
     calculateMovementRange() {
-        const agi = this.baseStats.getStat(StatKeys.AGI);
-        // Formula: Base range + AGI bonus. Tune base and divisor as needed.
-        this._movementRange = Math.floor(3 + agi / 10);
+        // Formula: Base range + AGI bonus (from the balance config)
+        const range = evaluateFormula(this.balance.config.derived.movementRange, this.baseStats, this.attributes.level);
+        this._movementRange = Math.floor(this._applyModifiers(DerivedStatKeys.MOVEMENT_RANGE, range));
         console.log(`Calculated Movement Range: ${this._movementRange}`);
         return this._movementRange;
     }
 
     // Calculate Turn Order value (Initiative)
     calculateTurnOrder() {
-        const agi = this.baseStats.getStat(StatKeys.AGI);
-        const tec = this.baseStats.getStat(StatKeys.TEC);
-        // Formula: Primarily AGI, with a contribution from TEC.
-        // TODO: Incorporate status effects (haste/slow) here.
-        this._turnOrder = Math.floor(agi + tec * 0.5);
+        const agi = this.baseStats.getEffectiveStat(StatKeys.AGI);
+        const tec = this.baseStats.getEffectiveStat(StatKeys.TEC);
+        // Formula: Primarily AGI, with a contribution from TEC (from the balance config).
+        // Status effects (haste/slow) apply through the modifier stack.
+        const turnOrder = evaluateFormula(this.balance.config.derived.turnOrder, this.baseStats, this.attributes.level);
+        this._turnOrder = Math.floor(this._applyModifiers(DerivedStatKeys.TURN_ORDER, turnOrder));
         console.log(`Calculated Turn Order: ${this._turnOrder} (AGI: ${agi}, TEC: ${tec})`);
         return this._turnOrder;
     }
@@ -106,11 +147,18 @@ export class CharacterDerivedStats {
         this.calculateTurnOrder();
         // Add calls for any new derived stats here
         console.log("Derived Stats Updated.");
+        this.events?.emit(CharacterEvents.DERIVED_UPDATED, {});
     }
 
     /** Gets the current Base Power Level. */
     get basePL() { return this._basePL; }
 
+    /** Gets the theoretical max Base PL for the current level and race (at 100% potential). */
+    get theoreticalMaxPL() { return this._theoreticalMaxPL; }
+
+    /** Gets the Base PL ceiling set by the current potential. */
+    get basePLCeiling() { return Math.floor(this._theoreticalMaxPL * this.attributes.potential); }
+
     /** Gets the current Effective Power Level. */
     get effectivePL() { return this._effectivePL; }
 
@@ -139,5 +187,6 @@ export class CharacterDerivedStats {
         console.log("DerivedStats detected resource change, updating Effective PL...");
         this.calculateEffectivePL(); // Only recalculate what's needed
         // If other derived stats depend on current resources, recalculate them here too.
+        this.events?.emit(CharacterEvents.DERIVED_UPDATED, {});
     }
 }
@@ -0,0 +1,170 @@
+// src/systems/Equipment.js
+
+import { EquipmentSlots, EquipmentKeys, EquipmentDefinitions } from '../data/equipment.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { ModifierTypes } from './Modifiers.js';
+
+// Source id prefix used when registering modifiers (one source per slot, e.g., 'equipment:armor')
+const EQUIPMENT_SOURCE = 'equipment';
+
+// Define keys for equipment stats (used as modifier targets)
+const EquipmentStatKeys = Object.freeze({
+    TRAINING_GAIN: 'trainingGain', // Multiplier for training gains (weighted gear raises it)
+});
+
+/**
+ * Manages the items a character has equipped, one per slot (gi, weighted clothing, armor, scouter, accessory).
+ * Items are defined as data in src/data/equipment.js. While equipped, an item's stat modifiers,
+ * resistances and training gain are registered on the modifier stack under 'equipment:<slot>',
+ * so resources, derived stats, combat stats and resistances recalculate on every equip/unequip.
+ */
+class CharacterEquipment {
+    /**
+     * Creates an instance of CharacterEquipment.
+     * @param {CharacterAttributes} attributes - The character's attributes instance (for requirements).
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (for item modifiers).
+     */
+    constructor(attributes, modifiers) {
+        if (!attributes || !modifiers) {
+            throw new Error("CharacterEquipment requires Attributes and Modifiers instances.");
+        }
+        this.attributes = attributes;
+        this.modifiers = modifiers;
+
+        this._slots = {}; // Equipped item ids keyed by slot
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so equipment changes are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /**
+     * Checks whether the character can equip an item.
+     * @param {string} itemId - The key of the item (from EquipmentKeys).
+     * @returns {{allowed: boolean, reason: string|null}} Whether the item can be equipped and, if not, why.
+     */
+    canEquip(itemId) {
+        const item = EquipmentDefinitions[itemId];
+        if (!item) {
+            return { allowed: false, reason: `Unknown equipment: ${itemId}` };
+        }
+        if (item.races && !item.races.includes(this.attributes.race)) {
+            return { allowed: false, reason: `${item.name} cannot be worn by the ${this.attributes.race} race.` };
+        }
+        if (this.attributes.level < item.minLevel) {
+            return { allowed: false, reason: `${item.name} requires Level ${item.minLevel}.` };
+        }
+        if (this._slots[item.slot] === itemId) {
+            return { allowed: false, reason: `${item.name} is already equipped.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Equips an item in its slot, replacing whatever was equipped there.
+     * @param {string} itemId - The key of the item (from EquipmentKeys).
+     * @returns {boolean} True if the item was equipped.
+     */
+    equip(itemId) {
+        const { allowed, reason } = this.canEquip(itemId);
+        if (!allowed) {
+            console.warn(`Cannot equip: ${reason}`);
+            return false;
+        }
+        const item = EquipmentDefinitions[itemId];
+        const previousId = this._slots[item.slot] ?? null;
+        this._activate(itemId);
+        console.log(`Equipped ${item.name}${previousId ? ` (replacing ${EquipmentDefinitions[previousId].name})` : ''}.`);
+        this.events?.emit(CharacterEvents.EQUIPMENT_CHANGED, { slot: item.slot, itemId, previousId });
+        return true;
+    }
+
+    /**
+     * Removes the item equipped in a slot.
+     * @param {string} slot - The slot (from EquipmentSlots).
+     * @returns {boolean} True if an item was removed.
+     */
+    unequip(slot) {
+        const previousId = this._slots[slot];
+        if (!previousId) {
+            console.warn(`Cannot unequip: Nothing is equipped in the ${slot} slot.`);
+            return false;
+        }
+        delete this._slots[slot];
+        this.modifiers.removeBySource(`${EQUIPMENT_SOURCE}:${slot}`);
+        console.log(`Unequipped ${EquipmentDefinitions[previousId].name}.`);
+        this.events?.emit(CharacterEvents.EQUIPMENT_CHANGED, { slot, itemId: null, previousId });
+        return true;
+    }
+
+    /**
+     * Puts an item in its slot and registers its modifiers.
+     * @param {string} itemId - The key of the item.
+     * @private
+     */
+    _activate(itemId) {
+        const item = EquipmentDefinitions[itemId];
+        this._slots[item.slot] = itemId;
+        const modifiers = [
+            ...item.modifiers,
+            ...Object.entries(item.resistances).map(([statId, value]) => ({ statId, type: ModifierTypes.FLAT, value })),
+        ];
+        if (item.trainingGain) {
+            modifiers.push({ statId: EquipmentStatKeys.TRAINING_GAIN, type: ModifierTypes.PERCENT, value: item.trainingGain });
+        }
+        this.modifiers.setSource(`${EQUIPMENT_SOURCE}:${item.slot}`, modifiers);
+    }
+
+    /**
+     * Gets the item equipped in a slot.
+     * @param {string} slot - The slot (from EquipmentSlots).
+     * @returns {string|null} The item id, or null if the slot is empty.
+     */
+    getEquipped(slot) {
+        return this._slots[slot] ?? null;
+    }
+
+    /** Gets the equipped item ids keyed by slot (empty slots are omitted). */
+    get equipped() { return { ...this._slots }; }
+
+    /** Gets the total weight of the equipped items in kg. */
+    get totalWeight() {
+        return Object.values(this._slots).reduce((total, itemId) => total + EquipmentDefinitions[itemId].weight, 0);
+    }
+
+    /** Gets the multiplier applied to training gains (1.0 without weighted gear). */
+    get trainingMultiplier() { return this.modifiers.apply(EquipmentStatKeys.TRAINING_GAIN, 1); }
+
+    /**
+     * Returns the equipped items for saving.
+     * @returns {object} { slots }.
+     */
+    toJSON() {
+        return { slots: { ...this._slots } };
+    }
+
+    /**
+     * Restores saved equipment without checking requirements. Unknown items are skipped.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ slots = {} } = {}) {
+        for (const slot of Object.keys(this._slots)) {
+            this.unequip(slot);
+        }
+        for (const itemId of Object.values(slots)) {
+            if (!EquipmentDefinitions[itemId]) {
+                console.warn(`Skipping unknown saved equipment: ${itemId}`);
+                continue;
+            }
+            this._activate(itemId);
+        }
+    }
+}
+
+export { CharacterEquipment, EquipmentSlots, EquipmentKeys, EquipmentStatKeys };
@@ -0,0 +1,92 @@
+// src/systems/EventEmitter.js
+
+// Define keys for character events for consistency
+export const CharacterEvents = Object.freeze({
+    STAT_CHANGED: 'statChanged',         // Base stats, stat multipliers, level or potential changed
+    XP_GAINED: 'xpGained',               // XP was added
+    XP_LOST: 'xpLost',                   // XP was removed (e.g., a defeat penalty)
+    LEVEL_UP: 'levelUp',                 // The character gained a level
+    LEVEL_DOWN: 'levelDown',             // The character lost a level
+    RESOURCE_CHANGED: 'resourceChanged', // Current health/ki/stamina/fatigue changed
+    DEFEATED: 'defeated',                // Health reached 0
+    STATUS_CHANGED: 'statusChanged',     // A status effect was applied, updated or removed
+    FORM_CHANGED: 'formChanged',         // Transformed or reverted
+    SKILL_LEARNED: 'skillLearned',       // A technique was learned or upgraded
+    EQUIPMENT_CHANGED: 'equipmentChanged', // An item was equipped or unequipped
+    INVENTORY_CHANGED: 'inventoryChanged', // Items were added, removed or moved in/out of a capsule
+    ITEM_USED: 'itemUsed',               // A consumable was used
+    DERIVED_UPDATED: 'derivedUpdated',   // Derived stats (PL, turn order, ...) were recalculated
+    POTENTIAL_UNLOCKED: 'potentialUnlocked', // A potential unlock event raised potential
+    EXHAUSTION_CHANGED: 'exhaustionChanged', // Fatigue crossed an exhaustion threshold
+    RESTED: 'rested',                    // The character rested, slept or meditated
+    SUPPRESSION_CHANGED: 'suppressionChanged', // The character suppressed or released their power level
+    SCOUTER_OVERLOADED: 'scouterOverloaded', // A power level reading overloaded and destroyed the equipped scouter
+    REACTED: 'reacted',                  // The character reacted to an incoming attack (guard, dodge, counter, vanish)
+});
+
+/**
+ * Minimal synchronous event emitter.
+ * Each Character owns one instance that all of its systems publish to and subscribe on,
+ * and that UI/scenes can listen to. Listeners run in subscription order.
+ */
+export class EventEmitter {
+    constructor() {
+        this._listeners = new Map(); // Event name -> array of listeners
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} event - The event name (e.g., from CharacterEvents).
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that unsubscribes the listener.
+     */
+    on(event, listener) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, []);
+        }
+        this._listeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribes to an event for a single emission.
+     * @param {string} event - The event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} A function that unsubscribes the listener.
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribes a listener from an event.
+     * @param {string} event - The event name.
+     * @param {Function} listener - The listener to remove.
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Emits an event to all current listeners.
+     * @param {string} event - The event name.
+     * @param {object} [payload={}] - Data passed to each listener.
+     */
+    emit(event, payload = {}) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+        // Copy so listeners can unsubscribe while the event is being dispatched
+        for (const listener of [...listeners]) {
+            listener(payload);
+        }
+    }
+}
@@ -0,0 +1,387 @@
+// src/systems/Grid.js
+
+import { ResistanceKeys } from './Resistances.js';
+import { TerrainKeys, TerrainDefinitions } from '../data/terrain.js';
+
+// Fraction of max health dealt to both fighters when one is knocked back into the other, per remaining tile
+const FIGHTER_COLLISION_DAMAGE = 0.04;
+// Fraction of max health dealt when knocked back off the edge of the map, per remaining tile
+const EDGE_COLLISION_DAMAGE = TerrainDefinitions[TerrainKeys.WALL].collisionDamage;
+
+// The eight neighbouring directions (movement and knockback are 8-directional)
+const DIRECTIONS = [
+    { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+    { x: 1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: 1 }, { x: -1, y: -1 },
+];
+
+/**
+ * Gets the distance between two tiles. Diagonal steps count as one tile (Chebyshev distance).
+ * @param {object} from - The first tile ({ x, y }).
+ * @param {object} to - The second tile ({ x, y }).
+ * @returns {number} The distance in tiles.
+ */
+function getGridDistance(from, to) {
+    return Math.max(Math.abs(from.x - to.x), Math.abs(from.y - to.y));
+}
+
+/**
+ * Tactical battle grid: terrain, fighter positions, movement, range checks and knockback.
+ * Positions are { x, y } tiles with (0, 0) in the top-left corner.
+ */
+class BattleGrid {
+    /**
+     * Creates a new BattleGrid.
+     * @param {object} config - Grid configuration.
+     * @param {number} config.width - Width in tiles.
+     * @param {number} config.height - Height in tiles.
+     * @param {Array<Array<string>>} [config.terrain] - Terrain rows (terrain[y][x], from TerrainKeys). Defaults to all plain.
+     */
+    constructor({ width, height, terrain = [] } = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new Error("BattleGrid requires a positive integer width and height.");
+        }
+        this.width = width;
+        this.height = height;
+
+        this._terrain = Array.from({ length: height }, (_, y) =>
+            Array.from({ length: width }, (_, x) => terrain[y]?.[x] ?? TerrainKeys.PLAIN));
+        for (const row of this._terrain) {
+            const unknown = row.find(key => !TerrainDefinitions[key]);
+            if (unknown) {
+                throw new Error(`Unknown terrain type: ${unknown}`);
+            }
+        }
+
+        this._positions = new Map(); // Character -> { x, y }
+        this._occupants = new Map(); // 'x,y' -> Character
+    }
+
+    // --- Terrain ---
+
+    /**
+     * Checks whether a tile is inside the grid.
+     * @param {object} tile - The tile ({ x, y }).
+     * @returns {boolean} True if the tile is inside the grid.
+     */
+    isInBounds({ x, y }) {
+        return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    /**
+     * Gets the terrain of a tile.
+     * @param {object} tile - The tile ({ x, y }).
+     * @returns {string|null} The terrain key, or null if the tile is out of bounds.
+     */
+    getTerrain(tile) {
+        return this.isInBounds(tile) ? this._terrain[tile.y][tile.x] : null;
+    }
+
+    /**
+     * Changes the terrain of a tile.
+     * @param {object} tile - The tile ({ x, y }).
+     * @param {string} terrainKey - The new terrain (from TerrainKeys).
+     * @returns {boolean} True if the terrain was changed.
+     */
+    setTerrain(tile, terrainKey) {
+        if (!this.isInBounds(tile) || !TerrainDefinitions[terrainKey]) {
+            console.warn(`Cannot set terrain ${terrainKey} at (${tile.x}, ${tile.y}).`);
+            return false;
+        }
+        if (TerrainDefinitions[terrainKey].moveCost === null && this.getOccupant(tile)) {
+            console.warn(`Cannot place impassable terrain on an occupied tile (${tile.x}, ${tile.y}).`);
+            return false;
+        }
+        this._terrain[tile.y][tile.x] = terrainKey;
+        return true;
+    }
+
+    /**
+     * Gets the movement cost of entering a tile.
+     * @param {object} tile - The tile ({ x, y }).
+     * @returns {number|null} The movement cost, or null if the tile is impassable or out of bounds.
+     */
+    getMoveCost(tile) {
+        const terrain = this.getTerrain(tile);
+        return terrain ? TerrainDefinitions[terrain].moveCost : null;
+    }
+
+    // --- Occupancy ---
+
+    /**
+     * Places a character on a tile.
+     * @param {Character} character - The character to place.
+     * @param {object} tile - The tile ({ x, y }).
+     * @returns {boolean} True if the character was placed.
+     */
+    place(character, tile) {
+        if (this.getMoveCost(tile) === null) {
+            console.warn(`Cannot place ${character.name} on impassable tile (${tile.x}, ${tile.y}).`);
+            return false;
+        }
+        const occupant = this.getOccupant(tile);
+        if (occupant && occupant !== character) {
+            console.warn(`Cannot place ${character.name}: (${tile.x}, ${tile.y}) is occupied by ${occupant.name}.`);
+            return false;
+        }
+        this.remove(character);
+        this._positions.set(character, { x: tile.x, y: tile.y });
+        this._occupants.set(this._getTileKey(tile), character);
+        return true;
+    }
+
+    /**
+     * Removes a character from the grid (e.g., when defeated or fled).
+     * @param {Character} character - The character to remove.
+     * @returns {boolean} True if the character was on the grid.
+     */
+    remove(character) {
+        const position = this._positions.get(character);
+        if (!position) return false;
+        this._occupants.delete(this._getTileKey(position));
+        this._positions.delete(character);
+        return true;
+    }
+
+    /**
+     * Gets the position of a character.
+     * @param {Character} character - The character.
+     * @returns {object|null} A copy of the position ({ x, y }), or null if the character is not on the grid.
+     */
+    getPosition(character) {
+        const position = this._positions.get(character);
+        return position ? { ...position } : null;
+    }
+
+    /**
+     * Gets the character standing on a tile.
+     * @param {object} tile - The tile ({ x, y }).
+     * @returns {Character|null} The occupant, or null if the tile is empty.
+     */
+    getOccupant(tile) {
+        return this._occupants.get(this._getTileKey(tile)) ?? null;
+    }
+
+    /**
+     * Gets the distance between two characters on the grid.
+     * @param {Character} a - The first character.
+     * @param {Character} b - The second character.
+     * @returns {number|null} The distance in tiles, or null if either is not on the grid.
+     */
+    getDistance(a, b) {
+        const from = this._positions.get(a);
+        const to = this._positions.get(b);
+        return from && to ? getGridDistance(from, to) : null;
+    }
+
+    /**
+     * Checks whether a target is within a range band of an attacker.
+     * @param {Character} attacker - The attacking character.
+     * @param {Character} target - The target character.
+     * @param {object} range - The range band ({ min, max }).
+     * @returns {boolean} True if both are on the grid and the target is in range.
+     */
+    isInRange(attacker, target, { min, max }) {
+        const distance = this.getDistance(attacker, target);
+        return distance !== null && distance >= min && distance <= max;
+    }
+
+    // --- Movement ---
+
+    /**
+     * Finds the cheapest path for a character to a tile. Fighters block movement.
+     * @param {Character} character - The moving character.
+     * @param {object} to - The destination tile ({ x, y }).
+     * @param {object} [options={}] - Pathfinding options.
+     * @param {number} [options.maxCost=Infinity] - Maximum total movement cost.
+     * @returns {object|null} { path: [{ x, y }] (excluding the start tile), cost }, or null if unreachable.
+     */
+    findPath(character, to, { maxCost = Infinity } = {}) {
+        const costs = this._exploreFrom(character, maxCost);
+        const entry = costs?.get(this._getTileKey(to));
+        if (!entry) return null;
+
+        const path = [];
+        for (let step = entry; step.previous; step = costs.get(step.previous)) {
+            path.unshift({ x: step.x, y: step.y });
+        }
+        return { path, cost: entry.cost };
+    }
+
+    /**
+     * Gets every tile a character can reach this turn, limited by its movementRange.
+     * @param {Character} character - The moving character.
+     * @returns {Array<object>} Reachable tiles as { x, y, cost } (excluding the current tile).
+     */
+    getReachableTiles(character) {
+        const costs = this._exploreFrom(character, character.derivedStats.movementRange);
+        if (!costs) return [];
+        return Array.from(costs.values())
+            .filter(entry => entry.previous)
+            .map(({ x, y, cost }) => ({ x, y, cost }));
+    }
+
+    /**
+     * Moves a character to a tile within its movementRange.
+     * @param {Character} character - The moving character.
+     * @param {object} to - The destination tile ({ x, y }).
+     * @returns {object} { success, reason, path, cost }.
+     */
+    moveCharacter(character, to) {
+        if (!this._positions.has(character)) {
+            return { success: false, reason: `${character.name} is not on the grid.`, path: [], cost: 0 };
+        }
+        const route = this.findPath(character, to, { maxCost: character.derivedStats.movementRange });
+        if (!route || route.path.length === 0) {
+            return { success: false, reason: `(${to.x}, ${to.y}) is not reachable.`, path: [], cost: 0 };
+        }
+        this.place(character, to);
+        console.log(`${character.name} moved to (${to.x}, ${to.y}) (Cost: ${route.cost}).`);
+        return { success: true, reason: null, ...route };
+    }
+
+    // --- Knockback ---
+
+    /**
+     * Pushes a defender away from the attacker in a straight line, one tile at a time.
+     * The push stops at the first impassable tile, map edge or fighter; the defender takes collision
+     * damage that scales with the unspent distance (a fighter hit this way takes the same damage).
+     * Rocks shatter on impact.
+     * @param {Character} attacker - The attacking character (the push direction is away from them).
+     * @param {Character} defender - The character being knocked back.
+     * @param {number} distance - Knockback distance in tiles.
+     * @returns {object} { from, to, moved, collision } where collision is null or
+     *   { type: 'terrain'|'edge'|'fighter', terrain, with, damage, otherDamage }.
+     */
+    applyKnockback(attacker, defender, distance) {
+        const from = this.getPosition(defender);
+        const origin = this.getPosition(attacker);
+        const result = { from, to: from, moved: 0, collision: null };
+        if (!from || !origin || distance <= 0) return result;
+
+        const direction = { x: Math.sign(from.x - origin.x), y: Math.sign(from.y - origin.y) };
+        if (direction.x === 0 && direction.y === 0) return result;
+
+        let current = from;
+        while (result.moved < distance) {
+            const next = { x: current.x + direction.x, y: current.y + direction.y };
+            const remaining = distance - result.moved;
+
+            if (!this.isInBounds(next)) {
+                result.collision = this._collide(defender, { type: 'edge', terrain: null }, EDGE_COLLISION_DAMAGE * remaining);
+                break;
+            }
+            const terrain = TerrainDefinitions[this.getTerrain(next)];
+            if (terrain.moveCost === null) {
+                result.collision = this._collide(defender, { type: 'terrain', terrain: this.getTerrain(next) }, terrain.collisionDamage * remaining);
+                if (terrain.breaksInto) {
+                    this.setTerrain(next, terrain.breaksInto);
+                    console.log(`The ${terrain.name.toLowerCase()} at (${next.x}, ${next.y}) shatters!`);
+                }
+                break;
+            }
+            const occupant = this.getOccupant(next);
+            if (occupant) {
+                result.collision = this._collide(defender, { type: 'fighter', with: occupant.name }, FIGHTER_COLLISION_DAMAGE * remaining);
+                result.collision.otherDamage = occupant.takeDamage(
+                    Math.max(1, Math.floor(occupant.resources.maxHealth * FIGHTER_COLLISION_DAMAGE * remaining)),
+                    ResistanceKeys.PHYSICAL);
+                break;
+            }
+            current = next;
+            result.moved++;
+        }
+
+        if (result.moved > 0) {
+            this.place(defender, current);
+            result.to = { ...current };
+            console.log(`${defender.name} was knocked back ${result.moved} tile(s) to (${current.x}, ${current.y}).`);
+        }
+        return result;
+    }
+
+    /**
+     * Lets an attacker chase a knocked-back target. Succeeds with a chance equal to the attacker's
+     * pursuit stat (as a percentage, rolled with the attacker's random source) and dashes to the closest free tile next to the target,
+     * limited by movementRange.
+     * @param {Character} attacker - The pursuing character.
+     * @param {Character} target - The knocked-back character.
+     * @returns {object} { success, chance, to }.
+     */
+    attemptPursuit(attacker, target) {
+        const chance = Math.min(attacker.combatStats.pursuit / 100, 1);
+        const result = { success: false, chance, to: null };
+        const targetPosition = this.getPosition(target);
+        if (!targetPosition || !this._positions.has(attacker)) return result;
+
+        if (this.getDistance(attacker, target) <= 1) {
+            result.success = true;
+            result.to = this.getPosition(attacker);
+            return result;
+        }
+        if (attacker.rng.next() >= chance) {
+            console.log(`${attacker.name} failed to pursue ${target.name}.`);
+            return result;
+        }
+
+        const destination = this.getReachableTiles(attacker)
+            .filter(tile => getGridDistance(tile, targetPosition) === 1)
+            .sort((a, b) => a.cost - b.cost || a.y - b.y || a.x - b.x)[0];
+        if (!destination) {
+            console.log(`${attacker.name} cannot reach ${target.name} to pursue.`);
+            return result;
+        }
+        this.place(attacker, destination);
+        result.success = true;
+        result.to = { x: destination.x, y: destination.y };
+        console.log(`${attacker.name} pursues ${target.name} to (${destination.x}, ${destination.y})!`);
+        return result;
+    }
+
+    /**
+     * Applies knockback collision damage to a fighter.
+     * @private
+     */
+    _collide(character, collision, fraction) {
+        const damage = character.takeDamage(Math.max(1, Math.floor(character.resources.maxHealth * fraction)), ResistanceKeys.PHYSICAL);
+        console.log(`${character.name} slammed into ${collision.with ?? collision.terrain ?? 'the edge of the battlefield'}!`);
+        return { terrain: null, with: null, otherDamage: 0, ...collision, damage };
+    }
+
+    /**
+     * Runs Dijkstra's algorithm from a character's position.
+     * @returns {Map|null} Tile key -> { x, y, cost, previous }, or null if the character is not on the grid.
+     * @private
+     */
+    _exploreFrom(character, maxCost) {
+        const start = this._positions.get(character);
+        if (!start) return null;
+
+        const costs = new Map([[this._getTileKey(start), { ...start, cost: 0, previous: null }]]);
+        const frontier = [{ ...start, cost: 0 }];
+        while (frontier.length > 0) {
+            frontier.sort((a, b) => a.cost - b.cost);
+            const current = frontier.shift();
+            if (current.cost > costs.get(this._getTileKey(current)).cost) continue;
+
+            for (const direction of DIRECTIONS) {
+                const next = { x: current.x + direction.x, y: current.y + direction.y };
+                const stepCost = this.getMoveCost(next);
+                if (stepCost === null || this.getOccupant(next)) continue;
+
+                const cost = current.cost + stepCost;
+                const key = this._getTileKey(next);
+                if (cost > maxCost || cost >= (costs.get(key)?.cost ?? Infinity)) continue;
+                costs.set(key, { ...next, cost, previous: this._getTileKey(current) });
+                frontier.push({ ...next, cost });
+            }
+        }
+        return costs;
+    }
+
+    /** @private */
+    _getTileKey({ x, y }) {
+        return `${x},${y}`;
+    }
+}
+
+export { BattleGrid, getGridDistance, TerrainKeys };
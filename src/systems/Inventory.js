@@ -0,0 +1,379 @@
+// src/systems/Inventory.js
+
+import { ItemTypes, ItemKeys, ItemDefinitions, InventoryRules } from '../data/items.js';
+import { StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+
+/**
+ * Manages the items a character carries: stacks up to each item's maxStack, a carrying capacity
+ * (weight) that grows with STR, Hoipoi capsules that store items outside of the carried weight,
+ * and consumables that restore resources in and out of battle (with per-battle usage limits).
+ * Items are defined as data in src/data/items.js.
+ */
+class CharacterInventory {
+    /**
+     * Creates an instance of CharacterInventory.
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance (STR sets carrying capacity).
+     * @param {CharacterResources} resources - The character's resources instance (restored by consumables).
+     */
+    constructor(baseStats, resources) {
+        if (!baseStats || !resources) {
+            throw new Error("CharacterInventory requires BaseStats and Resources instances.");
+        }
+        this.baseStats = baseStats;
+        this.resources = resources;
+
+        this._stacks = [];        // { itemId, quantity } entries; capsules also have { capsuleId, contents: [stacks] }
+        this._nextCapsuleId = 1;  // Id given to the next capsule added
+        this._inBattle = false;   // Whether per-battle usage limits apply
+        this._battleUses = {};    // Consumables used in the current battle, keyed by item id
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so inventory changes and item use are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    // --- Queries ---
+
+    /** Gets the carrying capacity in kg. */
+    get capacity() {
+        return InventoryRules.baseCapacity + InventoryRules.capacityPerStr * this.baseStats.getEffectiveStat(StatKeys.STR);
+    }
+
+    /** Gets the carried weight in kg (items stored in capsules do not count). */
+    get totalWeight() { return weightOf(this._stacks); }
+
+    /** Gets the carried stacks as { itemId, quantity } entries (capsules also include their capsuleId). */
+    get items() {
+        return this._stacks.map(({ itemId, quantity, capsuleId }) => (capsuleId ? { itemId, quantity, capsuleId } : { itemId, quantity }));
+    }
+
+    /** Gets the carried capsules as { capsuleId, contents, storedWeight } entries. */
+    get capsules() {
+        return this._stacks.filter(stack => stack.capsuleId).map(capsule => this.getCapsule(capsule.capsuleId));
+    }
+
+    /**
+     * Gets the number of an item carried (items stored in capsules are not counted).
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @returns {number} The quantity.
+     */
+    getQuantity(itemId) {
+        return countOf(this._stacks, itemId);
+    }
+
+    /**
+     * Gets the contents of a capsule.
+     * @param {number} capsuleId - The id of the capsule.
+     * @returns {object|null} { capsuleId, contents: [{ itemId, quantity }], storedWeight }, or null if not carried.
+     */
+    getCapsule(capsuleId) {
+        const capsule = this._findCapsule(capsuleId);
+        if (!capsule) return null;
+        return { capsuleId, contents: capsule.contents.map(stack => ({ ...stack })), storedWeight: weightOf(capsule.contents) };
+    }
+
+    /**
+     * Gets how many times a consumable was used in the current battle.
+     * @param {string} itemId - The key of the item.
+     * @returns {number} The use count (0 outside of battle).
+     */
+    getBattleUses(itemId) {
+        return this._battleUses[itemId] ?? 0;
+    }
+
+    // --- Adding and Removing ---
+
+    /**
+     * Checks whether items can be carried.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @param {number} [quantity=1] - The number of items.
+     * @returns {{allowed: boolean, reason: string|null}} Whether the items fit and, if not, why.
+     */
+    canAdd(itemId, quantity = 1) {
+        const item = ItemDefinitions[itemId];
+        if (!item) {
+            return { allowed: false, reason: `Unknown item: ${itemId}` };
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { allowed: false, reason: `Quantity must be a positive integer: ${quantity}` };
+        }
+        if (this.totalWeight + item.weight * quantity > this.capacity) {
+            return { allowed: false, reason: `Carrying ${quantity}x ${item.name} would exceed the capacity of ${this.capacity} kg.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Adds items, filling existing stacks before starting new ones. Nothing is added if they do not all fit.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @param {number} [quantity=1] - The number of items.
+     * @returns {boolean} True if the items were added.
+     */
+    addItem(itemId, quantity = 1) {
+        const { allowed, reason } = this.canAdd(itemId, quantity);
+        if (!allowed) {
+            console.warn(`Cannot add item: ${reason}`);
+            return false;
+        }
+        if (ItemDefinitions[itemId].type === ItemTypes.CAPSULE) {
+            for (let i = 0; i < quantity; i++) {
+                this._stacks.push({ itemId, quantity: 1, capsuleId: this._nextCapsuleId++, contents: [] });
+            }
+        } else {
+            addToStacks(this._stacks, itemId, quantity);
+        }
+        console.log(`Added ${quantity}x ${ItemDefinitions[itemId].name} to the inventory.`);
+        this.events?.emit(CharacterEvents.INVENTORY_CHANGED, { itemId, quantity });
+        return true;
+    }
+
+    /**
+     * Removes carried items. Only empty capsules can be removed.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @param {number} [quantity=1] - The number of items.
+     * @returns {boolean} True if the items were removed.
+     */
+    removeItem(itemId, quantity = 1) {
+        const item = ItemDefinitions[itemId];
+        if (!item || !Number.isInteger(quantity) || quantity <= 0) {
+            console.warn(`Cannot remove item: Invalid item or quantity (${itemId} x${quantity}).`);
+            return false;
+        }
+        if (item.type === ItemTypes.CAPSULE) {
+            const empty = this._stacks.filter(stack => stack.capsuleId && stack.contents.length === 0);
+            if (empty.length < quantity) {
+                console.warn(`Cannot remove item: Only ${empty.length} empty ${item.name}(s) carried.`);
+                return false;
+            }
+            const removed = new Set(empty.slice(0, quantity));
+            this._stacks = this._stacks.filter(stack => !removed.has(stack));
+        } else if (!removeFromStacks(this._stacks, itemId, quantity)) {
+            console.warn(`Cannot remove item: Not enough ${item.name} carried.`);
+            return false;
+        }
+        this.events?.emit(CharacterEvents.INVENTORY_CHANGED, { itemId, quantity: -quantity });
+        return true;
+    }
+
+    // --- Capsules ---
+
+    /**
+     * Moves carried items into a capsule.
+     * @param {number} capsuleId - The id of the capsule.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @param {number} [quantity=1] - The number of items.
+     * @returns {boolean} True if the items were stored.
+     */
+    storeInCapsule(capsuleId, itemId, quantity = 1) {
+        const capsule = this._findCapsule(capsuleId);
+        const item = ItemDefinitions[itemId];
+        if (!capsule || !item) {
+            console.warn(`Cannot store item: Unknown capsule or item (${capsuleId}, ${itemId}).`);
+            return false;
+        }
+        if (item.type === ItemTypes.CAPSULE) {
+            console.warn("Cannot store item: Capsules cannot be stored inside capsules.");
+            return false;
+        }
+        if (this.getQuantity(itemId) < quantity) {
+            console.warn(`Cannot store item: Not enough ${item.name} carried.`);
+            return false;
+        }
+        const capacity = ItemDefinitions[capsule.itemId].capacity;
+        if (weightOf(capsule.contents) + item.weight * quantity > capacity) {
+            console.warn(`Cannot store item: The capsule can only hold ${capacity} kg.`);
+            return false;
+        }
+        removeFromStacks(this._stacks, itemId, quantity);
+        addToStacks(capsule.contents, itemId, quantity);
+        console.log(`Stored ${quantity}x ${item.name} in capsule #${capsuleId}.`);
+        this.events?.emit(CharacterEvents.INVENTORY_CHANGED, { itemId, quantity: -quantity, capsuleId });
+        return true;
+    }
+
+    /**
+     * Moves items out of a capsule into the carried inventory.
+     * @param {number} capsuleId - The id of the capsule.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @param {number} [quantity=1] - The number of items.
+     * @returns {boolean} True if the items were retrieved.
+     */
+    retrieveFromCapsule(capsuleId, itemId, quantity = 1) {
+        const capsule = this._findCapsule(capsuleId);
+        if (!capsule || countOf(capsule.contents, itemId) < quantity) {
+            console.warn(`Cannot retrieve item: Capsule #${capsuleId} does not hold ${quantity}x ${itemId}.`);
+            return false;
+        }
+        const { allowed, reason } = this.canAdd(itemId, quantity);
+        if (!allowed) {
+            console.warn(`Cannot retrieve item: ${reason}`);
+            return false;
+        }
+        removeFromStacks(capsule.contents, itemId, quantity);
+        addToStacks(this._stacks, itemId, quantity);
+        console.log(`Retrieved ${quantity}x ${ItemDefinitions[itemId].name} from capsule #${capsuleId}.`);
+        this.events?.emit(CharacterEvents.INVENTORY_CHANGED, { itemId, quantity, capsuleId });
+        return true;
+    }
+
+    // --- Consumables ---
+
+    /**
+     * Checks whether a consumable can be used right now.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @returns {{allowed: boolean, reason: string|null}} Whether it can be used and, if not, why.
+     */
+    canUse(itemId) {
+        const item = ItemDefinitions[itemId];
+        if (!item) {
+            return { allowed: false, reason: `Unknown item: ${itemId}` };
+        }
+        if (item.type !== ItemTypes.CONSUMABLE) {
+            return { allowed: false, reason: `${item.name} cannot be used.` };
+        }
+        if (this.getQuantity(itemId) === 0) {
+            return { allowed: false, reason: `No ${item.name} carried.` };
+        }
+        if (this._inBattle && item.battleLimit !== null && this.getBattleUses(itemId) >= item.battleLimit) {
+            return { allowed: false, reason: `${item.name} can only be used ${item.battleLimit} time(s) per battle.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Uses a consumable, restoring resources.
+     * @param {string} itemId - The key of the item (from ItemKeys).
+     * @returns {object|false} The amounts restored ({ health, ki, stamina, fatigue }), or false if it could not be used.
+     */
+    useItem(itemId) {
+        const { allowed, reason } = this.canUse(itemId);
+        if (!allowed) {
+            console.warn(`Cannot use item: ${reason}`);
+            return false;
+        }
+        const item = ItemDefinitions[itemId];
+        removeFromStacks(this._stacks, itemId, 1);
+        if (this._inBattle) {
+            this._battleUses[itemId] = this.getBattleUses(itemId) + 1;
+        }
+
+        const before = this.resources.toJSON();
+        const { health, ki, stamina } = item.restore;
+        if (health > 0) this.resources.restoreHealth(Math.ceil(this.resources.maxHealth * health));
+        if (ki > 0) this.resources.restoreKi(Math.ceil(this.resources.maxKi * ki));
+        if (stamina > 0) this.resources.recoverStamina(Math.ceil(this.resources.maxStamina * stamina));
+        const fatigueReduction = item.fatigueReduction ?? this.resources.fatigue;
+        if (fatigueReduction > 0) this.resources.reduceFatigue(fatigueReduction);
+        const after = this.resources.toJSON();
+
+        const restored = {
+            health: after.health - before.health,
+            ki: after.ki - before.ki,
+            stamina: after.stamina - before.stamina,
+            fatigue: before.fatigue - after.fatigue,
+        };
+        console.log(`Used ${item.name}.`, restored);
+        this.events?.emit(CharacterEvents.INVENTORY_CHANGED, { itemId, quantity: -1 });
+        this.events?.emit(CharacterEvents.ITEM_USED, { itemId, restored });
+        return restored;
+    }
+
+    /** Starts tracking per-battle usage limits (called by Battle when the fight starts). */
+    startBattle() {
+        this._inBattle = true;
+        this._battleUses = {};
+    }
+
+    /** Stops tracking per-battle usage limits (called by Battle when the fight ends). */
+    endBattle() {
+        this._inBattle = false;
+        this._battleUses = {};
+    }
+
+    // --- Save / Load ---
+
+    /**
+     * Returns the carried items and capsule contents for saving. Per-battle usage is not saved.
+     * @returns {object} { stacks, nextCapsuleId }.
+     */
+    toJSON() {
+        return {
+            stacks: this._stacks.map(stack => (stack.capsuleId ? { ...stack, contents: stack.contents.map(content => ({ ...content })) } : { ...stack })),
+            nextCapsuleId: this._nextCapsuleId,
+        };
+    }
+
+    /**
+     * Restores saved items without checking capacity. Unknown items are skipped.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ stacks = [], nextCapsuleId = 1 } = {}) {
+        const known = stack => {
+            if (ItemDefinitions[stack.itemId]) return true;
+            console.warn(`Skipping unknown saved item: ${stack.itemId}`);
+            return false;
+        };
+        this._stacks = stacks.filter(known).map(stack => (stack.capsuleId
+            ? { ...stack, contents: (stack.contents ?? []).filter(known).map(content => ({ ...content })) }
+            : { ...stack }));
+        this._nextCapsuleId = nextCapsuleId;
+    }
+
+    /** @private */
+    _findCapsule(capsuleId) {
+        return this._stacks.find(stack => stack.capsuleId === capsuleId) ?? null;
+    }
+}
+
+// --- Stack helpers (shared by the carried inventory and capsule contents) ---
+
+/** Adds items to a list of stacks, filling partial stacks first. */
+function addToStacks(stacks, itemId, quantity) {
+    const { maxStack } = ItemDefinitions[itemId];
+    let remaining = quantity;
+    for (const stack of stacks) {
+        if (remaining === 0) break;
+        if (stack.itemId !== itemId || stack.quantity >= maxStack) continue;
+        const added = Math.min(maxStack - stack.quantity, remaining);
+        stack.quantity += added;
+        remaining -= added;
+    }
+    while (remaining > 0) {
+        const added = Math.min(maxStack, remaining);
+        stacks.push({ itemId, quantity: added });
+        remaining -= added;
+    }
+}
+
+/** Removes items from a list of stacks, emptying the last stacks first. Returns false if there are not enough. */
+function removeFromStacks(stacks, itemId, quantity) {
+    if (countOf(stacks, itemId) < quantity) return false;
+    let remaining = quantity;
+    for (let i = stacks.length - 1; i >= 0 && remaining > 0; i--) {
+        if (stacks[i].itemId !== itemId) continue;
+        const removed = Math.min(stacks[i].quantity, remaining);
+        stacks[i].quantity -= removed;
+        remaining -= removed;
+        if (stacks[i].quantity === 0) stacks.splice(i, 1);
+    }
+    return true;
+}
+
+/** Counts an item across a list of stacks. */
+function countOf(stacks, itemId) {
+    return stacks.reduce((total, stack) => total + (stack.itemId === itemId ? stack.quantity : 0), 0);
+}
+
+/** Sums the weight of a list of stacks (capsule contents excluded). */
+function weightOf(stacks) {
+    return stacks.reduce((total, stack) => total + ItemDefinitions[stack.itemId].weight * stack.quantity, 0);
+}
+
+export { CharacterInventory, ItemKeys, ItemTypes };
@@ -0,0 +1,128 @@
+// src/systems/KiControl.js
+
+import { KiControlRules } from '../data/kiControl.js';
+import { StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+
+/**
+ * Handles WIS-driven ki control: charging ki (including overcharge above max ki, which bleeds off),
+ * ki cost efficiency and power level suppression.
+ * Suppression only changes the power level other characters see (visiblePL); combat keeps using
+ * the true effective PL. Rules are defined as data in src/data/kiControl.js.
+ */
+class CharacterKiControl {
+    /**
+     * Creates an instance of CharacterKiControl.
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance (WIS).
+     * @param {CharacterResources} resources - The character's resources instance (ki).
+     * @param {CharacterDerivedStats} derivedStats - The character's derived stats instance (effective PL).
+     */
+    constructor(baseStats, resources, derivedStats) {
+        if (!baseStats || !resources || !derivedStats) {
+            throw new Error("CharacterKiControl requires BaseStats, Resources, and DerivedStats instances.");
+        }
+        this.baseStats = baseStats;
+        this.resources = resources;
+        this.derivedStats = derivedStats;
+
+        this._suppression = 1; // Fraction of effective PL shown to others (1 = not suppressing)
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so suppression changes are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /** Gets the fraction of max ki recovered per charge action. */
+    get chargeRate() {
+        const { base, perWis, max } = KiControlRules.charge;
+        return Math.min(max, base + perWis * this.baseStats.getEffectiveStat(StatKeys.WIS));
+    }
+
+    /** Gets the technique ki cost reduction from ki control (0.1 = techniques cost 10% less ki). */
+    get efficiency() {
+        const { perWis, max } = KiControlRules.efficiency;
+        return Math.min(max, perWis * this.baseStats.getEffectiveStat(StatKeys.WIS));
+    }
+
+    /**
+     * Charges ki by the charge rate. Ki can be overcharged above max ki up to Resources.kiCeiling.
+     * @returns {number} The ki gained.
+     */
+    charge() {
+        const before = this.resources.ki;
+        this.resources.chargeKi(Math.floor(this.resources.maxKi * this.chargeRate));
+        return this.resources.ki - before;
+    }
+
+    /**
+     * Bleeds off part of any overcharged ki. Called at the start of every turn.
+     * @returns {number} The ki lost.
+     */
+    onTurnStart() {
+        const { overcharge } = this.resources;
+        if (overcharge <= 0) {
+            return 0;
+        }
+        const bled = Math.max(1, Math.ceil(overcharge * KiControlRules.overcharge.bleedFraction));
+        this.resources.dissipateOvercharge(bled);
+        return overcharge - this.resources.overcharge;
+    }
+
+    /** Gets the fraction of effective PL shown to others (1 = not suppressing). */
+    get suppression() { return this._suppression; }
+
+    /** Checks whether the character is hiding part of their power. */
+    get isSuppressed() { return this._suppression < 1; }
+
+    /** Gets the power level other characters see. Combat uses the true derivedStats.effectivePL. */
+    get visiblePL() {
+        return Math.floor(this.derivedStats.effectivePL * this._suppression);
+    }
+
+    /**
+     * Suppresses power so others see only a fraction of the effective PL.
+     * @param {number} fraction - Fraction of effective PL to show, clamped to [suppression.minFraction, 1].
+     * @returns {number} The suppression fraction applied.
+     */
+    suppress(fraction) {
+        const suppression = Math.max(KiControlRules.suppression.minFraction, Math.min(fraction, 1));
+        if (suppression !== this._suppression) {
+            this._suppression = suppression;
+            console.log(suppression < 1 ? `Suppressing power to ${(suppression * 100).toFixed(0)}%.` : 'Power released.');
+            this.events?.emit(CharacterEvents.SUPPRESSION_CHANGED, { suppression, visiblePL: this.visiblePL });
+        }
+        return this._suppression;
+    }
+
+    /**
+     * Stops suppressing power.
+     * @returns {number} The suppression fraction (1).
+     */
+    release() {
+        return this.suppress(1);
+    }
+
+    /**
+     * Returns the suppression state for saving (overcharged ki is saved with the resources).
+     * @returns {object} { suppression }.
+     */
+    toJSON() {
+        return { suppression: this._suppression };
+    }
+
+    /**
+     * Restores saved suppression.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ suppression = 1 } = {}) {
+        this._suppression = Math.max(KiControlRules.suppression.minFraction, Math.min(suppression, 1));
+    }
+}
+
+export { CharacterKiControl };
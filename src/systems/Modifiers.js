@@ -0,0 +1,172 @@
+// src/systems/Modifiers.js
+
+import { CharacterEvents } from './EventEmitter.js';
+
+// Define modifier types. They are always applied in this order:
+// (base + sum of FLAT) * (1 + sum of PERCENT) * product of MULTIPLY
+export const ModifierTypes = Object.freeze({
+    FLAT: 'flat',         // Added to the base value (e.g., +5 STR)
+    PERCENT: 'percent',   // Summed, then applied once (e.g., 0.1 = +10%)
+    MULTIPLY: 'multiply', // Final multipliers, applied one after another (e.g., x1.5 from a form)
+});
+
+const TYPE_ORDER = [ModifierTypes.FLAT, ModifierTypes.PERCENT, ModifierTypes.MULTIPLY];
+
+/**
+ * Layered stat modifier stack.
+ * Any stat the calculators produce can be modified: base stats (StatKeys), max resources
+ * (MaxResourceKeys), derived stats (DerivedStatKeys), combat stats (CombatStatKeys) and
+ * resistances (ResistanceKeys). Every modifier is tagged with a source id (e.g., 'transformation',
+ * 'status:haste', 'equipment:armor') so everything a source added can be removed at once.
+ */
+class CharacterModifiers {
+    constructor() {
+        this._modifiers = [];  // { statId, type, value, source, order }
+        this._nextOrder = 0;   // Insertion counter, used as the final tie-breaker for ordering
+        this._lastBase = {};   // Last unmodified value seen per stat, used for breakdowns
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so modifier changes trigger recalculation.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /**
+     * Adds a modifier.
+     * @param {string} statId - The stat to modify (e.g., StatKeys.STR, 'evasion', ResistanceKeys.PHYSICAL).
+     * @param {object} modifier - The modifier.
+     * @param {string} [modifier.type=ModifierTypes.FLAT] - The modifier type (from ModifierTypes).
+     * @param {number} modifier.value - The modifier value.
+     * @param {string} modifier.source - Identifier of the source (used for removal and breakdowns).
+     * @returns {boolean} True if the modifier was added.
+     */
+    add(statId, { type = ModifierTypes.FLAT, value, source }) {
+        if (!this._addWithoutNotify(statId, { type, value, source })) {
+            return false;
+        }
+        this._notify(source);
+        return true;
+    }
+
+    /**
+     * Replaces every modifier of a source with a new set, publishing a single change.
+     * @param {string} source - Identifier of the source.
+     * @param {Array<object>} modifiers - Modifiers as { statId, type, value }.
+     */
+    setSource(source, modifiers) {
+        this._modifiers = this._modifiers.filter(modifier => modifier.source !== source);
+        modifiers.forEach(({ statId, type, value }) => this._addWithoutNotify(statId, { type, value, source }));
+        this._notify(source);
+    }
+
+    /**
+     * Removes every modifier added by a source.
+     * @param {string} source - Identifier of the source.
+     * @returns {number} The number of modifiers removed.
+     */
+    removeBySource(source) {
+        const before = this._modifiers.length;
+        this._modifiers = this._modifiers.filter(modifier => modifier.source !== source);
+        const removed = before - this._modifiers.length;
+        if (removed > 0) {
+            this._notify(source);
+        }
+        return removed;
+    }
+
+    /**
+     * Checks whether a source has any active modifiers.
+     * @param {string} source - Identifier of the source.
+     * @returns {boolean} True if the source has modifiers.
+     */
+    hasSource(source) {
+        return this._modifiers.some(modifier => modifier.source === source);
+    }
+
+    /**
+     * Gets the modifiers for a stat in application order: by type, then source id, then insertion.
+     * @param {string} statId - The stat identifier.
+     * @returns {Array<object>} Copies of the modifiers ({ statId, type, value, source }).
+     */
+    getModifiers(statId) {
+        return this._modifiers
+            .filter(modifier => modifier.statId === statId)
+            .sort((a, b) =>
+                TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+                || (a.source < b.source ? -1 : a.source > b.source ? 1 : 0)
+                || a.order - b.order)
+            .map(({ statId: id, type, value, source }) => ({ statId: id, type, value, source }));
+    }
+
+    /**
+     * Applies all modifiers of a stat to its unmodified value.
+     * @param {string} statId - The stat identifier.
+     * @param {number} baseValue - The unmodified value produced by the calculator.
+     * @param {object} [options={}] - Apply options.
+     * @param {Array<string>} [options.exclude=[]] - Sources to leave out (e.g., a form whose boost is counted separately).
+     * @returns {number} The modified value.
+     */
+    apply(statId, baseValue, { exclude = [] } = {}) {
+        this._lastBase[statId] = baseValue;
+        return this.getBreakdown(statId, baseValue, { exclude }).total;
+    }
+
+    /**
+     * Explains how a stat's value is built ("why is my evasion 61.3?").
+     * @param {string} statId - The stat identifier.
+     * @param {number} [baseValue] - The unmodified value. Defaults to the last value seen by apply().
+     * @param {object} [options={}] - Breakdown options.
+     * @param {Array<string>} [options.exclude=[]] - Sources to leave out.
+     * @returns {object} { statId, base, flat: [{ source, value }], percent: [...], multiply: [...], total }.
+     */
+    getBreakdown(statId, baseValue = this._lastBase[statId] ?? 0, { exclude = [] } = {}) {
+        const breakdown = { statId, base: baseValue, flat: [], percent: [], multiply: [], total: 0 };
+        for (const { type, value, source } of this.getModifiers(statId)) {
+            if (!exclude.includes(source)) {
+                breakdown[type].push({ source, value });
+            }
+        }
+
+        const flat = breakdown.flat.reduce((sum, modifier) => sum + modifier.value, 0);
+        const percent = breakdown.percent.reduce((sum, modifier) => sum + modifier.value, 0);
+        const multiply = breakdown.multiply.reduce((product, modifier) => product * modifier.value, 1);
+        breakdown.total = (baseValue + flat) * (1 + percent) * multiply;
+        return breakdown;
+    }
+
+    /**
+     * Adds a modifier without publishing a change.
+     * @private
+     */
+    _addWithoutNotify(statId, { type, value, source }) {
+        if (!TYPE_ORDER.includes(type)) {
+            console.warn(`Invalid modifier type: ${type}`);
+            return false;
+        }
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            console.warn(`Invalid modifier value for ${statId}: ${value}`);
+            return false;
+        }
+        if (!source) {
+            console.warn(`Modifier for ${statId} requires a source id.`);
+            return false;
+        }
+        this._modifiers.push({ statId, type, value, source, order: this._nextOrder++ });
+        return true;
+    }
+
+    /**
+     * Publishes a modifier change so every calculator recalculates.
+     * @private
+     */
+    _notify(source) {
+        this.events?.emit(CharacterEvents.STAT_CHANGED, { source });
+    }
+}
+
+export { CharacterModifiers };
@@ -0,0 +1,137 @@
+// src/systems/Perception.js
+
+import { PerceptionMethods, KiSenseTiers } from '../data/perception.js';
+import { EquipmentSlots } from './Equipment.js';
+import { EquipmentDefinitions } from '../data/equipment.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { defaultRandom } from './Random.js';
+
+/**
+ * Handles what a character can observe about other characters' power levels.
+ * A scouter gives noisy numeric readings (and overloads above its maximum reading), ki sensing gives
+ * tiered estimates relative to the observer's own power, and Androids (no ki signature) cannot be read by either.
+ * Both read the target's visible (possibly suppressed) PL; only ki sensing notices that a target is suppressing.
+ * Battle AI and UI should use readings instead of raw effectivePL values.
+ */
+class CharacterPerception {
+    /**
+     * Creates an instance of CharacterPerception.
+     * @param {CharacterEquipment} equipment - The observer's equipment (scouter).
+     * @param {CharacterRaceTraits} raceTraits - The observer's race traits (ki sensing).
+     * @param {CharacterDerivedStats} derivedStats - The observer's derived stats (own PL for ki sensing).
+     * @param {RandomGenerator} [rng=defaultRandom] - Random source for scouter noise.
+     */
+    constructor(equipment, raceTraits, derivedStats, rng = defaultRandom) {
+        if (!equipment || !raceTraits || !derivedStats) {
+            throw new Error("CharacterPerception requires Equipment, RaceTraits, and DerivedStats instances.");
+        }
+        this.equipment = equipment;
+        this.raceTraits = raceTraits;
+        this.derivedStats = derivedStats;
+        this.rng = rng;
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so scouter overloads are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /** Gets the definition of the equipped scouter's scanner, or null without a scouter. */
+    get scanner() {
+        const itemId = this.equipment.getEquipped(EquipmentSlots.SCOUTER);
+        return itemId ? EquipmentDefinitions[itemId].scanner ?? null : null;
+    }
+
+    /** Gets the best available perception method (scouter, then ki sensing). */
+    get method() {
+        if (this.scanner) return PerceptionMethods.SCOUTER;
+        if (this.raceTraits.canSenseKi) return PerceptionMethods.KI_SENSE;
+        return PerceptionMethods.NONE;
+    }
+
+    /**
+     * Reads a target's power level.
+     * @param {Character} target - The character to read.
+     * @param {object} [options={}] - Reading options.
+     * @param {string} [options.method] - Perception method to use (from PerceptionMethods). Defaults to the best available.
+     * @returns {object} The reading: { target, method, detected, value, tier, label, suppressing, overloaded }.
+     *   value is the scouter's numeric reading, tier/label the ki sensing estimate; null when not applicable.
+     */
+    read(target, { method = this.method } = {}) {
+        const reading = {
+            target: target.name,
+            method,
+            detected: false,
+            value: null,
+            tier: null,
+            label: null,
+            suppressing: false,
+            overloaded: false,
+        };
+        if (method === PerceptionMethods.SCOUTER && this.scanner) {
+            return this._scan(target, reading);
+        }
+        if (method === PerceptionMethods.KI_SENSE && this.raceTraits.canSenseKi) {
+            return this._sense(target, reading);
+        }
+        reading.method = PerceptionMethods.NONE;
+        return reading;
+    }
+
+    /**
+     * Takes a scouter reading. Readings above the scouter's maximum overload and destroy it.
+     * @private
+     */
+    _scan(target, reading) {
+        const { noise, maxReading } = this.scanner;
+        if (!target.raceTraits.hasKiSignature) {
+            reading.value = 0; // Nothing to read
+            return reading;
+        }
+        reading.detected = true;
+        const actual = target.visiblePL;
+        if (actual > maxReading) {
+            reading.overloaded = true;
+            this._overload(target, actual);
+            return reading;
+        }
+        reading.value = Math.max(0, Math.round(actual * (1 + (this.rng.next() * 2 - 1) * noise)));
+        return reading;
+    }
+
+    /**
+     * Destroys the equipped scouter after an overload.
+     * @private
+     */
+    _overload(target, actual) {
+        const itemId = this.equipment.getEquipped(EquipmentSlots.SCOUTER);
+        console.log(`${EquipmentDefinitions[itemId].name} overloaded reading ${target.name}'s power level and broke!`);
+        this.equipment.unequip(EquipmentSlots.SCOUTER);
+        this.events?.emit(CharacterEvents.SCOUTER_OVERLOADED, { itemId, target: target.name, reading: actual });
+    }
+
+    /**
+     * Senses a target's ki, estimating it relative to the observer's own effective PL.
+     * @private
+     */
+    _sense(target, reading) {
+        if (!target.raceTraits.hasKiSignature) {
+            return reading;
+        }
+        reading.detected = true;
+        const ownPL = this.derivedStats.effectivePL;
+        const ratio = ownPL > 0 ? target.visiblePL / ownPL : Infinity;
+        const tier = KiSenseTiers.find(candidate => ratio < candidate.maxRatio) ?? KiSenseTiers[KiSenseTiers.length - 1];
+        reading.tier = tier.key;
+        reading.label = tier.label;
+        reading.suppressing = target.kiControl.isSuppressed;
+        return reading;
+    }
+}
+
+export { CharacterPerception, PerceptionMethods };
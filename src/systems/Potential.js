@@ -0,0 +1,155 @@
+// src/systems/Potential.js
+
+import { PotentialUnlockKeys, PotentialUnlockDefinitions } from '../data/potential.js';
+import { CharacterEvents } from './EventEmitter.js';
+
+/**
+ * Tracks potential unlock events (Elder Kai, near-death awakenings, training milestones).
+ * Events are defined as data in src/data/potential.js. Every unlock raises Attributes.potential,
+ * bounded by potentialCap, which in turn raises the Base PL ceiling (see DerivedStats.calculateBasePL).
+ */
+class CharacterPotential {
+    /**
+     * Creates an instance of CharacterPotential.
+     * @param {CharacterAttributes} attributes - The character's attributes instance (potential, level).
+     * @param {CharacterResources} resources - The character's resources instance (near-death tracking).
+     */
+    constructor(attributes, resources) {
+        if (!attributes || !resources) {
+            throw new Error("CharacterPotential requires Attributes and Resources instances.");
+        }
+        this.attributes = attributes;
+        this.resources = resources;
+
+        this._uses = {};                // Times each unlock event was triggered, keyed by event id
+        this._nearDeathArmed = true;    // Whether the next brush with death can trigger an awakening
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter. New levels are checked for training milestones
+     * and resource changes for near-death awakenings.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.LEVEL_UP, ({ level, isNewLevel }) => {
+            if (isNewLevel) this.checkTrainingMilestone(level);
+        });
+        events.on(CharacterEvents.RESOURCE_CHANGED, () => this.checkNearDeath());
+    }
+
+    /**
+     * Gets how many times an unlock event has been triggered.
+     * @param {string} eventId - The key of the event (from PotentialUnlockKeys).
+     * @returns {number} The use count.
+     */
+    getUses(eventId) {
+        return this._uses[eventId] ?? 0;
+    }
+
+    /**
+     * Checks whether an unlock event can raise potential right now.
+     * @param {string} eventId - The key of the event (from PotentialUnlockKeys).
+     * @returns {{allowed: boolean, reason: string|null}} Whether it can be triggered and, if not, why.
+     */
+    canUnlock(eventId) {
+        const unlock = PotentialUnlockDefinitions[eventId];
+        if (!unlock) {
+            return { allowed: false, reason: `Unknown potential unlock: ${eventId}` };
+        }
+        if (unlock.maxUses !== null && this.getUses(eventId) >= unlock.maxUses) {
+            return { allowed: false, reason: `${unlock.name} has already been used ${unlock.maxUses} time(s).` };
+        }
+        if (this.attributes.potential >= this.attributes.potentialCap) {
+            return { allowed: false, reason: `Potential is already at its cap (${this.attributes.potentialCap * 100}%).` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Triggers a potential unlock event, raising potential up to potentialCap.
+     * @param {string} eventId - The key of the event (from PotentialUnlockKeys).
+     * @returns {number|false} The potential gained, or false if the event could not be triggered.
+     */
+    unlock(eventId) {
+        const { allowed, reason } = this.canUnlock(eventId);
+        if (!allowed) {
+            console.warn(`Cannot unlock potential: ${reason}`);
+            return false;
+        }
+
+        const unlock = PotentialUnlockDefinitions[eventId];
+        const before = this.attributes.potential;
+        this._uses[eventId] = this.getUses(eventId) + 1;
+        if (unlock.amount === null) {
+            // Raise straight to the cap, bypassing racial growth scaling
+            this.attributes.increasePotential((this.attributes.potentialCap - before) / (this.attributes.raceTraits?.potentialGrowth ?? 1));
+        } else {
+            this.attributes.increasePotential(unlock.amount);
+        }
+
+        const amount = this.attributes.potential - before;
+        console.log(`${unlock.name}! Potential +${(amount * 100).toFixed(1)}%.`);
+        this.events?.emit(CharacterEvents.POTENTIAL_UNLOCKED, { eventId, amount, potential: this.attributes.potential });
+        return amount;
+    }
+
+    /**
+     * Triggers a training milestone if the level is one of the milestone levels.
+     * Called the first time each level is reached.
+     * @param {number} level - The level just reached.
+     * @returns {number|false} The potential gained, or false if no milestone was reached.
+     */
+    checkTrainingMilestone(level) {
+        const milestone = PotentialUnlockDefinitions[PotentialUnlockKeys.TRAINING_MILESTONE];
+        if (!milestone.milestoneLevels.includes(level)) return false;
+        return this.unlock(PotentialUnlockKeys.TRAINING_MILESTONE);
+    }
+
+    /**
+     * Triggers a near-death awakening when health drops to the threshold without reaching 0.
+     * Re-arms once health recovers above the re-arm threshold. Called whenever resources change.
+     * @returns {number|false} The potential gained, or false if nothing was triggered.
+     */
+    checkNearDeath() {
+        const nearDeath = PotentialUnlockDefinitions[PotentialUnlockKeys.NEAR_DEATH];
+        const { health, maxHealth } = this.resources;
+        if (health > maxHealth * nearDeath.rearmThreshold) {
+            this._nearDeathArmed = true;
+            return false;
+        }
+        if (!this._nearDeathArmed || health <= 0 || health > maxHealth * nearDeath.healthThreshold) {
+            return false;
+        }
+        this._nearDeathArmed = false;
+        return this.canUnlock(PotentialUnlockKeys.NEAR_DEATH).allowed ? this.unlock(PotentialUnlockKeys.NEAR_DEATH) : false;
+    }
+
+    /**
+     * Returns unlock progress for saving.
+     * @returns {object} { uses, nearDeathArmed }.
+     */
+    toJSON() {
+        return { uses: { ...this._uses }, nearDeathArmed: this._nearDeathArmed };
+    }
+
+    /**
+     * Restores saved unlock progress. Unknown events are skipped.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ uses = {}, nearDeathArmed = true } = {}) {
+        this._uses = {};
+        for (const eventId in uses) {
+            if (!PotentialUnlockDefinitions[eventId]) {
+                console.warn(`Skipping unknown saved potential unlock: ${eventId}`);
+                continue;
+            }
+            this._uses[eventId] = uses[eventId];
+        }
+        this._nearDeathArmed = nearDeathArmed;
+    }
+}
+
+export { CharacterPotential, PotentialUnlockKeys };
@@ -0,0 +1,190 @@
+// src/systems/RaceTraits.js
+
+import { StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { RaceTraitDefinitions } from '../data/races.js';
+
+// Source ids used when registering modifiers
+const RACE_SOURCE = 'race';
+const RACE_BASE_FORM_SOURCE = 'race:baseForm';
+
+/**
+ * Applies the mechanical traits of a character's race (defined in src/data/races.js).
+ * Passive bonuses go on the modifier stack; the rest hooks into the character's events and turns:
+ * Saiyan zenkai, regeneration/regrowth, energy absorption and Majin absorption.
+ */
+class CharacterRaceTraits {
+    /**
+     * Creates an instance of CharacterRaceTraits.
+     * @param {CharacterAttributes} attributes - The character's attributes instance (race, potential).
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance (zenkai and absorption growth).
+     * @param {CharacterResources} resources - The character's resources instance (regeneration, zenkai tracking).
+     * @param {CharacterStatusEffects} statusEffects - The character's status effects instance (regrowth).
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (passive bonuses).
+     */
+    constructor(attributes, baseStats, resources, statusEffects, modifiers) {
+        if (!attributes || !baseStats || !resources || !statusEffects || !modifiers) {
+            throw new Error("CharacterRaceTraits requires Attributes, BaseStats, Resources, StatusEffects, and Modifiers instances.");
+        }
+        this.attributes = attributes;
+        this.baseStats = baseStats;
+        this.resources = resources;
+        this.statusEffects = statusEffects;
+        this.modifiers = modifiers;
+
+        this._zenkaiCount = 0;     // Zenkai boosts received so far
+        this._nearDefeat = false;  // Whether health dropped below the zenkai threshold since the last full recovery
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter and registers the race's passive modifiers.
+     * Resource changes are tracked for zenkai, and form changes toggle base-form-only modifiers.
+     * (Racial level-up stat growth is granted by CharacterAttributes.levelUp().)
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.RESOURCE_CHANGED, () => this.checkZenkai());
+        events.on(CharacterEvents.FORM_CHANGED, ({ formId }) => this._setBaseFormModifiers(!formId));
+
+        this.modifiers.setSource(RACE_SOURCE, this.traits.modifiers);
+        this._setBaseFormModifiers(true);
+    }
+
+    /** Gets the trait definition of the character's race. */
+    get traits() { return RaceTraitDefinitions[this.attributes.race]; }
+
+    /** Gets the race's multiplier for the theoretical max Base PL. */
+    get plCeiling() { return this.traits.plCeiling; }
+
+    /** Gets the multiplier applied to potential increases. */
+    get potentialGrowth() { return this.traits.potentialGrowth; }
+
+    /** Gets whether the character can sense ki. */
+    get canSenseKi() { return this.traits.canSenseKi; }
+
+    /** Gets whether the character gives off ki that can be sensed or read by scouters. */
+    get hasKiSignature() { return this.traits.kiSignature; }
+
+    /** Gets the number of zenkai boosts received. */
+    get zenkaiCount() { return this._zenkaiCount; }
+
+    /**
+     * Tracks near-defeat and grants a zenkai boost on full recovery afterwards.
+     * Called whenever resources change.
+     * @returns {boolean} True if a zenkai boost was granted.
+     */
+    checkZenkai() {
+        const zenkai = this.traits.zenkai;
+        if (!zenkai) return false;
+
+        const { health, maxHealth } = this.resources;
+        if (health <= maxHealth * zenkai.healthThreshold) {
+            this._nearDefeat = true;
+            return false;
+        }
+        if (!this._nearDefeat || health < maxHealth) {
+            return false;
+        }
+
+        this._nearDefeat = false;
+        this._zenkaiCount++;
+        console.log(`ZENKAI! Recovering from the brink of defeat made the character stronger (Zenkai #${this._zenkaiCount}).`);
+        for (const statKey in zenkai.stats) {
+            this.baseStats.increaseStat(statKey, zenkai.stats[statKey]);
+        }
+        if (zenkai.potential > 0) {
+            this.attributes.increasePotential(zenkai.potential);
+        }
+        return true;
+    }
+
+    /**
+     * Applies start-of-turn traits: regeneration and regrowth. Defeated characters do not regenerate.
+     * @returns {object} Summary: { healed, regrown: [effectId] }.
+     */
+    onTurnStart() {
+        const summary = { healed: 0, regrown: [] };
+        if (this.resources.health <= 0) return summary;
+
+        if (this.traits.regeneration > 0 && this.resources.health < this.resources.maxHealth) {
+            const before = this.resources.health;
+            this.resources.restoreHealth(Math.max(1, Math.floor(this.resources.maxHealth * this.traits.regeneration)));
+            summary.healed = this.resources.health - before;
+        }
+        for (const effectId of this.traits.regrowth) {
+            if (this.statusEffects.remove(effectId)) {
+                summary.regrown.push(effectId);
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Absorbs part of incoming energy damage as ki.
+     * @param {number} damage - Energy damage after resistances.
+     * @returns {number} The amount absorbed (to be removed from the health damage).
+     */
+    absorbEnergy(damage) {
+        const absorbed = Math.floor(damage * this.traits.energyAbsorb);
+        if (absorbed > 0) {
+            this.resources.restoreKi(absorbed);
+            console.log(`Absorbed ${absorbed} energy as Ki.`);
+        }
+        return absorbed;
+    }
+
+    /**
+     * Absorbs a defeated opponent, permanently gaining a fraction of their base stats.
+     * @param {Character} target - The defeated opponent.
+     * @returns {object} The stats gained ({ statKey: amount }), empty if the race cannot absorb.
+     */
+    absorb(target) {
+        const gains = {};
+        if (this.traits.absorption <= 0) return gains;
+
+        for (const statKey of Object.values(StatKeys)) {
+            const amount = Math.floor(target.baseStats.getStat(statKey) * this.traits.absorption);
+            if (amount > 0 && this.baseStats.increaseStat(statKey, amount)) {
+                gains[statKey] = amount;
+            }
+        }
+        console.log(`Absorbed ${target.name}!`, gains);
+        return gains;
+    }
+
+    /**
+     * Returns the trait state for saving.
+     * @returns {object} { zenkaiCount, nearDefeat }.
+     */
+    toJSON() {
+        return { zenkaiCount: this._zenkaiCount, nearDefeat: this._nearDefeat };
+    }
+
+    /**
+     * Restores saved trait state.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ zenkaiCount = 0, nearDefeat = false } = {}) {
+        this._zenkaiCount = zenkaiCount;
+        this._nearDefeat = nearDefeat;
+    }
+
+    /**
+     * Registers or removes the race's base-form-only modifiers.
+     * @private
+     */
+    _setBaseFormModifiers(inBaseForm) {
+        const modifiers = this.traits.baseFormModifiers;
+        if (modifiers.length === 0) return;
+        if (inBaseForm) {
+            this.modifiers.setSource(RACE_BASE_FORM_SOURCE, modifiers);
+        } else {
+            this.modifiers.removeBySource(RACE_BASE_FORM_SOURCE);
+        }
+    }
+}
+
+export { CharacterRaceTraits };
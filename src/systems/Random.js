@@ -0,0 +1,101 @@
+// src/systems/Random.js
+
+/**
+ * Hashes a string seed into a 32-bit integer (FNV-1a).
+ * @param {string} seed - The seed text.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Random number source for every roll in the game (hit, critical hit, status resistance, pursuit,
+ * fleeing, AI decisions). A seeded generator (mulberry32) always produces the same sequence for the
+ * same seed, so battles can be replayed; its state can be saved and restored mid-sequence.
+ * Without a seed, rolls fall back to Math.random().
+ */
+class RandomGenerator {
+    /**
+     * Creates a new RandomGenerator.
+     * @param {number|string|null} [seed=null] - Seed for a deterministic sequence. Null uses Math.random().
+     */
+    constructor(seed = null) {
+        this._state = null; // Current 32-bit state, or null when unseeded
+        if (seed !== null) {
+            this._state = typeof seed === 'string' ? hashSeed(seed) : seed >>> 0;
+        }
+    }
+
+    /** Gets whether the generator is seeded (deterministic). */
+    get isSeeded() { return this._state !== null; }
+
+    /**
+     * Gets the next random number.
+     * @returns {number} A number in [0, 1).
+     */
+    next() {
+        if (this._state === null) {
+            return Math.random();
+        }
+        this._state = (this._state + 0x6d2b79f5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Gets a random integer between min and max (inclusive).
+     * @param {number} min - The lowest value.
+     * @param {number} max - The highest value.
+     * @returns {number} The random integer.
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Rolls against a probability.
+     * @param {number} probability - Chance of success (0.0 to 1.0).
+     * @returns {boolean} True if the roll succeeded.
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks a random element of an array.
+     * @param {Array} items - The items to pick from.
+     * @returns {*} The picked item, or undefined if the array is empty.
+     */
+    pick(items) {
+        return items.length > 0 ? items[Math.floor(this.next() * items.length)] : undefined;
+    }
+
+    /**
+     * Gets the generator state for saving.
+     * @returns {number|null} The 32-bit state, or null when unseeded.
+     */
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Restores a saved generator state. The sequence continues exactly where it was saved.
+     * @param {number|null} state - A state from getState().
+     */
+    setState(state) {
+        this._state = state === null || state === undefined ? null : state >>> 0;
+    }
+}
+
+// Shared unseeded generator, used by systems that were not given one
+const defaultRandom = new RandomGenerator();
+
+export { RandomGenerator, defaultRandom };
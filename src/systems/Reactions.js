@@ -0,0 +1,173 @@
+// src/systems/Reactions.js
+
+import { ReactionKeys, ReactionOutcomes, ReactionDefinitions } from '../data/reactions.js';
+import { StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { StatusEffectKeys } from './StatusEffects.js';
+
+/**
+ * Handles defender reactions to incoming attacks: guard, dodge, counter and vanish.
+ * The defender (player or AI) picks a reaction before an attack is resolved and pays its cost up front;
+ * the attack resolver then asks this system how the reaction plays out against the attack's critical hit tier
+ * (e.g., OMEGA crits break guards). Reactions are defined as data in src/data/reactions.js.
+ */
+class CharacterReactions {
+    /**
+     * Creates an instance of CharacterReactions.
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance (VIT for guards, TEC for counters).
+     * @param {CharacterResources} resources - The character's resources instance (reaction costs).
+     * @param {CharacterCombatStats} combatStats - The character's combat stats instance (pursuit for counters).
+     * @param {CharacterStatusEffects} statusEffects - The character's status effects instance (guard break, stuns).
+     */
+    constructor(baseStats, resources, combatStats, statusEffects) {
+        if (!baseStats || !resources || !combatStats || !statusEffects) {
+            throw new Error("CharacterReactions requires BaseStats, Resources, CombatStats, and StatusEffects instances.");
+        }
+        this.baseStats = baseStats;
+        this.resources = resources;
+        this.combatStats = combatStats;
+        this.statusEffects = statusEffects;
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so reactions are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /** Gets the fraction of damage a guard blocks (before crit tier interactions). */
+    get guardReduction() {
+        const { base, stats, max } = ReactionDefinitions[ReactionKeys.GUARD].damageReduction;
+        return Math.min(max, this._scale(base, stats));
+    }
+
+    /** Gets the chance for a counter to strike back. */
+    get counterChance() {
+        const { base, perPursuit, max } = ReactionDefinitions[ReactionKeys.COUNTER].chance;
+        return Math.min(max, base + perPursuit * this.combatStats.pursuit);
+    }
+
+    /** Gets the counter's power as a multiplier of the character's basic attack power. */
+    get counterPower() {
+        const { base, perTec, max } = ReactionDefinitions[ReactionKeys.COUNTER].power;
+        return Math.min(max, base + perTec * this.baseStats.getEffectiveStat(StatKeys.TEC));
+    }
+
+    /**
+     * Sums a base value and weighted effective stats.
+     * @private
+     */
+    _scale(base, stats) {
+        return Object.entries(stats).reduce(
+            (total, [statKey, weight]) => total + weight * this.baseStats.getEffectiveStat(statKey),
+            base,
+        );
+    }
+
+    /**
+     * Checks whether the character can react to an incoming attack.
+     * @param {string} reactionId - The key of the reaction (from ReactionKeys).
+     * @returns {{allowed: boolean, reason: string|null}} Whether the reaction can be used and, if not, why.
+     */
+    canReact(reactionId) {
+        const reaction = ReactionDefinitions[reactionId];
+        if (!reaction) {
+            return { allowed: false, reason: `Unknown reaction: ${reactionId}` };
+        }
+        if (this.resources.health <= 0 || !this.statusEffects.canAct) {
+            return { allowed: false, reason: 'Cannot react right now.' };
+        }
+        if (reactionId === ReactionKeys.GUARD && this.statusEffects.has(StatusEffectKeys.GUARD_BREAK)) {
+            return { allowed: false, reason: 'Guard is broken.' };
+        }
+        if (!this.resources.canAfford(reaction.cost)) {
+            return { allowed: false, reason: `Not enough Ki or Stamina to ${reaction.name.toLowerCase()}.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Commits to a reaction and pays its cost. The cost is spent even if the reaction fails.
+     * @param {string} reactionId - The key of the reaction (from ReactionKeys).
+     * @returns {boolean} True if the reaction was taken.
+     */
+    react(reactionId) {
+        const { allowed, reason } = this.canReact(reactionId);
+        if (!allowed) {
+            console.warn(`Cannot react: ${reason}`);
+            return false;
+        }
+        const reaction = ReactionDefinitions[reactionId];
+        this.resources.useKi(reaction.cost.ki);
+        this.resources.useStamina(reaction.cost.stamina);
+        console.log(`Reacting: ${reaction.name}!`);
+        this.events?.emit(CharacterEvents.REACTED, { reactionId });
+        return true;
+    }
+
+    /** Gets the evasion multiplier a reaction gives against the attack (dodge only). */
+    getEvasionMultiplier(reactionId) {
+        return reactionId === ReactionKeys.DODGE ? 1 + ReactionDefinitions[ReactionKeys.DODGE].evasionBonus : 1;
+    }
+
+    /**
+     * Works out how a reaction plays out against an attack that landed with a given critical hit tier.
+     * A broken guard applies Guard Break to the character.
+     * @param {string} reactionId - The key of the reaction (from ReactionKeys).
+     * @param {string} tier - The critical hit tier of the landed attack.
+     * @returns {{outcome: string, damageMultiplier: number, evaded: boolean, canCounter: boolean}}
+     *   The outcome (from ReactionOutcomes), the multiplier to apply to the attack's damage, whether the
+     *   attack is avoided entirely and whether a counter may follow.
+     */
+    resolveAgainstHit(reactionId, tier) {
+        const reaction = ReactionDefinitions[reactionId];
+        const resolution = { outcome: ReactionOutcomes.FAILED, damageMultiplier: 1, evaded: false, canCounter: false };
+        switch (reactionId) {
+            case ReactionKeys.GUARD: {
+                if (reaction.breakTiers.includes(tier)) {
+                    resolution.outcome = ReactionOutcomes.GUARD_BROKEN;
+                    console.log(`The ${tier} critical hit broke the guard!`);
+                    this.statusEffects.apply(StatusEffectKeys.GUARD_BREAK, { source: ReactionKeys.GUARD, ignoreResistance: true });
+                    break;
+                }
+                const weakened = reaction.weakenedTiers.includes(tier);
+                resolution.outcome = weakened ? ReactionOutcomes.GUARD_WEAKENED : ReactionOutcomes.GUARDED;
+                resolution.damageMultiplier = 1 - (weakened ? this.guardReduction / 2 : this.guardReduction);
+                break;
+            }
+            case ReactionKeys.DODGE:
+                if (reaction.caughtTiers.includes(tier)) {
+                    resolution.outcome = ReactionOutcomes.CAUGHT;
+                    resolution.damageMultiplier = reaction.caughtMultiplier;
+                }
+                break;
+            case ReactionKeys.COUNTER:
+                resolution.canCounter = !reaction.failTiers.includes(tier);
+                break;
+            case ReactionKeys.VANISH:
+                if (!reaction.failTiers.includes(tier)) {
+                    resolution.outcome = ReactionOutcomes.EVADED;
+                    resolution.evaded = true;
+                }
+                break;
+            default:
+                break;
+        }
+        return resolution;
+    }
+
+    /**
+     * Rolls whether a counter strikes back.
+     * @param {RandomGenerator} rng - The random source.
+     * @returns {boolean} True if the counter lands its chance roll.
+     */
+    rollCounter(rng) {
+        return rng.next() < this.counterChance;
+    }
+}
+
+export { CharacterReactions, ReactionKeys, ReactionOutcomes };
@@ -0,0 +1,233 @@
+// src/systems/Regeneration.js
+
+import { RegenRates, FatigueRules, RestActionKeys, RestActionDefinitions } from '../data/regeneration.js';
+import { ResourceKeys, MAX_FATIGUE } from './Resources.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { StatusEffectKeys } from './StatusEffects.js';
+
+// Source id used when registering exhaustion penalties on the modifier stack
+const EXHAUSTION_SOURCE = 'exhaustion';
+
+// Resources that regenerate, with the name of their maximum on CharacterResources
+const REGEN_RESOURCES = Object.freeze({
+    [ResourceKeys.HEALTH]: 'maxHealth',
+    [ResourceKeys.KI]: 'maxKi',
+    [ResourceKeys.STAMINA]: 'maxStamina',
+});
+
+/**
+ * Handles regeneration over time and the fatigue/rest cycle.
+ * Health, ki and stamina regenerate every battle turn and every world hour, scaled by stats and
+ * reduced by fatigue. Rest actions (rest, sleep, meditate) pass time with boosted regeneration and
+ * recover fatigue. Fatigue thresholds apply exhaustion penalties, and reaching max fatigue collapses the character.
+ * Rates and rules are defined as data in src/data/regeneration.js.
+ */
+class CharacterRegeneration {
+    /**
+     * Creates an instance of CharacterRegeneration.
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance (regen scaling).
+     * @param {CharacterResources} resources - The character's resources instance.
+     * @param {CharacterStatusEffects} statusEffects - The character's status effects instance (collapse).
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (exhaustion penalties).
+     */
+    constructor(baseStats, resources, statusEffects, modifiers) {
+        if (!baseStats || !resources || !statusEffects || !modifiers) {
+            throw new Error("CharacterRegeneration requires BaseStats, Resources, StatusEffects, and Modifiers instances.");
+        }
+        this.baseStats = baseStats;
+        this.resources = resources;
+        this.statusEffects = statusEffects;
+        this.modifiers = modifiers;
+
+        this._exhaustionTier = null; // Active exhaustion tier (from FatigueRules.exhaustionTiers), or null
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so fatigue changes update exhaustion penalties.
+     * Only fatigue gains collapse the character (restoring a save at max fatigue does not).
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.RESOURCE_CHANGED, ({ key, change }) => {
+            if (key === ResourceKeys.FATIGUE || key === null) this.updateExhaustion();
+            if (key === ResourceKeys.FATIGUE && change > 0) this.checkCollapse();
+        });
+    }
+
+    /**
+     * Gets the regeneration rate of a resource before fatigue.
+     * @param {string} resourceKey - The resource (ResourceKeys.HEALTH, KI or STAMINA).
+     * @param {object} [rates=RegenRates.perTurn] - The rate table (RegenRates.perTurn or RegenRates.perHour).
+     * @returns {number} The fraction of the resource maximum restored per period.
+     */
+    getRegenRate(resourceKey, rates = RegenRates.perTurn) {
+        const rate = rates[resourceKey];
+        if (!rate) return 0;
+        return Object.entries(rate.stats).reduce(
+            (total, [statKey, weight]) => total + weight * this.baseStats.getEffectiveStat(statKey),
+            rate.base,
+        );
+    }
+
+    /** Gets the multiplier fatigue applies to regeneration (1.0 when fresh). */
+    get fatigueMultiplier() {
+        return 1 - (this.resources.fatigue / MAX_FATIGUE) * FatigueRules.regenPenalty;
+    }
+
+    /** Gets the name of the active exhaustion tier, or null when not exhausted. */
+    get exhaustion() { return this._exhaustionTier?.name ?? null; }
+
+    /** Checks whether the character has collapsed from exhaustion. */
+    get isCollapsed() { return this.statusEffects.has(StatusEffectKeys.COLLAPSED); }
+
+    /**
+     * Restores each resource by its regeneration rate.
+     * @param {object} rates - The rate table.
+     * @param {number} periods - Number of turns or hours.
+     * @param {object} [multipliers={}] - Extra multiplier per resource (e.g., from a rest action).
+     * @returns {object} The amounts restored ({ health, ki, stamina }).
+     * @private
+     */
+    _regenerate(rates, periods, multipliers = {}) {
+        const restored = {};
+        const fatigueMultiplier = this.fatigueMultiplier;
+        for (const [resourceKey, maxKey] of Object.entries(REGEN_RESOURCES)) {
+            const amount = Math.floor(this.resources[maxKey] * this.getRegenRate(resourceKey, rates)
+                * fatigueMultiplier * (multipliers[resourceKey] ?? 1) * periods);
+            const before = this.resources[resourceKey];
+            if (resourceKey === ResourceKeys.HEALTH) this.resources.restoreHealth(amount);
+            else if (resourceKey === ResourceKeys.KI) this.resources.restoreKi(amount);
+            else this.resources.recoverStamina(amount);
+            restored[resourceKey] = this.resources[resourceKey] - before;
+        }
+        return restored;
+    }
+
+    /**
+     * Applies one turn of regeneration. Defeated characters do not regenerate.
+     * @returns {object|null} The amounts restored ({ health, ki, stamina }), or null if defeated.
+     */
+    onTurnStart() {
+        if (this.resources.health <= 0) {
+            return null;
+        }
+        return this._regenerate(RegenRates.perTurn, 1);
+    }
+
+    /**
+     * Passes world hours: resources regenerate and fatigue recovers passively.
+     * @param {number} hours - The number of hours.
+     * @returns {object} The amounts restored ({ health, ki, stamina, fatigue }).
+     */
+    passTime(hours) {
+        return this._passHours(hours, {}, 0);
+    }
+
+    /**
+     * Regenerates over a number of hours and recovers fatigue.
+     * @param {number} hours - The number of hours.
+     * @param {object} multipliers - Extra regeneration multiplier per resource.
+     * @param {number} fatiguePerHour - Fatigue recovered per hour on top of the passive recovery.
+     * @returns {object} The amounts restored ({ health, ki, stamina, fatigue }).
+     * @private
+     */
+    _passHours(hours, multipliers, fatiguePerHour) {
+        if (hours <= 0) {
+            return { health: 0, ki: 0, stamina: 0, fatigue: 0 };
+        }
+        // Resources regenerate at the fatigue level the hours started with
+        const restored = this._regenerate(RegenRates.perHour, hours, multipliers);
+        const fatigue = this.resources.fatigue;
+        this.resources.reduceFatigue(Math.floor((FatigueRules.recoveryPerHour + fatiguePerHour) * hours));
+        restored.fatigue = fatigue - this.resources.fatigue;
+        return restored;
+    }
+
+    /**
+     * Checks whether the character can take a rest action.
+     * @param {string} actionId - The key of the rest action (from RestActionKeys).
+     * @param {number} hours - How long to rest.
+     * @returns {{allowed: boolean, reason: string|null}} Whether the action can be taken and, if not, why.
+     */
+    canRest(actionId, hours) {
+        const action = RestActionDefinitions[actionId];
+        if (!action) {
+            return { allowed: false, reason: `Unknown rest action: ${actionId}` };
+        }
+        if (hours < action.minHours) {
+            return { allowed: false, reason: `${action.name} takes at least ${action.minHours} hour(s).` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Rests for a number of hours: regenerates with the action's multipliers, recovers fatigue
+     * and ends a collapse.
+     * @param {string} actionId - The key of the rest action (from RestActionKeys).
+     * @param {number} [hours] - How long to rest. Defaults to the action's minimum.
+     * @returns {object|false} The amounts restored ({ health, ki, stamina, fatigue }), or false if the action is not allowed.
+     */
+    rest(actionId, hours = RestActionDefinitions[actionId]?.minHours) {
+        const { allowed, reason } = this.canRest(actionId, hours);
+        if (!allowed) {
+            console.warn(`Cannot rest: ${reason}`);
+            return false;
+        }
+        const action = RestActionDefinitions[actionId];
+        const fatigue = this.resources.fatigue;
+        const restored = this._passHours(hours, action.regenMultiplier, action.fatiguePerHour);
+        if (action.clearsFatigue) {
+            this.resources.reduceFatigue(this.resources.fatigue);
+            restored.fatigue = fatigue;
+        }
+        this.statusEffects.remove(StatusEffectKeys.COLLAPSED);
+
+        console.log(`${action.name} for ${hours} hour(s). Restored HP ${restored.health}, Ki ${restored.ki}, Stamina ${restored.stamina}, Fatigue -${restored.fatigue}.`);
+        this.events?.emit(CharacterEvents.RESTED, { actionId, hours, restored });
+        return restored;
+    }
+
+    /**
+     * Applies the exhaustion tier for the current fatigue. Called automatically whenever fatigue changes.
+     */
+    updateExhaustion() {
+        const fatigue = this.resources.fatigue;
+        const tier = FatigueRules.exhaustionTiers.reduce(
+            (active, candidate) => (fatigue >= candidate.threshold ? candidate : active),
+            null,
+        );
+
+        if (tier !== this._exhaustionTier) {
+            this._exhaustionTier = tier;
+            if (tier) {
+                this.modifiers.setSource(EXHAUSTION_SOURCE, tier.modifiers);
+            } else {
+                this.modifiers.removeBySource(EXHAUSTION_SOURCE);
+            }
+            console.log(tier ? `Exhaustion: ${tier.name} (Fatigue ${fatigue}).` : 'No longer exhausted.');
+            this.events?.emit(CharacterEvents.EXHAUSTION_CHANGED, { exhaustion: this.exhaustion, fatigue });
+        }
+    }
+
+    /**
+     * Collapses the character if fatigue is at its maximum. Called automatically whenever fatigue rises.
+     * @returns {boolean} True if the character collapsed.
+     */
+    checkCollapse() {
+        if (this.resources.fatigue >= MAX_FATIGUE && !this.isCollapsed) {
+            console.log('Collapsed from exhaustion!');
+            this.statusEffects.apply(StatusEffectKeys.COLLAPSED, {
+                duration: FatigueRules.collapseTurns,
+                source: EXHAUSTION_SOURCE,
+                ignoreResistance: true,
+            });
+            return true;
+        }
+        return false;
+    }
+}
+
+export { CharacterRegeneration, RestActionKeys };
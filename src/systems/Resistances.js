@@ -1,113 +1,159 @@
-import { StatKeys } from './BaseStats.js'; // For accessing VIT, AURA etc.
+// src/systems/Resistances.js
 
-// Define keys for different resistance types for consistency
-const ResistanceKeys = {
-    PHYSICAL: 'physicalResist',
-    ENERGY: 'energyResist',
-    STATUS: 'statusResist',
-    // Add more specific types if needed later (e.g., HEAT, COLD, POISON)
-};
+import { CharacterEvents } from './EventEmitter.js';
+import { defaultBalance } from './Balance.js';
+import { ResistanceKeys, ResistanceTypeDefinitions } from '../data/resistances.js';
+
+/**
+ * Splits damage across one or more damage types.
+ * @param {number} amount - The total damage.
+ * @param {string|object} damageType - A resistance key, or a split of shares keyed by resistance key
+ *   (e.g., { [ResistanceKeys.ENERGY]: 0.6, [ResistanceKeys.HEAT]: 0.4 }). Shares are normalized.
+ * @returns {object} The damage packet: amounts keyed by resistance key.
+ */
+function splitDamage(amount, damageType) {
+    if (typeof damageType === 'string') {
+        return { [damageType]: amount };
+    }
+    const entries = Object.entries(damageType).filter(([, share]) => share > 0);
+    const totalShare = entries.reduce((total, [, share]) => total + share, 0);
+    const packet = {};
+    for (const [type, share] of entries) {
+        packet[type] = amount * share / totalShare;
+    }
+    return packet;
+}
+
+/**
+ * Gets the damage type with the largest share (used for attack scaling and crit multipliers).
+ * @param {string|object} damageType - A resistance key or a split of shares (see splitDamage()).
+ * @returns {string} The resistance key.
+ */
+function getPrimaryDamageType(damageType) {
+    if (typeof damageType === 'string') {
+        return damageType;
+    }
+    const [primary] = Object.entries(damageType).sort(([, a], [, b]) => b - a);
+    return primary?.[0] ?? ResistanceKeys.PHYSICAL;
+}
 
 /**
  * Manages character resistances to various types of damage and effects.
  * Resistances are typically represented as a percentage reduction (e.g., 0.1 = 10%).
+ * Resistance types are defined as data in src/data/resistances.js; their curves are read from the balance config.
+ * Negative values are weaknesses.
  */
 class CharacterResistances {
     /**
      * Creates an instance of CharacterResistances.
      * @param {CharacterAttributes} attributes - The character's attributes instance.
      * @param {CharacterBaseStats} baseStats - The character's base stats instance.
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (optional, applies equipment/effect modifiers).
+     * @param {BalanceConfig} [balance=defaultBalance] - Balance config with the resistance curves.
      */
-    constructor(attributes, baseStats) {
+    constructor(attributes, baseStats, modifiers = null, balance = defaultBalance) {
         if (!attributes || !baseStats) {
             throw new Error("CharacterResistances requires Attributes and BaseStats instances.");
         }
         this.attributes = attributes;
         this.baseStats = baseStats;
+        this.modifiers = modifiers; // Store if provided
+        this.balance = balance;
 
         // --- Resistance Values ---
-        this._physicalResist = 0; // e.g., 0.0 to 1.0 (or higher with buffs?)
-        this._energyResist = 0;
-        this._statusResist = 0;
-        // Initialize other specific resistances if added to ResistanceKeys
+        this._values = {}; // Keyed by resistance key, e.g., -1.0 to 0.9
+
+        this.events = null; // Character event emitter, linked via bindEvents()
 
         this.updateAll(); // Calculate initial values
     }
 
-    // --- Calculation Methods (Placeholders) ---
+    /**
+     * Links the character's event emitter so resistances recalculate on stat changes.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.STAT_CHANGED, () => this.handleStatChange());
+    }
+
+    /**
+     * Applies the modifier stack to a calculated resistance, then clamps it.
+     * @param {string} key - The resistance key (from ResistanceKeys).
+     * @param {number} value - The unmodified value.
+     * @param {number} cap - The maximum resistance.
+     * @param {number} floor - The minimum resistance (negative for weaknesses).
+     * @returns {number} The modified, clamped value.
+     * @private
+     */
+    _applyModifiers(key, value, cap, floor) {
+        const modified = this.modifiers ? this.modifiers.apply(key, value) : value;
+        return Math.max(floor, Math.min(modified, cap));
+    }
 
-    /** Calculates physical damage resistance using a diminishing returns formula. */
+    /**
+     * Calculates a resistance from its balance config curve using weighted, diminishing-returns stat contributions.
+     * @param {string} key - The resistance key (from ResistanceKeys).
+     * @returns {number} The resistance value, or 0 for unknown types.
+     */
+    calculateResistance(key) {
+        const definition = ResistanceTypeDefinitions[key] && this.balance.config.resistances[key];
+        if (!definition) {
+            return 0;
+        }
+        const { stats, curveConstant, cap, floor } = definition;
+        // Formula: (stat / (stat + Constant)) * weight per stat. The constant determines how quickly the curve flattens.
+        const base = Object.entries(stats).reduce((total, [statKey, weight]) => {
+            const stat = this.baseStats.getEffectiveStat(statKey);
+            return total + (stat / (stat + curveConstant)) * weight;
+        }, 0);
+        this._values[key] = this._applyModifiers(key, base, cap, floor);
+        return this._values[key];
+    }
+
+    /** Calculates physical damage resistance (see calculateResistance()). */
     calculatePhysicalResistance() {
-        const vit = this.baseStats.getStat(StatKeys.VIT);
-        // Formula: (vit / (vit + Constant)) * MaxResist provides natural diminishing returns.
-        // Constant determines how quickly the curve flattens. MaxResist sets the theoretical cap.
-        const denominatorConstant = 100;
-        const maxResistance = 0.90; // 90% cap
-        this._physicalResist = Math.min((vit / (vit + denominatorConstant)) * maxResistance, maxResistance);
-        return this._physicalResist;
+        return this.calculateResistance(ResistanceKeys.PHYSICAL);
     }
 
-    /** Calculates energy damage resistance using a diminishing returns formula. */
+    /** Calculates energy damage resistance (see calculateResistance()). */
     calculateEnergyResistance() {
-        const aura = this.baseStats.getStat(StatKeys.AURA);
-        // Using the same curve as physical resistance for consistency.
-        const denominatorConstant = 100;
-        const maxResistance = 0.90; // 90% cap
-        this._energyResist = Math.min((aura / (aura + denominatorConstant)) * maxResistance, maxResistance);
-        return this._energyResist;
+        return this.calculateResistance(ResistanceKeys.ENERGY);
     }
 
-    /** Calculates resistance to status effects using weighted contributions and diminishing returns. */
+    /** Calculates resistance to status effects (see calculateResistance()). */
     calculateStatusResistance() {
-        const vit = this.baseStats.getStat(StatKeys.VIT);
-        const wis = this.baseStats.getStat(StatKeys.WIS);
-        const aura = this.baseStats.getStat(StatKeys.AURA);
-
-        const denominatorConstant = 120; // Shared constant for status resist curves
-        const maxResistance = 0.85; // 85% cap for status effects
-
-        // Weighted contribution with diminishing returns for each stat
-        const vitContribution = (vit / (vit + denominatorConstant)) * 0.40; // 40% weight to VIT
-        const wisContribution = (wis / (wis + denominatorConstant)) * 0.30; // 30% weight to WIS
-        const auraContribution = (aura / (aura + denominatorConstant)) * 0.15; // 15% weight to AURA
-
-        // Combine and cap
-        this._statusResist = Math.min((vitContribution + wisContribution + auraContribution), maxResistance);
-        return this._statusResist;
+        return this.calculateResistance(ResistanceKeys.STATUS);
     }
 
     // --- Update & Getters ---
 
     /** Recalculates all resistances. Should be called when base stats or attributes change. */
     updateAll() {
-        this.calculatePhysicalResistance();
-        this.calculateEnergyResistance();
-        this.calculateStatusResistance();
-        // Add calls for any new resistance types here
+        for (const key of Object.keys(ResistanceTypeDefinitions)) {
+            this.calculateResistance(key);
+        }
     }
 
-    /** Gets the current physical resistance value (0.0 to 1.0+). */
-    get physical() { return this._physicalResist; }
+    /** Gets the current physical resistance value. */
+    get physical() { return this.getResistance(ResistanceKeys.PHYSICAL); }
 
-    /** Gets the current energy resistance value (0.0 to 1.0+). */
-    get energy() { return this._energyResist; }
+    /** Gets the current energy resistance value. */
+    get energy() { return this.getResistance(ResistanceKeys.ENERGY); }
 
     /** Gets the current status effect resistance value (interpretation depends on formula). */
-    get status() { return this._statusResist; }
+    get status() { return this.getResistance(ResistanceKeys.STATUS); }
+
+    /** Gets every resistance value keyed by resistance key. */
+    get all() { return { ...this._values }; }
 
     /**
      * Generic getter for resistance by key.
      * @param {string} key - The key from ResistanceKeys.
-     * @returns {number} The resistance value.
+     * @returns {number} The resistance value (negative for weaknesses, 0 for unknown types).
      */
     getResistance(key) {
-        switch (key) {
-            case ResistanceKeys.PHYSICAL: return this.physical;
-            case ResistanceKeys.ENERGY: return this.energy;
-            case ResistanceKeys.STATUS: return this.status;
-            default:
-                return 0;
-        }
+        return this._values[key] ?? 0;
     }
 
     // --- Utility ---
@@ -120,4 +166,4 @@ class CharacterResistances {
 }
 
 // Export the class and keys
-export { CharacterResistances, ResistanceKeys };
+export { CharacterResistances, ResistanceKeys, splitDamage, getPrimaryDamageType };
@@ -1,6 +1,8 @@
 // src/systems/Resources.js
 
-import { StatKeys } from './BaseStats.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { defaultBalance, evaluateFormula } from './Balance.js';
+import { KiControlRules } from '../data/kiControl.js';
 
 // Define keys for resources for consistency
 export const ResourceKeys = Object.freeze({
@@ -10,13 +12,31 @@ export const ResourceKeys = Object.freeze({
     FATIGUE: 'fatigue',
 });
 
+// Define keys for maximum resource values (used as modifier targets)
+export const MaxResourceKeys = Object.freeze({
+    MAX_HEALTH: 'maxHealth',
+    MAX_KI: 'maxKi',
+    MAX_STAMINA: 'maxStamina',
+});
+
+// Define keys for resource costs (used as modifier targets, e.g., x0 stamina cost for Androids)
+export const ResourceCostKeys = Object.freeze({
+    KI_COST: 'kiCost',
+    STAMINA_COST: 'staminaCost',
+});
+
+// Fatigue scale (0 = fresh, MAX_FATIGUE = collapse)
+export const MAX_FATIGUE = 100;
+
 export class CharacterResources {
-    constructor(attributes, baseStats) {
+    constructor(attributes, baseStats, modifiers = null, balance = defaultBalance) {
         if (!attributes || !baseStats) {
             throw new Error("CharacterResources requires both Attributes and BaseStats instances.");
         }
         this.attributes = attributes;
         this.baseStats = baseStats;
+        this.modifiers = modifiers; // Optional, applies equipment/effect modifiers to max values
+        this.balance = balance; // Balance config with the max value formulas
 
         // Maximum values (calculated)
         this.maxHealth = 0;
@@ -29,36 +49,47 @@ export class CharacterResources {
         this[ResourceKeys.STAMINA] = 0;
         this[ResourceKeys.FATIGUE] = 0; // Starts at 0, increases with exertion
 
+        this.events = null; // Character event emitter, linked via bindEvents()
+
         this.calculateMaxValues();
         this.setToMax(); // Initialize current values to their maximums
     }
 
+    /**
+     * Links the character's event emitter: recalculates max values when stats change,
+     * and publishes resource changes and defeat.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+        events.on(CharacterEvents.STAT_CHANGED, () => this.handleStatChange());
+    }
+
     // Calculate maximum resource values based on base stats and level
-    // (These formulas are simple examples and can be refined)
+    // (formulas come from the balance config: base stat + level scaling + contributing stats)
     calculateMaxValues() {
-        const level = this.attributes.level;
-        const vit = this.baseStats.getStat(StatKeys.VIT);
-        const wis = this.baseStats.getStat(StatKeys.WIS);
-        const aura = this.baseStats.getStat(StatKeys.AURA);
-        const agi = this.baseStats.getStat(StatKeys.AGI);
-        const baseHp = this.baseStats.getStat(StatKeys.HP);
-        const baseKi = this.baseStats.getStat(StatKeys.KI);
-        const baseSta = this.baseStats.getStat(StatKeys.STA);
-
-        // Example Formulas: Base Stat + (Level * Multiplier) + (Relevant Stat * Multiplier)
-        this.maxHealth = Math.floor(baseHp + (level * 10) + (vit * 5));
-        this.maxKi = Math.floor(baseKi + (level * 5) + (wis * 3) + (aura * 2));
-        this.maxStamina = Math.floor(baseSta + (level * 5) + (vit * 2) + (agi * 3));
+        const { level } = this.attributes;
+        const { maxHealth, maxKi, maxStamina } = this.balance.config.resources;
+
+        this.maxHealth = Math.floor(this._applyModifiers(MaxResourceKeys.MAX_HEALTH, evaluateFormula(maxHealth, this.baseStats, level)));
+        this.maxKi = Math.floor(this._applyModifiers(MaxResourceKeys.MAX_KI, evaluateFormula(maxKi, this.baseStats, level)));
+        this.maxStamina = Math.floor(this._applyModifiers(MaxResourceKeys.MAX_STAMINA, evaluateFormula(maxStamina, this.baseStats, level)));
 
         console.log(`Calculated Max Resources: HP=${this.maxHealth}, Ki=${this.maxKi}, Stamina=${this.maxStamina}`);
     }
 
+    // Apply the modifier stack to a calculated max value (unchanged when no modifier stack is linked)
+    _applyModifiers(key, value) {
+        return this.modifiers ? this.modifiers.apply(key, value) : value;
+    }
+
     // Set current resources to their calculated maximum values
     setToMax() {
         this[ResourceKeys.HEALTH] = this.maxHealth;
         this[ResourceKeys.KI] = this.maxKi;
         this[ResourceKeys.STAMINA] = this.maxStamina;
         console.log("Resources set to maximum.");
+        this.events?.emit(CharacterEvents.RESOURCE_CHANGED, { key: null, value: null, change: 0 });
     }
 
     // --- Resource Modification Methods ---
@@ -76,6 +107,10 @@ export class CharacterResources {
 
         if (change !== 0) {
              console.log(`${key} changed by ${change}. New value: ${this[key]}/${max}`);
+             this.events?.emit(CharacterEvents.RESOURCE_CHANGED, { key, value: this[key], change });
+             if (key === ResourceKeys.HEALTH && this[key] <= 0) {
+                 this.events?.emit(CharacterEvents.DEFEATED, {});
+             }
         }
         return this[key]; // Return the new value
     }
@@ -93,27 +128,78 @@ export class CharacterResources {
         return this._modifyResource(ResourceKeys.HEALTH, amount, 0, this.maxHealth);
     }
 
+    // Apply the modifier stack to a resource cost (rounded up, never negative)
+    _applyCostModifiers(key, amount) {
+        return Math.max(0, Math.ceil(this._applyModifiers(key, amount)));
+    }
+
+    /**
+     * Checks whether the character can pay a ki/stamina cost (after cost modifiers).
+     * @param {object} cost - The cost ({ ki, stamina }).
+     * @returns {boolean} True if both costs can be paid.
+     */
+    canAfford({ ki = 0, stamina = 0 } = {}) {
+        return this.ki >= this._applyCostModifiers(ResourceCostKeys.KI_COST, ki)
+            && this.stamina >= this._applyCostModifiers(ResourceCostKeys.STAMINA_COST, stamina);
+    }
+
     // Ki specific methods
     useKi(amount) {
         if (amount <= 0) return this.ki;
+        amount = this._applyCostModifiers(ResourceCostKeys.KI_COST, amount);
+        if (amount === 0) return true;
         if (this.ki < amount) {
              console.warn(`Not enough Ki. Required: ${amount}, Available: ${this.ki}`);
              return false; // Indicate failure
         }
         console.log(`Using ${amount} Ki...`);
-        this._modifyResource(ResourceKeys.KI, -amount, 0, this.maxKi);
+        this._modifyResource(ResourceKeys.KI, -amount, 0, Math.max(this.maxKi, this.ki)); // Spends overcharged ki first
         return true; // Indicate success
     }
 
     restoreKi(amount) {
         if (amount <= 0) return this.ki;
         console.log(`Restoring ${amount} Ki...`);
-        return this._modifyResource(ResourceKeys.KI, amount, 0, this.maxKi);
+        return this._modifyResource(ResourceKeys.KI, amount, 0, Math.max(this.maxKi, this.ki)); // Never removes overcharge
+    }
+
+    // Ki overcharge: only charging can push ki above max ki (see KiControlRules.overcharge)
+
+    /** Gets the highest ki reachable by charging (max ki plus the overcharge allowance). */
+    get kiCeiling() {
+        return this.maxKi + Math.floor(this.maxKi * KiControlRules.overcharge.maxFraction);
+    }
+
+    /** Gets the ki currently held above max ki. */
+    get overcharge() {
+        return Math.max(0, this.ki - this.maxKi);
+    }
+
+    chargeKi(amount) {
+        if (amount <= 0) return this.ki;
+        console.log(`Charging ${amount} Ki...`);
+        return this._modifyResource(ResourceKeys.KI, amount, 0, Math.max(this.kiCeiling, this.ki));
+    }
+
+    dissipateOvercharge(amount = this.overcharge) {
+        amount = Math.min(amount, this.overcharge);
+        if (amount <= 0) return this.ki;
+        console.log(`Overcharged Ki dissipating by ${amount}...`);
+        return this._modifyResource(ResourceKeys.KI, -amount, 0, this.ki);
+    }
+
+    // Drain (e.g., from status effects): not a cost, so it is never reduced and always applies
+    drainKi(amount) {
+        if (amount <= 0) return this.ki;
+        console.log(`Draining ${amount} Ki...`);
+        return this._modifyResource(ResourceKeys.KI, -amount, 0, Math.max(this.maxKi, this.ki)); // Drains overcharged ki first
     }
 
     // Stamina specific methods
     useStamina(amount) {
         if (amount <= 0) return this.stamina;
+        amount = this._applyCostModifiers(ResourceCostKeys.STAMINA_COST, amount);
+        if (amount === 0) return true;
          if (this.stamina < amount) {
              console.warn(`Not enough Stamina. Required: ${amount}, Available: ${this.stamina}`);
              return false; // Indicate failure
@@ -128,23 +214,60 @@ export class CharacterResources {
     recoverStamina(amount) {
         if (amount <= 0) return this.stamina;
         console.log(`Recovering ${amount} Stamina...`);
-        // Stamina recovery might be hindered by fatigue (add logic later if needed)
+        // Passive stamina regeneration is hindered by fatigue (see CharacterRegeneration)
         return this._modifyResource(ResourceKeys.STAMINA, amount, 0, this.maxStamina);
     }
 
+    // Drain (e.g., from status effects): not a cost, so it adds no fatigue
+    drainStamina(amount) {
+        if (amount <= 0) return this.stamina;
+        console.log(`Draining ${amount} Stamina...`);
+        return this._modifyResource(ResourceKeys.STAMINA, -amount, 0, this.maxStamina);
+    }
+
     // Fatigue specific methods
     addFatigue(amount) {
         if (amount <= 0) return this.fatigue;
-        const maxFatigue = 100; // Example max fatigue
         console.log(`Adding ${amount} Fatigue...`);
-        return this._modifyResource(ResourceKeys.FATIGUE, amount, 0, maxFatigue);
+        return this._modifyResource(ResourceKeys.FATIGUE, amount, 0, MAX_FATIGUE);
     }
 
     reduceFatigue(amount) {
         if (amount <= 0) return this.fatigue;
-        const maxFatigue = 100; // Ensure consistency
         console.log(`Reducing ${amount} Fatigue...`);
-        return this._modifyResource(ResourceKeys.FATIGUE, -amount, 0, maxFatigue);
+        return this._modifyResource(ResourceKeys.FATIGUE, -amount, 0, MAX_FATIGUE);
+    }
+
+    /**
+     * Returns the current resource values for saving. Max values are recalculated on load.
+     * @returns {object} Current health, ki, stamina and fatigue.
+     */
+    toJSON() {
+        return {
+            [ResourceKeys.HEALTH]: this[ResourceKeys.HEALTH],
+            [ResourceKeys.KI]: this[ResourceKeys.KI],
+            [ResourceKeys.STAMINA]: this[ResourceKeys.STAMINA],
+            [ResourceKeys.FATIGUE]: this[ResourceKeys.FATIGUE],
+        };
+    }
+
+    /**
+     * Restores saved current resource values, clamped to the current maximums.
+     * @param {object} state - Saved values from toJSON(). Missing values keep their current value.
+     */
+    restoreState(state = {}) {
+        const maxValues = {
+            [ResourceKeys.HEALTH]: this.maxHealth,
+            [ResourceKeys.KI]: this.kiCeiling,
+            [ResourceKeys.STAMINA]: this.maxStamina,
+            [ResourceKeys.FATIGUE]: MAX_FATIGUE,
+        };
+        for (const key in maxValues) {
+            if (typeof state[key] === 'number') {
+                this[key] = Math.max(0, Math.min(state[key], maxValues[key]));
+            }
+        }
+        this.events?.emit(CharacterEvents.RESOURCE_CHANGED, { key: null, value: null, change: 0 });
     }
 
      // Method to update resources based on new stats (e.g., after level up or stat allocation)
@@ -158,7 +281,7 @@ export class CharacterResources {
         // Optionally adjust current resources based on max changes
         // For simplicity now, just ensure current isn't over new max
         this[ResourceKeys.HEALTH] = Math.min(this[ResourceKeys.HEALTH], this.maxHealth);
-        this[ResourceKeys.KI] = Math.min(this[ResourceKeys.KI], this.maxKi);
+        this[ResourceKeys.KI] = Math.min(this[ResourceKeys.KI], this.kiCeiling);
         this[ResourceKeys.STAMINA] = Math.min(this[ResourceKeys.STAMINA], this.maxStamina);
 
         // Or, proportionally increase current HP/Ki/Stam based on the increase in max
@@ -183,13 +306,13 @@ export class CharacterResources {
         // Optional: Adjust current values proportionally if max decreased?
         // Or just cap them at the new max.
         this[ResourceKeys.HEALTH] = Math.min(this[ResourceKeys.HEALTH], this.maxHealth);
-        this[ResourceKeys.KI] = Math.min(this[ResourceKeys.KI], this.maxKi);
+        this[ResourceKeys.KI] = Math.min(this[ResourceKeys.KI], this.kiCeiling);
         this[ResourceKeys.STAMINA] = Math.min(this[ResourceKeys.STAMINA], this.maxStamina);
 
         console.log(`Max values updated. HP: ${oldMaxHealth}=>${this.maxHealth}, Ki: ${oldMaxKi}=>${this.maxKi}, Stamina: ${oldMaxStamina}=>${this.maxStamina}`);
 
         // Important: After updating max values, derived stats might need updating too!
-        // This dependency should be handled by the Character class triggering DerivedStats.handleStatChange
+        // DerivedStats subscribes to the same STAT_CHANGED event after Resources, so it sees the new max values.
     }
 }
 
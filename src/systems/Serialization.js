@@ -0,0 +1,71 @@
+// src/systems/Serialization.js
+
+// Current version of the Character save schema. Bump it whenever the saved shape changes
+// and add a migration from the previous version below.
+export const SAVE_SCHEMA_VERSION = 10;
+
+/**
+ * Migrations keyed by the version they upgrade FROM. Each receives save data of that version
+ * and returns data of the next version. Saves without a version are treated as version 1.
+ */
+const migrations = {
+    // v1 -> v2: Attributes.statPoints was renamed to unallocatedStatPoints.
+    1: (data) => {
+        const { statPoints, ...attributes } = data.attributes ?? {};
+        return {
+            ...data,
+            version: 2,
+            attributes: {
+                ...attributes,
+                unallocatedStatPoints: attributes.unallocatedStatPoints ?? statPoints ?? 0,
+            },
+        };
+    },
+    // v2 -> v3: Characters save their random generator state (null = unseeded).
+    2: (data) => ({ ...data, version: 3, rng: data.rng ?? null }),
+    // v3 -> v4: Characters save race trait state (zenkai progress).
+    3: (data) => ({ ...data, version: 4, raceTraits: data.raceTraits ?? { zenkaiCount: 0, nearDefeat: false } }),
+    // v4 -> v5: Characters save potential unlock progress.
+    4: (data) => ({ ...data, version: 5, potential: data.potential ?? { uses: {}, nearDeathArmed: true } }),
+    // v5 -> v6: XP to next level is derived from the progression table; the highest level reached is saved instead.
+    5: (data) => {
+        const { xpToNextLevel, ...attributes } = data.attributes ?? {};
+        return { ...data, version: 6, attributes: { ...attributes, highestLevel: attributes.highestLevel ?? attributes.level ?? 1 } };
+    },
+    // v6 -> v7: Stat point allocations are recorded for respecs. Earlier allocations are unknown and cannot be refunded.
+    6: (data) => ({
+        ...data,
+        version: 7,
+        attributes: { allocatedStatPoints: {}, respecCount: 0, ...data.attributes },
+    }),
+    // v7 -> v8: Characters save their equipped items.
+    7: (data) => ({ ...data, version: 8, equipment: data.equipment ?? { slots: {} } }),
+    // v8 -> v9: Characters save their inventory.
+    8: (data) => ({ ...data, version: 9, inventory: data.inventory ?? { stacks: [], nextCapsuleId: 1 } }),
+    // v9 -> v10: Characters save their power level suppression.
+    9: (data) => ({ ...data, version: 10, kiControl: data.kiControl ?? { suppression: 1 } }),
+};
+
+/**
+ * Upgrades save data to the current schema version by running every migration in order.
+ * @param {object} data - Parsed save data.
+ * @returns {object} Save data at SAVE_SCHEMA_VERSION.
+ */
+export function migrateSaveData(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error("Save data must be an object.");
+    }
+    let migrated = { ...data, version: data.version ?? 1 };
+    if (migrated.version > SAVE_SCHEMA_VERSION) {
+        throw new Error(`Save version ${migrated.version} is newer than the supported version ${SAVE_SCHEMA_VERSION}.`);
+    }
+    while (migrated.version < SAVE_SCHEMA_VERSION) {
+        const migrate = migrations[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration available from save version ${migrated.version}.`);
+        }
+        console.log(`Migrating save data from version ${migrated.version}...`);
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
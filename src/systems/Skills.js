@@ -0,0 +1,222 @@
+// src/systems/Skills.js
+
+import { TechniqueKeys, TechniqueDefinitions } from '../data/techniques.js';
+import { CharacterEvents } from './EventEmitter.js';
+
+// Define keys for technique stats (used as modifier targets)
+const SkillStatKeys = Object.freeze({
+    TECHNIQUE_POWER: 'techniquePower', // Power of every technique (e.g., +10% for Humans)
+});
+
+/**
+ * Manages the techniques a character has learned, their ranks and cooldowns.
+ * Techniques are defined as data in src/data/techniques.js.
+ */
+class CharacterSkills {
+    /**
+     * Creates an instance of CharacterSkills.
+     * @param {CharacterAttributes} attributes - The character's attributes instance (for level requirements).
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance (for power scaling).
+     * @param {CharacterResources} resources - The character's resources instance (for costs).
+     * @param {CharacterModifiers} [modifiers=null] - The character's modifier stack (for technique power modifiers).
+     */
+    constructor(attributes, baseStats, resources, modifiers = null) {
+        if (!attributes || !baseStats || !resources) {
+            throw new Error("CharacterSkills requires Attributes, BaseStats, and Resources instances.");
+        }
+        this.attributes = attributes;
+        this.baseStats = baseStats;
+        this.resources = resources;
+        this.modifiers = modifiers;
+        this.kiControl = null; // Optional, linked by Character (ki cost efficiency)
+
+        this._ranks = {};     // Learned technique ranks keyed by technique id
+        this._cooldowns = {}; // Remaining cooldown turns keyed by technique id
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so learned techniques are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /**
+     * Gets the learned rank of a technique.
+     * @param {string} skillId - The key of the technique (from TechniqueKeys).
+     * @returns {number} The rank (0 if not learned).
+     */
+    getRank(skillId) {
+        return this._ranks[skillId] ?? 0;
+    }
+
+    /**
+     * Checks whether a technique can be learned or upgraded to its next rank.
+     * @param {string} skillId - The key of the technique.
+     * @returns {{allowed: boolean, reason: string|null}} Whether it can be learned and, if not, why.
+     */
+    canLearn(skillId) {
+        const technique = TechniqueDefinitions[skillId];
+        if (!technique) {
+            return { allowed: false, reason: `Unknown technique: ${skillId}` };
+        }
+        if (this.getRank(skillId) >= technique.maxRank) {
+            return { allowed: false, reason: `${technique.name} is already at max rank.` };
+        }
+        if (this.attributes.level < technique.minLevel) {
+            return { allowed: false, reason: `${technique.name} requires Level ${technique.minLevel}.` };
+        }
+        for (const prerequisite of technique.prerequisites) {
+            if (this.getRank(prerequisite.id) < prerequisite.rank) {
+                const name = TechniqueDefinitions[prerequisite.id].name;
+                return { allowed: false, reason: `${technique.name} requires ${name} rank ${prerequisite.rank}.` };
+            }
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Learns a technique (rank 1) or upgrades it to the next rank.
+     * @param {string} skillId - The key of the technique.
+     * @returns {boolean} True if the technique was learned or upgraded.
+     */
+    learn(skillId) {
+        const { allowed, reason } = this.canLearn(skillId);
+        if (!allowed) {
+            console.warn(`Cannot learn technique: ${reason}`);
+            return false;
+        }
+        this._ranks[skillId] = this.getRank(skillId) + 1;
+        console.log(`${TechniqueDefinitions[skillId].name} is now rank ${this._ranks[skillId]}.`);
+        this.events?.emit(CharacterEvents.SKILL_LEARNED, { skillId, rank: this._ranks[skillId] });
+        return true;
+    }
+
+    /**
+     * Calculates the power of a learned technique from the character's stats and its rank.
+     * @param {string} skillId - The key of the technique.
+     * @returns {number} The raw technique power (0 if not learned).
+     */
+    getPower(skillId) {
+        const technique = TechniqueDefinitions[skillId];
+        const rank = this.getRank(skillId);
+        if (!technique || rank === 0) return 0;
+
+        let power = technique.power.base;
+        for (const statKey in technique.power.scaling) {
+            power += this.baseStats.getEffectiveStat(statKey) * technique.power.scaling[statKey];
+        }
+        power *= 1 + (rank - 1) * technique.rankPowerBonus;
+        return Math.round(this.modifiers ? this.modifiers.apply(SkillStatKeys.TECHNIQUE_POWER, power) : power);
+    }
+
+    /**
+     * Gets the ki/stamina cost of a technique. The ki cost is reduced by ki control efficiency (rounded up).
+     * @param {string} skillId - The key of the technique.
+     * @returns {{ki: number, stamina: number}} The cost.
+     */
+    getCost(skillId) {
+        const technique = TechniqueDefinitions[skillId];
+        if (!technique) {
+            return { ki: 0, stamina: 0 };
+        }
+        const efficiency = this.kiControl?.efficiency ?? 0;
+        return { ...technique.cost, ki: Math.ceil(technique.cost.ki * (1 - efficiency)) };
+    }
+
+    /**
+     * Gets the remaining cooldown of a technique.
+     * @param {string} skillId - The key of the technique.
+     * @returns {number} Remaining cooldown turns.
+     */
+    getCooldown(skillId) {
+        return this._cooldowns[skillId] ?? 0;
+    }
+
+    /**
+     * Checks whether a technique can be used right now.
+     * @param {string} skillId - The key of the technique.
+     * @param {object} [options={}] - Usage options.
+     * @param {number} [options.distance] - Distance to the target on the grid. Range is not checked if omitted.
+     * @returns {{allowed: boolean, reason: string|null}} Whether it can be used and, if not, why.
+     */
+    canUse(skillId, { distance } = {}) {
+        const technique = TechniqueDefinitions[skillId];
+        if (!technique) {
+            return { allowed: false, reason: `Unknown technique: ${skillId}` };
+        }
+        if (this.getRank(skillId) === 0) {
+            return { allowed: false, reason: `${technique.name} has not been learned.` };
+        }
+        if (this.getCooldown(skillId) > 0) {
+            return { allowed: false, reason: `${technique.name} is on cooldown (${this.getCooldown(skillId)} turn(s)).` };
+        }
+        if (!this.resources.canAfford(this.getCost(skillId))) {
+            return { allowed: false, reason: `Not enough Ki or Stamina for ${technique.name}.` };
+        }
+        if (distance !== undefined && (distance < technique.range.min || distance > technique.range.max)) {
+            return { allowed: false, reason: `Target is out of range for ${technique.name}.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Pays the cost of a technique and starts its cooldown.
+     * Callers should check canUse() first.
+     * @param {string} skillId - The key of the technique.
+     * @returns {boolean} True if the cost was paid.
+     */
+    consume(skillId) {
+        const { ki, stamina } = this.getCost(skillId);
+        if (!this.resources.canAfford({ ki, stamina })) {
+            return false;
+        }
+        this.resources.useKi(ki);
+        this.resources.useStamina(stamina);
+        this._cooldowns[skillId] = TechniqueDefinitions[skillId].cooldown;
+        return true;
+    }
+
+    /** Counts down all technique cooldowns by one turn. */
+    tickCooldowns() {
+        for (const skillId in this._cooldowns) {
+            this._cooldowns[skillId] = Math.max(0, this._cooldowns[skillId] - 1);
+        }
+    }
+
+    /**
+     * Returns learned ranks and remaining cooldowns for saving.
+     * @returns {object} { ranks, cooldowns }.
+     */
+    toJSON() {
+        return { ranks: { ...this._ranks }, cooldowns: { ...this._cooldowns } };
+    }
+
+    /**
+     * Restores saved ranks and cooldowns without spending skill points. Unknown techniques are skipped.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ ranks = {}, cooldowns = {} } = {}) {
+        this._ranks = {};
+        this._cooldowns = {};
+        for (const skillId in ranks) {
+            const technique = TechniqueDefinitions[skillId];
+            if (!technique) {
+                console.warn(`Skipping unknown saved technique: ${skillId}`);
+                continue;
+            }
+            this._ranks[skillId] = Math.min(ranks[skillId], technique.maxRank);
+            this._cooldowns[skillId] = cooldowns[skillId] ?? 0;
+        }
+    }
+
+    /** Gets all learned techniques as { id, rank } entries. */
+    get learnedSkills() {
+        return Object.entries(this._ranks).map(([id, rank]) => ({ id, rank }));
+    }
+}
+
+export { CharacterSkills, TechniqueKeys, SkillStatKeys };
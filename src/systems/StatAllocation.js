@@ -0,0 +1,134 @@
+// src/systems/StatAllocation.js
+
+import { StatKeys } from './BaseStats.js';
+
+/**
+ * A pending stat point allocation. Points can be queued across StatKeys, undone individually
+ * and previewed before anything is spent; commit() allocates them all through CharacterAttributes.
+ * Create one with Character.beginAllocation().
+ */
+class StatAllocationSession {
+    /**
+     * Creates an allocation session for a character.
+     * @param {Character} character - The character whose unallocated stat points are spent.
+     */
+    constructor(character) {
+        if (!character) {
+            throw new Error("StatAllocationSession requires a Character.");
+        }
+        this.character = character;
+
+        this._queue = [];   // Queued stat keys, one entry per point, in the order they were queued
+        this._open = true;  // Closed once committed or cancelled
+    }
+
+    /** Gets whether points can still be queued, committed or cancelled. */
+    get isOpen() { return this._open; }
+
+    /** Gets the number of points queued. */
+    get queuedPoints() { return this._queue.length; }
+
+    /** Gets the unallocated points not yet queued. */
+    get availablePoints() { return this.character.attributes.unallocatedStatPoints - this._queue.length; }
+
+    /** Gets the queued points per stat ({ statKey: count }). */
+    get pending() {
+        const pending = {};
+        for (const statKey of this._queue) {
+            pending[statKey] = (pending[statKey] ?? 0) + 1;
+        }
+        return pending;
+    }
+
+    /**
+     * Queues points to a stat.
+     * @param {string} statKey - The key of the stat (from StatKeys).
+     * @param {number} [amount=1] - The number of points to queue.
+     * @returns {boolean} True if the points were queued.
+     */
+    queue(statKey, amount = 1) {
+        if (!this._open) {
+            console.warn("Cannot queue points: The allocation session is closed.");
+            return false;
+        }
+        if (!Object.values(StatKeys).includes(statKey)) {
+            console.warn(`Cannot queue points to invalid stat key: ${statKey}`);
+            return false;
+        }
+        if (!Number.isInteger(amount) || amount <= 0) {
+            console.warn(`Points to queue must be a positive integer: ${amount}`);
+            return false;
+        }
+        if (amount > this.availablePoints) {
+            console.warn(`Cannot queue ${amount} point(s): Only ${this.availablePoints} available.`);
+            return false;
+        }
+        for (let i = 0; i < amount; i++) {
+            this._queue.push(statKey);
+        }
+        return true;
+    }
+
+    /**
+     * Removes one queued point from a stat.
+     * @param {string} statKey - The key of the stat (from StatKeys).
+     * @returns {boolean} True if a point was removed.
+     */
+    undo(statKey) {
+        const index = this._queue.lastIndexOf(statKey);
+        if (!this._open || index === -1) {
+            console.warn(`Cannot undo: No point queued to ${statKey}.`);
+            return false;
+        }
+        this._queue.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Removes the most recently queued point.
+     * @returns {string|null} The stat key the point was queued to, or null if nothing was queued.
+     */
+    undoLast() {
+        if (!this._open) return null;
+        return this._queue.pop() ?? null;
+    }
+
+    /**
+     * Previews the character's stats with the queued points applied, without spending anything.
+     * @returns {{before: object, after: object}} Stat snapshots (see Character.getStatSnapshot()).
+     */
+    preview() {
+        return {
+            before: this.character.getStatSnapshot(),
+            after: this.character.previewStatIncrease(this.pending),
+        };
+    }
+
+    /**
+     * Allocates every queued point and closes the session.
+     * @returns {object|false} The points allocated per stat, or false if the session is closed.
+     */
+    commit() {
+        if (!this._open) {
+            console.warn("Cannot commit: The allocation session is closed.");
+            return false;
+        }
+        const allocated = {};
+        for (const statKey of this._queue) {
+            if (this.character.attributes.allocateStatPoint(statKey)) {
+                allocated[statKey] = (allocated[statKey] ?? 0) + 1;
+            }
+        }
+        this._queue = [];
+        this._open = false;
+        return allocated;
+    }
+
+    /** Discards every queued point and closes the session. */
+    cancel() {
+        this._queue = [];
+        this._open = false;
+    }
+}
+
+export { StatAllocationSession };
@@ -0,0 +1,263 @@
+// src/systems/StatusEffects.js
+
+import { ResourceKeys } from './Resources.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { ModifierTypes } from './Modifiers.js';
+import { defaultRandom } from './Random.js';
+import { StatusEffectKeys, StackingRules, StatusEffectDefinitions } from '../data/statusEffects.js';
+
+/**
+ * Manages the buffs and debuffs currently active on a character.
+ * Effects last a number of turns, can tick against resources every turn,
+ * and register multipliers for derived and combat stats on the modifier stack.
+ */
+class CharacterStatusEffects {
+    /**
+     * Creates an instance of CharacterStatusEffects.
+     * @param {CharacterResources} resources - The character's resources instance (for tick effects).
+     * @param {CharacterResistances} resistances - The character's resistances instance (for resistance rolls).
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (for effect multipliers).
+     * @param {RandomGenerator} [rng=defaultRandom] - Random source for resistance rolls.
+     */
+    constructor(resources, resistances, modifiers, rng = defaultRandom) {
+        if (!resources || !resistances || !modifiers) {
+            throw new Error("CharacterStatusEffects requires Resources, Resistances, and Modifiers instances.");
+        }
+        this.resources = resources;
+        this.resistances = resistances;
+        this.modifiers = modifiers;
+        this.rng = rng;
+
+        // Active effects keyed by effect id: { id, stacks, remainingTurns, source }
+        this._effects = new Map();
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so status effect changes are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /**
+     * Attempts to apply a status effect.
+     * Debuffs roll against the character's status resistance unless ignoreResistance is set.
+     * @param {string} effectId - The key of the effect (from StatusEffectKeys).
+     * @param {object} [options={}] - Application options.
+     * @param {number} [options.duration] - Duration in turns. Defaults to the effect's duration.
+     * @param {number} [options.stacks=1] - Number of stacks to apply (stacking effects only).
+     * @param {string} [options.source=null] - Identifier of whatever applied the effect.
+     * @param {boolean} [options.ignoreResistance=false] - Skip the resistance roll.
+     * @returns {boolean} True if the effect was applied or updated, false if it was invalid or resisted.
+     */
+    apply(effectId, { duration, stacks = 1, source = null, ignoreResistance = false } = {}) {
+        const definition = StatusEffectDefinitions[effectId];
+        if (!definition) {
+            console.warn(`Cannot apply unknown status effect: ${effectId}`);
+            return false;
+        }
+
+        if (definition.isDebuff && !ignoreResistance) {
+            const resistChance = this.resistances.status;
+            if (this.rng.next() < resistChance) {
+                console.log(`${definition.name} was resisted (Status Resist: ${(resistChance * 100).toFixed(1)}%)`);
+                return false;
+            }
+        }
+
+        const turns = duration ?? definition.duration;
+        const existing = this._effects.get(effectId);
+
+        if (!existing) {
+            this._effects.set(effectId, {
+                id: effectId,
+                stacks: Math.min(stacks, definition.maxStacks),
+                remainingTurns: turns,
+                source,
+            });
+            this._registerModifiers(effectId);
+            console.log(`${definition.name} applied for ${turns} turn(s).`);
+            this.events?.emit(CharacterEvents.STATUS_CHANGED, { effectId, active: true });
+            return true;
+        }
+
+        switch (definition.stacking) {
+            case StackingRules.STACK:
+                existing.stacks = Math.min(existing.stacks + stacks, definition.maxStacks);
+                existing.remainingTurns = Math.max(existing.remainingTurns, turns);
+                break;
+            case StackingRules.EXTEND:
+                existing.remainingTurns += turns;
+                break;
+            case StackingRules.REFRESH:
+                existing.remainingTurns = Math.max(existing.remainingTurns, turns);
+                break;
+            case StackingRules.IGNORE:
+            default:
+                console.log(`${definition.name} is already active.`);
+                return false;
+        }
+        existing.source = source ?? existing.source;
+        console.log(`${definition.name} updated. Stacks: ${existing.stacks}, Remaining: ${existing.remainingTurns} turn(s).`);
+        this.events?.emit(CharacterEvents.STATUS_CHANGED, { effectId, active: true });
+        return true;
+    }
+
+    /**
+     * Removes an active status effect.
+     * @param {string} effectId - The key of the effect to remove.
+     * @returns {boolean} True if the effect was active and removed.
+     */
+    remove(effectId) {
+        const removed = this._effects.delete(effectId);
+        if (removed) {
+            this.modifiers.removeBySource(this._getModifierSource(effectId));
+            console.log(`${StatusEffectDefinitions[effectId].name} removed.`);
+            this.events?.emit(CharacterEvents.STATUS_CHANGED, { effectId, active: false });
+        }
+        return removed;
+    }
+
+    /** Removes all active status effects. */
+    clear() {
+        if (this._effects.size === 0) return;
+        for (const effectId of this._effects.keys()) {
+            this.modifiers.removeBySource(this._getModifierSource(effectId));
+        }
+        this._effects.clear();
+        this.events?.emit(CharacterEvents.STATUS_CHANGED, { effectId: null, active: false });
+    }
+
+    /**
+     * Checks whether a status effect is active.
+     * @param {string} effectId - The key of the effect.
+     * @returns {boolean} True if the effect is active.
+     */
+    has(effectId) {
+        return this._effects.has(effectId);
+    }
+
+    /**
+     * Processes one turn: applies tick effects to resources, then counts down durations
+     * and removes expired effects.
+     * @returns {object} Summary of the turn: { ticks: [{ effectId, resource, amount }], expired: [effectId] }.
+     */
+    tick() {
+        const summary = { ticks: [], expired: [] };
+
+        for (const effect of this._effects.values()) {
+            const definition = StatusEffectDefinitions[effect.id];
+            for (const tick of definition.ticks) {
+                const amount = this._applyTick(tick, effect.stacks);
+                summary.ticks.push({ effectId: effect.id, resource: tick.resource, amount });
+            }
+
+            effect.remainingTurns--;
+            if (effect.remainingTurns <= 0) {
+                summary.expired.push(effect.id);
+            }
+        }
+
+        summary.expired.forEach(effectId => this.remove(effectId));
+        return summary;
+    }
+
+    /**
+     * Applies a single tick effect against the linked resources.
+     * @param {object} tick - The tick definition ({ resource, fraction }).
+     * @param {number} stacks - Number of active stacks.
+     * @returns {number} The amount of the resource removed.
+     * @private
+     */
+    _applyTick({ resource, fraction }, stacks) {
+        switch (resource) {
+            case ResourceKeys.HEALTH: {
+                const amount = Math.max(1, Math.floor(this.resources.maxHealth * fraction * stacks));
+                const before = this.resources.health;
+                this.resources.takeDamage(amount);
+                return before - this.resources.health;
+            }
+            case ResourceKeys.KI: {
+                const amount = Math.min(this.resources.ki, Math.max(1, Math.floor(this.resources.maxKi * fraction * stacks)));
+                const before = this.resources.ki;
+                this.resources.drainKi(amount);
+                return before - this.resources.ki;
+            }
+            case ResourceKeys.STAMINA: {
+                const amount = Math.min(this.resources.stamina, Math.max(1, Math.floor(this.resources.maxStamina * fraction * stacks)));
+                const before = this.resources.stamina;
+                this.resources.drainStamina(amount);
+                return before - this.resources.stamina;
+            }
+            default:
+                console.warn(`Unsupported tick resource: ${resource}`);
+                return 0;
+        }
+    }
+
+    /**
+     * Registers an effect's multipliers on the modifier stack.
+     * @param {string} effectId - The key of the effect.
+     * @private
+     */
+    _registerModifiers(effectId) {
+        this.modifiers.setSource(this._getModifierSource(effectId), Object.entries(StatusEffectDefinitions[effectId].modifiers)
+            .map(([statId, modifier]) => (typeof modifier === 'number'
+                ? { statId, type: ModifierTypes.MULTIPLY, value: modifier }
+                : { statId, type: modifier.type, value: modifier.value })));
+    }
+
+    /**
+     * Gets the modifier source id used for an effect.
+     * @param {string} effectId - The key of the effect.
+     * @returns {string} The source id (e.g., 'status:haste').
+     * @private
+     */
+    _getModifierSource(effectId) {
+        return `status:${effectId}`;
+    }
+
+    /**
+     * Returns the active effects for saving.
+     * @returns {Array<object>} Active effects ({ id, stacks, remainingTurns, source }).
+     */
+    toJSON() {
+        return this.activeEffects;
+    }
+
+    /**
+     * Restores saved effects, replacing any active ones. No resistance rolls are made.
+     * @param {Array<object>} effects - Saved effects from toJSON(). Unknown effects are skipped.
+     */
+    restoreState(effects = []) {
+        this.clear();
+        for (const { id, stacks, remainingTurns, source = null } of effects) {
+            const definition = StatusEffectDefinitions[id];
+            if (!definition) {
+                console.warn(`Skipping unknown saved status effect: ${id}`);
+                continue;
+            }
+            this._effects.set(id, { id, stacks: Math.min(stacks, definition.maxStacks), remainingTurns, source });
+            this._registerModifiers(id);
+        }
+        this.events?.emit(CharacterEvents.STATUS_CHANGED, { effectId: null, active: true });
+    }
+
+    /** Gets whether the character is able to act (no action-preventing effect is active). */
+    get canAct() {
+        for (const effect of this._effects.values()) {
+            if (StatusEffectDefinitions[effect.id].preventsAction) return false;
+        }
+        return true;
+    }
+
+    /** Gets a copy of all active effects. */
+    get activeEffects() {
+        return Array.from(this._effects.values(), effect => ({ ...effect }));
+    }
+}
+
+export { CharacterStatusEffects, StatusEffectKeys, StackingRules };
@@ -0,0 +1,206 @@
+// src/systems/Transformations.js
+
+import { TransformationKeys, TransformationDefinitions } from '../data/transformations.js';
+import { CharacterEvents } from './EventEmitter.js';
+import { ModifierTypes } from './Modifiers.js';
+import { DerivedStatKeys } from './DerivedStats.js';
+
+// Source id used when registering modifiers
+export const TRANSFORMATION_SOURCE = 'transformation';
+
+// Define keys for transformation stats (used as modifier targets)
+const TransformationStatKeys = Object.freeze({
+    UPKEEP: 'formUpkeep', // Multiplies the ki/stamina upkeep of every form
+});
+
+/**
+ * Manages a character's active transformation (Kaioken, Super Saiyan, racial forms, etc.).
+ * Forms are defined as data in src/data/transformations.js. While transformed, the form's
+ * PL and stat multipliers are registered as modifiers and its upkeep is drained from Resources every turn.
+ */
+class CharacterTransformations {
+    /**
+     * Creates an instance of CharacterTransformations.
+     * @param {CharacterAttributes} attributes - The character's attributes instance (for requirements).
+     * @param {CharacterBaseStats} baseStats - The character's base stats instance.
+     * @param {CharacterResources} resources - The character's resources instance (for upkeep).
+     * @param {CharacterModifiers} modifiers - The character's modifier stack (for PL and stat multipliers).
+     */
+    constructor(attributes, baseStats, resources, modifiers) {
+        if (!attributes || !baseStats || !resources || !modifiers) {
+            throw new Error("CharacterTransformations requires Attributes, BaseStats, Resources, and Modifiers instances.");
+        }
+        this.attributes = attributes;
+        this.baseStats = baseStats;
+        this.resources = resources;
+        this.modifiers = modifiers;
+
+        this._activeFormId = null;
+
+        this.events = null; // Character event emitter, linked via bindEvents()
+    }
+
+    /**
+     * Links the character's event emitter so transformations and reversions are published.
+     * @param {EventEmitter} events - The character's event emitter.
+     */
+    bindEvents(events) {
+        this.events = events;
+    }
+
+    /**
+     * Checks whether the character meets the requirements for a form.
+     * @param {string} formId - The key of the form (from TransformationKeys).
+     * @returns {{allowed: boolean, reason: string|null}} Whether the form is allowed and, if not, why.
+     */
+    canTransform(formId) {
+        const form = TransformationDefinitions[formId];
+        if (!form) {
+            return { allowed: false, reason: `Unknown transformation: ${formId}` };
+        }
+        if (form.races && !form.races.includes(this.attributes.race)) {
+            return { allowed: false, reason: `${form.name} is not available to the ${this.attributes.race} race.` };
+        }
+        if (this.attributes.level < form.minLevel) {
+            return { allowed: false, reason: `${form.name} requires Level ${form.minLevel}.` };
+        }
+        if (this.attributes.potential < form.minPotential) {
+            return { allowed: false, reason: `${form.name} requires ${form.minPotential * 100}% Potential.` };
+        }
+        if (this._activeFormId === formId) {
+            return { allowed: false, reason: `Already in ${form.name}.` };
+        }
+        if (!this.resources.canAfford(this._getUpkeepCost(form))) {
+            return { allowed: false, reason: `Not enough Ki or Stamina to sustain ${form.name}.` };
+        }
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Transforms into a form, replacing any currently active form.
+     * @param {string} formId - The key of the form (from TransformationKeys).
+     * @returns {boolean} True if the transformation succeeded.
+     */
+    transform(formId) {
+        const { allowed, reason } = this.canTransform(formId);
+        if (!allowed) {
+            console.warn(`Cannot transform: ${reason}`);
+            return false;
+        }
+
+        const form = TransformationDefinitions[formId];
+        this._activate(formId);
+        console.log(`Transformed into ${form.name}! PL Multiplier: x${form.plMultiplier}`);
+        this.events?.emit(CharacterEvents.FORM_CHANGED, { formId });
+        return true;
+    }
+
+    /**
+     * Sets the active form and registers its multipliers on the modifier stack.
+     * @param {string} formId - The key of the form.
+     * @private
+     */
+    _activate(formId) {
+        const form = TransformationDefinitions[formId];
+        this._activeFormId = formId;
+        this.modifiers.setSource(TRANSFORMATION_SOURCE, [
+            { statId: DerivedStatKeys.BASE_PL, type: ModifierTypes.MULTIPLY, value: form.plMultiplier },
+            ...Object.entries(form.statMultipliers).map(([statId, value]) => ({ statId, type: ModifierTypes.MULTIPLY, value })),
+        ]);
+    }
+
+    /**
+     * Returns the active form for saving.
+     * @returns {object} { activeFormId }.
+     */
+    toJSON() {
+        return { activeFormId: this._activeFormId };
+    }
+
+    /**
+     * Restores a saved form without checking requirements or paying costs.
+     * @param {object} state - Saved state from toJSON().
+     */
+    restoreState({ activeFormId = null } = {}) {
+        this.revert();
+        if (!activeFormId) return;
+        if (!TransformationDefinitions[activeFormId]) {
+            console.warn(`Skipping unknown saved transformation: ${activeFormId}`);
+            return;
+        }
+        this._activate(activeFormId);
+        this.events?.emit(CharacterEvents.FORM_CHANGED, { formId: activeFormId });
+    }
+
+    /**
+     * Reverts to base form.
+     * @returns {boolean} True if a form was active and has been reverted.
+     */
+    revert() {
+        if (!this._activeFormId) {
+            return false;
+        }
+        console.log(`Reverted from ${TransformationDefinitions[this._activeFormId].name} to base form.`);
+        this._activeFormId = null;
+        this.modifiers.removeBySource(TRANSFORMATION_SOURCE);
+        this.events?.emit(CharacterEvents.FORM_CHANGED, { formId: null });
+        return true;
+    }
+
+    /**
+     * Calculates the per-turn ki/stamina cost of a form from the current resource maximums.
+     * @param {object} form - The form definition.
+     * @returns {{ki: number, stamina: number}} The upkeep cost.
+     * @private
+     */
+    _getUpkeepCost(form) {
+        const upkeepMultiplier = this.modifiers.apply(TransformationStatKeys.UPKEEP, 1);
+        return {
+            ki: Math.ceil(this.resources.maxKi * form.upkeep.ki * upkeepMultiplier),
+            stamina: Math.ceil(this.resources.maxStamina * form.upkeep.stamina * upkeepMultiplier),
+        };
+    }
+
+    /**
+     * Pays one turn of upkeep for the active form and builds up fatigue.
+     * Automatically reverts when ki or stamina can no longer sustain the form.
+     * @returns {object|null} Summary { formId, ki, stamina, fatigue, reverted }, or null if not transformed.
+     */
+    tickUpkeep() {
+        if (!this._activeFormId) {
+            return null;
+        }
+        const formId = this._activeFormId;
+        const form = TransformationDefinitions[formId];
+        const { ki, stamina } = this._getUpkeepCost(form);
+
+        if (!this.resources.canAfford({ ki, stamina })) {
+            console.log(`Not enough energy to sustain ${form.name}!`);
+            this.revert();
+            return { formId, ki: 0, stamina: 0, fatigue: 0, reverted: true };
+        }
+
+        this.resources.useKi(ki);
+        this.resources.useStamina(stamina);
+        this.resources.addFatigue(form.fatiguePerTurn);
+        return { formId, ki, stamina, fatigue: form.fatiguePerTurn, reverted: false };
+    }
+
+    /** Gets the multiplier the active form applies to Base PL (1.0 in base form). */
+    getPLMultiplier() {
+        return this._activeFormId ? TransformationDefinitions[this._activeFormId].plMultiplier : 1.0;
+    }
+
+    /** Gets the key of the active form, or null in base form. */
+    get activeFormId() { return this._activeFormId; }
+
+    /** Gets the definition of the active form (including its id), or null in base form. */
+    get activeForm() {
+        return this._activeFormId ? { id: this._activeFormId, ...TransformationDefinitions[this._activeFormId] } : null;
+    }
+
+    /** Gets whether a form is currently active. */
+    get isTransformed() { return this._activeFormId !== null; }
+}
+
+export { CharacterTransformations, TransformationKeys, TransformationStatKeys };
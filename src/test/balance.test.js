@@ -0,0 +1,136 @@
+// src/test/balance.test.js
+import { jest } from '@jest/globals';
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { BalanceConfig, defaultBalance, validateBalanceConfig, DefaultBalanceConfig } from '../systems/Balance.js';
+
+// Creates a level 10 character with uneven stats, so every formula term shows up
+const createFighter = ({ name, balance } = {}) => createTestCharacter({
+    name,
+    balance,
+    level: 10,
+    stats: { hp: 50, str: 30, vit: 25, tec: 40, agi: 20, wis: 15, aura: 10 },
+});
+
+describe('Balance Config', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should reproduce the standard formulas with the default config', () => {
+        const character = createFighter();
+        const stat = statKey => character.baseStats.getEffectiveStat(statKey);
+        expect(character.balance).toBe(defaultBalance);
+
+        expect(character.resources.maxHealth).toBe(Math.floor(stat(StatKeys.HP) + 10 * 10 + stat(StatKeys.VIT) * 5));
+        expect(character.combatStats.accuracy).toBeCloseTo(
+            50 + (stat(StatKeys.TEC) / (stat(StatKeys.TEC) + 60)) * 50 + (stat(StatKeys.AGI) / (stat(StatKeys.AGI) + 120)) * 25, 10);
+        expect(character.resistances.physical).toBeCloseTo((stat(StatKeys.VIT) / (stat(StatKeys.VIT) + 100)) * 0.9, 10);
+        expect(character.combatStats.getCritMultiplier('mega')).toBeCloseTo(character.combatStats.critDamage * 1.5, 10);
+        expect(character.combatStats.getCritDefenseIgnore('omega')).toBe(0.5);
+    });
+
+    it('should merge partial overrides onto the defaults without freezing them', () => {
+        const overrides = { combat: { accuracy: { base: 60 } } };
+        const balance = new BalanceConfig(overrides, 'sharpshooter');
+
+        expect(balance.name).toBe('sharpshooter');
+        expect(balance.config.combat.accuracy.base).toBe(60);
+        expect(balance.config.combat.accuracy.curves).toEqual(DefaultBalanceConfig.combat.accuracy.curves);
+        expect(balance.config.resources).toEqual(DefaultBalanceConfig.resources);
+        expect(Object.isFrozen(balance.config.combat.accuracy)).toBe(true);
+        expect(Object.isFrozen(overrides.combat)).toBe(false);
+        expect(JSON.parse(JSON.stringify(balance)).combat.accuracy.base).toBe(60);
+    });
+
+    it('should report every problem in an invalid config', () => {
+        const invalid = structuredClone(DefaultBalanceConfig);
+        invalid.combat.acuracy = { base: 1 };
+        invalid.combat.accuracy.curves[StatKeys.TEC].constant = 0;
+        invalid.resources.maxKi.stats.luck = 2;
+        invalid.combat.critTiers.mega.threshold = 1;
+        invalid.resistances[ResistanceKeys.HEAT].floor = 0.9;
+
+        const { valid, errors } = validateBalanceConfig(invalid);
+        expect(valid).toBe(false);
+        expect(errors).toEqual(expect.arrayContaining([
+            'combat.acuracy is not a known key.',
+            'combat.accuracy.curves.tec.constant must be a number > 0.',
+            'resources.maxKi.stats.luck is not a known key.',
+            'combat.critTiers.mega.threshold must be higher than the super tier threshold.',
+            `resistances.${ResistanceKeys.HEAT}.floor must not be higher than its cap.`,
+        ]));
+        expect(validateBalanceConfig(structuredClone(DefaultBalanceConfig))).toEqual({ valid: true, errors: [] });
+        expect(() => new BalanceConfig({ powerLevel: { effective: { health: 2 } } })).toThrow('Invalid balance config');
+    });
+
+    it('should hot-swap a config and recalculate every character using it', () => {
+        const balance = new BalanceConfig();
+        const fighter = createFighter({ name: 'Fighter', balance });
+        const rival = createFighter({ name: 'Rival', balance });
+        const { maxHealth, maxKi } = fighter.resources;
+        const { accuracy } = fighter.combatStats;
+        const turnOrder = fighter.derivedStats.turnOrder;
+
+        expect(balance.load({
+            resources: { maxHealth: { perLevel: 5 } },
+            combat: { accuracy: { base: 30 } },
+            derived: { turnOrder: { stats: { [StatKeys.TEC]: 1 } } },
+        })).toBe(true);
+
+        expect(balance.version).toBe(2);
+        expect(fighter.resources.maxHealth).toBe(maxHealth - 50);
+        expect(fighter.resources.health).toBe(fighter.resources.maxHealth); // Capped at the new maximum
+        expect(fighter.resources.maxKi).toBe(maxKi);
+        expect(fighter.combatStats.accuracy).toBeCloseTo(accuracy - 20, 10);
+        expect(fighter.derivedStats.turnOrder).toBe(turnOrder + 20);
+        expect(rival.resources.maxHealth).toBe(fighter.resources.maxHealth);
+    });
+
+    it('should keep the current config when loading an invalid one', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const balance = new BalanceConfig();
+        const character = createFighter({ balance });
+        const { maxHealth } = character.resources;
+
+        expect(balance.load({ resources: { maxHealth: { perLevel: 'lots' } } })).toBe(false);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('resources.maxHealth.perLevel must be a number'));
+        expect(balance.version).toBe(1);
+        expect(character.resources.maxHealth).toBe(maxHealth);
+    });
+
+    it('should preview stat increases and load saves under the character\'s own config', () => {
+        const fragile = new BalanceConfig({ resources: { maxHealth: { perLevel: 2 } } }, 'fragile');
+        const character = createFighter({ balance: fragile });
+        const detach = jest.spyOn(fragile, 'detach');
+
+        const preview = character.previewStatIncrease({ [StatKeys.VIT]: 2 });
+        expect(preview.resources.maxHealth).toBe(character.resources.maxHealth + 10);
+        expect(detach).toHaveBeenCalledTimes(1); // The throwaway copy is not kept attached
+
+        const restored = Character.fromJSON(character.toJSON(), { balance: fragile });
+        expect(restored.balance).toBe(fragile);
+        expect(restored.resources.maxHealth).toBe(character.resources.maxHealth);
+        expect(Character.fromJSON(character.toJSON()).balance).toBe(defaultBalance);
+    });
+
+    it('should run two configs side by side', () => {
+        const tanky = new BalanceConfig({ resistances: { [ResistanceKeys.PHYSICAL]: { curveConstant: 25 } } }, 'tanky');
+        const standard = createFighter({ name: 'Standard' });
+        const tank = createFighter({ name: 'Tank', balance: tanky });
+
+        expect(tank.resistances.physical).toBeGreaterThan(standard.resistances.physical);
+        expect(standard.resistances.physical).toBeCloseTo(createFighter().resistances.physical, 10);
+
+        // Switching configs recalculates, and the old config no longer affects the character
+        const resistance = tank.resistances.physical;
+        tank.balance = defaultBalance;
+        expect(tank.resistances.physical).toBeCloseTo(standard.resistances.physical, 10);
+        tanky.load({ resistances: { [ResistanceKeys.PHYSICAL]: { curveConstant: 10 } } });
+        expect(tank.resistances.physical).toBeCloseTo(standard.resistances.physical, 10);
+        tank.balance = tanky;
+        expect(tank.resistances.physical).toBeGreaterThan(resistance);
+    });
+});
@@ -0,0 +1,147 @@
+// src/test/battle.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { Battle, BattleActions, BattleEvents } from '../systems/Battle.js';
+import { RandomGenerator } from '../systems/Random.js';
+
+// Decide callback: always attack the first opponent
+const attackFirstOpponent = (character, battle) => ({
+    type: BattleActions.ATTACK,
+    target: battle.getOpponents(character)[0],
+});
+
+describe('Battle Manager', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should require at least two non-empty teams', () => {
+        const fighter = createTestCharacter();
+        expect(() => new Battle({ teams: [[fighter]] })).toThrow();
+        expect(() => new Battle({ teams: [[fighter], []] })).toThrow();
+    });
+
+    it('should order turns by turn order, highest first', () => {
+        const slow = createTestCharacter({ name: 'Slow', stats: { agi: 10 } });
+        const fast = createTestCharacter({ name: 'Fast', stats: { agi: 12 } });
+        const battle = new Battle({ teams: [[slow], [fast]] });
+
+        expect(battle.getInitiativeOrder()).toEqual([fast, slow]);
+
+        slow.applyStatusEffect(StatusEffectKeys.HASTE);
+        fast.applyStatusEffect(StatusEffectKeys.SLOW, { ignoreResistance: true });
+        expect(slow.derivedStats.turnOrder).toBeGreaterThan(fast.derivedStats.turnOrder);
+        expect(battle.getInitiativeOrder()).toEqual([slow, fast]);
+    });
+
+    it('should fight until one team is defeated', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5); // Always hit, never crit, never resist
+        const strong = createTestCharacter({ name: 'Strong', stats: { str: 60, agi: 20 } });
+        const weak = createTestCharacter({ name: 'Weak', stats: { hp: 20, vit: 5 } });
+        const battle = new Battle({ teams: [[strong], [weak]] });
+        const defeated = [];
+        battle.on(BattleEvents.COMBATANT_DEFEATED, ({ character }) => defeated.push(character.name));
+
+        const result = battle.run(attackFirstOpponent);
+
+        expect(result.winner).toBe(0);
+        expect(result.reason).toBe('victory');
+        expect(battle.isOver).toBe(true);
+        expect(defeated).toEqual(['Weak']);
+        expect(weak.resources.health).toBe(0);
+        expect(battle.log.length).toBeGreaterThan(0);
+        expect(battle.log.every(entry => entry.actor === 'Strong')).toBe(true); // Weak never acted
+    });
+
+    it('should skip the turn of a stunned character', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.99); // Every attack misses
+        const stunned = createTestCharacter({ name: 'Stunned', stats: { agi: 40 } });
+        const other = createTestCharacter({ name: 'Other' });
+        stunned.applyStatusEffect(StatusEffectKeys.STUN, { ignoreResistance: true });
+        const battle = new Battle({ teams: [[stunned], [other]] });
+
+        battle.runRound(attackFirstOpponent);
+
+        expect(battle.log[0]).toMatchObject({ actor: 'Stunned', action: null });
+        expect(battle.log[0].result.success).toBe(false);
+        expect(battle.log[1]).toMatchObject({ actor: 'Other', action: BattleActions.ATTACK });
+    });
+
+    it('should raise resistances while guarding until the next turn', () => {
+        const guard = createTestCharacter({ name: 'Guard' });
+        const other = createTestCharacter({ name: 'Other' });
+        const battle = new Battle({ teams: [[guard], [other]] });
+        const physicalBefore = guard.resistances.physical;
+
+        battle.runRound(() => ({ type: BattleActions.GUARD }));
+        expect(guard.statusEffects.has(StatusEffectKeys.GUARDING)).toBe(true);
+        expect(guard.resistances.physical).toBeGreaterThan(physicalBefore);
+
+        // The guard expires at the start of the guarding character's next turn
+        guard.startTurn();
+        expect(guard.statusEffects.has(StatusEffectKeys.GUARDING)).toBe(false);
+    });
+
+    it('should recover ki when charging', () => {
+        const charger = createTestCharacter({ name: 'Charger' });
+        const other = createTestCharacter({ name: 'Other' });
+        charger.resources.useKi(charger.resources.maxKi);
+        const battle = new Battle({ teams: [[charger], [other]] });
+        let regenerated = 0; // Passive ki regeneration at the start of the turn
+        battle.on(BattleEvents.ACTION, ({ actor, upkeep }) => { if (actor === charger) regenerated = upkeep.regeneration.ki; });
+
+        battle.runRound(() => ({ type: BattleActions.CHARGE_KI }));
+        expect(charger.resources.ki).toBe(regenerated + Math.floor(charger.resources.maxKi * charger.kiControl.chargeRate));
+    });
+
+    it('should end the battle when the last opponent flees', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0); // Flee always succeeds
+        const runner = createTestCharacter({ name: 'Runner', stats: { agi: 40 } });
+        const other = createTestCharacter({ name: 'Other' });
+        const battle = new Battle({ teams: [[runner], [other]] });
+        const fled = jest.fn();
+        battle.on(BattleEvents.COMBATANT_FLED, fled);
+
+        const result = battle.run(character => (character === runner ? { type: BattleActions.FLEE } : { type: BattleActions.GUARD }));
+
+        expect(fled).toHaveBeenCalledTimes(1);
+        expect(result.winner).toBe(1);
+        expect(result.rounds).toBe(1);
+    });
+
+    it('should end in a draw after the round limit', () => {
+        const a = createTestCharacter({ name: 'A' });
+        const b = createTestCharacter({ name: 'B' });
+        const battle = new Battle({ teams: [[a], [b]], maxRounds: 3 });
+
+        const result = battle.run(() => ({ type: BattleActions.GUARD }));
+        expect(result).toEqual({ winner: null, reason: 'maxRounds', rounds: 3 });
+    });
+
+    it('should lend fighters the seeded random source only for the battle', () => {
+        const a = createTestCharacter({ name: 'A' });
+        const b = createTestCharacter({ name: 'B' });
+        const [rngA, rngB] = [a.rng, b.rng];
+        const rng = new RandomGenerator('battle');
+        const battle = new Battle({ teams: [[a], [b]], maxRounds: 2, rng });
+        expect(a.rng).toBe(rng);
+        expect(b.combatStats.rng).toBe(rng);
+
+        battle.run(() => ({ type: BattleActions.GUARD }));
+        expect(a.rng).toBe(rngA);
+        expect(b.rng).toBe(rngB);
+        expect(b.combatStats.rng).toBe(rngB);
+    });
+
+    it('should reject targets that are not active opponents', () => {
+        const a = createTestCharacter({ name: 'A' });
+        const ally = createTestCharacter({ name: 'Ally' });
+        const b = createTestCharacter({ name: 'B' });
+        const battle = new Battle({ teams: [[a, ally], [b]] });
+
+        battle.runRound(character => ({ type: BattleActions.ATTACK, target: character === b ? null : ally }));
+        expect(battle.log.every(entry => entry.result.success === false)).toBe(true);
+        expect(ally.resources.health).toBe(ally.resources.maxHealth);
+    });
+});
@@ -0,0 +1,158 @@
+// src/test/beamStruggle.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { Battle, BattleActions } from '../systems/Battle.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { TechniqueKeys } from '../systems/Skills.js';
+import { BeamStruggleRules } from '../data/beamStruggle.js';
+import { resolveBeamStruggle, calculatePush, isEnergyTechnique } from '../systems/BeamStruggle.js';
+
+// Creates a character who knows Ki Blast and Dragon Fist
+const createFighter = ({ name, tec = 20, aura = 20 } = {}) => createTestCharacter({
+    name,
+    level: 20,
+    skillPoints: 10,
+    stats: { tec, aura },
+    skills: [TechniqueKeys.KI_BLAST, TechniqueKeys.DRAGON_FIST],
+});
+
+describe('Beam Struggle', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should only let energy techniques clash', () => {
+        expect(isEnergyTechnique(TechniqueKeys.KAMEHAMEHA)).toBe(true);
+        expect(isEnergyTechnique(TechniqueKeys.DRAGON_FIST)).toBe(false);
+        expect(isEnergyTechnique(TechniqueKeys.SOLAR_FLARE)).toBe(false);
+
+        const attacker = createFighter({ name: 'Attacker' });
+        const defender = createFighter({ name: 'Defender' });
+        expect(attacker.canBeamStruggle(TechniqueKeys.KI_BLAST, defender, TechniqueKeys.DRAGON_FIST).allowed).toBe(false);
+        expect(attacker.canBeamStruggle(TechniqueKeys.KI_BLAST, defender, TechniqueKeys.KAMEHAMEHA).allowed).toBe(false); // Not learned
+        expect(attacker.canBeamStruggle(TechniqueKeys.KI_BLAST, defender, TechniqueKeys.KI_BLAST).allowed).toBe(true);
+    });
+
+    it('should push harder with more TEC, AURA, ki and PL', () => {
+        const average = createFighter({ name: 'Average' });
+        const gifted = createFighter({ name: 'Gifted', tec: 60, aura: 60 });
+        expect(calculatePush(gifted, average)).toBeGreaterThan(calculatePush(average, gifted));
+
+        const rested = calculatePush(average, average);
+        average.resources.useKi(average.resources.maxKi);
+        expect(calculatePush(average, average)).toBeLessThan(rested);
+        expect(calculatePush(average, average, 10)).toBeCloseTo(
+            calculatePush(average, average) * (1 + BeamStruggleRules.pour.pushPerFraction * 10 / average.resources.maxKi), 5);
+    });
+
+    it('should let the stronger fighter win and deal the combined damage to the loser as energy damage', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5); // No variance
+        const attacker = createFighter({ name: 'Attacker', tec: 80, aura: 80 });
+        const defender = createFighter({ name: 'Defender' });
+        jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('normal');
+        const takeDamage = jest.spyOn(defender, 'takeDamage');
+
+        const result = resolveBeamStruggle(attacker, defender, {
+            attackerSkill: TechniqueKeys.KI_BLAST,
+            defenderSkill: TechniqueKeys.KI_BLAST,
+        });
+
+        expect(result.winner).toBe('Attacker');
+        expect(result.loser).toBe('Defender');
+        expect(result.position).toBe(1);
+        expect(result.rounds.length).toBeLessThanOrEqual(BeamStruggleRules.maxPushRounds);
+        expect(result.tier).toBe('normal');
+        expect(result.raw).toBe(Math.round((result.attackerPower + result.defenderPower) * attacker.combatStats.getCritMultiplier('normal', 'energy')));
+        expect(takeDamage).toHaveBeenCalledWith(result.raw, ResistanceKeys.ENERGY, { defenseIgnore: 0 });
+        expect(defender.resources.health).toBe(defender.resources.maxHealth - result.finalDamage);
+        expect(attacker.resources.health).toBe(attacker.resources.maxHealth);
+    });
+
+    it('should apply the winner\'s energy crit multiplier', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const attacker = createFighter({ name: 'Attacker', tec: 80, aura: 80 });
+        const defender = createFighter({ name: 'Defender' });
+        jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('super');
+
+        const result = resolveBeamStruggle(attacker, defender, {
+            attackerSkill: TechniqueKeys.KI_BLAST,
+            defenderSkill: TechniqueKeys.KI_BLAST,
+        });
+        expect(result.critMultiplier).toBe(attacker.combatStats.getCritMultiplier('super', 'energy'));
+        expect(result.raw).toBe(Math.round((result.attackerPower + result.defenderPower) * result.critMultiplier));
+    });
+
+    it('should let a fighter win an even struggle by pouring in ki', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const attacker = createFighter({ name: 'Attacker' });
+        const defender = createFighter({ name: 'Defender' });
+        const pour = (character) => (character === defender ? character.resources.maxKi : 0);
+
+        const result = resolveBeamStruggle(attacker, defender, {
+            attackerSkill: TechniqueKeys.KI_BLAST,
+            defenderSkill: TechniqueKeys.KI_BLAST,
+            pour,
+        });
+
+        const perRound = Math.floor(defender.resources.maxKi * BeamStruggleRules.pour.maxFraction);
+        expect(result.winner).toBe('Defender');
+        expect(result.rounds[0].defenderPoured).toBe(perRound);
+        expect(result.rounds[0].attackerPoured).toBe(0);
+        const poured = result.rounds.reduce((total, round) => total + round.defenderPoured, 0);
+        expect(defender.resources.ki).toBe(defender.resources.maxKi - poured);
+        expect(attacker.resources.health).toBeLessThan(attacker.resources.maxHealth);
+    });
+
+    it('should cancel out when neither side gains ground', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const attacker = createFighter({ name: 'Attacker' });
+        const defender = createFighter({ name: 'Defender' });
+
+        const result = resolveBeamStruggle(attacker, defender, {
+            attackerSkill: TechniqueKeys.KI_BLAST,
+            defenderSkill: TechniqueKeys.KI_BLAST,
+        });
+        expect(result.rounds).toHaveLength(BeamStruggleRules.maxPushRounds);
+        expect(result.winner).toBeNull();
+        expect(attacker.resources.health).toBe(attacker.resources.maxHealth);
+        expect(defender.resources.health).toBe(defender.resources.maxHealth);
+    });
+
+    it('should start a beam struggle when the defender fires back during battle', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const fighter = createFighter({ name: 'Fighter', tec: 80, aura: 80 });
+        const opponent = createFighter({ name: 'Opponent' });
+        const battle = new Battle({ teams: [[fighter], [opponent]], maxRounds: 1 });
+
+        battle.run(
+            character => (character === fighter
+                ? { type: BattleActions.SKILL, skillId: TechniqueKeys.KI_BLAST, target: opponent }
+                : { type: BattleActions.GUARD }),
+            () => ({ clash: TechniqueKeys.KI_BLAST }),
+        );
+
+        const { result } = battle.log.find(entry => entry.actor === 'Fighter');
+        expect(result.success).toBe(true);
+        expect(result.struggle.winner).toBe('Fighter');
+        expect(result.struggle.finalDamage).toBeGreaterThan(0);
+        expect(result.attack).toBeUndefined();
+    });
+
+    it('should resolve the technique normally when the defender cannot fire back', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const fighter = createFighter({ name: 'Fighter' });
+        const opponent = createFighter({ name: 'Opponent' });
+        const battle = new Battle({ teams: [[fighter], [opponent]], maxRounds: 1 });
+
+        battle.run(
+            character => (character === fighter
+                ? { type: BattleActions.SKILL, skillId: TechniqueKeys.KI_BLAST, target: opponent }
+                : { type: BattleActions.GUARD }),
+            () => ({ clash: TechniqueKeys.DRAGON_FIST }),
+        );
+
+        const { result } = battle.log.find(entry => entry.actor === 'Fighter');
+        expect(result.struggle).toBeUndefined();
+        expect(result.attack.hit).toBe(true);
+    });
+});
@@ -2,6 +2,14 @@
 import { Character } from '../Character.js';
 import { StatKeys } from '../systems/BaseStats.js';
 import { ResistanceKeys } from '../systems/Resistances.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { CombatStatKeys } from '../systems/CombatStats.js';
+import { Race } from '../systems/Attributes.js';
+import { RaceTraitDefinitions } from '../data/races.js';
+
+// Test characters default to Human, whose racial crit chance bonus applies on top of the formula
+const HUMAN_CRIT_BONUS = RaceTraitDefinitions[Race.HUMAN].modifiers
+    .find(modifier => modifier.statId === CombatStatKeys.CRIT_CHANCE).value;
 
 // Helper function to create a character with specific base stats for testing
 const createTestCharacter = (stats) => {
@@ -47,7 +55,7 @@ describe('Character System Integration Tests', () => {
             const character = createTestCharacter(stats);
             const tec = stats.tec;
             const expected = 0.05 + (tec / 150); // Base 5% + TEC contribution
-            expect(character.combatStats.critChance).toBeCloseTo(expected, 3);
+            expect(character.combatStats.critChance).toBeCloseTo(expected * (1 + HUMAN_CRIT_BONUS), 3);
         });
         
         it('should allow crit chance to exceed 100%', () => {
@@ -55,7 +63,7 @@ describe('Character System Integration Tests', () => {
             const character = createTestCharacter(highStats);
             const tec = highStats.tec;
             const expected = 0.05 + (tec / 150); // Base 5% + TEC contribution
-            expect(character.combatStats.critChance).toBeCloseTo(expected, 3);
+            expect(character.combatStats.critChance).toBeCloseTo(expected * (1 + HUMAN_CRIT_BONUS), 3);
             expect(character.combatStats.critChance).toBeGreaterThan(1.0); // Should exceed 100%
             expect(character.combatStats.effectiveCritChance).toBe(1.0); // Effective crit chance is capped at 100%
         });
@@ -249,4 +257,62 @@ describe('Character System Integration Tests', () => {
         });
     });
 
+    describe('Character Event Propagation', () => {
+        it('should recalculate dependent systems when a level is gained through addXP', () => {
+            const character = createTestCharacter({});
+            const initialMaxHealth = character.resources.maxHealth;
+            const levelUps = [];
+            character.on(CharacterEvents.LEVEL_UP, ({ level }) => levelUps.push(level));
+
+            character.attributes.addXP(character.attributes.xpToNextLevel);
+
+            expect(levelUps).toEqual([2]);
+            expect(character.resources.maxHealth).toEqual(initialMaxHealth + 10); // Level * 10 in calculateMaxValues
+        });
+
+        it('should keep Effective PL in sync when resources change directly', () => {
+            const character = createTestCharacter({ str: 100, tec: 100 });
+            const initialEffectivePL = character.derivedStats.effectivePL;
+
+            character.resources.takeDamage(Math.floor(character.resources.maxHealth / 2));
+
+            expect(character.derivedStats.effectivePL).toBeLessThan(initialEffectivePL);
+        });
+
+        it('should update combat stats and resistances when a stat point is allocated', () => {
+            const character = createTestCharacter({});
+            character.attributes.unallocatedStatPoints = 1;
+            const initialResist = character.resistances.physical;
+
+            character.allocateStatPoint(StatKeys.VIT);
+
+            expect(character.resistances.physical).toBeGreaterThan(initialResist);
+        });
+
+        it('should publish resource changes and defeat to listeners', () => {
+            const character = createTestCharacter({});
+            const changes = [];
+            let defeated = 0;
+            character.on(CharacterEvents.RESOURCE_CHANGED, (payload) => changes.push(payload));
+            character.on(CharacterEvents.DEFEATED, () => defeated++);
+
+            character.takeDamage(10000, ResistanceKeys.PHYSICAL);
+
+            expect(changes.some(change => change.key === 'health')).toBe(true);
+            expect(defeated).toBe(1);
+        });
+
+        it('should stop notifying a listener after it unsubscribes', () => {
+            const character = createTestCharacter({});
+            let calls = 0;
+            const unsubscribe = character.on(CharacterEvents.RESOURCE_CHANGED, () => calls++);
+
+            character.resources.takeDamage(5);
+            unsubscribe();
+            character.resources.takeDamage(5);
+
+            expect(calls).toBe(1);
+        });
+    });
+
 }); // End Main Describe Block
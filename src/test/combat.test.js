@@ -0,0 +1,81 @@
+// src/test/combat.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { resolveAttack, calculateHitChance, getBasicAttackPower } from '../systems/AttackResolver.js';
+
+describe('Attack Resolution', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should clamp hit chance between 5% and 95%', () => {
+        expect(calculateHitChance(1000, 0)).toBe(0.95);
+        expect(calculateHitChance(1, 1000)).toBe(0.05);
+        expect(calculateHitChance(60, 40)).toBeCloseTo(60 / (60 + 20), 5);
+    });
+
+    it('should return a miss result without damaging the defender', () => {
+        const attacker = createTestCharacter({ name: 'Attacker' });
+        const defender = createTestCharacter({ name: 'Defender' });
+        const initialHealth = defender.resources.health;
+        jest.spyOn(Math, 'random').mockReturnValue(0.99);
+
+        const result = resolveAttack(attacker, defender);
+
+        expect(result.hit).toBe(false);
+        expect(result.finalDamage).toBe(0);
+        expect(defender.resources.health).toBe(initialHealth);
+    });
+
+    it('should apply a normal hit against the defender resistance', () => {
+        const attacker = createTestCharacter({ name: 'Attacker', stats: { str: 40 } });
+        const defender = createTestCharacter({ name: 'Defender', stats: { vit: 100 } });
+        const initialHealth = defender.resources.health;
+        // Hit roll succeeds (0.5 <= hit chance), crit roll fails (0.5 > crit chance)
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        const result = resolveAttack(attacker, defender);
+        const raw = getBasicAttackPower(attacker, ResistanceKeys.PHYSICAL);
+        const expectedDamage = Math.round(raw * (1 - defender.resistances.physical));
+
+        expect(result.hit).toBe(true);
+        expect(result.tier).toBe('normal');
+        expect(result.raw).toBe(raw);
+        expect(result.finalDamage).toBe(expectedDamage);
+        expect(result.mitigated).toBe(raw - expectedDamage);
+        expect(result.knockback).toBe(0);
+        expect(defender.resources.health).toBe(initialHealth - expectedDamage);
+    });
+
+    it('should apply tier multiplier, defense ignore and knockback on an OMEGA crit', () => {
+        const attacker = createTestCharacter({ name: 'Attacker', stats: { tec: 475, str: 50 } });
+        const defender = createTestCharacter({ name: 'Defender', stats: { vit: 100, hp: 5000 } });
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        const result = resolveAttack(attacker, defender, { power: 100 });
+        const multiplier = attacker.combatStats.getCritMultiplier('omega', 'physical');
+        const raw = Math.round(100 * multiplier);
+        const resistance = defender.resistances.physical * (1 - 0.5);
+
+        expect(result.tier).toBe('omega');
+        expect(result.critMultiplier).toBeCloseTo(multiplier, 5);
+        expect(result.defenseIgnore).toBe(0.5);
+        expect(result.raw).toBe(raw);
+        expect(result.finalDamage).toBe(Math.round(raw * (1 - resistance)));
+        expect(result.knockback).toBe(attacker.combatStats.knockback);
+    });
+
+    it('should use energy crit multipliers and resistance for energy attacks', () => {
+        const attacker = createTestCharacter({ name: 'Attacker', stats: { tec: 150 } });
+        const defender = createTestCharacter({ name: 'Defender', stats: { aura: 80 } });
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        const result = attacker.attack(defender, { damageType: ResistanceKeys.ENERGY, power: 50 });
+
+        expect(result.damageType).toBe(ResistanceKeys.ENERGY);
+        expect(result.critMultiplier).toBeCloseTo(attacker.combatStats.getCritMultiplier(result.tier, 'energy'), 5);
+        const resistance = defender.resistances.energy * (1 - result.defenseIgnore);
+        expect(result.finalDamage).toBe(Math.round(result.raw * (1 - resistance)));
+    });
+});
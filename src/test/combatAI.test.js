@@ -0,0 +1,175 @@
+// src/test/combatAI.test.js
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { Battle, BattleActions } from '../systems/Battle.js';
+import { BattleGrid } from '../systems/Grid.js';
+import { RandomGenerator } from '../systems/Random.js';
+import { TechniqueKeys } from '../systems/Skills.js';
+import { ItemKeys } from '../systems/Inventory.js';
+import { ReactionKeys } from '../systems/Reactions.js';
+import { TransformationKeys } from '../systems/Transformations.js';
+import { CombatAI, createAIController, AIProfileKeys, AIActionKeys } from '../systems/CombatAI.js';
+import { AIProfileDefinitions } from '../data/ai.js';
+
+// Creates a level 10 character who knows Ki Blast
+const createFighter = ({ name, race, level = 10, potential, str = 20, tec = 20 } = {}) => createTestCharacter({
+    name,
+    race,
+    level,
+    potential,
+    skillPoints: 10,
+    stats: { str, tec },
+    skills: [TechniqueKeys.KI_BLAST],
+});
+
+// Creates a one-on-one battle with a seeded random source
+const createBattle = (fighter, opponent, seed = 'ai') => {
+    return new Battle({ teams: [[fighter], [opponent]], rng: new RandomGenerator(seed), maxRounds: 10 });
+};
+
+describe('Combat AI', () => {
+    it('should require a character and a known profile', () => {
+        expect(() => new CombatAI(null)).toThrow();
+        expect(() => new CombatAI(createFighter(), 'pacifist')).toThrow('Unknown AI profile: pacifist');
+        expect(new CombatAI(createFighter()).profile).toBe(AIProfileDefinitions[AIProfileKeys.BRAWLER]);
+    });
+
+    it('should judge opponents from power level readings', () => {
+        const fighter = createFighter({ name: 'Fighter' });
+        const hidden = createFighter({ name: 'Hidden', str: 80, tec: 80 });
+        const android = createFighter({ name: 'Android', race: Race.ANDROID, str: 80, tec: 80 });
+        const battle = new Battle({ teams: [[fighter], [hidden, android]] });
+        const ai = new CombatAI(fighter);
+
+        const before = ai.perceive(battle).find(({ character }) => character === hidden).ratio;
+        hidden.suppressPower(0.1);
+        const [suppressed, unreadable] = ai.perceive(battle);
+        expect(suppressed.ratio).toBeLessThan(before);
+        expect(unreadable.reading.detected).toBe(false);
+        expect(unreadable.ratio).toBe(1); // Androids cannot be read, so they are assumed to be even
+    });
+
+    it('should score every available action category', () => {
+        const fighter = createFighter({ name: 'Fighter' });
+        const opponent = createFighter({ name: 'Opponent' });
+        fighter.inventory.addItem(ItemKeys.SENZU_BEAN);
+        fighter.resources.takeDamage(50);
+        fighter.resources.useKi(30);
+        const battle = createBattle(fighter, opponent);
+
+        const categories = new Set(new CombatAI(fighter).getCandidates(battle).map(candidate => candidate.category));
+        expect([...categories].sort()).toEqual([
+            AIActionKeys.ATTACK, AIActionKeys.CHARGE_KI, AIActionKeys.GUARD, AIActionKeys.ITEM, AIActionKeys.SKILL,
+        ].sort());
+    });
+
+    it('should have a brawler attack and a cautious ki user fire techniques', () => {
+        const brawler = createFighter({ name: 'Brawler', str: 40 });
+        const kiUser = createFighter({ name: 'Ki User', tec: 40 });
+        const battle = createBattle(brawler, kiUser);
+
+        expect(new CombatAI(brawler, AIProfileKeys.BRAWLER).decide(battle)).toMatchObject({ type: BattleActions.ATTACK, target: kiUser });
+        expect(new CombatAI(kiUser, AIProfileKeys.KI_USER).decide(battle))
+            .toMatchObject({ type: BattleActions.SKILL, skillId: TechniqueKeys.KI_BLAST, target: brawler });
+    });
+
+    it('should charge ki when running dry and eat a senzu bean when badly hurt', () => {
+        const kiUser = createFighter({ name: 'Ki User' });
+        const opponent = createFighter({ name: 'Opponent' });
+        const battle = createBattle(kiUser, opponent);
+        const ai = new CombatAI(kiUser, AIProfileKeys.KI_USER);
+
+        kiUser.resources.useKi(kiUser.resources.maxKi);
+        expect(ai.decide(battle)).toEqual({ type: BattleActions.CHARGE_KI });
+
+        kiUser.resources.restoreKi(kiUser.resources.maxKi);
+        kiUser.inventory.addItem(ItemKeys.SENZU_BEAN);
+        kiUser.resources.takeDamage(Math.floor(kiUser.resources.maxHealth * 0.8));
+        expect(ai.decide(battle)).toEqual({ type: BattleActions.ITEM, itemId: ItemKeys.SENZU_BEAN });
+    });
+
+    it('should retreat when nearly defeated by a stronger opponent', () => {
+        const kiUser = createFighter({ name: 'Ki User' });
+        const opponent = createFighter({ name: 'Opponent', str: 200, tec: 200 });
+        const battle = createBattle(kiUser, opponent);
+        kiUser.resources.takeDamage(kiUser.resources.maxHealth - 1);
+
+        expect(new CombatAI(kiUser, AIProfileKeys.KI_USER).decide(battle)).toEqual({ type: BattleActions.FLEE });
+    });
+
+    it('should enter boss phases as health drops and transform in the serious phase', () => {
+        const boss = createFighter({ name: 'Boss', race: Race.FRIEZA_RACE, level: 20, potential: 0.3 });
+        const hero = createFighter({ name: 'Hero' });
+        const battle = createBattle(boss, hero);
+        const ai = new CombatAI(boss, AIProfileKeys.BOSS);
+
+        expect(ai.decide(battle).type).not.toBe(BattleActions.TRANSFORM); // Toys with the hero at first
+        expect(ai.phase).toBeNull();
+
+        boss.resources.takeDamage(Math.ceil(boss.resources.maxHealth * 0.5));
+        expect(ai.decide(battle)).toEqual({ type: BattleActions.TRANSFORM, formId: TransformationKeys.FINAL_FORM });
+        expect(ai.phase.name).toBe('Serious');
+        expect(ai.weights.skill).toBe(AIProfileDefinitions[AIProfileKeys.BOSS].phases[0].weights.skill);
+
+        boss.resources.takeDamage(Math.ceil(boss.resources.maxHealth * 0.3));
+        ai.decide(battle);
+        expect(ai.phase.name).toBe('Desperate');
+    });
+
+    it('should move into its preferred range on a grid', () => {
+        const brawler = createFighter({ name: 'Brawler' });
+        const opponent = createFighter({ name: 'Opponent' });
+        const grid = new BattleGrid({ width: 12, height: 3 });
+        grid.place(brawler, { x: 0, y: 1 });
+        grid.place(opponent, { x: 11, y: 1 });
+        const battle = new Battle({ teams: [[brawler], [opponent]], grid, rng: new RandomGenerator('grid') });
+
+        const action = new CombatAI(brawler).decide(battle);
+        expect(action.type).toBe(BattleActions.MOVE);
+        expect(11 - action.to.x).toBe(11 - brawler.derivedStats.movementRange); // As close as it can get this turn
+    });
+
+    it('should react to big hits and ignore harmless ones', () => {
+        const defender = createFighter({ name: 'Defender' });
+        const weakling = createFighter({ name: 'Weakling', str: 1 });
+        const bruiser = createFighter({ name: 'Bruiser', str: 200 });
+        const battle = new Battle({ teams: [[defender], [weakling, bruiser]], rng: new RandomGenerator('react') });
+        const ai = new CombatAI(defender, AIProfileKeys.BRAWLER);
+
+        expect(ai.react(weakling, { type: BattleActions.ATTACK, target: defender }, battle)).toBeNull();
+        expect(Object.values(ReactionKeys)).toContain(ai.react(bruiser, { type: BattleActions.ATTACK, target: defender }, battle));
+    });
+
+    it('should fire back into a beam struggle when it can out-push the attacker', () => {
+        const kiUser = createFighter({ name: 'Ki User', tec: 80 });
+        const attacker = createFighter({ name: 'Attacker' });
+        const battle = createBattle(kiUser, attacker);
+        const ai = new CombatAI(kiUser, AIProfileKeys.KI_USER);
+
+        const response = ai.react(attacker, { type: BattleActions.SKILL, skillId: TechniqueKeys.KI_BLAST, target: kiUser }, battle);
+        expect(response.clash).toBe(TechniqueKeys.KI_BLAST);
+        expect(response.pour(kiUser, { position: -0.5 })).toBeGreaterThan(0);
+        expect(response.pour(kiUser, { position: 0.5 })).toBe(0);
+        expect(response.pour(attacker, { position: -0.5 })).toBe(0);
+    });
+
+    it('should replay the same battle with the same seed', () => {
+        const runBattle = () => {
+            const brawler = createFighter({ name: 'Brawler', str: 30 });
+            const kiUser = createFighter({ name: 'Ki User', tec: 30 });
+            const battle = createBattle(brawler, kiUser, 'replay');
+            const { decide, react } = createAIController([
+                new CombatAI(brawler, AIProfileKeys.BRAWLER),
+                new CombatAI(kiUser, AIProfileKeys.KI_USER),
+            ]);
+            const result = battle.run(decide, react);
+            return { result, log: battle.log.map(({ round, actor, action }) => [round, actor, action]) };
+        };
+
+        const first = runBattle();
+        const second = runBattle();
+        expect(first.log.length).toBeGreaterThan(0);
+        expect(second.result).toEqual(first.result);
+        expect(JSON.stringify(second.log)).toBe(JSON.stringify(first.log));
+    });
+});
@@ -0,0 +1,94 @@
+// src/test/equipment.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { EquipmentSlots, EquipmentKeys } from '../systems/Equipment.js';
+import { EquipmentDefinitions } from '../data/equipment.js';
+
+describe('Equipment System', () => {
+    it('should define every item in a known slot', () => {
+        for (const item of Object.values(EquipmentDefinitions)) {
+            expect(Object.values(EquipmentSlots)).toContain(item.slot);
+        }
+    });
+
+    it('should grant item stat modifiers and recalculate resources', () => {
+        const character = createTestCharacter({ level: 20 });
+        const maxHealth = character.resources.maxHealth;
+        const changes = [];
+        character.on(CharacterEvents.EQUIPMENT_CHANGED, payload => changes.push(payload));
+
+        expect(character.equipItem(EquipmentKeys.TURTLE_SCHOOL_GI)).toBe(true);
+        expect(character.baseStats.getStat(StatKeys.VIT)).toBe(20);
+        expect(character.baseStats.getEffectiveStat(StatKeys.VIT)).toBe(22);
+        expect(character.resources.maxHealth).toBe(maxHealth + 2 * 5);
+        expect(changes).toEqual([{ slot: EquipmentSlots.GI, itemId: EquipmentKeys.TURTLE_SCHOOL_GI, previousId: null }]);
+
+        expect(character.unequipItem(EquipmentSlots.GI)).toBe(true);
+        expect(character.resources.maxHealth).toBe(maxHealth);
+        expect(character.resources.health).toBeLessThanOrEqual(maxHealth);
+        expect(character.unequipItem(EquipmentSlots.GI)).toBe(false);
+    });
+
+    it('should add item resistances and remove them on unequip', () => {
+        const character = createTestCharacter({ level: 20 });
+        const physical = character.resistances.getResistance(ResistanceKeys.PHYSICAL);
+        const armor = EquipmentDefinitions[EquipmentKeys.SAIYAN_BATTLE_ARMOR];
+
+        character.equipItem(EquipmentKeys.SAIYAN_BATTLE_ARMOR);
+        expect(character.resistances.getResistance(ResistanceKeys.PHYSICAL)).toBeCloseTo(physical + armor.resistances[ResistanceKeys.PHYSICAL], 5);
+        expect(character.getStatBreakdown(ResistanceKeys.PHYSICAL).flat).toEqual([{ source: 'equipment:armor', value: armor.resistances[ResistanceKeys.PHYSICAL] }]);
+
+        character.unequipItem(EquipmentSlots.ARMOR);
+        expect(character.resistances.getResistance(ResistanceKeys.PHYSICAL)).toBeCloseTo(physical, 5);
+    });
+
+    it('should replace the item already in a slot', () => {
+        const character = createTestCharacter({ level: 20 });
+        character.equipItem(EquipmentKeys.TURTLE_SCHOOL_GI);
+        character.equipItem(EquipmentKeys.DEMON_CLAN_GI);
+
+        expect(character.equipment.equipped).toEqual({ [EquipmentSlots.GI]: EquipmentKeys.DEMON_CLAN_GI });
+        expect(character.baseStats.getEffectiveStat(StatKeys.STR)).toBe(20);
+        expect(character.equipItem(EquipmentKeys.DEMON_CLAN_GI)).toBe(false); // Already equipped
+    });
+
+    it('should enforce item requirements', () => {
+        const character = createTestCharacter({ level: 1 });
+        expect(character.equipItem(EquipmentKeys.WEIGHTED_CAPE)).toBe(false);
+        expect(character.equipItem('notAnItem')).toBe(false);
+        expect(character.equipment.equipped).toEqual({});
+    });
+
+    it('should slow weighted gear wearers down while boosting training gains', () => {
+        const character = createTestCharacter({ level: 20 });
+        const { evasion } = character.combatStats;
+        const { movementRange, turnOrder } = character.derivedStats;
+
+        character.equipItem(EquipmentKeys.WEIGHTED_CAPE);
+        expect(character.baseStats.getEffectiveStat(StatKeys.AGI)).toBeLessThan(40);
+        expect(character.combatStats.evasion).toBeLessThan(evasion);
+        expect(character.derivedStats.movementRange).toBeLessThan(movementRange);
+        expect(character.derivedStats.turnOrder).toBeLessThan(turnOrder);
+        expect(character.equipment.totalWeight).toBe(EquipmentDefinitions[EquipmentKeys.WEIGHTED_CAPE].weight);
+
+        const trainingGain = EquipmentDefinitions[EquipmentKeys.WEIGHTED_CAPE].trainingGain;
+        expect(character.train(100).xpGained).toBe(Math.floor(100 * (1 + trainingGain)));
+        character.unequipItem(EquipmentSlots.WEIGHTED);
+        expect(character.train(100).xpGained).toBe(100);
+        expect(character.derivedStats.movementRange).toBe(movementRange);
+    });
+
+    it('should save and restore equipped items', () => {
+        const character = createTestCharacter({ level: 20 });
+        character.equipItem(EquipmentKeys.SAIYAN_BATTLE_ARMOR);
+        character.equipItem(EquipmentKeys.SCOUTER);
+
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.equipment.equipped).toEqual(character.equipment.equipped);
+        expect(restored.resources.maxHealth).toBe(character.resources.maxHealth);
+        expect(restored.combatStats.accuracy).toBeCloseTo(character.combatStats.accuracy, 5);
+    });
+});
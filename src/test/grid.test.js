@@ -0,0 +1,186 @@
+// src/test/grid.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { BattleGrid, TerrainKeys, getGridDistance } from '../systems/Grid.js';
+import { Battle, BattleActions } from '../systems/Battle.js';
+
+describe('Battle Grid', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should measure distance with diagonal steps counting as one tile', () => {
+        expect(getGridDistance({ x: 0, y: 0 }, { x: 3, y: 2 })).toBe(3);
+        expect(getGridDistance({ x: 2, y: 5 }, { x: 2, y: 1 })).toBe(4);
+    });
+
+    it('should reject invalid dimensions and unknown terrain', () => {
+        expect(() => new BattleGrid({ width: 0, height: 5 })).toThrow();
+        expect(() => new BattleGrid({ width: 2, height: 1, terrain: [['plain', 'lava']] })).toThrow();
+    });
+
+    it('should track occupancy and refuse blocked tiles', () => {
+        const grid = new BattleGrid({ width: 3, height: 3, terrain: [[], [TerrainKeys.PLAIN, TerrainKeys.WALL]] });
+        const a = createTestCharacter({ name: 'A' });
+        const b = createTestCharacter({ name: 'B' });
+
+        expect(grid.place(a, { x: 0, y: 0 })).toBe(true);
+        expect(grid.place(b, { x: 0, y: 0 })).toBe(false); // Occupied
+        expect(grid.place(b, { x: 1, y: 1 })).toBe(false); // Wall
+        expect(grid.place(b, { x: 2, y: 2 })).toBe(true);
+        expect(grid.getOccupant({ x: 2, y: 2 })).toBe(b);
+        expect(grid.getDistance(a, b)).toBe(2);
+
+        grid.remove(b);
+        expect(grid.getPosition(b)).toBeNull();
+        expect(grid.getOccupant({ x: 2, y: 2 })).toBeNull();
+    });
+
+    it('should limit movement by movementRange and terrain cost', () => {
+        const grid = new BattleGrid({ width: 8, height: 1, terrain: [[
+            TerrainKeys.PLAIN, TerrainKeys.WATER, TerrainKeys.PLAIN, TerrainKeys.PLAIN,
+            TerrainKeys.PLAIN, TerrainKeys.PLAIN, TerrainKeys.PLAIN, TerrainKeys.PLAIN,
+        ]] });
+        const runner = createTestCharacter({ name: 'Runner', stats: { agi: 10 } }); // AGI 10 -> movementRange 4
+        grid.place(runner, { x: 0, y: 0 });
+        expect(runner.derivedStats.movementRange).toBe(4);
+
+        // Water costs 3, so only one more plain tile fits in the budget
+        expect(grid.findPath(runner, { x: 2, y: 0 })).toEqual({ path: [{ x: 1, y: 0 }, { x: 2, y: 0 }], cost: 4 });
+        expect(grid.getReachableTiles(runner).map(tile => tile.x).sort()).toEqual([1, 2]);
+
+        expect(grid.moveCharacter(runner, { x: 3, y: 0 }).success).toBe(false);
+        const move = grid.moveCharacter(runner, { x: 2, y: 0 });
+        expect(move.success).toBe(true);
+        expect(grid.getPosition(runner)).toEqual({ x: 2, y: 0 });
+    });
+
+    it('should path around fighters and impassable terrain', () => {
+        const grid = new BattleGrid({ width: 3, height: 3, terrain: [[], [TerrainKeys.PLAIN, TerrainKeys.ROCK]] });
+        const mover = createTestCharacter({ name: 'Mover' });
+        const blocker = createTestCharacter({ name: 'Blocker' });
+        grid.place(mover, { x: 0, y: 1 });
+        grid.place(blocker, { x: 1, y: 0 });
+
+        const route = grid.findPath(mover, { x: 2, y: 1 });
+        expect(route).toEqual({ path: [{ x: 1, y: 2 }, { x: 2, y: 1 }], cost: 2 }); // Diagonally under the rock
+    });
+
+    it('should push the defender in a straight line', () => {
+        const grid = new BattleGrid({ width: 10, height: 10 });
+        const attacker = createTestCharacter({ name: 'Attacker' });
+        const defender = createTestCharacter({ name: 'Defender' });
+        grid.place(attacker, { x: 2, y: 2 });
+        grid.place(defender, { x: 3, y: 3 });
+
+        const result = grid.applyKnockback(attacker, defender, 3);
+        expect(result).toMatchObject({ moved: 3, to: { x: 6, y: 6 }, collision: null });
+        expect(defender.resources.health).toBe(defender.resources.maxHealth);
+    });
+
+    it('should deal collision damage against walls, scaled by the unspent distance', () => {
+        const grid = new BattleGrid({ width: 5, height: 1, terrain: [[
+            TerrainKeys.PLAIN, TerrainKeys.PLAIN, TerrainKeys.PLAIN, TerrainKeys.WALL, TerrainKeys.PLAIN,
+        ]] });
+        const attacker = createTestCharacter({ name: 'Attacker' });
+        const defender = createTestCharacter({ name: 'Defender', stats: { vit: 1 } });
+        grid.place(attacker, { x: 0, y: 0 });
+        grid.place(defender, { x: 1, y: 0 });
+
+        const result = grid.applyKnockback(attacker, defender, 4);
+        expect(result.moved).toBe(1);
+        expect(result.collision).toMatchObject({ type: 'terrain', terrain: TerrainKeys.WALL });
+        expect(result.collision.damage).toBeGreaterThan(0);
+        expect(defender.resources.health).toBe(defender.resources.maxHealth - result.collision.damage);
+    });
+
+    it('should shatter rocks and hurt both fighters in a fighter collision', () => {
+        const grid = new BattleGrid({ width: 5, height: 2, terrain: [[TerrainKeys.PLAIN, TerrainKeys.PLAIN, TerrainKeys.ROCK]] });
+        const attacker = createTestCharacter({ name: 'Attacker' });
+        const defender = createTestCharacter({ name: 'Defender' });
+        const bystander = createTestCharacter({ name: 'Bystander' });
+        grid.place(attacker, { x: 0, y: 0 });
+        grid.place(defender, { x: 1, y: 0 });
+
+        const rock = grid.applyKnockback(attacker, defender, 2);
+        expect(rock.collision.type).toBe('terrain');
+        expect(grid.getTerrain({ x: 2, y: 0 })).toBe(TerrainKeys.ROUGH);
+
+        grid.place(attacker, { x: 0, y: 1 });
+        grid.place(defender, { x: 1, y: 1 });
+        grid.place(bystander, { x: 2, y: 1 });
+        const fighter = grid.applyKnockback(attacker, defender, 2);
+        expect(fighter.moved).toBe(0);
+        expect(fighter.collision).toMatchObject({ type: 'fighter', with: 'Bystander' });
+        expect(fighter.collision.otherDamage).toBeGreaterThan(0);
+        expect(bystander.resources.health).toBeLessThan(bystander.resources.maxHealth);
+    });
+
+    it('should let the attacker pursue a knocked-back target', () => {
+        const grid = new BattleGrid({ width: 10, height: 1 });
+        const attacker = createTestCharacter({ name: 'Attacker' });
+        const defender = createTestCharacter({ name: 'Defender' });
+        grid.place(attacker, { x: 0, y: 0 });
+        grid.place(defender, { x: 4, y: 0 });
+
+        jest.spyOn(Math, 'random').mockReturnValue(0.99);
+        expect(grid.attemptPursuit(attacker, defender).success).toBe(false);
+
+        Math.random.mockReturnValue(0);
+        const pursuit = grid.attemptPursuit(attacker, defender);
+        expect(pursuit).toMatchObject({ success: true, to: { x: 3, y: 0 } });
+        expect(grid.getDistance(attacker, defender)).toBe(1);
+    });
+});
+
+describe('Battle on a Grid', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should require melee range for physical basic attacks', () => {
+        const grid = new BattleGrid({ width: 6, height: 1 });
+        const a = createTestCharacter({ name: 'A' });
+        const b = createTestCharacter({ name: 'B' });
+        grid.place(a, { x: 0, y: 0 });
+        grid.place(b, { x: 3, y: 0 });
+        const battle = new Battle({ teams: [[a], [b]], grid });
+
+        battle.runRound((character, self) => ({ type: BattleActions.ATTACK, target: self.getOpponents(character)[0] }));
+        expect(battle.log.every(entry => entry.result.reason === 'Target is out of range.')).toBe(true);
+    });
+
+    it('should move, knock back and pursue during a battle', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0); // Always hit, OMEGA crits, pursuit succeeds
+        const grid = new BattleGrid({ width: 20, height: 1 });
+        const attacker = createTestCharacter({ name: 'Attacker', stats: { str: 50, agi: 30 } });
+        const defender = createTestCharacter({ name: 'Defender', stats: { hp: 1000, vit: 100 } });
+        grid.place(attacker, { x: 0, y: 0 });
+        grid.place(defender, { x: 3, y: 0 });
+        const battle = new Battle({ teams: [[attacker], [defender]], grid });
+
+        const moved = battle._performAction(attacker, { type: BattleActions.MOVE, to: { x: 2, y: 0 } });
+        expect(moved.success).toBe(true);
+
+        const result = battle._performAction(attacker, { type: BattleActions.ATTACK, target: defender });
+        expect(result.attack.hit).toBe(true);
+        expect(result.knockback.moved).toBe(result.attack.knockback);
+        expect(result.pursuit.success).toBe(true);
+        expect(result.followUp.attack.hit).toBe(true);
+        expect(grid.getDistance(attacker, defender)).toBeGreaterThan(1); // Follow-up knocked them back again
+    });
+
+    it('should remove defeated fighters from the grid', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const grid = new BattleGrid({ width: 4, height: 1 });
+        const strong = createTestCharacter({ name: 'Strong', stats: { str: 80 } });
+        const weak = createTestCharacter({ name: 'Weak', stats: { hp: 5, vit: 1 } });
+        grid.place(strong, { x: 0, y: 0 });
+        grid.place(weak, { x: 1, y: 0 });
+        const battle = new Battle({ teams: [[strong], [weak]], grid });
+
+        const result = battle.run((character, self) => ({ type: BattleActions.ATTACK, target: self.getOpponents(character)[0] }));
+        expect(result.winner).toBe(0);
+        expect(grid.getPosition(weak)).toBeNull();
+    });
+});
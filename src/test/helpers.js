@@ -0,0 +1,30 @@
+// src/test/helpers.js
+// Shared helpers for the test suites (not a test file itself).
+
+import { Character } from '../Character.js';
+
+// Base stats of test characters, unless a test overrides them (HP, Ki and Stamina use the Character defaults)
+const DEFAULT_TEST_STATS = Object.freeze({ str: 20, vit: 20, tec: 20, agi: 20, wis: 20, aura: 20 });
+
+/**
+ * Creates a character for testing.
+ * @param {object} [overrides={}] - Only what the test needs to differ from the defaults.
+ * @param {string} [overrides.name='TestCharacter'] - The character's name.
+ * @param {object} [overrides.stats={}] - Base stats, merged over the default test stats.
+ * @param {Array<string>} [overrides.skills=[]] - Techniques to learn (from TechniqueKeys). Needs skillPoints.
+ * @param {RandomGenerator} [overrides.rng] - Random source for the character's rolls.
+ * @param {BalanceConfig} [overrides.balance] - Balance config for the character's formulas.
+ * @param {...*} [overrides.attributes] - Any other option is an attribute (race, level, potential, skillPoints, etc.).
+ * @returns {Character} The new character.
+ */
+export function createTestCharacter({ name = 'TestCharacter', stats = {}, skills = [], rng, balance, ...attributesConfig } = {}) {
+    const character = new Character({
+        name,
+        attributesConfig,
+        baseStatsConfig: { ...DEFAULT_TEST_STATS, ...stats },
+        rng,
+        balance,
+    });
+    skills.forEach(skillId => character.learnSkill(skillId));
+    return character;
+}
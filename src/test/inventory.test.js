@@ -0,0 +1,126 @@
+// src/test/inventory.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { Battle, BattleActions, BattleEvents } from '../systems/Battle.js';
+import { ItemKeys } from '../systems/Inventory.js';
+import { ItemDefinitions, InventoryRules } from '../data/items.js';
+
+describe('Inventory System', () => {
+    it('should stack items up to their max stack size', () => {
+        const character = createTestCharacter({ level: 10 });
+        const { maxStack } = ItemDefinitions[ItemKeys.SENZU_BEAN];
+
+        expect(character.inventory.addItem(ItemKeys.SENZU_BEAN, maxStack + 2)).toBe(true);
+        expect(character.inventory.addItem(ItemKeys.SENZU_BEAN)).toBe(true);
+        expect(character.inventory.items).toEqual([
+            { itemId: ItemKeys.SENZU_BEAN, quantity: maxStack },
+            { itemId: ItemKeys.SENZU_BEAN, quantity: 3 },
+        ]);
+        expect(character.inventory.getQuantity(ItemKeys.SENZU_BEAN)).toBe(maxStack + 3);
+
+        expect(character.inventory.removeItem(ItemKeys.SENZU_BEAN, 4)).toBe(true);
+        expect(character.inventory.items).toEqual([{ itemId: ItemKeys.SENZU_BEAN, quantity: maxStack - 1 }]);
+        expect(character.inventory.removeItem(ItemKeys.SENZU_BEAN, maxStack)).toBe(false);
+        expect(character.inventory.addItem('notAnItem')).toBe(false);
+    });
+
+    it('should limit carried weight by a STR-based capacity', () => {
+        const weak = createTestCharacter({ level: 10, stats: { str: 0 } });
+        const strong = createTestCharacter({ level: 10, stats: { str: 40 } });
+        expect(weak.inventory.capacity).toBe(InventoryRules.baseCapacity);
+        expect(strong.inventory.capacity).toBe(InventoryRules.baseCapacity + 40 * InventoryRules.capacityPerStr);
+
+        const fits = Math.floor(InventoryRules.baseCapacity / ItemDefinitions[ItemKeys.KI_DRINK].weight);
+        expect(weak.inventory.addItem(ItemKeys.KI_DRINK, fits + 1)).toBe(false);
+        expect(weak.inventory.getQuantity(ItemKeys.KI_DRINK)).toBe(0);
+        expect(weak.inventory.addItem(ItemKeys.KI_DRINK, fits)).toBe(true);
+        expect(strong.inventory.addItem(ItemKeys.KI_DRINK, fits + 1)).toBe(true);
+    });
+
+    it('should store items in capsules outside of the carried weight', () => {
+        const character = createTestCharacter({ level: 10, stats: { str: 0 } });
+        const fits = Math.floor(InventoryRules.baseCapacity / ItemDefinitions[ItemKeys.KI_DRINK].weight) - 1;
+        character.inventory.addItem(ItemKeys.HOIPOI_CAPSULE);
+        character.inventory.addItem(ItemKeys.KI_DRINK, fits);
+        const [{ capsuleId }] = character.inventory.capsules;
+
+        expect(character.inventory.storeInCapsule(capsuleId, ItemKeys.KI_DRINK, fits)).toBe(true);
+        expect(character.inventory.getCapsule(capsuleId).contents.reduce((total, stack) => total + stack.quantity, 0)).toBe(fits);
+        expect(character.inventory.getQuantity(ItemKeys.KI_DRINK)).toBe(0);
+        expect(character.inventory.totalWeight).toBeCloseTo(ItemDefinitions[ItemKeys.HOIPOI_CAPSULE].weight, 5);
+        expect(character.inventory.removeItem(ItemKeys.HOIPOI_CAPSULE)).toBe(false); // Not empty
+
+        // Room to carry more, then retrieval respects the capacity
+        character.inventory.addItem(ItemKeys.KI_DRINK, fits);
+        expect(character.inventory.retrieveFromCapsule(capsuleId, ItemKeys.KI_DRINK, 1)).toBe(false);
+        character.inventory.removeItem(ItemKeys.KI_DRINK, fits);
+        expect(character.inventory.retrieveFromCapsule(capsuleId, ItemKeys.KI_DRINK, fits)).toBe(true);
+        expect(character.inventory.removeItem(ItemKeys.HOIPOI_CAPSULE)).toBe(true);
+    });
+
+    it('should not store capsules inside capsules', () => {
+        const character = createTestCharacter({ level: 10 });
+        character.inventory.addItem(ItemKeys.HOIPOI_CAPSULE, 2);
+        const [first] = character.inventory.capsules;
+        expect(character.inventory.storeInCapsule(first.capsuleId, ItemKeys.HOIPOI_CAPSULE)).toBe(false);
+    });
+
+    it('should fully restore resources and clear fatigue with a Senzu Bean', () => {
+        const character = createTestCharacter({ level: 10 });
+        character.inventory.addItem(ItemKeys.SENZU_BEAN);
+        character.resources.takeDamage(100);
+        character.resources.useKi(30);
+        character.resources.useStamina(40);
+        character.resources.addFatigue(25);
+        const fatigue = character.resources.fatigue;
+
+        const restored = character.useItem(ItemKeys.SENZU_BEAN);
+        expect(restored).toMatchObject({ health: 100, ki: 30, fatigue });
+        expect(character.resources.health).toBe(character.resources.maxHealth);
+        expect(character.resources.stamina).toBe(character.resources.maxStamina);
+        expect(character.resources.fatigue).toBe(0);
+        expect(character.inventory.getQuantity(ItemKeys.SENZU_BEAN)).toBe(0);
+        expect(character.useItem(ItemKeys.SENZU_BEAN)).toBe(false);
+        expect(character.useItem(ItemKeys.HOIPOI_CAPSULE)).toBe(false);
+    });
+
+    it('should restore a fraction of ki with a ki drink', () => {
+        const character = createTestCharacter({ level: 10 });
+        character.inventory.addItem(ItemKeys.KI_DRINK);
+        character.resources.useKi(character.resources.maxKi);
+
+        expect(character.useItem(ItemKeys.KI_DRINK).ki).toBe(Math.ceil(character.resources.maxKi * 0.3));
+    });
+
+    it('should enforce per-battle usage limits and reset them after the battle', () => {
+        const fighter = createTestCharacter({ name: 'Fighter', level: 10 });
+        const opponent = createTestCharacter({ name: 'Opponent', level: 10 });
+        fighter.inventory.addItem(ItemKeys.SENZU_BEAN, 3);
+        fighter.resources.takeDamage(50);
+
+        const battle = new Battle({ teams: [[fighter], [opponent]], maxRounds: 2 });
+        const results = [];
+        battle.on(BattleEvents.ACTION, ({ actor, result }) => { if (actor === fighter) results.push(result); });
+        battle.run(character => (character === fighter ? { type: BattleActions.ITEM, itemId: ItemKeys.SENZU_BEAN } : { type: BattleActions.GUARD }));
+
+        expect(results[0].success).toBe(true);
+        expect(results[1]).toMatchObject({ success: false });
+        expect(fighter.inventory.getQuantity(ItemKeys.SENZU_BEAN)).toBe(2);
+
+        // Outside of battle there is no limit
+        expect(fighter.useItem(ItemKeys.SENZU_BEAN)).not.toBe(false);
+        expect(fighter.useItem(ItemKeys.SENZU_BEAN)).not.toBe(false);
+    });
+
+    it('should save and restore items and capsule contents', () => {
+        const character = createTestCharacter({ level: 10 });
+        character.inventory.addItem(ItemKeys.HOIPOI_CAPSULE);
+        character.inventory.addItem(ItemKeys.STAMINA_RATION, 5);
+        character.inventory.storeInCapsule(character.inventory.capsules[0].capsuleId, ItemKeys.STAMINA_RATION, 2);
+
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.inventory.toJSON()).toEqual(character.inventory.toJSON());
+        restored.inventory.addItem(ItemKeys.HOIPOI_CAPSULE);
+        expect(restored.inventory.capsules.map(capsule => capsule.capsuleId)).toEqual([1, 2]);
+    });
+});
@@ -0,0 +1,98 @@
+// src/test/kiControl.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { TechniqueKeys } from '../systems/Skills.js';
+import { migrateSaveData } from '../systems/Serialization.js';
+import { Battle, BattleActions } from '../systems/Battle.js';
+import { KiControlRules } from '../data/kiControl.js';
+import { TechniqueDefinitions } from '../data/techniques.js';
+
+describe('Ki Control System', () => {
+    it('should charge ki faster with higher WIS', () => {
+        const dull = createTestCharacter({ level: 10, stats: { wis: 0 } });
+        const wise = createTestCharacter({ level: 10, stats: { wis: 40 } });
+        for (const character of [dull, wise]) {
+            character.resources.useKi(character.resources.maxKi);
+        }
+
+        expect(dull.kiControl.chargeRate).toBe(KiControlRules.charge.base);
+        expect(wise.kiControl.chargeRate).toBeCloseTo(KiControlRules.charge.base + 40 * KiControlRules.charge.perWis, 5);
+        expect(dull.chargeKi()).toBe(Math.floor(dull.resources.maxKi * KiControlRules.charge.base));
+        expect(wise.chargeKi()).toBe(Math.floor(wise.resources.maxKi * wise.kiControl.chargeRate));
+        expect(createTestCharacter({ level: 10, stats: { wis: 1000 } }).kiControl.chargeRate).toBe(KiControlRules.charge.max);
+    });
+
+    it('should overcharge above max ki up to the ceiling, then bleed it off', () => {
+        const character = createTestCharacter({ level: 10, stats: { wis: 1000 } });
+        const { maxKi, kiCeiling } = character.resources;
+        expect(kiCeiling).toBe(maxKi + Math.floor(maxKi * KiControlRules.overcharge.maxFraction));
+
+        character.chargeKi();
+        character.chargeKi();
+        expect(character.resources.ki).toBe(kiCeiling);
+        expect(character.resources.overcharge).toBe(kiCeiling - maxKi);
+
+        // Regular recovery never removes overcharge, spending uses it first
+        character.resources.restoreKi(10);
+        expect(character.resources.ki).toBe(kiCeiling);
+        character.resources.useKi(10);
+        expect(character.resources.ki).toBe(kiCeiling - 10);
+
+        const overcharge = character.resources.overcharge;
+        expect(character.startTurn().overchargeLost).toBe(Math.ceil(overcharge * KiControlRules.overcharge.bleedFraction));
+        character.passTime(1);
+        expect(character.resources.ki).toBe(maxKi);
+        expect(character.startTurn().overchargeLost).toBe(0);
+    });
+
+    it('should overcharge when charging in battle', () => {
+        const charger = createTestCharacter({ name: 'Charger', level: 10, stats: { wis: 1000 } });
+        const other = createTestCharacter({ name: 'Other', level: 10 });
+        const battle = new Battle({ teams: [[charger], [other]] });
+
+        battle.runRound(character => (character === charger ? { type: BattleActions.CHARGE_KI } : { type: BattleActions.GUARD }));
+        expect(charger.resources.overcharge).toBeGreaterThan(0);
+    });
+
+    it('should reduce technique ki costs with WIS', () => {
+        const dull = createTestCharacter({ level: 10, stats: { wis: 0 } });
+        const wise = createTestCharacter({ level: 10, stats: { wis: 50 } });
+        const baseCost = TechniqueDefinitions[TechniqueKeys.KI_BLAST].cost.ki;
+
+        expect(dull.skills.getCost(TechniqueKeys.KI_BLAST).ki).toBe(baseCost);
+        expect(wise.kiControl.efficiency).toBeCloseTo(50 * KiControlRules.efficiency.perWis, 5);
+        expect(wise.skills.getCost(TechniqueKeys.KI_BLAST).ki).toBe(Math.ceil(baseCost * (1 - wise.kiControl.efficiency)));
+        expect(createTestCharacter({ level: 10, stats: { wis: 1000 } }).kiControl.efficiency).toBe(KiControlRules.efficiency.max);
+    });
+
+    it('should show a suppressed PL while keeping the true PL for combat', () => {
+        const character = createTestCharacter({ level: 10 });
+        const changes = [];
+        character.on(CharacterEvents.SUPPRESSION_CHANGED, payload => changes.push(payload));
+        const { effectivePL } = character.derivedStats;
+
+        expect(character.visiblePL).toBe(effectivePL);
+        character.suppressPower(0.1);
+        expect(character.visiblePL).toBe(Math.floor(effectivePL * 0.1));
+        expect(character.derivedStats.effectivePL).toBe(effectivePL);
+        expect(character.getStatSnapshot().derived.effectivePL).toBe(effectivePL);
+
+        character.suppressPower(0);
+        expect(character.kiControl.suppression).toBe(KiControlRules.suppression.minFraction);
+        character.releasePower();
+        expect(character.kiControl.isSuppressed).toBe(false);
+        expect(changes.map(({ suppression }) => suppression)).toEqual([0.1, KiControlRules.suppression.minFraction, 1]);
+    });
+
+    it('should save suppression and overcharged ki', () => {
+        const character = createTestCharacter({ level: 10, stats: { wis: 1000 } });
+        character.chargeKi();
+        character.suppressPower(0.5);
+
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.kiControl.suppression).toBe(0.5);
+        expect(restored.resources.ki).toBe(character.resources.ki);
+        expect(migrateSaveData({ version: 9 }).kiControl).toEqual({ suppression: 1 });
+    });
+});
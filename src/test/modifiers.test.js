@@ -0,0 +1,95 @@
+// src/test/modifiers.test.js
+import { Character } from '../Character.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { CombatStatKeys } from '../systems/CombatStats.js';
+import { MaxResourceKeys } from '../systems/Resources.js';
+import { CharacterModifiers, ModifierTypes } from '../systems/Modifiers.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+
+describe('Modifier Stack', () => {
+    it('should apply flat, then percent, then multiplicative modifiers', () => {
+        const modifiers = new CharacterModifiers();
+        modifiers.add('str', { type: ModifierTypes.MULTIPLY, value: 2, source: 'form' });
+        modifiers.add('str', { type: ModifierTypes.PERCENT, value: 0.1, source: 'gi' });
+        modifiers.add('str', { type: ModifierTypes.FLAT, value: 5, source: 'gi' });
+        modifiers.add('str', { type: ModifierTypes.PERCENT, value: 0.15, source: 'buff' });
+
+        expect(modifiers.apply('str', 10)).toBeCloseTo((10 + 5) * (1 + 0.25) * 2, 5);
+    });
+
+    it('should remove every modifier of a source at once', () => {
+        const modifiers = new CharacterModifiers();
+        modifiers.add('str', { value: 5, source: 'gi' });
+        modifiers.add('agi', { value: 3, source: 'gi' });
+        modifiers.add('agi', { value: 2, source: 'scouter' });
+
+        expect(modifiers.removeBySource('gi')).toBe(2);
+        expect(modifiers.apply('str', 10)).toBe(10);
+        expect(modifiers.apply('agi', 10)).toBe(12);
+        expect(modifiers.hasSource('gi')).toBe(false);
+    });
+
+    it('should reject invalid modifiers', () => {
+        const modifiers = new CharacterModifiers();
+        expect(modifiers.add('str', { type: 'bogus', value: 1, source: 'x' })).toBe(false);
+        expect(modifiers.add('str', { value: NaN, source: 'x' })).toBe(false);
+        expect(modifiers.add('str', { value: 1 })).toBe(false);
+    });
+
+    it('should order modifiers deterministically by type, source and insertion', () => {
+        const modifiers = new CharacterModifiers();
+        modifiers.add('evasion', { type: ModifierTypes.PERCENT, value: 0.1, source: 'b' });
+        modifiers.add('evasion', { type: ModifierTypes.FLAT, value: 2, source: 'z' });
+        modifiers.add('evasion', { type: ModifierTypes.PERCENT, value: 0.2, source: 'a' });
+        modifiers.add('evasion', { type: ModifierTypes.FLAT, value: 1, source: 'z' });
+
+        expect(modifiers.getModifiers('evasion').map(({ source, value }) => `${source}:${value}`))
+            .toEqual(['z:2', 'z:1', 'a:0.2', 'b:0.1']);
+    });
+
+    it('should modify base, resource, combat and resistance stats on a character', () => {
+        const character = new Character({ baseStatsConfig: { str: 20, vit: 50 } });
+        const initialMaxHealth = character.resources.maxHealth;
+        const initialPhysical = character.resistances.physical;
+
+        character.modifiers.add(StatKeys.STR, { type: ModifierTypes.FLAT, value: 10, source: 'gi' });
+        character.modifiers.add(MaxResourceKeys.MAX_HEALTH, { type: ModifierTypes.PERCENT, value: 0.5, source: 'armor' });
+        character.modifiers.add(ResistanceKeys.PHYSICAL, { type: ModifierTypes.FLAT, value: 0.1, source: 'armor' });
+
+        expect(character.baseStats.getStat(StatKeys.STR)).toBe(20);
+        expect(character.baseStats.getEffectiveStat(StatKeys.STR)).toBe(30);
+        expect(character.combatStats.knockback).toBe(Math.floor(3 + (30 / (30 + 50)) * 12));
+        expect(character.resources.maxHealth).toBe(Math.floor(initialMaxHealth * 1.5));
+        expect(character.resistances.physical).toBeCloseTo(initialPhysical + 0.1, 5);
+
+        character.modifiers.removeBySource('armor');
+        expect(character.resources.maxHealth).toBe(initialMaxHealth);
+        expect(character.resistances.physical).toBeCloseTo(initialPhysical, 5);
+    });
+
+    it('should count stat modifiers towards Base PL', () => {
+        const character = new Character({ attributesConfig: { potential: 1 }, baseStatsConfig: { str: 20 } });
+        const basePL = character.derivedStats.basePL;
+
+        character.modifiers.add(StatKeys.STR, { type: ModifierTypes.FLAT, value: 10, source: 'gi' });
+        expect(character.derivedStats.basePL).toBe(Math.floor(basePL + 10 * 1.8));
+
+        character.modifiers.removeBySource('gi');
+        expect(character.derivedStats.basePL).toBe(basePL);
+    });
+
+    it('should explain a stat value with a breakdown by source', () => {
+        const character = new Character({ baseStatsConfig: { agi: 40 } });
+        const baseEvasion = character.combatStats.evasion;
+        character.applyStatusEffect(StatusEffectKeys.HASTE);
+        character.modifiers.add(CombatStatKeys.EVASION, { type: ModifierTypes.FLAT, value: 5, source: 'equipment:gi' });
+
+        const breakdown = character.getStatBreakdown(CombatStatKeys.EVASION);
+
+        expect(breakdown.base).toBeCloseTo(baseEvasion, 5);
+        expect(breakdown.flat).toEqual([{ source: 'equipment:gi', value: 5 }]);
+        expect(breakdown.multiply).toEqual([{ source: `status:${StatusEffectKeys.HASTE}`, value: 1.1 }]);
+        expect(breakdown.total).toBeCloseTo(character.combatStats.evasion, 5);
+    });
+});
@@ -0,0 +1,108 @@
+// src/test/perception.test.js
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { EquipmentSlots, EquipmentKeys } from '../systems/Equipment.js';
+import { PerceptionMethods } from '../systems/Perception.js';
+import { DerivedStatKeys } from '../systems/DerivedStats.js';
+import { ModifierTypes } from '../systems/Modifiers.js';
+import { Battle } from '../systems/Battle.js';
+import { EquipmentDefinitions } from '../data/equipment.js';
+import { KiSenseTiers } from '../data/perception.js';
+
+// Creates a level 20 character with every stat at the same value
+const createFighter = ({ name, race, level = 20, stats = 20 } = {}) => createTestCharacter({
+    name,
+    race,
+    level,
+    stats: { str: stats, vit: stats, tec: stats, agi: stats, wis: stats, aura: stats },
+});
+
+const { noise, maxReading } = EquipmentDefinitions[EquipmentKeys.SCOUTER].scanner;
+
+describe('Perception System', () => {
+    it('should give noisy numeric readings with a scouter', () => {
+        const observer = createFighter({ name: 'Observer' });
+        const target = createFighter({ name: 'Target', stats: 40 });
+        observer.equipItem(EquipmentKeys.SCOUTER);
+        const actual = target.derivedStats.effectivePL;
+
+        const reading = observer.readPowerLevel(target);
+        expect(reading).toMatchObject({ target: 'Target', method: PerceptionMethods.SCOUTER, detected: true, tier: null });
+        expect(reading.value).toBeGreaterThanOrEqual(Math.floor(actual * (1 - noise)));
+        expect(reading.value).toBeLessThanOrEqual(Math.ceil(actual * (1 + noise)));
+    });
+
+    it('should overload and destroy the scouter above its maximum reading', () => {
+        const observer = createFighter({ name: 'Observer' });
+        const saiyan = createFighter({ name: 'Saiyan', race: Race.SAIYAN });
+        const overloads = [];
+        observer.on(CharacterEvents.SCOUTER_OVERLOADED, payload => overloads.push(payload));
+        observer.equipItem(EquipmentKeys.SCOUTER);
+
+        saiyan.modifiers.setSource('test', [{ statId: DerivedStatKeys.EFFECTIVE_PL, type: ModifierTypes.MULTIPLY, value: 100 }]);
+        expect(saiyan.derivedStats.effectivePL).toBeGreaterThan(maxReading);
+        expect(observer.readPowerLevel(saiyan)).toMatchObject({ detected: true, value: null, overloaded: true });
+        expect(observer.equipment.getEquipped(EquipmentSlots.SCOUTER)).toBeNull();
+        expect(overloads).toEqual([{ itemId: EquipmentKeys.SCOUTER, target: 'Saiyan', reading: saiyan.derivedStats.effectivePL }]);
+
+        // Without the scouter, the observer falls back on ki sensing
+        expect(observer.readPowerLevel(saiyan)).toMatchObject({ method: PerceptionMethods.KI_SENSE, tier: 'farStronger' });
+    });
+
+    it('should give tiered ki sensing estimates relative to the observer', () => {
+        const observer = createFighter({ name: 'Observer' });
+        const tiers = KiSenseTiers.map(({ key }) => key);
+
+        expect(observer.readPowerLevel(createFighter({ level: 1, stats: 1 })).tier).toBe(tiers[0]);
+        expect(observer.readPowerLevel(createFighter())).toMatchObject({
+            method: PerceptionMethods.KI_SENSE,
+            detected: true,
+            value: null,
+            tier: 'even',
+            label: KiSenseTiers.find(({ key }) => key === 'even').label,
+        });
+        expect(observer.readPowerLevel(createFighter({ level: 100, stats: 200 })).tier).toBe(tiers[tiers.length - 1]);
+    });
+
+    it('should read suppressed targets by their visible power level', () => {
+        const sensor = createFighter({ name: 'Sensor' });
+        const scouterUser = createFighter({ name: 'Scouter User' });
+        scouterUser.equipItem(EquipmentKeys.SCOUTER);
+        const target = createFighter({ name: 'Target', stats: 60 });
+        const fullReading = sensor.readPowerLevel(target);
+
+        target.suppressPower(0.05);
+        const sensed = sensor.readPowerLevel(target);
+        expect(KiSenseTiers.findIndex(({ key }) => key === sensed.tier))
+            .toBeLessThan(KiSenseTiers.findIndex(({ key }) => key === fullReading.tier));
+        expect(sensed.suppressing).toBe(true); // Ki sensing notices the suppression
+
+        const scanned = scouterUser.readPowerLevel(target);
+        expect(scanned.value).toBeLessThanOrEqual(Math.ceil(target.visiblePL * (1 + noise)));
+        expect(scanned.suppressing).toBe(false); // Scouters only see the number
+    });
+
+    it('should not read Androids, and Androids cannot sense ki', () => {
+        const android = createFighter({ name: 'Android', race: Race.ANDROID });
+        const human = createFighter({ name: 'Human' });
+
+        expect(human.readPowerLevel(android)).toMatchObject({ method: PerceptionMethods.KI_SENSE, detected: false, tier: null });
+        human.equipItem(EquipmentKeys.SCOUTER);
+        expect(human.readPowerLevel(android)).toMatchObject({ method: PerceptionMethods.SCOUTER, detected: false, value: 0 });
+
+        expect(android.readPowerLevel(human)).toMatchObject({ method: PerceptionMethods.NONE, detected: false });
+        android.equipItem(EquipmentKeys.SCOUTER);
+        expect(android.readPowerLevel(human).method).toBe(PerceptionMethods.SCOUTER);
+    });
+
+    it('should provide readings of every opponent in battle', () => {
+        const observer = createFighter({ name: 'Observer' });
+        const opponents = [createFighter({ name: 'A' }), createFighter({ name: 'B', race: Race.ANDROID })];
+        const battle = new Battle({ teams: [[observer], opponents] });
+
+        const readings = battle.getReadings(observer);
+        expect(readings.map(({ character }) => character)).toEqual(opponents);
+        expect(readings.map(({ reading }) => reading.detected)).toEqual([true, false]);
+    });
+});
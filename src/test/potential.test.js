@@ -0,0 +1,111 @@
+// src/test/potential.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { PotentialUnlockKeys } from '../systems/Potential.js';
+import { PotentialCeiling, PotentialUnlockDefinitions } from '../data/potential.js';
+import { RaceTraitDefinitions } from '../data/races.js';
+
+describe('Potential System', () => {
+    it('should calculate the theoretical max PL from level and race', () => {
+        const human = createTestCharacter({ level: 10 });
+        const saiyan = createTestCharacter({ race: Race.SAIYAN, level: 10 });
+        const levelMax = PotentialCeiling.basePL + PotentialCeiling.plPerLevel * 10;
+
+        expect(human.derivedStats.theoreticalMaxPL).toBe(Math.floor(levelMax * RaceTraitDefinitions[Race.HUMAN].plCeiling));
+        expect(saiyan.derivedStats.theoreticalMaxPL).toBe(Math.floor(levelMax * RaceTraitDefinitions[Race.SAIYAN].plCeiling));
+
+        human.levelUp();
+        expect(human.derivedStats.theoreticalMaxPL).toBeGreaterThan(Math.floor(levelMax * RaceTraitDefinitions[Race.HUMAN].plCeiling));
+    });
+
+    it('should cap Base PL at the ceiling set by potential', () => {
+        const capped = createTestCharacter({ stats: { str: 200 } });
+        expect(capped.derivedStats.basePL).toBe(capped.derivedStats.basePLCeiling);
+
+        // Weak stats stay below the ceiling, so Base PL comes from stats alone
+        const weak = createTestCharacter({ level: 50, potential: 1.0, stats: { str: 1, vit: 1, tec: 1, agi: 1, wis: 1, aura: 1 } });
+        expect(weak.derivedStats.basePL).toBeLessThan(weak.derivedStats.basePLCeiling);
+    });
+
+    it('should recalculate derived stats when potential changes', () => {
+        const character = createTestCharacter({ potentialCap: 1.0, stats: { str: 200 } });
+        const basePL = character.derivedStats.basePL;
+        let updates = 0;
+        character.on(CharacterEvents.DERIVED_UPDATED, () => updates++);
+
+        character.attributes.increasePotential(0.1);
+        expect(updates).toBeGreaterThan(0);
+        expect(character.derivedStats.basePL).toBeGreaterThan(basePL);
+        expect(character.derivedStats.basePL).toBe(character.derivedStats.basePLCeiling);
+    });
+
+    it('should raise potential to the cap with an Elder Kai unlock, once', () => {
+        const character = createTestCharacter({ potentialCap: 0.6 });
+        const unlocked = [];
+        character.on(CharacterEvents.POTENTIAL_UNLOCKED, payload => unlocked.push(payload));
+
+        expect(character.unlockPotential(PotentialUnlockKeys.ELDER_KAI)).toBeCloseTo(0.5, 5);
+        expect(character.attributes.potential).toBeCloseTo(0.6, 5);
+        expect(unlocked).toEqual([{ eventId: PotentialUnlockKeys.ELDER_KAI, amount: expect.any(Number), potential: expect.any(Number) }]);
+
+        character.attributes.potential = 0.3;
+        expect(character.unlockPotential(PotentialUnlockKeys.ELDER_KAI)).toBe(false);
+        expect(character.unlockPotential('notAnUnlock')).toBe(false);
+    });
+
+    it('should never unlock potential beyond the cap', () => {
+        const character = createTestCharacter({ potential: 0.19, potentialCap: 0.2 });
+
+        expect(character.unlockPotential(PotentialUnlockKeys.NEAR_DEATH)).toBeCloseTo(0.01, 5);
+        expect(character.attributes.potential).toBeCloseTo(0.2, 5);
+        expect(character.unlockPotential(PotentialUnlockKeys.NEAR_DEATH)).toBe(false);
+        expect(character.potential.getUses(PotentialUnlockKeys.NEAR_DEATH)).toBe(1);
+    });
+
+    it('should unlock potential at training milestone levels', () => {
+        const character = createTestCharacter({ level: 8, potentialCap: 1.0 });
+        const milestone = PotentialUnlockDefinitions[PotentialUnlockKeys.TRAINING_MILESTONE];
+
+        character.levelUp(); // Level 9
+        expect(character.attributes.potential).toBeCloseTo(0.1, 5);
+        character.levelUp(); // Level 10
+        expect(character.attributes.potential).toBeCloseTo(0.1 + milestone.amount, 5);
+        expect(character.potential.getUses(PotentialUnlockKeys.TRAINING_MILESTONE)).toBe(1);
+    });
+
+    it('should trigger a near-death awakening once per brush with death', () => {
+        const character = createTestCharacter({ potentialCap: 1.0 });
+        const nearDeath = PotentialUnlockDefinitions[PotentialUnlockKeys.NEAR_DEATH];
+        const { maxHealth } = character.resources;
+
+        character.resources.takeDamage(maxHealth - 1);
+        expect(character.attributes.potential).toBeCloseTo(0.1 + nearDeath.amount, 5);
+
+        // Staying near death or healing a little does not trigger it again
+        character.resources.restoreHealth(Math.floor(maxHealth * 0.2));
+        character.resources.takeDamage(Math.floor(maxHealth * 0.2));
+        expect(character.potential.getUses(PotentialUnlockKeys.NEAR_DEATH)).toBe(1);
+
+        // Recovering re-arms it
+        character.resources.setToMax();
+        character.resources.takeDamage(character.resources.maxHealth - 1);
+        expect(character.potential.getUses(PotentialUnlockKeys.NEAR_DEATH)).toBe(2);
+
+        // Being defeated outright is not an awakening
+        const defeated = createTestCharacter({ potentialCap: 1.0 });
+        defeated.resources.takeDamage(defeated.resources.maxHealth);
+        expect(defeated.potential.getUses(PotentialUnlockKeys.NEAR_DEATH)).toBe(0);
+    });
+
+    it('should save and restore unlock progress', () => {
+        const character = createTestCharacter({ potentialCap: 1.0 });
+        character.unlockPotential(PotentialUnlockKeys.ELDER_KAI);
+
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.attributes.potential).toBeCloseTo(1.0, 5);
+        expect(restored.potential.toJSON()).toEqual(character.potential.toJSON());
+        expect(restored.derivedStats.basePL).toBe(character.derivedStats.basePL);
+    });
+});
@@ -0,0 +1,106 @@
+// src/test/progression.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { CharacterAttributes, Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { ProgressionTable } from '../data/progression.js';
+import { RaceTraitDefinitions } from '../data/races.js';
+import { migrateSaveData } from '../systems/Serialization.js';
+
+// Total XP needed to go from one level to another
+const xpBetween = (from, to) => {
+    let total = 0;
+    for (let level = from; level < to; level++) {
+        total += CharacterAttributes.getXPForLevel(level);
+    }
+    return total;
+};
+
+describe('Level Progression', () => {
+    it('should derive XP requirements from the progression table', () => {
+        const { base, growth } = ProgressionTable.xpCurve;
+        expect(CharacterAttributes.getXPForLevel(1)).toBe(base);
+        expect(CharacterAttributes.getXPForLevel(5)).toBe(Math.floor(base * Math.pow(growth, 4)));
+        expect(CharacterAttributes.getXPForLevel(ProgressionTable.levelCap)).toBe(Infinity);
+    });
+
+    it('should grant table points plus automatic and racial stat growth on level up', () => {
+        const saiyan = createTestCharacter({ race: Race.SAIYAN });
+        const strBefore = saiyan.baseStats.getStat(StatKeys.STR);
+        const kiBefore = saiyan.baseStats.getStat(StatKeys.KI);
+
+        const grants = saiyan.levelUp();
+        expect(grants.statPoints).toBe(ProgressionTable.statPointsPerLevel);
+        expect(grants.skillPoints).toBe(ProgressionTable.skillPointsPerLevel);
+        expect(saiyan.attributes.unallocatedStatPoints).toBe(ProgressionTable.statPointsPerLevel);
+        expect(saiyan.attributes.skillPoints).toBe(ProgressionTable.skillPointsPerLevel);
+        expect(saiyan.baseStats.getStat(StatKeys.STR)).toBe(strBefore + RaceTraitDefinitions[Race.SAIYAN].levelUpStats[StatKeys.STR]);
+        expect(saiyan.baseStats.getStat(StatKeys.KI)).toBe(kiBefore + ProgressionTable.autoStatGrowth[StatKeys.KI]);
+    });
+
+    it('should add level bonuses when reaching bonus levels', () => {
+        const character = createTestCharacter({ level: 9 });
+        const grants = character.levelUp();
+        expect(grants.statPoints).toBe(ProgressionTable.statPointsPerLevel + ProgressionTable.levelBonuses[10].statPoints);
+        expect(grants.skillPoints).toBe(ProgressionTable.skillPointsPerLevel + ProgressionTable.levelBonuses[10].skillPoints);
+    });
+
+    it('should gain several levels from one addXP call and report a summary', () => {
+        const character = createTestCharacter();
+        const levelUps = [];
+        character.on(CharacterEvents.LEVEL_UP, ({ level }) => levelUps.push(level));
+
+        const summary = character.addXP(xpBetween(1, 4) + 10);
+        expect(levelUps).toEqual([2, 3, 4]);
+        expect(summary).toMatchObject({ fromLevel: 1, toLevel: 4, levelsGained: 3, statPoints: ProgressionTable.statPointsPerLevel * 3 });
+        expect(summary.stats[StatKeys.TEC]).toBe(3); // Human racial growth
+        expect(character.attributes.xp).toBe(10);
+    });
+
+    it('should stop at the level cap and discard further XP', () => {
+        const character = createTestCharacter({ level: ProgressionTable.levelCap - 1 });
+        const summary = character.addXP(CharacterAttributes.getXPForLevel(ProgressionTable.levelCap - 1) * 2);
+        expect(summary.toLevel).toBe(ProgressionTable.levelCap);
+        expect(character.attributes.xp).toBe(0);
+        expect(character.attributes.isMaxLevel).toBe(true);
+
+        expect(character.addXP(100).xpGained).toBe(0);
+        expect(character.levelUp()).toBe(false);
+    });
+
+    it('should keep XP losses within the current level unless level-down is allowed', () => {
+        const character = createTestCharacter({ level: 5, xp: 30 });
+        expect(character.loseXP(100)).toEqual({ xpLost: 30, fromLevel: 5, toLevel: 5, levelsLost: 0 });
+        expect(character.attributes.xp).toBe(0);
+
+        const penalized = createTestCharacter({ level: 5, xp: 30 });
+        const maxHealth = penalized.resources.maxHealth;
+        const summary = penalized.loseXP(30 + CharacterAttributes.getXPForLevel(4) + 5, { allowLevelDown: true });
+        expect(summary).toEqual({ xpLost: 30 + CharacterAttributes.getXPForLevel(4) + 5, fromLevel: 5, toLevel: 3, levelsLost: 2 });
+        expect(penalized.attributes.xp).toBe(CharacterAttributes.getXPForLevel(3) - 5);
+        expect(penalized.resources.maxHealth).toBeLessThan(maxHealth);
+    });
+
+    it('should not grant points again for levels regained after a level-down', () => {
+        const character = createTestCharacter({ level: 5 });
+        character.loseXP(1, { allowLevelDown: true });
+        expect(character.attributes.level).toBe(4);
+
+        const grants = character.levelUp();
+        expect(grants).toEqual({ level: 5, statPoints: 0, skillPoints: 0, stats: {} });
+        expect(character.attributes.unallocatedStatPoints).toBe(0);
+        expect(character.levelUp().statPoints).toBe(ProgressionTable.statPointsPerLevel);
+    });
+
+    it('should save the highest level reached and migrate older saves', () => {
+        const character = createTestCharacter({ level: 5 });
+        character.loseXP(1, { allowLevelDown: true });
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.attributes.highestLevel).toBe(5);
+
+        const migrated = migrateSaveData({ version: 5, attributes: { level: 7, xp: 3, xpToNextLevel: 250 } });
+        expect(migrated.attributes).toMatchObject({ level: 7, xp: 3, highestLevel: 7 });
+        expect(migrated.attributes).not.toHaveProperty('xpToNextLevel');
+    });
+});
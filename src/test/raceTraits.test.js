@@ -0,0 +1,167 @@
+// src/test/raceTraits.test.js
+import { jest } from '@jest/globals';
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResistanceKeys } from '../systems/Resistances.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { TransformationKeys } from '../systems/Transformations.js';
+import { TechniqueKeys } from '../systems/Skills.js';
+import { RaceTraitDefinitions } from '../data/races.js';
+
+describe('Race Traits', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should define traits for every race', () => {
+        for (const race of Object.values(Race)) {
+            expect(RaceTraitDefinitions[race]).toBeDefined();
+        }
+    });
+
+    it('should grant racial stat growth on level up', () => {
+        const saiyan = createTestCharacter({ race: Race.SAIYAN });
+        const strBefore = saiyan.baseStats.getStat(StatKeys.STR);
+
+        saiyan.levelUp();
+        expect(saiyan.baseStats.getStat(StatKeys.STR)).toBe(strBefore + 1);
+    });
+
+    it('should let Saiyans grow potential faster', () => {
+        const saiyan = createTestCharacter({ race: Race.SAIYAN, potentialCap: 1.0 });
+        const human = createTestCharacter({ race: Race.HUMAN, potentialCap: 1.0 });
+
+        saiyan.attributes.increasePotential(0.1);
+        human.attributes.increasePotential(0.1);
+        expect(saiyan.attributes.potential).toBeCloseTo(0.25, 5);
+        expect(human.attributes.potential).toBeCloseTo(0.2, 5);
+    });
+
+    it('should grant a Saiyan zenkai after recovering from near-defeat', () => {
+        const saiyan = createTestCharacter({ race: Race.SAIYAN, potentialCap: 1.0 });
+        const strBefore = saiyan.baseStats.getStat(StatKeys.STR);
+        const potentialBefore = saiyan.attributes.potential;
+
+        // A scratch followed by healing is not a near-defeat
+        saiyan.resources.takeDamage(10);
+        saiyan.resources.setToMax();
+        expect(saiyan.raceTraits.zenkaiCount).toBe(0);
+
+        saiyan.resources.takeDamage(saiyan.resources.maxHealth - 1);
+        saiyan.resources.restoreHealth(saiyan.resources.maxHealth / 2);
+        expect(saiyan.raceTraits.zenkaiCount).toBe(0); // Only a full recovery counts
+
+        saiyan.resources.setToMax();
+        expect(saiyan.raceTraits.zenkaiCount).toBe(1);
+        expect(saiyan.baseStats.getStat(StatKeys.STR)).toBe(strBefore + 2);
+        expect(saiyan.attributes.potential).toBeGreaterThan(potentialBefore);
+
+        // Humans never get zenkai boosts
+        const human = createTestCharacter({ race: Race.HUMAN });
+        human.resources.takeDamage(human.resources.maxHealth - 1);
+        human.resources.setToMax();
+        expect(human.raceTraits.zenkaiCount).toBe(0);
+    });
+
+    it('should regenerate Namekian health and regrow limbs at the start of each turn', () => {
+        const namekian = createTestCharacter({ race: Race.NAMEKIAN });
+        namekian.resources.takeDamage(50);
+        namekian.applyStatusEffect(StatusEffectKeys.GUARD_BREAK, { ignoreResistance: true, duration: 3 });
+
+        const { race } = namekian.startTurn();
+        expect(race.healed).toBe(Math.floor(namekian.resources.maxHealth * 0.04));
+        expect(race.regrown).toEqual([StatusEffectKeys.GUARD_BREAK]);
+        expect(namekian.statusEffects.has(StatusEffectKeys.GUARD_BREAK)).toBe(false);
+    });
+
+    it('should give Androids unlimited stamina, energy absorption and no ki sensing', () => {
+        const android = createTestCharacter({ race: Race.ANDROID });
+        const human = createTestCharacter({ race: Race.HUMAN });
+        expect(android.canSenseKi).toBe(false);
+        expect(human.canSenseKi).toBe(true);
+
+        const stamina = android.resources.stamina;
+        expect(android.resources.useStamina(50)).toBe(true);
+        expect(android.resources.stamina).toBe(stamina);
+
+        android.resources.useKi(50);
+        const kiBefore = android.resources.ki;
+        const healthBefore = android.resources.health;
+        const damage = android.takeDamage(100, ResistanceKeys.ENERGY);
+        expect(android.resources.ki).toBeGreaterThan(kiBefore);
+        expect(android.resources.health).toBe(healthBefore - damage);
+        expect(damage).toBeLessThan(human.takeDamage(100, ResistanceKeys.ENERGY));
+    });
+
+    it('should suppress Frieza Race power in base form and hold their true form for free', () => {
+        const frieza = createTestCharacter({ race: Race.FRIEZA_RACE, level: 25, potential: 0.5 });
+        const suppressedPL = frieza.derivedStats.effectivePL;
+        expect(frieza.getStatBreakdown('effectivePL').multiply).toEqual([{ source: 'race:baseForm', value: 0.5 }]);
+
+        expect(frieza.transform(TransformationKeys.FINAL_FORM)).toBe(true);
+        expect(frieza.getStatBreakdown('effectivePL').multiply).toEqual([]);
+        expect(frieza.getStatBreakdown('basePL').multiply.map(modifier => modifier.source)).toEqual(['transformation']);
+        expect(frieza.derivedStats.effectivePL).toBeGreaterThan(suppressedPL);
+
+        const kiBefore = frieza.resources.ki;
+        expect(frieza.tickTransformation().reverted).toBe(false);
+        expect(frieza.resources.ki).toBe(kiBefore);
+
+        frieza.revert();
+        expect(frieza.modifiers.hasSource('race:baseForm')).toBe(true);
+    });
+
+    it('should let Majins regenerate and absorb defeated opponents', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5); // Always hit, never crit
+        const majin = createTestCharacter({ race: Race.MAJIN, stats: { str: 200 } });
+        const victim = createTestCharacter({ race: Race.HUMAN, stats: { hp: 1, vit: 1, tec: 100 } });
+        victim.resources.takeDamage(victim.resources.maxHealth - 1);
+        const tecBefore = majin.baseStats.getStat(StatKeys.TEC);
+
+        const result = majin.attack(victim);
+        expect(result.defeated).toBe(true);
+        expect(majin.baseStats.getStat(StatKeys.TEC)).toBe(tecBefore + 5);
+
+        majin.resources.takeDamage(100);
+        expect(majin.startTurn().race.healed).toBeGreaterThan(0);
+    });
+
+    it('should only let Majins absorb an opponent once, on the defeating hit', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const majin = createTestCharacter({ race: Race.MAJIN, stats: { str: 200 } });
+        const victim = createTestCharacter({ race: Race.HUMAN, stats: { hp: 1, vit: 1 } });
+        victim.resources.takeDamage(victim.resources.maxHealth);
+        const statsBefore = Object.values(StatKeys).map(statKey => majin.baseStats.getStat(statKey));
+        const kiBefore = majin.resources.ki;
+
+        // Hitting a corpse is refused: no damage, no defeat and no absorption
+        for (let i = 0; i < 5; i++) {
+            const result = majin.attack(victim);
+            expect(result.hit).toBe(false);
+            expect(result.defeated).toBe(false);
+        }
+        expect(majin.useSkill(TechniqueKeys.KI_BLAST, victim)).toMatchObject({ success: false, reason: `${victim.name} is already defeated.` });
+        expect(majin.resources.ki).toBe(kiBefore);
+        expect(Object.values(StatKeys).map(statKey => majin.baseStats.getStat(statKey))).toEqual(statsBefore);
+    });
+
+    it('should give Humans bonus crit chance and technique power', () => {
+        const human = createTestCharacter({ race: Race.HUMAN });
+        const saiyan = createTestCharacter({ race: Race.SAIYAN });
+        expect(human.combatStats.critChance).toBeCloseTo(saiyan.combatStats.critChance * 1.15, 5);
+        expect(human.getStatBreakdown('techniquePower').percent).toEqual([{ source: 'race', value: 0.1 }]);
+    });
+
+    it('should save and restore zenkai progress', () => {
+        const saiyan = createTestCharacter({ race: Race.SAIYAN, potentialCap: 1.0 });
+        saiyan.resources.takeDamage(saiyan.resources.maxHealth - 1);
+
+        const restored = Character.fromJSON(JSON.stringify(saiyan));
+        expect(restored.raceTraits.toJSON()).toEqual({ zenkaiCount: 0, nearDefeat: true });
+        restored.resources.setToMax();
+        expect(restored.raceTraits.zenkaiCount).toBe(1);
+    });
+});
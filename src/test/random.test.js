@@ -0,0 +1,100 @@
+// src/test/random.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { RandomGenerator } from '../systems/Random.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { Battle, BattleActions } from '../systems/Battle.js';
+
+// Random source that replays a fixed list of rolls
+const createScriptedRandom = (rolls) => {
+    const rng = new RandomGenerator();
+    rng.next = () => rolls.shift();
+    return rng;
+};
+
+// Runs a full fight between two fixed characters and returns its action log
+const runSeededBattle = (seed) => {
+    const goku = createTestCharacter({ name: 'Goku', stats: { str: 30, agi: 20, tec: 25 } });
+    const vegeta = createTestCharacter({ name: 'Vegeta', stats: { str: 28, agi: 22, tec: 30 } });
+    const battle = new Battle({ teams: [[goku], [vegeta]], rng: new RandomGenerator(seed) });
+    const result = battle.run((character, self) => ({
+        type: BattleActions.ATTACK,
+        target: self.getOpponents(character)[0],
+        damageType: self.rng.pick(['physical', 'energy']),
+    }));
+    return { result, log: battle.log.map(({ actor, result: { attack } }) => [actor, attack.hit, attack.tier, attack.finalDamage]) };
+};
+
+describe('Seeded Random Generator', () => {
+    it('should produce the same sequence for the same seed', () => {
+        const a = new RandomGenerator(42);
+        const b = new RandomGenerator(42);
+        const sequence = Array.from({ length: 5 }, () => a.next());
+
+        expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+        expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(new RandomGenerator(43).next()).not.toBe(sequence[0]);
+        expect(new RandomGenerator('kakarot').next()).toBe(new RandomGenerator('kakarot').next());
+    });
+
+    it('should continue the sequence after saving and restoring its state', () => {
+        const rng = new RandomGenerator(7);
+        rng.next();
+        const saved = rng.getState();
+        const expected = [rng.next(), rng.next()];
+
+        const restored = new RandomGenerator();
+        restored.setState(saved);
+        expect([restored.next(), restored.next()]).toEqual(expected);
+    });
+
+    it('should keep integers and picks within bounds', () => {
+        const rng = new RandomGenerator(1);
+        for (let i = 0; i < 50; i++) {
+            const value = rng.nextInt(2, 4);
+            expect(value).toBeGreaterThanOrEqual(2);
+            expect(value).toBeLessThanOrEqual(4);
+        }
+        expect(['a', 'b']).toContain(rng.pick(['a', 'b']));
+        expect(rng.pick([])).toBeUndefined();
+    });
+});
+
+describe('Random Injection', () => {
+    it('should roll critical hit tiers through the injected generator', () => {
+        const character = createTestCharacter({ name: 'Crit', rng: createScriptedRandom([0.6, 0.4]) });
+        character.combatStats._critChance = 0.5;
+
+        expect(character.combatStats.rollCriticalHit()).toBe('normal');
+        expect(character.combatStats.rollCriticalHit()).toBe('regular');
+
+        character.combatStats._critChance = 1.5; // Past the Super threshold
+        character.rng = createScriptedRandom([0, 0.99]);
+        expect(character.combatStats.rollCriticalHit()).toBe('super');
+    });
+
+    it('should roll status resistance through the injected generator', () => {
+        const character = createTestCharacter({ name: 'Resister', stats: { wis: 50 }, rng: createScriptedRandom([0]) });
+        expect(character.applyStatusEffect(StatusEffectKeys.BURN)).toBe(false);
+
+        character.rng = createScriptedRandom([0.999]);
+        expect(character.applyStatusEffect(StatusEffectKeys.BURN)).toBe(true);
+    });
+
+    it('should replay the same battle from the same seed', () => {
+        const first = runSeededBattle(2024);
+        const second = runSeededBattle(2024);
+
+        expect(second).toEqual(first);
+        expect(first.result.winner).not.toBeNull();
+    });
+
+    it('should save and restore a character\'s generator state', () => {
+        const original = createTestCharacter({ name: 'Saver', rng: new RandomGenerator(99) });
+        original.rng.next();
+
+        const restored = Character.fromJSON(JSON.stringify(original));
+        expect(restored.rng.isSeeded).toBe(true);
+        expect(restored.rng.next()).toBe(original.rng.next());
+    });
+});
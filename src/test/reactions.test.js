@@ -0,0 +1,174 @@
+// src/test/reactions.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { Battle, BattleActions } from '../systems/Battle.js';
+import { ReactionKeys, ReactionOutcomes } from '../systems/Reactions.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { ReactionDefinitions } from '../data/reactions.js';
+import { resolveAttack } from '../systems/AttackResolver.js';
+
+// Resolves the same attack against two identical defenders, one reacting and one not
+const compareAgainstReaction = (reaction) => {
+    const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+    const reacting = createTestCharacter({ name: 'Reacting', level: 10 });
+    const passive = createTestCharacter({ name: 'Passive', level: 10 });
+    return {
+        attacker,
+        reacting,
+        withReaction: resolveAttack(attacker, reacting, { reaction }),
+        without: resolveAttack(attacker, passive),
+    };
+};
+
+describe('Reaction System', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should scale guard reduction with VIT up to its cap', () => {
+        const { damageReduction } = ReactionDefinitions[ReactionKeys.GUARD];
+        const sturdy = createTestCharacter({ level: 10, stats: { vit: 40 } });
+        const tank = createTestCharacter({ level: 10, stats: { vit: 500 } });
+        expect(sturdy.reactions.guardReduction)
+            .toBeCloseTo(damageReduction.base + damageReduction.stats.vit * sturdy.baseStats.getEffectiveStat('vit'), 5);
+        expect(tank.reactions.guardReduction).toBe(damageReduction.max);
+    });
+
+    it('should pay the reaction cost and reduce damage when guarding', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5); // Always hit, never crit
+        const { reacting, withReaction, without } = compareAgainstReaction(ReactionKeys.GUARD);
+
+        expect(withReaction.reaction).toBe(ReactionKeys.GUARD);
+        expect(withReaction.reactionOutcome).toBe(ReactionOutcomes.GUARDED);
+        expect(withReaction.raw).toBe(Math.round(without.raw * (1 - reacting.reactions.guardReduction)));
+        expect(withReaction.finalDamage).toBeLessThan(without.finalDamage);
+        expect(reacting.resources.stamina).toBe(reacting.resources.maxStamina - ReactionDefinitions[ReactionKeys.GUARD].cost.stamina);
+    });
+
+    it('should weaken guards against MEGA crits and break them on OMEGA crits', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+        const defender = createTestCharacter({ name: 'Defender', level: 10 });
+        const rollSpy = jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('mega');
+        const weakened = resolveAttack(attacker, defender, { reaction: ReactionKeys.GUARD });
+        expect(weakened.reactionOutcome).toBe(ReactionOutcomes.GUARD_WEAKENED);
+        expect(weakened.raw).toBe(Math.round(getMegaPower(attacker) * (1 - defender.reactions.guardReduction / 2)));
+
+        rollSpy.mockReturnValue('omega');
+        const broken = resolveAttack(attacker, defender, { reaction: ReactionKeys.GUARD });
+        expect(broken.reactionOutcome).toBe(ReactionOutcomes.GUARD_BROKEN);
+        expect(defender.statusEffects.has(StatusEffectKeys.GUARD_BREAK)).toBe(true);
+        expect(defender.reactions.canReact(ReactionKeys.GUARD).allowed).toBe(false);
+    });
+
+    it('should add evasion when dodging, but get caught by MEGA crits', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const normal = compareAgainstReaction(ReactionKeys.DODGE);
+        expect(normal.withReaction.hitChance).toBeLessThan(normal.without.hitChance);
+
+        jest.spyOn(Math, 'random').mockReturnValue(0); // Always hit
+        const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+        const defender = createTestCharacter({ name: 'Defender', level: 10 });
+        jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('mega');
+        const caught = resolveAttack(attacker, defender, { reaction: ReactionKeys.DODGE });
+        expect(caught.reactionOutcome).toBe(ReactionOutcomes.CAUGHT);
+        expect(caught.raw).toBe(Math.round(getMegaPower(attacker) * ReactionDefinitions[ReactionKeys.DODGE].caughtMultiplier));
+    });
+
+    it('should report a dodged miss as evaded', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.99); // Every attack misses
+        const { withReaction } = compareAgainstReaction(ReactionKeys.DODGE);
+        expect(withReaction.hit).toBe(false);
+        expect(withReaction.reactionOutcome).toBe(ReactionOutcomes.EVADED);
+    });
+
+    it('should strike back with a counter driven by pursuit and TEC', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0); // Always hit, counter roll succeeds
+        const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+        const defender = createTestCharacter({ name: 'Defender', level: 10, stats: { tec: 60 } });
+        jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('normal');
+        jest.spyOn(defender.combatStats, 'rollCriticalHit').mockReturnValue('normal');
+        const { chance, power } = ReactionDefinitions[ReactionKeys.COUNTER];
+        expect(defender.reactions.counterChance)
+            .toBeCloseTo(Math.min(chance.max, chance.base + chance.perPursuit * defender.combatStats.pursuit), 5);
+        expect(defender.reactions.counterPower).toBeCloseTo(power.base + power.perTec * 60, 5);
+
+        const result = resolveAttack(attacker, defender, { reaction: ReactionKeys.COUNTER });
+        expect(result.reactionOutcome).toBe(ReactionOutcomes.COUNTERED);
+        expect(result.counter.hit).toBe(true);
+        expect(result.counter.reaction).toBeNull(); // Counters cannot be reacted to
+        expect(result.counter.raw).toBe(Math.round(defender.baseStats.getEffectiveStat('str') * 2 * defender.reactions.counterPower));
+        expect(attacker.resources.health).toBe(attacker.resources.maxHealth - result.counter.finalDamage);
+    });
+
+    it('should not counter SUPER or stronger crits', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+        const defender = createTestCharacter({ name: 'Defender', level: 10 });
+        jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('super');
+
+        const result = resolveAttack(attacker, defender, { reaction: ReactionKeys.COUNTER });
+        expect(result.reactionOutcome).toBe(ReactionOutcomes.FAILED);
+        expect(result.counter).toBeNull();
+        expect(attacker.resources.health).toBe(attacker.resources.maxHealth);
+    });
+
+    it('should vanish out of the way for ki unless hit by an OMEGA crit', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+        const defender = createTestCharacter({ name: 'Defender', level: 10 });
+        const rollSpy = jest.spyOn(attacker.combatStats, 'rollCriticalHit').mockReturnValue('mega');
+
+        const vanished = resolveAttack(attacker, defender, { reaction: ReactionKeys.VANISH });
+        expect(vanished).toMatchObject({ hit: false, finalDamage: 0, reactionOutcome: ReactionOutcomes.EVADED });
+        expect(defender.resources.health).toBe(defender.resources.maxHealth);
+        expect(defender.resources.ki).toBe(defender.resources.maxKi - ReactionDefinitions[ReactionKeys.VANISH].cost.ki);
+
+        rollSpy.mockReturnValue('omega');
+        const caught = resolveAttack(attacker, defender, { reaction: ReactionKeys.VANISH });
+        expect(caught.hit).toBe(true);
+        expect(caught.reactionOutcome).toBe(ReactionOutcomes.FAILED);
+    });
+
+    it('should ignore reactions the defender cannot afford or perform', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const attacker = createTestCharacter({ name: 'Attacker', level: 10 });
+        const defender = createTestCharacter({ name: 'Defender', level: 10 });
+        defender.resources.useKi(defender.resources.maxKi);
+
+        expect(defender.reactions.canReact(ReactionKeys.VANISH).allowed).toBe(false);
+        expect(defender.reactions.canReact('teleportHome').allowed).toBe(false);
+        const result = resolveAttack(attacker, defender, { reaction: ReactionKeys.VANISH });
+        expect(result.reaction).toBeNull();
+        expect(result.hit).toBe(true);
+
+        defender.applyStatusEffect(StatusEffectKeys.STUN, { ignoreResistance: true });
+        expect(defender.reactions.canReact(ReactionKeys.GUARD)).toEqual({ allowed: false, reason: 'Cannot react right now.' });
+    });
+
+    it('should ask the defender for a reaction during battle', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const fighter = createTestCharacter({ name: 'Fighter', level: 10 });
+        const opponent = createTestCharacter({ name: 'Opponent', level: 10 });
+        const battle = new Battle({ teams: [[fighter], [opponent]], maxRounds: 1 });
+        const asked = [];
+
+        battle.run(
+            character => (character === fighter ? { type: BattleActions.ATTACK, target: opponent } : { type: BattleActions.GUARD }),
+            (defender, { attacker }) => {
+                asked.push([defender.name, attacker.name]);
+                return ReactionKeys.GUARD;
+            },
+        );
+
+        expect(asked).toEqual([['Opponent', 'Fighter']]);
+        const attack = battle.log.find(entry => entry.actor === 'Fighter').result.attack;
+        expect(attack.reactionOutcome).toBe(ReactionOutcomes.GUARDED);
+    });
+});
+
+// Unrounded power of a MEGA crit from the attacker's basic physical attack
+function getMegaPower(attacker) {
+    return attacker.baseStats.getEffectiveStat('str') * 2 * attacker.combatStats.getCritMultiplier('mega', 'physical');
+}
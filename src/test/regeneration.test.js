@@ -0,0 +1,102 @@
+// src/test/regeneration.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { ResourceKeys, MAX_FATIGUE } from '../systems/Resources.js';
+import { CharacterEvents } from '../systems/EventEmitter.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { RestActionKeys } from '../systems/Regeneration.js';
+import { RegenRates, FatigueRules, RestActionDefinitions } from '../data/regeneration.js';
+
+describe('Regeneration System', () => {
+    it('should regenerate every turn, scaled by stats', () => {
+        const dull = createTestCharacter({ level: 10, stats: { wis: 0 } });
+        const wise = createTestCharacter({ level: 10, stats: { wis: 60 } });
+        for (const character of [dull, wise]) {
+            character.resources.useKi(character.resources.maxKi);
+        }
+        const rate = RegenRates.perTurn[ResourceKeys.KI];
+
+        expect(wise.regeneration.getRegenRate(ResourceKeys.KI)).toBeCloseTo(rate.base + 60 * rate.stats[StatKeys.WIS], 5);
+        expect(dull.startTurn().regeneration.ki).toBe(Math.floor(dull.resources.maxKi * rate.base));
+        expect(wise.startTurn().regeneration.ki).toBeGreaterThan(dull.resources.ki);
+    });
+
+    it('should regenerate less while fatigued', () => {
+        const fresh = createTestCharacter({ level: 10 });
+        const tired = createTestCharacter({ level: 10 });
+        for (const character of [fresh, tired]) {
+            character.resources.useKi(character.resources.maxKi);
+        }
+        tired.resources.addFatigue(MAX_FATIGUE / 2);
+
+        expect(tired.regeneration.fatigueMultiplier).toBeCloseTo(1 - FatigueRules.regenPenalty / 2, 5);
+        expect(tired.passTime(1).ki).toBeLessThan(fresh.passTime(1).ki);
+    });
+
+    it('should recover fatigue passively as world hours pass', () => {
+        const character = createTestCharacter({ level: 10 });
+        character.resources.addFatigue(20);
+
+        expect(character.passTime(3).fatigue).toBe(3 * FatigueRules.recoveryPerHour);
+        expect(character.resources.fatigue).toBe(20 - 3 * FatigueRules.recoveryPerHour);
+    });
+
+    it('should recover fatigue and resources with rest actions', () => {
+        const meditating = createTestCharacter({ level: 10 });
+        const resting = createTestCharacter({ level: 10 });
+        for (const character of [meditating, resting]) {
+            character.resources.addFatigue(60);
+            character.resources.useKi(character.resources.maxKi);
+        }
+        const rested = [];
+        meditating.on(CharacterEvents.RESTED, payload => rested.push(payload));
+
+        const meditation = meditating.rest(RestActionKeys.MEDITATE, 1);
+        expect(meditation.fatigue).toBe(FatigueRules.recoveryPerHour + RestActionDefinitions[RestActionKeys.MEDITATE].fatiguePerHour);
+        expect(meditation.ki).toBeGreaterThan(resting.rest(RestActionKeys.REST, 1).ki);
+
+        expect(meditating.rest(RestActionKeys.SLEEP, 1)).toBe(false); // Too short
+        expect(meditating.rest('notAnAction')).toBe(false);
+        const fatigue = meditating.resources.fatigue;
+        expect(meditating.rest(RestActionKeys.SLEEP).fatigue).toBe(fatigue);
+        expect(meditating.resources.fatigue).toBe(0);
+        expect(rested.map(({ actionId }) => actionId)).toEqual([RestActionKeys.MEDITATE, RestActionKeys.SLEEP]);
+    });
+
+    it('should apply exhaustion penalties at fatigue thresholds', () => {
+        const character = createTestCharacter({ level: 10 });
+        const { accuracy, evasion } = character.combatStats;
+        const [tired, exhausted] = FatigueRules.exhaustionTiers;
+
+        character.resources.addFatigue(tired.threshold);
+        expect(character.regeneration.exhaustion).toBe(tired.name);
+        expect(character.combatStats.accuracy).toBeLessThan(accuracy);
+
+        character.resources.addFatigue(exhausted.threshold - tired.threshold);
+        expect(character.regeneration.exhaustion).toBe(exhausted.name);
+        expect(character.combatStats.evasion).toBeLessThan(evasion * 0.9);
+
+        character.rest(RestActionKeys.SLEEP);
+        expect(character.regeneration.exhaustion).toBeNull();
+        expect(character.combatStats.accuracy).toBeCloseTo(accuracy, 5);
+    });
+
+    it('should collapse at max fatigue until rested', () => {
+        const character = createTestCharacter({ level: 10 });
+        character.resources.addFatigue(MAX_FATIGUE);
+
+        expect(character.regeneration.isCollapsed).toBe(true);
+        expect(character.canAct).toBe(false);
+        expect(character.statusEffects.activeEffects.find(({ id }) => id === StatusEffectKeys.COLLAPSED).remainingTurns)
+            .toBe(FatigueRules.collapseTurns);
+
+        // Reloading at max fatigue keeps the collapse without re-triggering it
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.canAct).toBe(false);
+
+        character.rest(RestActionKeys.REST);
+        expect(character.canAct).toBe(true);
+        expect(character.resources.fatigue).toBeLessThan(MAX_FATIGUE);
+    });
+});
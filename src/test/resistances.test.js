@@ -0,0 +1,73 @@
+// src/test/resistances.test.js
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { ResistanceKeys, splitDamage, getPrimaryDamageType } from '../systems/Resistances.js';
+import { ResistanceTypeDefinitions } from '../data/resistances.js';
+import { ModifierTypes } from '../systems/Modifiers.js';
+
+describe('Resistance System', () => {
+    it('should calculate every data-defined resistance type', () => {
+        const character = createTestCharacter({ level: 10 });
+        for (const key of Object.keys(ResistanceTypeDefinitions)) {
+            expect(character.resistances.getResistance(key)).toBeGreaterThan(0);
+        }
+        expect(Object.keys(character.resistances.all)).toEqual(Object.keys(ResistanceTypeDefinitions));
+        expect(character.resistances.physical).toBeCloseTo((20 / 120) * 0.9, 5);
+        expect(character.resistances.getResistance('notAResistance')).toBe(0);
+    });
+
+    it('should keep the per-type calculators', () => {
+        const { resistances } = createTestCharacter({ level: 10 });
+        expect(resistances.calculatePhysicalResistance()).toBe(resistances.physical);
+        expect(resistances.calculateEnergyResistance()).toBe(resistances.energy);
+        expect(resistances.calculateStatusResistance()).toBe(resistances.status);
+    });
+
+    it('should cap and floor resistances after modifiers', () => {
+        const character = createTestCharacter({ level: 10 });
+        const { cap, floor } = ResistanceTypeDefinitions[ResistanceKeys.HEAT];
+
+        character.modifiers.setSource('test', [{ statId: ResistanceKeys.HEAT, type: ModifierTypes.FLAT, value: 5 }]);
+        expect(character.resistances.getResistance(ResistanceKeys.HEAT)).toBe(cap);
+        character.modifiers.setSource('test', [{ statId: ResistanceKeys.HEAT, type: ModifierTypes.FLAT, value: -5 }]);
+        expect(character.resistances.getResistance(ResistanceKeys.HEAT)).toBe(floor);
+    });
+
+    it('should deal extra damage to weaknesses, even on defense-ignoring hits', () => {
+        const human = createTestCharacter({ level: 10, stats: { vit: 0 } });
+        const namekian = createTestCharacter({ race: Race.NAMEKIAN, level: 10, stats: { vit: 0 } });
+        const weakness = namekian.resistances.getResistance(ResistanceKeys.HEAT);
+        expect(weakness).toBeLessThan(0);
+
+        const normalDamage = human.takeDamage(100, ResistanceKeys.HEAT);
+        const weakDamage = namekian.takeDamage(100, ResistanceKeys.HEAT, { defenseIgnore: 1 });
+        expect(weakDamage).toBeGreaterThan(normalDamage);
+        expect(weakDamage).toBe(Math.round(100 * (1 - weakness)));
+    });
+
+    it('should split mixed damage packets across types', () => {
+        expect(splitDamage(100, ResistanceKeys.ENERGY)).toEqual({ [ResistanceKeys.ENERGY]: 100 });
+        expect(splitDamage(100, { [ResistanceKeys.ENERGY]: 3, [ResistanceKeys.HEAT]: 1 }))
+            .toEqual({ [ResistanceKeys.ENERGY]: 75, [ResistanceKeys.HEAT]: 25 });
+        expect(getPrimaryDamageType({ [ResistanceKeys.PHYSICAL]: 0.4, [ResistanceKeys.COLD]: 0.6 })).toBe(ResistanceKeys.COLD);
+
+        const character = createTestCharacter({ level: 10 });
+        const health = character.resources.health;
+        const { energy } = character.resistances;
+        const heat = character.resistances.getResistance(ResistanceKeys.HEAT);
+
+        const damage = character.takeDamage(100, { [ResistanceKeys.ENERGY]: 0.5, [ResistanceKeys.HEAT]: 0.5 });
+        expect(damage).toBe(Math.round(50 * (1 - energy) + 50 * (1 - heat)));
+        expect(character.resources.health).toBe(health - damage);
+    });
+
+    it('should only absorb the energy part of mixed damage', () => {
+        const android = createTestCharacter({ race: Race.ANDROID, level: 10 });
+        android.resources.useKi(android.resources.maxKi);
+        const { energy } = android.resistances;
+
+        android.takeDamage(100, { [ResistanceKeys.ENERGY]: 0.5, [ResistanceKeys.POISON]: 0.5 });
+        expect(android.resources.ki).toBe(Math.floor(Math.round(50 * (1 - energy)) * 0.25));
+        expect(android.resistances.getResistance(ResistanceKeys.POISON)).toBeGreaterThan(0.5);
+    });
+});
@@ -0,0 +1,86 @@
+// src/test/serialization.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { TransformationKeys } from '../systems/Transformations.js';
+import { TechniqueKeys } from '../systems/Skills.js';
+import { SAVE_SCHEMA_VERSION, migrateSaveData } from '../systems/Serialization.js';
+
+// Creates a character with some progress
+const createGoku = () => createTestCharacter({
+    name: 'Goku',
+    race: Race.SAIYAN,
+    level: 30,
+    potential: 0.4,
+    potentialCap: 1.0,
+    skillPoints: 5,
+    unallocatedStatPoints: 3,
+    stats: { str: 40, tec: 35, agi: 30, vit: 25 },
+});
+
+describe('Character Save/Load', () => {
+    it('should embed the schema version and only authoritative state', () => {
+        const data = createGoku().toJSON();
+
+        expect(data.version).toBe(SAVE_SCHEMA_VERSION);
+        expect(data.attributes.baseStats).toBeUndefined();
+        expect(data.resources.maxHealth).toBeUndefined();
+        expect(data.baseStats[StatKeys.STR]).toBe(40);
+    });
+
+    it('should round-trip attributes, stats, resources, effects, form and skills', () => {
+        const original = createGoku();
+        original.learnSkill(TechniqueKeys.KI_BLAST);
+        original.applyStatusEffect(StatusEffectKeys.HASTE);
+        original.transform(TransformationKeys.SUPER_SAIYAN);
+        original.tickTransformation();
+        original.takeDamage(60);
+
+        const restored = Character.fromJSON(JSON.stringify(original));
+
+        expect(restored.name).toBe('Goku');
+        expect(restored.attributes.toJSON()).toEqual(original.attributes.toJSON());
+        expect(restored.baseStats.getAllStats()).toEqual(original.baseStats.getAllStats());
+        expect(restored.resources.toJSON()).toEqual(original.resources.toJSON());
+        expect(restored.activeForm.id).toBe(TransformationKeys.SUPER_SAIYAN);
+        expect(restored.statusEffects.has(StatusEffectKeys.HASTE)).toBe(true);
+        expect(restored.skills.getRank(TechniqueKeys.KI_BLAST)).toBe(1);
+
+        // Derived systems are rebuilt to match
+        expect(restored.resources.maxHealth).toBe(original.resources.maxHealth);
+        expect(restored.derivedStats.effectivePL).toBe(original.derivedStats.effectivePL);
+        expect(restored.derivedStats.turnOrder).toBe(original.derivedStats.turnOrder);
+        expect(restored.combatStats.accuracy).toBeCloseTo(original.combatStats.accuracy, 5);
+    });
+
+    it('should migrate version 1 saves with statPoints to unallocatedStatPoints', () => {
+        const legacySave = {
+            name: 'Krillin',
+            attributes: { level: 5, race: Race.HUMAN, statPoints: 7 },
+            baseStats: { str: 15 },
+            resources: { health: 50 },
+        };
+
+        const migrated = migrateSaveData(legacySave);
+        expect(migrated.version).toBe(SAVE_SCHEMA_VERSION);
+        expect(migrated.attributes.statPoints).toBeUndefined();
+        expect(migrated.attributes.unallocatedStatPoints).toBe(7);
+
+        const character = Character.fromJSON(legacySave);
+        expect(character.attributes.unallocatedStatPoints).toBe(7);
+        expect(character.resources.health).toBe(50);
+    });
+
+    it('should migrate version 2 saves to an unseeded random generator', () => {
+        const migrated = migrateSaveData({ version: 2, name: 'Yamcha', attributes: {} });
+        expect(migrated.version).toBe(SAVE_SCHEMA_VERSION);
+        expect(migrated.rng).toBeNull();
+        expect(Character.fromJSON(migrated).rng.isSeeded).toBe(false);
+    });
+
+    it('should reject saves from a newer schema version', () => {
+        expect(() => migrateSaveData({ version: SAVE_SCHEMA_VERSION + 1 })).toThrow();
+    });
+});
@@ -0,0 +1,130 @@
+// src/test/simulator.test.js
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { TechniqueKeys } from '../systems/Skills.js';
+import { ItemKeys } from '../systems/Inventory.js';
+import { AIProfileKeys } from '../systems/CombatAI.js';
+import { RandomGenerator } from '../systems/Random.js';
+import { BalanceConfig, defaultBalance } from '../systems/Balance.js';
+import {
+    validateBuild, createCharacterFromBuild, simulateDuel, runSimulation, compareBalances,
+    formatTable, formatCSV, formatComparison, CRIT_TIERS,
+} from '../tools/BalanceSimulator.js';
+
+// Helper function to create a build for testing
+const createTestBuild = ({ name = 'TestBuild', race = Race.HUMAN, str = 20, tec = 20, ai = AIProfileKeys.BRAWLER } = {}) => ({
+    name,
+    race,
+    level: 10,
+    potential: 1,
+    stats: { str, vit: 20, tec, agi: 20, wis: 20 },
+    skills: { [TechniqueKeys.KI_BLAST]: 1 },
+    ai,
+});
+
+describe('Balance Simulator', () => {
+    it('should reject invalid builds', () => {
+        expect(() => validateBuild({})).toThrow('Build requires a name.');
+        expect(() => validateBuild({ ...createTestBuild(), race: 'Kryptonian' })).toThrow('unknown race');
+        expect(() => validateBuild({ ...createTestBuild(), stats: { luck: 10 } })).toThrow('unknown stat');
+        expect(() => validateBuild({ ...createTestBuild(), skills: { [TechniqueKeys.KI_BLAST]: 99 } })).toThrow('rank must be');
+        expect(() => validateBuild({ ...createTestBuild(), equipment: ['powerPole'] })).toThrow('unknown equipment');
+        expect(() => validateBuild({ ...createTestBuild(), ai: 'pacifist' })).toThrow('unknown AI profile');
+        expect(() => runSimulation([createTestBuild()])).toThrow('at least two builds');
+        expect(() => runSimulation([createTestBuild(), createTestBuild()])).toThrow('unique');
+    });
+
+    it('should create characters from builds', () => {
+        const character = createCharacterFromBuild({
+            ...createTestBuild({ name: 'Goku', race: Race.SAIYAN, str: 40 }),
+            items: { [ItemKeys.SENZU_BEAN]: 2 },
+        });
+        expect(character.name).toBe('Goku');
+        expect(character.attributes.race).toBe(Race.SAIYAN);
+        expect(character.baseStats.getStat(StatKeys.STR)).toBe(40);
+        expect(character.skills.getRank(TechniqueKeys.KI_BLAST)).toBe(1);
+        expect(character.inventory.getQuantity(ItemKeys.SENZU_BEAN)).toBe(2);
+        expect(character.resources.health).toBe(character.resources.maxHealth);
+    });
+
+    it('should jitter stats within the given range', () => {
+        const character = createCharacterFromBuild(createTestBuild({ str: 100 }), { jitter: 0.1, rng: new RandomGenerator('jitter') });
+        const str = character.baseStats.getStat(StatKeys.STR);
+        expect(str).toBeGreaterThanOrEqual(90);
+        expect(str).toBeLessThanOrEqual(110);
+    });
+
+    it('should simulate a duel to a result and count landed hits by crit tier', () => {
+        const record = simulateDuel(createTestBuild({ name: 'A', str: 40 }), createTestBuild({ name: 'B' }), { seed: 'duel' });
+        expect(['a', 'b', null]).toContain(record.winner);
+        expect(record.rounds).toBeGreaterThan(0);
+        expect(record.pl.a).toBeGreaterThan(record.pl.b);
+        const hits = CRIT_TIERS.reduce((total, tier) => total + record.crits.a[tier] + record.crits.b[tier], 0);
+        expect(hits).toBeGreaterThan(0);
+        if (record.winner !== null) {
+            expect(record.defeatedRound).toBeLessThanOrEqual(record.rounds);
+        }
+    });
+
+    it('should report consistent and reproducible results', () => {
+        const builds = [
+            createTestBuild({ name: 'Strong', str: 60 }),
+            createTestBuild({ name: 'Weak', str: 10 }),
+            createTestBuild({ name: 'Ki User', tec: 40, ai: AIProfileKeys.KI_USER }),
+        ];
+        const report = runSimulation(builds, { duels: 6, seed: 'test', jitter: 0.1 });
+
+        expect(report.matchups).toHaveLength(3);
+        report.matchups.forEach(matchup => {
+            expect(matchup.winRateA + matchup.winRateB + matchup.drawRate).toBeCloseTo(1, 10);
+        });
+        report.builds.forEach(build => {
+            expect(build.duels).toBe(12);
+            if (build.hits > 0) {
+                expect(Object.values(build.critDistribution).reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 10);
+            }
+        });
+        const strong = report.builds.find(build => build.build === 'Strong');
+        const weak = report.builds.find(build => build.build === 'Weak');
+        expect(strong.winRate).toBeGreaterThan(weak.winRate);
+        expect(report.plCorrelation).toBeGreaterThan(0);
+
+        expect(runSimulation(builds, { duels: 6, seed: 'test', jitter: 0.1 })).toEqual(report);
+    });
+
+    it('should silence logging only while simulating', () => {
+        const { log, warn } = console;
+        runSimulation([createTestBuild({ name: 'A' }), createTestBuild({ name: 'B' })], { duels: 1 });
+        expect(console.log).toBe(log);
+        expect(console.warn).toBe(warn);
+    });
+
+    it('should format reports as a table or CSV', () => {
+        const report = runSimulation([createTestBuild({ name: 'A' }), createTestBuild({ name: 'B, the Second' })], { duels: 2 });
+
+        const table = formatTable(report);
+        expect(table).toContain('PL vs win correlation');
+        expect(table).toContain('B, the Second');
+
+        const [matchups, builds] = formatCSV(report).trim().split('\n\n');
+        expect(matchups.split('\n')[0]).toBe('Build A,Build B,Duels,A Win,B Win,Draw,A TTK,B TTK,PL Corr');
+        expect(matchups.split('\n')[1]).toMatch(/^A,"B, the Second",2,/);
+        expect(builds.split('\n')).toHaveLength(3);
+    });
+
+    it('should compare balance configs on the same duels', () => {
+        const builds = [createTestBuild({ name: 'A', str: 40 }), createTestBuild({ name: 'B' })];
+        const fragile = new BalanceConfig({ resources: { maxHealth: { perLevel: 1, stats: { [StatKeys.VIT]: 1 } } } }, 'fragile');
+        const [standard, changed] = compareBalances(builds, [defaultBalance, fragile], { duels: 4, seed: 'compare' });
+
+        expect(standard).toEqual(runSimulation(builds, { duels: 4, seed: 'compare' }));
+        expect(changed.balance).toBe('fragile');
+        expect(changed.builds[0].timeToKill).toBeLessThan(standard.builds[0].timeToKill);
+        expect(() => compareBalances(builds, [fragile, fragile])).toThrow('unique names');
+
+        const table = formatComparison([standard, changed]);
+        expect(table).toContain('default vs fragile');
+        expect(formatComparison([standard, changed], 'csv').split('\n')[0])
+            .toBe('Build A,Build B,A Win (default),A Win (fragile),A TTK (default),A TTK (fragile),A Win Change');
+    });
+});
@@ -0,0 +1,99 @@
+// src/test/skills.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { TechniqueKeys, SkillStatKeys } from '../systems/Skills.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { TechniqueDefinitions } from '../data/techniques.js';
+
+// Creates a character with skill points to spend
+const createStudent = ({ name, level = 10, skillPoints = 10 } = {}) => createTestCharacter({
+    name,
+    level,
+    skillPoints,
+    stats: { tec: 40, ki: 200 },
+});
+
+describe('Skill System', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should spend skill points to unlock and upgrade techniques', () => {
+        const character = createStudent({ skillPoints: 2 });
+
+        expect(character.learnSkill(TechniqueKeys.KI_BLAST)).toBe(true);
+        expect(character.learnSkill(TechniqueKeys.KI_BLAST)).toBe(true);
+        expect(character.skills.getRank(TechniqueKeys.KI_BLAST)).toBe(2);
+        expect(character.attributes.skillPoints).toBe(0);
+        expect(character.learnSkill(TechniqueKeys.KI_BLAST)).toBe(false);
+    });
+
+    it('should not spend a skill point when prerequisites or level are not met', () => {
+        const character = createStudent({ level: 1 });
+
+        expect(character.learnSkill(TechniqueKeys.KAMEHAMEHA)).toBe(false); // Level 5 + Ki Blast rank 2 required
+        expect(character.learnSkill(TechniqueKeys.SPECIAL_BEAM_CANNON)).toBe(false);
+        expect(character.learnSkill('notATechnique')).toBe(false);
+        expect(character.attributes.skillPoints).toBe(10);
+    });
+
+    it('should scale power from stats and rank', () => {
+        const character = createStudent();
+        const technique = TechniqueDefinitions[TechniqueKeys.KI_BLAST];
+        character.learnSkill(TechniqueKeys.KI_BLAST);
+        const racialBonus = 1 + character.getStatBreakdown(SkillStatKeys.TECHNIQUE_POWER).percent.reduce((sum, { value }) => sum + value, 0);
+        const rankOnePower = (technique.power.base + 40 * technique.power.scaling[StatKeys.TEC]) * racialBonus;
+        expect(character.skills.getPower(TechniqueKeys.KI_BLAST)).toBe(Math.round(rankOnePower));
+
+        character.learnSkill(TechniqueKeys.KI_BLAST);
+        expect(character.skills.getPower(TechniqueKeys.KI_BLAST)).toBe(Math.round(rankOnePower * (1 + technique.rankPowerBonus)));
+    });
+
+    it('should pay costs, start cooldowns and route damage through the combat resolver', () => {
+        const attacker = createStudent({ name: 'Attacker' });
+        const defender = createStudent({ name: 'Defender' });
+        attacker.learnSkill(TechniqueKeys.KI_BLAST);
+        attacker.learnSkill(TechniqueKeys.KI_BLAST);
+        attacker.learnSkill(TechniqueKeys.KAMEHAMEHA);
+        const kiBefore = attacker.resources.ki;
+        const healthBefore = defender.resources.health;
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        const result = attacker.useSkill(TechniqueKeys.KAMEHAMEHA, defender, { distance: 3 });
+
+        expect(result.success).toBe(true);
+        expect(result.attack.hit).toBe(true);
+        expect(result.attack.raw).toBe(attacker.skills.getPower(TechniqueKeys.KAMEHAMEHA));
+        const kiCost = Math.ceil(TechniqueDefinitions[TechniqueKeys.KAMEHAMEHA].cost.ki * (1 - attacker.kiControl.efficiency));
+        expect(attacker.resources.ki).toBe(kiBefore - kiCost);
+        expect(defender.resources.health).toBe(healthBefore - result.attack.finalDamage);
+
+        // On cooldown now
+        expect(attacker.useSkill(TechniqueKeys.KAMEHAMEHA, defender).success).toBe(false);
+        attacker.skills.tickCooldowns();
+        attacker.skills.tickCooldowns();
+        expect(attacker.skills.canUse(TechniqueKeys.KAMEHAMEHA).allowed).toBe(true);
+    });
+
+    it('should reject targets outside the technique range', () => {
+        const attacker = createStudent({ name: 'Attacker' });
+        const defender = createStudent({ name: 'Defender' });
+        attacker.learnSkill(TechniqueKeys.KI_BLAST);
+
+        const result = attacker.useSkill(TechniqueKeys.KI_BLAST, defender, { distance: 10 });
+        expect(result.success).toBe(false);
+        expect(result.reason).toMatch(/out of range/);
+    });
+
+    it('should apply status effects from support techniques', () => {
+        const attacker = createStudent({ name: 'Attacker' });
+        const defender = createStudent({ name: 'Defender' });
+        attacker.learnSkill(TechniqueKeys.SOLAR_FLARE);
+        jest.spyOn(Math, 'random').mockReturnValue(0.99); // Defender fails the resistance roll
+
+        const result = attacker.useSkill(TechniqueKeys.SOLAR_FLARE, defender);
+        expect(result.statusApplied).toBe(true);
+        expect(defender.statusEffects.has(StatusEffectKeys.STUN)).toBe(true);
+    });
+});
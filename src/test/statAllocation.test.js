@@ -0,0 +1,113 @@
+// src/test/statAllocation.test.js
+import { Character } from '../Character.js';
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { migrateSaveData } from '../systems/Serialization.js';
+
+// Creates a character with unallocated points
+const createAllocator = ({ race, xp = 500 } = {}) => createTestCharacter({ race, level: 5, xp, unallocatedStatPoints: 10 });
+
+describe('Stat Allocation', () => {
+    it('should queue points across stats without spending them', () => {
+        const character = createAllocator();
+        const session = character.beginAllocation();
+
+        expect(session.queue(StatKeys.STR, 3)).toBe(true);
+        expect(session.queue(StatKeys.VIT)).toBe(true);
+        expect(session.pending).toEqual({ [StatKeys.STR]: 3, [StatKeys.VIT]: 1 });
+        expect(session.availablePoints).toBe(6);
+        expect(character.attributes.unallocatedStatPoints).toBe(10);
+        expect(character.baseStats.getStat(StatKeys.STR)).toBe(20);
+
+        expect(session.queue(StatKeys.AGI, 7)).toBe(false); // Only 6 left
+        expect(session.queue('notAStat')).toBe(false);
+    });
+
+    it('should undo individual queued points', () => {
+        const session = createAllocator().beginAllocation();
+        session.queue(StatKeys.STR, 2);
+        session.queue(StatKeys.TEC);
+
+        expect(session.undo(StatKeys.STR)).toBe(true);
+        expect(session.undoLast()).toBe(StatKeys.TEC);
+        expect(session.pending).toEqual({ [StatKeys.STR]: 1 });
+        expect(session.undo(StatKeys.AGI)).toBe(false);
+    });
+
+    it('should preview resources, derived and combat stats without changing the character', () => {
+        const character = createAllocator();
+        const session = character.beginAllocation();
+        session.queue(StatKeys.VIT, 4);
+        session.queue(StatKeys.AGI, 2);
+
+        const { before, after } = session.preview();
+        expect(before).toEqual(character.getStatSnapshot());
+        expect(after.baseStats[StatKeys.VIT]).toBe(24);
+        expect(after.resources.maxHealth).toBe(before.resources.maxHealth + 4 * 5);
+        expect(after.combat.evasion).toBeGreaterThan(before.combat.evasion);
+        expect(after.derived.turnOrder).toBeGreaterThanOrEqual(before.derived.turnOrder);
+        expect(character.baseStats.getStat(StatKeys.VIT)).toBe(20);
+    });
+
+    it('should spend queued points on commit and record them', () => {
+        const character = createAllocator();
+        const session = character.beginAllocation();
+        session.queue(StatKeys.STR, 3);
+        const { after } = session.preview();
+
+        expect(session.commit()).toEqual({ [StatKeys.STR]: 3 });
+        expect(session.isOpen).toBe(false);
+        expect(character.attributes.unallocatedStatPoints).toBe(7);
+        expect(character.attributes.allocatedStatPoints).toEqual({ [StatKeys.STR]: 3 });
+        expect(character.getStatSnapshot()).toEqual(after);
+        expect(session.queue(StatKeys.STR)).toBe(false);
+
+        const cancelled = character.beginAllocation();
+        cancelled.queue(StatKeys.VIT);
+        cancelled.cancel();
+        expect(character.attributes.unallocatedStatPoints).toBe(7);
+    });
+
+    it('should refund allocated points on a paid respec while keeping level growth', () => {
+        const character = createAllocator({ race: Race.SAIYAN });
+        character.allocateStatPoint(StatKeys.STR);
+        character.allocateStatPoint(StatKeys.STR);
+        character.allocateStatPoint(StatKeys.VIT);
+        character.levelUp(); // Racial STR growth is not refundable
+        const cost = character.attributes.getRespecCost();
+        const xpBefore = character.attributes.xp;
+        const pointsBefore = character.attributes.unallocatedStatPoints;
+
+        expect(character.respec()).toEqual({ cost, points: 3, refunded: { [StatKeys.STR]: 2, [StatKeys.VIT]: 1 } });
+        expect(character.attributes.xp).toBe(xpBefore - cost);
+        expect(character.attributes.unallocatedStatPoints).toBe(pointsBefore + 3);
+        expect(character.baseStats.getStat(StatKeys.STR)).toBe(21);
+        expect(character.baseStats.getStat(StatKeys.VIT)).toBe(20);
+        expect(character.attributes.getRespecCost()).toBeGreaterThan(cost);
+
+        expect(character.respec()).toBe(false); // Nothing left to refund
+    });
+
+    it('should refuse a respec the character cannot afford', () => {
+        const character = createAllocator({ xp: 0 });
+        character.allocateStatPoint(StatKeys.STR);
+
+        expect(character.respec()).toBe(false);
+        expect(character.baseStats.getStat(StatKeys.STR)).toBe(21);
+
+        // Paying with levels is opt-in
+        expect(character.respec({ allowLevelDown: true })).not.toBe(false);
+        expect(character.attributes.level).toBeLessThan(5);
+    });
+
+    it('should save allocations and migrate older saves', () => {
+        const character = createAllocator();
+        character.allocateStatPoint(StatKeys.TEC);
+        const restored = Character.fromJSON(JSON.stringify(character));
+        expect(restored.attributes.allocatedStatPoints).toEqual({ [StatKeys.TEC]: 1 });
+
+        const migrated = migrateSaveData({ version: 6, attributes: { level: 3 } });
+        expect(migrated.attributes).toMatchObject({ level: 3, allocatedStatPoints: {}, respecCount: 0 });
+    });
+});
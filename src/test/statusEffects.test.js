@@ -0,0 +1,105 @@
+// src/test/statusEffects.test.js
+import { jest } from '@jest/globals';
+import { createTestCharacter } from './helpers.js';
+import { StatusEffectKeys } from '../systems/StatusEffects.js';
+import { ResourceKeys } from '../systems/Resources.js';
+
+describe('Status Effect System', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should let debuffs be resisted based on status resistance', () => {
+        const character = createTestCharacter({ stats: { vit: 200, wis: 200, aura: 200 } });
+        const resist = character.resistances.status;
+
+        jest.spyOn(Math, 'random').mockReturnValue(resist - 0.01);
+        expect(character.applyStatusEffect(StatusEffectKeys.BURN)).toBe(false);
+        expect(character.statusEffects.has(StatusEffectKeys.BURN)).toBe(false);
+
+        Math.random.mockReturnValue(resist + 0.01);
+        expect(character.applyStatusEffect(StatusEffectKeys.BURN)).toBe(true);
+        expect(character.statusEffects.has(StatusEffectKeys.BURN)).toBe(true);
+    });
+
+    it('should never resist buffs', () => {
+        const character = createTestCharacter({ stats: { vit: 1000, wis: 1000, aura: 1000 } });
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        expect(character.applyStatusEffect(StatusEffectKeys.HASTE)).toBe(true);
+    });
+
+    it('should apply stacking rules on re-application', () => {
+        const character = createTestCharacter();
+        const options = { ignoreResistance: true };
+
+        // STACK: stacks up to maxStacks
+        character.applyStatusEffect(StatusEffectKeys.BURN, options);
+        character.applyStatusEffect(StatusEffectKeys.BURN, options);
+        character.applyStatusEffect(StatusEffectKeys.BURN, options);
+        character.applyStatusEffect(StatusEffectKeys.BURN, options);
+        const burn = character.statusEffects.activeEffects.find(effect => effect.id === StatusEffectKeys.BURN);
+        expect(burn.stacks).toBe(3);
+
+        // EXTEND: durations add up
+        character.applyStatusEffect(StatusEffectKeys.POISON, options);
+        character.applyStatusEffect(StatusEffectKeys.POISON, options);
+        const poison = character.statusEffects.activeEffects.find(effect => effect.id === StatusEffectKeys.POISON);
+        expect(poison.remainingTurns).toBe(8);
+    });
+
+    it('should tick damage against resources and expire after its duration', () => {
+        const character = createTestCharacter();
+        const maxHealth = character.resources.maxHealth;
+        character.applyStatusEffect(StatusEffectKeys.BURN, { ignoreResistance: true, stacks: 2 });
+
+        const summary = character.tickStatusEffects();
+        const expectedTick = Math.floor(maxHealth * 0.03 * 2);
+        expect(summary.ticks[0].amount).toBe(expectedTick);
+        expect(character.resources.health).toBe(maxHealth - expectedTick);
+
+        character.tickStatusEffects();
+        const last = character.tickStatusEffects();
+        expect(last.expired).toContain(StatusEffectKeys.BURN);
+        expect(character.statusEffects.has(StatusEffectKeys.BURN)).toBe(false);
+    });
+
+    it('should drain stamina over time without counting it as spent', () => {
+        const character = createTestCharacter();
+        const maxStamina = character.resources.maxStamina;
+        character.applyStatusEffect(StatusEffectKeys.POISON, { ignoreResistance: true });
+
+        const summary = character.tickStatusEffects();
+        const drained = summary.ticks.find(tick => tick.resource === ResourceKeys.STAMINA).amount;
+        expect(drained).toBe(Math.max(1, Math.floor(maxStamina * 0.02)));
+        expect(character.resources.stamina).toBe(maxStamina - drained);
+        expect(character.resources.fatigue).toBe(0); // Only spending stamina is tiring
+    });
+
+    it('should feed modifiers into turn order, accuracy, evasion and effective PL', () => {
+        const character = createTestCharacter({ stats: { agi: 40, tec: 20 } });
+        const baseTurnOrder = character.derivedStats.turnOrder;
+        const baseAccuracy = character.combatStats.accuracy;
+        const baseEvasion = character.combatStats.evasion;
+        const baseEffectivePL = character.derivedStats.effectivePL;
+
+        character.applyStatusEffect(StatusEffectKeys.HASTE);
+        expect(character.derivedStats.turnOrder).toBe(Math.floor((40 + 20 * 0.5) * 1.3));
+        expect(character.combatStats.accuracy).toBeCloseTo(baseAccuracy * 1.1, 5);
+        expect(character.combatStats.evasion).toBeCloseTo(baseEvasion * 1.1, 5);
+
+        character.applyStatusEffect(StatusEffectKeys.POWER_UP);
+        expect(character.derivedStats.effectivePL).toBeGreaterThan(baseEffectivePL);
+
+        character.removeStatusEffect(StatusEffectKeys.HASTE);
+        expect(character.derivedStats.turnOrder).toBe(baseTurnOrder);
+    });
+
+    it('should prevent acting while stunned', () => {
+        const character = createTestCharacter();
+        expect(character.canAct).toBe(true);
+        character.applyStatusEffect(StatusEffectKeys.STUN, { ignoreResistance: true });
+        expect(character.canAct).toBe(false);
+        character.tickStatusEffects();
+        expect(character.canAct).toBe(true);
+    });
+});
@@ -0,0 +1,75 @@
+// src/test/transformations.test.js
+import { createTestCharacter } from './helpers.js';
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { TransformationKeys } from '../systems/Transformations.js';
+import { TransformationDefinitions } from '../data/transformations.js';
+
+// Creates a character who meets the Super Saiyan requirements, unless overridden
+const createSaiyan = ({ race = Race.SAIYAN, level = 30, potential = 0.4 } = {}) => createTestCharacter({ race, level, potential });
+
+describe('Transformation System', () => {
+    it('should enforce race, level and potential requirements', () => {
+        expect(createSaiyan({ race: Race.HUMAN }).transform(TransformationKeys.SUPER_SAIYAN)).toBe(false);
+        expect(createSaiyan({ level: 10 }).transform(TransformationKeys.SUPER_SAIYAN)).toBe(false);
+        expect(createSaiyan({ potential: 0.2 }).transform(TransformationKeys.SUPER_SAIYAN)).toBe(false);
+        expect(createSaiyan().transform('notAForm')).toBe(false);
+
+        const saiyan = createSaiyan();
+        expect(saiyan.transform(TransformationKeys.SUPER_SAIYAN)).toBe(true);
+        expect(saiyan.activeForm.id).toBe(TransformationKeys.SUPER_SAIYAN);
+    });
+
+    it('should multiply Base PL and specific stats while transformed', () => {
+        const character = createSaiyan();
+        const basePL = character.derivedStats.basePL;
+        expect(basePL).toBeLessThan(character.derivedStats.basePLCeiling); // Stat boosts would raise an uncapped Base PL
+        const baseEffectivePL = character.derivedStats.effectivePL;
+        const baseKnockback = character.combatStats.knockback;
+        const form = TransformationDefinitions[TransformationKeys.SUPER_SAIYAN];
+
+        character.transform(TransformationKeys.SUPER_SAIYAN);
+
+        expect(character.baseStats.getStat(StatKeys.STR)).toBe(20);
+        expect(character.baseStats.getEffectiveStat(StatKeys.STR)).toBeCloseTo(20 * form.statMultipliers[StatKeys.STR], 5);
+        // Boosted stats raise max resources, so refill before comparing PL at full resources
+        character.resources.setToMax();
+        character.derivedStats.handleResourceChange();
+        // The form's stat boosts do not compound with its PL multiplier
+        expect(character.getStatBreakdown('basePL').multiply).toEqual([{ source: 'transformation', value: form.plMultiplier }]);
+        expect(character.derivedStats.basePL).toBeGreaterThanOrEqual(basePL * form.plMultiplier);
+        expect(character.derivedStats.basePL).toBeLessThan((basePL + 1) * form.plMultiplier);
+        expect(character.derivedStats.effectivePL).toBe(character.derivedStats.basePL);
+        expect(character.combatStats.knockback).toBeGreaterThanOrEqual(baseKnockback);
+
+        character.revert();
+        expect(character.activeForm).toBeNull();
+        expect(character.baseStats.getEffectiveStat(StatKeys.STR)).toBe(20);
+        expect(character.derivedStats.basePL).toBe(basePL);
+        expect(character.derivedStats.effectivePL).toBe(baseEffectivePL);
+    });
+
+    it('should drain ki and stamina and build fatigue every turn', () => {
+        const character = createSaiyan();
+        character.transform(TransformationKeys.SUPER_SAIYAN);
+        const kiBefore = character.resources.ki;
+        const fatigueBefore = character.resources.fatigue;
+
+        const summary = character.tickTransformation();
+
+        expect(summary.reverted).toBe(false);
+        expect(character.resources.ki).toBe(kiBefore - summary.ki);
+        expect(character.resources.fatigue).toBeGreaterThan(fatigueBefore);
+    });
+
+    it('should automatically revert when ki runs out', () => {
+        const character = createSaiyan();
+        character.transform(TransformationKeys.SUPER_SAIYAN);
+        character.resources.useKi(character.resources.ki);
+
+        const summary = character.tickTransformation();
+
+        expect(summary.reverted).toBe(true);
+        expect(character.transformations.isTransformed).toBe(false);
+    });
+});
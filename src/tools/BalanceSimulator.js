@@ -0,0 +1,434 @@
+// src/tools/BalanceSimulator.js
+
+import { Character } from '../Character.js';
+import { Race } from '../systems/Attributes.js';
+import { StatKeys } from '../systems/BaseStats.js';
+import { Battle, BattleEvents } from '../systems/Battle.js';
+import { CombatAI, createAIController, AIProfileKeys } from '../systems/CombatAI.js';
+import { RandomGenerator } from '../systems/Random.js';
+import { defaultBalance } from '../systems/Balance.js';
+import { TechniqueDefinitions } from '../data/techniques.js';
+import { EquipmentDefinitions } from '../data/equipment.js';
+import { ItemDefinitions } from '../data/items.js';
+
+// Critical hit tiers, in the order they are reported
+const CRIT_TIERS = Object.freeze(['normal', 'regular', 'super', 'mega', 'omega']);
+// Stats a build can set (and that jitter varies)
+const BUILD_STATS = Object.freeze(Object.values(StatKeys));
+
+/**
+ * Validates a character build loaded from JSON.
+ * A build is { name, race?, level?, potential? (0-1), stats?, skills?, equipment?, items?, ai? } where stats maps
+ * StatKeys to values, skills maps TechniqueKeys to ranks, equipment lists EquipmentKeys, items maps ItemKeys
+ * to quantities and ai is a profile from AIProfileKeys.
+ * @param {object} build - The build.
+ * @throws {Error} If the build is invalid.
+ */
+function validateBuild(build) {
+    if (!build || typeof build.name !== 'string' || build.name.length === 0) {
+        throw new Error("Build requires a name.");
+    }
+    const fail = message => { throw new Error(`Build "${build.name}": ${message}`); };
+    if (build.race !== undefined && !Object.values(Race).includes(build.race)) fail(`unknown race "${build.race}".`);
+    if (build.ai !== undefined && !Object.values(AIProfileKeys).includes(build.ai)) fail(`unknown AI profile "${build.ai}".`);
+    if (build.level !== undefined && (!Number.isInteger(build.level) || build.level < 1)) fail("level must be a positive integer.");
+    if (build.potential !== undefined && !(build.potential > 0 && build.potential <= 1)) fail("potential must be between 0 and 1.");
+    for (const [statKey, value] of Object.entries(build.stats ?? {})) {
+        if (!BUILD_STATS.includes(statKey)) fail(`unknown stat "${statKey}".`);
+        if (typeof value !== 'number' || value < 0) fail(`stat "${statKey}" must be a non-negative number.`);
+    }
+    for (const [skillId, rank] of Object.entries(build.skills ?? {})) {
+        const technique = TechniqueDefinitions[skillId];
+        if (!technique) fail(`unknown technique "${skillId}".`);
+        if (!Number.isInteger(rank) || rank < 1 || rank > technique.maxRank) fail(`${technique.name} rank must be 1-${technique.maxRank}.`);
+    }
+    for (const itemId of build.equipment ?? []) {
+        if (!EquipmentDefinitions[itemId]) fail(`unknown equipment "${itemId}".`);
+    }
+    for (const [itemId, quantity] of Object.entries(build.items ?? {})) {
+        if (!ItemDefinitions[itemId]) fail(`unknown item "${itemId}".`);
+        if (!Number.isInteger(quantity) || quantity < 1) fail(`item "${itemId}" quantity must be a positive integer.`);
+    }
+}
+
+/**
+ * Creates a character from a build. Techniques are set to their ranks directly (prerequisites are not checked).
+ * @param {object} build - The build (see validateBuild()).
+ * @param {object} [options={}] - Creation options.
+ * @param {number} [options.jitter=0] - Random variation applied to every stat (0.1 = +/-10%).
+ * @param {RandomGenerator} [options.rng] - Random source for the jitter and the character's rolls.
+ * @param {BalanceConfig} [options.balance=defaultBalance] - Balance config for the character's stat formulas.
+ * @returns {Character} The character.
+ */
+function createCharacterFromBuild(build, { jitter = 0, rng = new RandomGenerator(), balance = defaultBalance } = {}) {
+    validateBuild(build);
+    const stats = { ...build.stats };
+    if (jitter > 0) {
+        for (const statKey of BUILD_STATS) {
+            if (stats[statKey] === undefined) continue;
+            stats[statKey] = Math.max(1, Math.round(stats[statKey] * (1 + (rng.next() * 2 - 1) * jitter)));
+        }
+    }
+    const character = new Character({
+        name: build.name,
+        attributesConfig: { race: build.race, level: build.level, potential: build.potential },
+        baseStatsConfig: stats,
+        rng,
+        balance,
+    });
+    character.skills.restoreState({ ranks: build.skills ?? {} });
+    (build.equipment ?? []).forEach(itemId => character.equipment.equip(itemId));
+    Object.entries(build.items ?? {}).forEach(([itemId, quantity]) => character.inventory.addItem(itemId, quantity));
+    character.resources.setToMax();
+    return character;
+}
+
+/**
+ * Counts the critical hit tiers of every landed hit in a battle action result (including pursuit
+ * follow-ups, counters and beam struggles) into per-side tallies.
+ * @private
+ */
+function tallyCrits(result, actor, target, tallies) {
+    const tallyAttack = (attack, attacker, defender) => {
+        if (!attack) return;
+        if (attack.hit) tallies[attacker][attack.tier]++;
+        tallyAttack(attack.counter, defender, attacker);
+    };
+    tallyAttack(result?.attack, actor, target);
+    for (let followUp = result?.followUp; followUp; followUp = followUp.followUp) {
+        tallyAttack(followUp.attack, actor, target);
+    }
+    if (result?.struggle?.winner) {
+        tallies[result.struggle.position > 0 ? actor : target][result.struggle.tier]++;
+    }
+}
+
+/**
+ * Simulates a single AI-controlled duel between two builds.
+ * @param {object} buildA - The first build.
+ * @param {object} buildB - The second build.
+ * @param {object} [options={}] - Duel options.
+ * @param {string} [options.seed='duel'] - Seed for the duel's random source.
+ * @param {number} [options.maxRounds=50] - Rounds before the duel is a draw.
+ * @param {number} [options.jitter=0] - Random stat variation (see createCharacterFromBuild()).
+ * @param {boolean} [options.swapSides=false] - Puts build B on the first team (initiative ties go to the first team).
+ * @param {BalanceConfig} [options.balance=defaultBalance] - Balance config for both fighters.
+ * @returns {object} { winner ('a'|'b'|null), reason, rounds, defeatedRound, pl: { a, b }, crits: { a, b } }.
+ */
+function simulateDuel(buildA, buildB, { seed = 'duel', maxRounds = 50, jitter = 0, swapSides = false, balance = defaultBalance } = {}) {
+    const rng = new RandomGenerator(seed);
+    const a = createCharacterFromBuild(buildA, { jitter, rng, balance });
+    const b = createCharacterFromBuild(buildB, { jitter, rng, balance });
+    const sides = new Map([[a, 'a'], [b, 'b']]);
+    const teams = swapSides ? [[b], [a]] : [[a], [b]];
+    const battle = new Battle({ teams, maxRounds, rng });
+
+    const crits = { a: Object.fromEntries(CRIT_TIERS.map(tier => [tier, 0])), b: Object.fromEntries(CRIT_TIERS.map(tier => [tier, 0])) };
+    let defeatedRound = null;
+    battle.on(BattleEvents.ACTION, ({ actor, action, result }) => {
+        const side = sides.get(actor);
+        const target = action.target ? sides.get(action.target) : null;
+        tallyCrits(result, side, target ?? (side === 'a' ? 'b' : 'a'), crits);
+    });
+    battle.on(BattleEvents.COMBATANT_DEFEATED, () => { defeatedRound ??= battle.round; });
+
+    const pl = { a: a.derivedStats.effectivePL, b: b.derivedStats.effectivePL };
+    const { decide, react } = createAIController([
+        new CombatAI(a, buildA.ai ?? AIProfileKeys.BRAWLER),
+        new CombatAI(b, buildB.ai ?? AIProfileKeys.BRAWLER),
+    ]);
+    const { winner, reason, rounds } = battle.run(decide, react);
+    return {
+        winner: winner === null ? null : sides.get(teams[winner][0]),
+        reason,
+        rounds,
+        defeatedRound,
+        pl,
+        crits,
+    };
+}
+
+/**
+ * Calculates the Pearson correlation of two samples.
+ * @returns {number|null} The correlation (-1 to 1), or null if either sample does not vary.
+ * @private
+ */
+function correlate(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Runs a round robin of AI duels between every pair of builds and aggregates the results.
+ * Every duel gets its own seeded random source derived from the seed, so a run is reproducible.
+ * Character and battle logging is silenced while simulating (console.log/console.warn are restored afterwards).
+ * @param {Array<object>} builds - Two or more builds (see validateBuild()).
+ * @param {object} [options={}] - Simulation options.
+ * @param {number} [options.duels=1000] - Duels per pair of builds (sides alternate every duel).
+ * @param {string} [options.seed='balance'] - Base seed.
+ * @param {number} [options.maxRounds=50] - Rounds before a duel is a draw.
+ * @param {number} [options.jitter=0] - Random stat variation per duel (needed for a PL correlation within one matchup).
+ * @param {boolean} [options.quiet=true] - Silences console.log/console.warn during the run.
+ * @param {BalanceConfig} [options.balance=defaultBalance] - Balance config for every fighter.
+ * @returns {object} The report: { balance (config name), duels, matchups, builds, plCorrelation }.
+ *   PL correlation is between ln(own PL / opponent PL) and the result (win 1, draw 0.5, loss 0), null without variation.
+ */
+function runSimulation(builds, { duels = 1000, seed = 'balance', maxRounds = 50, jitter = 0, quiet = true, balance = defaultBalance } = {}) {
+    if (!Array.isArray(builds) || builds.length < 2) {
+        throw new Error("Simulation requires at least two builds.");
+    }
+    builds.forEach(validateBuild);
+    if (new Set(builds.map(build => build.name)).size !== builds.length) {
+        throw new Error("Build names must be unique.");
+    }
+
+    const { log, warn } = console;
+    if (quiet) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    try {
+        const buildStats = new Map(builds.map(build => [build.name, {
+            build: build.name,
+            duels: 0,
+            wins: 0,
+            draws: 0,
+            killRounds: [],
+            crits: Object.fromEntries(CRIT_TIERS.map(tier => [tier, 0])),
+        }]));
+        const samples = { pl: [], outcome: [] };
+        const matchups = [];
+
+        for (let i = 0; i < builds.length; i++) {
+            for (let j = i + 1; j < builds.length; j++) {
+                const [buildA, buildB] = [builds[i], builds[j]];
+                const matchup = { a: buildA.name, b: buildB.name, duels, winsA: 0, winsB: 0, draws: 0, killRounds: { a: [], b: [] } };
+                const matchupSamples = { pl: [], outcome: [] };
+
+                for (let duel = 0; duel < duels; duel++) {
+                    const record = simulateDuel(buildA, buildB, {
+                        seed: `${seed}:${buildA.name}:${buildB.name}:${duel}`,
+                        maxRounds,
+                        jitter,
+                        swapSides: duel % 2 === 1,
+                        balance,
+                    });
+                    for (const [side, build, opponentSide] of [['a', buildA, 'b'], ['b', buildB, 'a']]) {
+                        const stats = buildStats.get(build.name);
+                        stats.duels++;
+                        CRIT_TIERS.forEach(tier => { stats.crits[tier] += record.crits[side][tier]; });
+                        const outcome = record.winner === null ? 0.5 : Number(record.winner === side);
+                        if (record.winner === side) {
+                            stats.wins++;
+                            if (record.defeatedRound !== null) {
+                                stats.killRounds.push(record.defeatedRound);
+                                matchup.killRounds[side].push(record.defeatedRound);
+                            }
+                        } else if (record.winner === null) {
+                            stats.draws++;
+                        }
+                        const plRatio = record.pl[opponentSide] > 0 && record.pl[side] > 0 ? Math.log(record.pl[side] / record.pl[opponentSide]) : 0;
+                        for (const target of [samples, matchupSamples]) {
+                            target.pl.push(plRatio);
+                            target.outcome.push(outcome);
+                        }
+                    }
+                    if (record.winner === 'a') matchup.winsA++;
+                    else if (record.winner === 'b') matchup.winsB++;
+                    else matchup.draws++;
+                }
+
+                matchups.push({
+                    a: matchup.a,
+                    b: matchup.b,
+                    duels,
+                    winRateA: matchup.winsA / duels,
+                    winRateB: matchup.winsB / duels,
+                    drawRate: matchup.draws / duels,
+                    timeToKillA: average(matchup.killRounds.a),
+                    timeToKillB: average(matchup.killRounds.b),
+                    plCorrelation: correlate(matchupSamples.pl, matchupSamples.outcome),
+                });
+            }
+        }
+
+        return {
+            balance: balance.name,
+            duels,
+            matchups,
+            builds: [...buildStats.values()].map(stats => {
+                const hits = CRIT_TIERS.reduce((total, tier) => total + stats.crits[tier], 0);
+                return {
+                    build: stats.build,
+                    duels: stats.duels,
+                    winRate: stats.wins / stats.duels,
+                    drawRate: stats.draws / stats.duels,
+                    timeToKill: average(stats.killRounds),
+                    hits,
+                    critDistribution: Object.fromEntries(CRIT_TIERS.map(tier => [tier, hits > 0 ? stats.crits[tier] / hits : 0])),
+                };
+            }),
+            plCorrelation: correlate(samples.pl, samples.outcome),
+        };
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+/** @private */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Converts a report into rows of cells, one set of rows for matchups and one for builds.
+ * @private
+ */
+function toRows(report) {
+    const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+    const number = (value, digits = 2) => (value === null ? '-' : value.toFixed(digits));
+    return {
+        matchups: [
+            ['Build A', 'Build B', 'Duels', 'A Win', 'B Win', 'Draw', 'A TTK', 'B TTK', 'PL Corr'],
+            ...report.matchups.map(m => [m.a, m.b, String(m.duels), percent(m.winRateA), percent(m.winRateB), percent(m.drawRate),
+                number(m.timeToKillA), number(m.timeToKillB), number(m.plCorrelation, 3)]),
+        ],
+        builds: [
+            ['Build', 'Duels', 'Win', 'Draw', 'TTK', 'Hits', ...CRIT_TIERS.map(tier => `Crit ${tier}`)],
+            ...report.builds.map(b => [b.build, String(b.duels), percent(b.winRate), percent(b.drawRate), number(b.timeToKill),
+                String(b.hits), ...CRIT_TIERS.map(tier => percent(b.critDistribution[tier]))]),
+        ],
+    };
+}
+
+/**
+ * Renders rows of cells as an aligned text table with a header underline.
+ * @private
+ */
+function renderTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Renders rows of cells as CSV lines.
+ * @private
+ */
+function renderCSV(rows) {
+    const escape = cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+    return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Formats a report as aligned text tables.
+ * @param {object} report - The report from runSimulation().
+ * @returns {string} The tables.
+ */
+function formatTable(report) {
+    const { matchups, builds } = toRows(report);
+    const correlation = report.plCorrelation === null ? '-' : report.plCorrelation.toFixed(3);
+    return [
+        `Matchups (${report.duels} duels each, TTK = average rounds to defeat the opponent)`,
+        renderTable(matchups),
+        '',
+        'Builds',
+        renderTable(builds),
+        '',
+        `PL vs win correlation: ${correlation}`,
+    ].join('\n');
+}
+
+/**
+ * Formats a report as CSV: the matchup rows, a blank line, then the build rows.
+ * @param {object} report - The report from runSimulation().
+ * @returns {string} The CSV text.
+ */
+function formatCSV(report) {
+    const { matchups, builds } = toRows(report);
+    return `${renderCSV(matchups)}\n\n${renderCSV(builds)}\n`;
+}
+
+/**
+ * Runs the same simulation (same builds and seeds) under several balance configs, so the results differ only by config.
+ * @param {Array<object>} builds - Two or more builds (see validateBuild()).
+ * @param {Array<BalanceConfig>} balances - The configs to compare (named, e.g., after their files).
+ * @param {object} [options={}] - Simulation options (see runSimulation()).
+ * @returns {Array<object>} One report per config, in order.
+ */
+function compareBalances(builds, balances, options = {}) {
+    if (new Set(balances.map(balance => balance.name)).size !== balances.length) {
+        throw new Error("Compared balance configs must have unique names.");
+    }
+    return balances.map(balance => runSimulation(builds, { ...options, balance }));
+}
+
+/**
+ * Formats reports of the same builds under different balance configs (from compareBalances()) side by side:
+ * win rates and time-to-kill per config, plus the win rate change from the first config to the last.
+ * @param {Array<object>} reports - The reports.
+ * @param {string} [format='table'] - 'table' or 'csv'.
+ * @returns {string} The comparison.
+ */
+function formatComparison(reports, format = 'table') {
+    const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+    const number = (value, digits = 2) => (value === null ? '-' : value.toFixed(digits));
+    const delta = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+    const [first] = reports;
+    const last = reports[reports.length - 1];
+    const labels = reports.map(report => report.balance);
+
+    const matchups = [
+        ['Build A', 'Build B', ...labels.map(label => `A Win (${label})`), ...labels.map(label => `A TTK (${label})`), 'A Win Change'],
+        ...first.matchups.map((matchup, index) => [
+            matchup.a,
+            matchup.b,
+            ...reports.map(report => percent(report.matchups[index].winRateA)),
+            ...reports.map(report => number(report.matchups[index].timeToKillA)),
+            delta(last.matchups[index].winRateA - matchup.winRateA),
+        ]),
+    ];
+    const builds = [
+        ['Build', ...labels.map(label => `Win (${label})`), ...labels.map(label => `TTK (${label})`), 'Win Change'],
+        ...first.builds.map((build, index) => [
+            build.build,
+            ...reports.map(report => percent(report.builds[index].winRate)),
+            ...reports.map(report => number(report.builds[index].timeToKill)),
+            delta(last.builds[index].winRate - build.winRate),
+        ]),
+    ];
+    const correlations = [
+        ['Balance', 'PL Corr'],
+        ...reports.map(report => [report.balance, number(report.plCorrelation, 3)]),
+    ];
+
+    if (format === 'csv') {
+        return `${renderCSV(matchups)}\n\n${renderCSV(builds)}\n\n${renderCSV(correlations)}\n`;
+    }
+    return [
+        `Balance comparison: ${labels.join(' vs ')} (${first.duels} duels per matchup, same seeds)`,
+        renderTable(matchups),
+        '',
+        'Builds',
+        renderTable(builds),
+        '',
+        renderTable(correlations),
+    ].join('\n');
+}
+
+export {
+    validateBuild, createCharacterFromBuild, simulateDuel, runSimulation, compareBalances,
+    formatTable, formatCSV, formatComparison, CRIT_TIERS,
+};
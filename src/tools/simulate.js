@@ -0,0 +1,100 @@
+// src/tools/simulate.js
+// Headless balance simulator: runs AI duels between character builds and reports the results.
+// Usage: npm run simulate -- <builds.json> [--duels 1000] [--seed balance] [--rounds 50] [--jitter 0] [--format table|csv]
+//        [--balance config.json] [--compare other.json]
+
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { BalanceConfig, defaultBalance } from '../systems/Balance.js';
+import { runSimulation, compareBalances, formatTable, formatCSV, formatComparison } from './BalanceSimulator.js';
+
+const USAGE = `Usage: npm run simulate -- <builds.json> [options]
+
+Simulates AI duels between every pair of builds and reports win rates, average time-to-kill,
+critical hit tier distribution and the correlation between PL and winning.
+
+The builds file is a JSON array of builds (or { "builds": [...] }), for example:
+  { "name": "Brawler", "race": "Saiyan", "level": 10, "potential": 0.5, "stats": { "str": 30, "vit": 20 },
+    "skills": { "dragonFist": 1 }, "equipment": ["turtleSchoolGi"], "items": { "senzuBean": 1 }, "ai": "brawler" }
+
+Options:
+  --duels <n>       Duels per pair of builds (default 1000)
+  --seed <text>     Base random seed, for reproducible runs (default "balance")
+  --rounds <n>      Rounds before a duel is a draw (default 50)
+  --jitter <x>      Random stat variation per duel, e.g. 0.1 for +/-10% (default 0)
+  --format <type>   Output format: table or csv (default table)
+  --balance <file>  Balance config JSON (overrides of the default formulas, see src/data/balance.js)
+  --compare <file>  Second balance config JSON: runs the same duels under both configs and compares them
+  -h, --help        Show this help`;
+
+/**
+ * Parses a positive number option.
+ * @private
+ */
+function parseNumber(name, value, { integer = false, min = 0 } = {}) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+        throw new Error(`--${name} must be ${integer ? 'an integer' : 'a number'} >= ${min}.`);
+    }
+    return number;
+}
+
+/**
+ * Loads a balance config file, named after the file.
+ * @private
+ */
+function loadBalance(path) {
+    return new BalanceConfig(JSON.parse(readFileSync(path, 'utf8')), basename(path, extname(path)));
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            duels: { type: 'string', default: '1000' },
+            seed: { type: 'string', default: 'balance' },
+            rounds: { type: 'string', default: '50' },
+            jitter: { type: 'string', default: '0' },
+            format: { type: 'string', default: 'table' },
+            balance: { type: 'string' },
+            compare: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+    if (!['table', 'csv'].includes(values.format)) {
+        throw new Error(`Unknown format: ${values.format}. Use table or csv.`);
+    }
+
+    const data = JSON.parse(readFileSync(positionals[0], 'utf8'));
+    const builds = Array.isArray(data) ? data : data.builds;
+    const options = {
+        duels: parseNumber('duels', values.duels, { integer: true, min: 1 }),
+        seed: values.seed,
+        maxRounds: parseNumber('rounds', values.rounds, { integer: true, min: 1 }),
+        jitter: parseNumber('jitter', values.jitter),
+    };
+    const balance = values.balance ? loadBalance(values.balance) : defaultBalance;
+
+    if (values.compare) {
+        const reports = compareBalances(builds, [balance, loadBalance(values.compare)], options);
+        const output = formatComparison(reports, values.format);
+        process.stdout.write(values.format === 'csv' ? output : `${output}\n`);
+        return 0;
+    }
+    const report = runSimulation(builds, { ...options, balance });
+    process.stdout.write(values.format === 'csv' ? formatCSV(report) : `${formatTable(report)}\n`);
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(`simulate: ${error.message}`);
+    process.exitCode = 1;
+}